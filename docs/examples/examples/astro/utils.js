@@ -11,12 +11,21 @@
  * `''` server-side so SSR renders relative paths — the bridge tests
  * only check shape, not absolute URL.
  */
-import { getImageUrl as _getImageUrl } from '$helpers';
+import { getImageUrl as _getImageUrl, getImageFocus as _getImageFocus } from '$helpers';
 
 export function getImageUrl(value) {
   return _getImageUrl(value, (typeof window !== 'undefined' && window._API_URL) || '');
 }
 
+// The image plus the CSS keeping the editor's crop / focal point in frame
+// (stored next to the field as `<field>_focus`)
+export function getImageFocus(value, focus, options) {
+  return _getImageFocus(value, focus, {
+    apiUrl: (typeof window !== 'undefined' && window._API_URL) || '',
+    ...options,
+  });
+}
+
 export function contentPath(url) {
   if (typeof window !== 'undefined' && window._contentPath) return window._contentPath(url);
   return url || '';
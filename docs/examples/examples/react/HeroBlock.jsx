@@ -1,17 +1,17 @@
-import { getImageUrl } from './utils.js';
+import { getImageFocus } from './utils.js';
 
 function HeroBlock({ block }) {
   const subheading = (block.subheading || '').replace(/\n/g, '<br>');
   const buttonLink = block.buttonLink?.[0]?.['@id'] || '';
-  const imageSrc = getImageUrl(block.image);
+  const image = getImageFocus(block.image, block.image_focus);
 
   // Data-driven: render a field only when it has data. No data ⇒ no element, so
   // view markup stays clean. Hydra reveals an empty optional field for editing by
   // seeding it, which makes these same checks true — no edit-mode branch needed.
   return (
     <div data-block-uid={block['@uid']} className="hero-block">
-      {imageSrc && (
-        <img data-edit-media="image" src={imageSrc} alt="Hero image" />
+      {image.src && (
+        <img data-edit-media="image" src={image.src} style={image.style} alt="Hero image" />
       )}
       {block.heading && <h1 data-edit-text="heading">{block.heading}</h1>}
       {block.subheading && (
@@ -1,18 +1,26 @@
+import { getCoveredTableCells } from '$helpers';
+
 function TableBlock({ block }) {
   const rows = block.table?.rows || [];
+  // Cells under a merged cell's colspan/rowspan stay in the data but aren't drawn
+  const covered = getCoveredTableCells(rows);
   return (
     <div data-block-uid={block['@uid']}>
       <table>
         <tbody>
           {rows.map(row => (
             <tr key={row.key} data-block-uid={row.key}>
-              {row.cells.map(cell => (
-                <td key={cell.key} data-block-uid={cell.key} data-edit-text="value">
-                  {(cell.value || []).map((node, i) => (
-                    <SlateNode key={i} node={node} />
-                  ))}
-                </td>
-              ))}
+              {row.cells.filter(cell => !covered.has(cell.key)).map(cell => {
+                const Cell = cell.type === 'header' ? 'th' : 'td';
+                return (
+                  <Cell key={cell.key} data-block-uid={cell.key} data-edit-text="value"
+                    colSpan={cell.colspan} rowSpan={cell.rowspan}>
+                    {(cell.value || []).map((node, i) => (
+                      <SlateNode key={i} node={node} />
+                    ))}
+                  </Cell>
+                );
+              })}
             </tr>
           ))}
         </tbody>
@@ -6,8 +6,17 @@
  * frontend wraps it to supply `apiUrl` from wherever that frontend
  * keeps it (here: `window._API_URL`, set by main.js).
  */
-import { getImageUrl as _getImageUrl } from '$helpers';
+import { getImageUrl as _getImageUrl, getImageFocus as _getImageFocus } from '$helpers';
 
 export function getImageUrl(value) {
   return _getImageUrl(value, (typeof window !== 'undefined' && window._API_URL) || '');
 }
+
+// The image plus the CSS keeping the editor's crop / focal point in frame
+// (stored next to the field as `<field>_focus`)
+export function getImageFocus(value, focus, options) {
+  return _getImageFocus(value, focus, {
+    apiUrl: (typeof window !== 'undefined' && window._API_URL) || '',
+    ...options,
+  });
+}
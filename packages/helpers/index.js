@@ -65,11 +65,25 @@ function _getTokenFromCookie() {
   return null;
 }
 
+/**
+ * Remember the token the admin put in the iframe URL. One not seen before
+ * means the admin loaded the iframe with a fresh token, newer than any
+ * sign-in or renewal stored here (setAccessToken), so that one is dropped.
+ * The same URL loaded again (a reload) keeps it.
+ * @param {string} urlToken
+ */
+export function storeUrlAccessToken(urlToken) {
+  if (sessionStorage.getItem('hydra_access_token') !== urlToken) {
+    sessionStorage.removeItem('hydra_signed_in_token');
+  }
+  sessionStorage.setItem('hydra_access_token', urlToken);
+}
+
 /**
  * SSR-safe minimal access-token reader — mirrors hydra-js's
  * `getAccessToken` but without sessionStorage writes in non-browser
- * environments. Order: URL `access_token` param → sessionStorage →
- * cookie. Returns null on server.
+ * environments. Order: signed-in or renewed token (setAccessToken) → URL
+ * `access_token` param → sessionStorage → cookie. Returns null on server.
  */
 export function getAccessToken() {
   if (typeof window === 'undefined') {
@@ -78,8 +92,14 @@ export function getAccessToken() {
   const urlToken = new URL(window.location.href).searchParams.get(
     'access_token',
   );
+  if (urlToken) storeUrlAccessToken(urlToken);
+  // A token from an in-editor sign-in or a renewal (setAccessToken)
+  // replaces the one the admin put in the URL, which is what expired
+  const newerToken = sessionStorage.getItem('hydra_signed_in_token');
+  if (newerToken) {
+    return newerToken;
+  }
   if (urlToken) {
-    sessionStorage.setItem('hydra_access_token', urlToken);
     return urlToken;
   }
   const sessionToken = sessionStorage.getItem('hydra_access_token');
@@ -873,19 +893,23 @@ export async function expandListingBlocks(inputItems, options = {}) {
  * @param {string} options.apiUrl - Plone site URL (e.g., 'http://localhost:8080/Plone')
  * @param {string} [options.contextPath='/'] - Path for relative queries
  * @param {Object} [options.extraCriteria={}] - Additional query params (SearchableText, facet.*, sort_on, sort_order)
+ * @param {Object} [options.adapter] - Backend adapter to search with instead
+ *   of Plone at `apiUrl` (see createPloneAdapter)
  * @returns {Function} fetchItems(block, { start, size }) => Promise<{ items, total }>
  */
 export function ploneFetchItems({
   apiUrl,
   contextPath = '/',
   extraCriteria = {},
+  adapter,
 } = {}) {
-  if (!apiUrl) {
+  if (!apiUrl && !adapter) {
     throw new Error('ploneFetchItems requires apiUrl');
   }
+  const backend = adapter || createPloneAdapter({ apiUrl });
 
   return async function fetchItems(block, { start, size }) {
-    const body = buildQuerystringSearchBody(
+    const querystring = buildQuerystringSearchBody(
       block.querystring,
       {
         b_start: start,
@@ -893,17 +917,10 @@ export function ploneFetchItems({
       },
       extraCriteria,
     );
-
-    const headers = _getAuthHeaders();
-    headers['Content-Type'] = 'application/json';
-
-    const path = `${contextPath}/++api++/@querystring-search`;
-    const res = await fetch(`${apiUrl}${path}`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
+    const response = await dispatchBackendIntent(backend, 'search', {
+      path: contextPath,
+      querystring,
     });
-    const response = await res.json();
 
     const rawItems = response.items || [];
     // Normalize: package image_field + image_scales into a self-contained image
@@ -937,15 +954,17 @@ export function ploneFetchItems({
  * Fetcher for the Related Items example block: renders the CURRENT page's
  * relation field (default `relatedItems`). Reads the context content and pages
  * its relation summaries — no catalog query. A `fetchItems` value for
- * `expandListingBlocks`, same contract as `ploneFetchItems`.
+ * `expandListingBlocks`, same contract (and `adapter` option) as
+ * `ploneFetchItems`.
  */
-export function relatedItemsFetcher({ apiUrl, contextPath = '/' } = {}) {
-  if (!apiUrl) throw new Error('relatedItemsFetcher requires apiUrl');
+export function relatedItemsFetcher({ apiUrl, contextPath = '/', adapter } = {}) {
+  if (!apiUrl && !adapter) throw new Error('relatedItemsFetcher requires apiUrl');
+  const backend = adapter || createPloneAdapter({ apiUrl });
   return async function fetchItems(block, { start, size }) {
     const field = block.relationField || 'relatedItems';
-    const headers = _getAuthHeaders();
-    const res = await fetch(`${apiUrl}${contextPath}/++api++`, { headers });
-    const content = await res.json();
+    const content = await dispatchBackendIntent(backend, 'content.get', {
+      path: contextPath,
+    });
     const all = Array.isArray(content?.[field]) ? content[field] : [];
     const items = size ? all.slice(start, start + size) : [];
     return { items, total: all.length };
@@ -966,24 +985,28 @@ const SEARCH_SHORTCUT_INDEX_VOCAB = {
  *
  * A linked `pageField` ⇒ THIS page's values of that field; no `pageField` ⇒ all
  * unique values of the index, site-wide (from the index's vocabulary).
+ * Takes the same `adapter` option as `ploneFetchItems`.
  */
-export function searchShortcutsFetcher({ apiUrl, contextPath = '/' } = {}) {
-  if (!apiUrl) throw new Error('searchShortcutsFetcher requires apiUrl');
+export function searchShortcutsFetcher({ apiUrl, contextPath = '/', adapter } = {}) {
+  if (!apiUrl && !adapter) throw new Error('searchShortcutsFetcher requires apiUrl');
+  const backend = adapter || createPloneAdapter({ apiUrl });
   return async function fetchItems(block, { start, size }) {
     const index = block.index || 'Subject';
     const searchUrl = block.searchUrl || '';
-    const headers = _getAuthHeaders();
 
     let values;
     if (block.pageField) {
-      const res = await fetch(`${apiUrl}${contextPath}/++api++`, { headers });
-      const content = await res.json();
+      const content = await dispatchBackendIntent(backend, 'content.get', {
+        path: contextPath,
+      });
       const v = content?.[block.pageField];
       values = Array.isArray(v) ? v : v == null ? [] : [v];
     } else {
       const vocab = SEARCH_SHORTCUT_INDEX_VOCAB[index] || index;
-      const res = await fetch(`${apiUrl}/++api++/@vocabularies/${vocab}`, { headers });
-      const data = await res.json();
+      const data = await dispatchBackendIntent(backend, 'vocabulary.get', {
+        name: vocab,
+        size: 1000,
+      });
       values = (data?.items || []).map((t) => t.token);
     }
 
@@ -1524,6 +1547,126 @@ export function getImageUrl(value, apiUrl = '') {
   return url;
 }
 
+/**
+ * Suffix of the field holding a media field's focal point and crop: the
+ * editor's crop overlay stores `image`'s as `image_focus`, next to it.
+ */
+export const MEDIA_FOCUS_SUFFIX = '_focus';
+
+/**
+ * Field path of a media field's focus value (`content/image` →
+ * `content/image_focus`), for getFieldValue / setFieldValue.
+ */
+export function getMediaFocusField(fieldPath) {
+  return `${fieldPath}${MEDIA_FOCUS_SUFFIX}`;
+}
+
+/**
+ * Plone's default image scales and their widths (plone.app.imaging), for
+ * values that carry no `scales` of their own.
+ */
+export const PLONE_IMAGE_SCALES = {
+  icon: 32,
+  tile: 64,
+  thumb: 128,
+  mini: 200,
+  preview: 400,
+  teaser: 600,
+  large: 800,
+  larger: 1000,
+  great: 1200,
+  huge: 1600,
+};
+
+// The scales a value declares: a catalog brain's image_scales entry or a
+// NamedBlobImage's `scales`, with the base their downloads resolve against.
+// An object_browser value is a list of brains; getImageUrl uses the first.
+function _declaredScales(value) {
+  if (Array.isArray(value)) return _declaredScales(value[0]);
+  if (value?.image_scales && value.image_field) {
+    const info = value.image_scales[value.image_field]?.[0];
+    if (info?.scales) return { scales: info.scales, base: info.base_path || value['@id'] || '' };
+  }
+  if (value?.scales && typeof value.scales === 'object') {
+    return { scales: value.scales, base: '' };
+  }
+  return null;
+}
+
+function _absoluteUrl(url, base, apiUrl) {
+  if (url.startsWith('http')) return url;
+  const path = url.startsWith('/') || !base ? url : `${base}/${url}`;
+  return path.startsWith('/') ? `${apiUrl}${path}` : path;
+}
+
+/**
+ * Companion to getImageUrl for images an editor focused or cropped: turns a
+ * media field's focus value (`{ focalPoint, crop }`, stored under
+ * getMediaFocusField(field)) into CSS and the smallest Plone scale that
+ * still fills `width` once the crop is applied.
+ *
+ * Both values are fractions of the full image (0–1): `focalPoint` is
+ * `{ x, y }`, `crop` is `{ x, y, width, height }`. Render the image with
+ * `object-fit: cover`; `objectPosition` keeps the focal point in frame
+ * whatever the box's aspect ratio (its percentage is the same fraction of
+ * the image and of the box), defaulting to the crop's centre.
+ * `objectViewBox` shows only the crop in browsers that support
+ * `object-view-box`, and object-position then applies to the crop, so with
+ * a crop `objectPosition` is the focal point's place within it. Browsers
+ * without `object-view-box` show the whole image.
+ *
+ * @param {*} value - The media field's value (any shape getImageUrl takes)
+ * @param {Object} [focus] - `{ focalPoint, crop }`, may be empty
+ * @param {Object} [options]
+ * @param {string} [options.apiUrl] - As for getImageUrl
+ * @param {number} [options.width] - Rendered width in CSS pixels; without
+ *   it the URL is getImageUrl's and no scale is picked
+ * @param {number} [options.pixelRatio=1] - e.g. window.devicePixelRatio
+ * @returns {{src: string, scale: ?string, objectPosition: string,
+ *   objectViewBox: ?string, style: Object}} `style` is the React-style
+ *   object of the three CSS properties
+ */
+export function getImageFocus(value, focus, { apiUrl = '', width, pixelRatio = 1 } = {}) {
+  const crop = focus?.crop && focus.crop.width > 0 && focus.crop.height > 0 ? focus.crop : null;
+  const point = focus?.focalPoint ||
+    (crop ? { x: crop.x + crop.width / 2, y: crop.y + crop.height / 2 } : { x: 0.5, y: 0.5 });
+  const percent = (fraction) => `${Math.round(Math.min(1, Math.max(0, fraction)) * 10000) / 100}%`;
+  // Within the crop the view box shows, not the full image
+  const objectPosition = crop
+    ? `${percent((point.x - crop.x) / crop.width)} ${percent((point.y - crop.y) / crop.height)}`
+    : `${percent(point.x)} ${percent(point.y)}`;
+  const objectViewBox = crop
+    ? `inset(${percent(crop.y)} ${percent(1 - crop.x - crop.width)} ${percent(1 - crop.y - crop.height)} ${percent(crop.x)})`
+    : null;
+
+  let src = getImageUrl(value, apiUrl);
+  let scale = null;
+  if (src && width > 0) {
+    const needed = (width * pixelRatio) / (crop ? crop.width : 1);
+    const declared = _declaredScales(value);
+    if (declared) {
+      const fits = Object.entries(declared.scales)
+        .filter(([, s]) => s?.download && s.width >= needed)
+        .sort(([, a], [, b]) => a.width - b.width);
+      if (fits.length) {
+        [scale] = fits[0];
+        src = _absoluteUrl(fits[0][1].download, declared.base, apiUrl);
+      }
+    } else if (/\/@@images\/image$/.test(src)) {
+      scale = Object.keys(PLONE_IMAGE_SCALES).find((name) => PLONE_IMAGE_SCALES[name] >= needed) || null;
+      if (scale) src = `${src}/${scale}`;
+    }
+  }
+
+  return {
+    src,
+    scale,
+    objectPosition,
+    objectViewBox,
+    style: { objectFit: 'cover', objectPosition, ...(objectViewBox && { objectViewBox }) },
+  };
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 // Plone template family
 //
@@ -1761,12 +1904,19 @@ export function getSnippetTemplates(templates, containerType, fieldName) {
  * @param {Object} blocks - Template blocks object
  * @param {Array} layout - Template blocks_layout.items array
  * @param {Function} uuidGenerator - Function to generate UUIDs (default: generateUUID)
+ * @param {Object} [options]
+ * @param {boolean} [options.filterNested=true] - false keeps every nested
+ *   block (with a fresh id), for copying plain content rather than templates
+ * @param {Function} [options.getFields=getChildFields] - A block's child
+ *   field descriptors; getChildFields only spots object_lists of template
+ *   items, so plain content passes the fields it knows from elsewhere
  * @returns {Object} { blocks, layout, idMap } where idMap tracks old->new IDs
  */
 export function cloneBlocksWithNewIds(
   blocks,
   layout,
   uuidGenerator = generateUUID,
+  { filterNested = true, getFields = getChildFields } = {},
 ) {
   const idMap = {}; // oldId -> newId
   const newBlocks = {};
@@ -1779,7 +1929,7 @@ export function cloneBlocksWithNewIds(
     // Deep clone the block, filtering nested blocks without template markers
     const block = blocks[oldId];
     if (block) {
-      newBlocks[newId] = cloneBlockFilteringNested(block, uuidGenerator);
+      newBlocks[newId] = cloneBlockFilteringNested(block, uuidGenerator, filterNested, getFields);
     }
 
     newLayout.push(newId);
@@ -1798,13 +1948,15 @@ export function cloneBlocksWithNewIds(
  *
  * @param {Object} block - Block to clone
  * @param {Function} uuidGenerator - Function to generate UUIDs
+ * @param {boolean} [filterNested=true] - false keeps nested blocks without markers too
+ * @param {Function} [getFields=getChildFields] - As for cloneBlocksWithNewIds
  * @returns {Object} Cloned block with filtered nested blocks
  */
-export function cloneBlockFilteringNested(block, uuidGenerator) {
+export function cloneBlockFilteringNested(block, uuidGenerator, filterNested = true, getFields = getChildFields) {
   // Start with a shallow clone
   const cloned = { ...block };
 
-  const fields = getChildFields(cloned);
+  const fields = getFields(block);
   if (fields.length === 0) return cloned;
 
   // blocks_layout regions share cloned.blocks — reset it once so template-internal blocks don't
@@ -1819,11 +1971,11 @@ export function cloneBlockFilteringNested(block, uuidGenerator) {
     // Read from the ORIGINAL block (cloned.blocks may already be reset above).
     for (const { block: nestedBlock } of getChildBlockEntries(block, field)) {
       // Only include nested blocks that have template markers
-      if (nestedBlock.slotId || nestedBlock.templateId) {
+      if (!filterNested || nestedBlock.slotId || nestedBlock.templateId) {
         kept.push({
           id: uuidGenerator(),
           // Recursively filter this nested block's children too
-          block: cloneBlockFilteringNested(nestedBlock, uuidGenerator),
+          block: cloneBlockFilteringNested(nestedBlock, uuidGenerator, filterNested, getFields),
         });
       }
     }
@@ -3726,3 +3878,1258 @@ export function expandTemplatesSync(inputItems, options = {}) {
 
   return items;
 }
+
+////////////////////////////////////////////////////////////////////////////////
+// Block patches (Bridge.sendBlockUpdate)
+//
+// A frontend can change a block's data from inside the preview (e.g. a
+// layout picker on a new block) by sending a patch: a map of
+// `/`-field-path → new value. The same check runs on both sides of the
+// bridge — hydra.js rejects a bad patch before posting it, and the admin
+// re-checks the posted message before merging it into the form.
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Keys a block patch may never write. Type changes go through the convert
+ * flow (which remaps fields), and template membership / lock flags are owned
+ * by the admin — letting the frontend write them would bypass template locks.
+ */
+const BLOCK_PATCH_PROTECTED_KEYS = [
+  '@type',
+  'readOnly',
+  'fixed',
+  'templateId',
+  'templateInstanceId',
+  'slotId',
+];
+
+/**
+ * Keys that hold a block's children. A patch replacing them would skip the
+ * container operations (ids, allowed types, template slots) that add, move
+ * and remove child blocks.
+ */
+const BLOCK_PATCH_CONTAINER_KEYS = ['blocks', 'blocks_layout'];
+
+/**
+ * Page fields the backend owns (ids, workflow state, timestamps, locks).
+ * Keys starting with `@` (`@id`, `@components`, …) are protected as well.
+ */
+const PAGE_PATCH_PROTECTED_KEYS = [
+  'UID',
+  'id',
+  'parent',
+  'created',
+  'modified',
+  'review_state',
+  'lock',
+  'version',
+];
+
+// Path segments that would reach an object's prototype instead of a field
+const UNSAFE_PATH_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// `/`-paths of the child-block data a schema declares: the blocks dict and
+// layout of a blocks_layout field, the array of an object_list field — also
+// inside widget:'object' wrappers ("table/rows")
+function _containerFieldPaths(properties, objectPath = []) {
+  return Object.entries(properties || {}).flatMap(([name, fieldDef]) => {
+    if (fieldDef?.widget === 'object' && fieldDef.schema?.properties) {
+      return _containerFieldPaths(fieldDef.schema.properties, [...objectPath, name]);
+    }
+    if (fieldDef?.widget === 'blocks_layout') {
+      return BLOCK_PATCH_CONTAINER_KEYS.map((key) => [...objectPath, key].join('/'));
+    }
+    if (fieldDef?.widget === 'object_list') return [[...objectPath, name].join('/')];
+    return [];
+  });
+}
+
+// Whether writing `key` would replace the data at `path`, or write inside it
+const _overlapsPath = (key, path) =>
+  key === path || key.startsWith(`${path}/`) || path.startsWith(`${key}/`);
+
+function _isPatchPath(parts) {
+  return parts.every((p) => p && p !== '..' && !UNSAFE_PATH_KEYS.includes(p));
+}
+
+function _isPatchValue(value) {
+  if (value === null) return true;
+  const t = typeof value;
+  if (t === 'string' || t === 'boolean') return true;
+  if (t === 'number') return Number.isFinite(value);
+  if (Array.isArray(value)) return value.every(_isPatchValue);
+  if (t === 'object') {
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) return false;
+    return Object.values(value).every(_isPatchValue);
+  }
+  return false;
+}
+
+/**
+ * Check a block patch before it is sent or applied.
+ *
+ * @param {Object} patch - `{ fieldPath: value }`; paths use the `/`
+ *   object-descent grammar of setFieldValue ("content/headline").
+ * @param {Object} [options]
+ * @param {string|null} [options.typeField] - object_list item type field
+ *   (pathInfo.typeField); protected like `@type`.
+ * @param {Object|null} [options.schema] - The block's resolved schema: its
+ *   blocks_layout and object_list fields (the block's children) are
+ *   protected, as is any object wrapping them.
+ * @param {boolean} [options.isPage] - The patch is for PAGE_BLOCK_UID, whose
+ *   backend-owned metadata is protected.
+ * @returns {string|null} Why the patch is invalid, or null if it is valid.
+ */
+export function validateBlockPatch(
+  patch,
+  { typeField = null, schema = null, isPage = false } = {},
+) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return 'patch must be a plain object of { fieldPath: value }';
+  }
+  const keys = Object.keys(patch);
+  if (keys.length === 0) return 'patch is empty';
+  const protectedKeys = [
+    ...BLOCK_PATCH_PROTECTED_KEYS,
+    ...(typeField ? [typeField] : []),
+    ...(isPage ? PAGE_PATCH_PROTECTED_KEYS : []),
+  ];
+  const containerPaths = [
+    ...BLOCK_PATCH_CONTAINER_KEYS,
+    ..._containerFieldPaths(schema?.properties),
+  ];
+  for (const key of keys) {
+    const parts = key.split('/');
+    if (!_isPatchPath(parts)) {
+      return `invalid field path "${key}"`;
+    }
+    if (protectedKeys.includes(parts[0]) || (isPage && parts[0].startsWith('@'))) {
+      return `field "${parts[0]}" cannot be changed from the frontend`;
+    }
+    const containerPath = containerPaths.find((path) => _overlapsPath(key, path));
+    if (containerPath) {
+      return `field "${containerPath}" holds child blocks; change them with sendBlockAction`;
+    }
+    if (!_isPatchValue(patch[key])) {
+      return `value for "${key}" is not JSON data`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Return a NEW block with every field in `patch` set (immutable — see
+ * setFieldValue). Call validateBlockPatch first; this only refuses paths
+ * that would write outside the block's own fields.
+ *
+ * @param {Object} block
+ * @param {Object} patch - `{ fieldPath: value }`
+ * @returns {Object}
+ * @throws {Error} For a path through a prototype key (`__proto__`, …)
+ */
+export function applyBlockPatch(block, patch) {
+  return Object.entries(patch).reduce((result, [fieldPath, value]) => {
+    if (!_isPatchPath(fieldPath.split('/'))) {
+      throw new Error(`[HYDRA] applyBlockPatch: invalid field path "${fieldPath}"`);
+    }
+    return setFieldValue(result, fieldPath, value);
+  }, block || {});
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Frontend slate formats (initBridge voltoConfig.settings.slate.formats)
+//
+// A frontend can add its design system's text styles to the rich-text
+// toolbar. Each format is plain JSON (it crosses postMessage) naming a slate
+// node type the frontend already knows how to render:
+//
+//   { name: 'highlight', type: 'inline', title: 'Highlight', tag: 'mark',
+//     icon: '<svg…>', hotkey: 'mod+shift+h' }
+//   { name: 'lead', type: 'block', title: 'Lead paragraph', tag: 'p',
+//     className: 'lead' }
+//   { name: 'abbr', type: 'element', title: 'Abbreviation', tag: 'abbr',
+//     fields: { title: 'Expansion' } }
+//
+// 'inline' wraps the selection like bold/italic, 'block' switches the
+// paragraph type like a heading, 'element' is an inline wrapper carrying
+// `data` (one entry per `fields` key, also the HTML attribute name). `tag` and
+// `className` describe the HTML form, used to recognise the format in pasted
+// or legacy TOGGLE_MARK HTML. The admin installs the toolbar buttons; hydra.js
+// uses the same list for hotkeys and formatSelectedText.
+////////////////////////////////////////////////////////////////////////////////
+
+export const SLATE_FORMAT_TYPES = ['inline', 'block', 'element'];
+
+const SLATE_FORMAT_NAME_RE = /^[a-zA-Z][\w-]*$/;
+const SLATE_FORMAT_TAG_RE = /^[a-zA-Z][a-zA-Z0-9-]*$/;
+
+/**
+ * Validate and fill in defaults for frontend-declared slate formats.
+ * Invalid entries are dropped and reported, so one typo doesn't take the
+ * whole toolbar down.
+ *
+ * @param {Array} formats - As passed by the frontend
+ * @returns {{ formats: Object[], errors: string[] }} Normalized formats
+ *   (`{ name, type, title, icon, tag, className, hotkey, fields, matchHtml }`)
+ *   and one message per rejected entry.
+ */
+export function normalizeSlateFormats(formats) {
+  const result = [];
+  const errors = [];
+  if (formats == null) return { formats: result, errors };
+  if (!Array.isArray(formats)) {
+    return { formats: result, errors: ['slate formats must be an array'] };
+  }
+  const seen = new Set();
+  formats.forEach((format, i) => {
+    const label = `slate format #${i}${format?.name ? ` "${format.name}"` : ''}`;
+    if (!format || typeof format !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    const { name, type = 'inline', tag, className, hotkey, fields } = format;
+    if (typeof name !== 'string' || !SLATE_FORMAT_NAME_RE.test(name)) {
+      errors.push(`${label}: name must be a word like "highlight"`);
+      return;
+    }
+    if (seen.has(name)) {
+      errors.push(`${label}: declared twice`);
+      return;
+    }
+    if (!SLATE_FORMAT_TYPES.includes(type)) {
+      errors.push(`${label}: type must be one of ${SLATE_FORMAT_TYPES.join(', ')}`);
+      return;
+    }
+    if (tag != null && (typeof tag !== 'string' || !SLATE_FORMAT_TAG_RE.test(tag))) {
+      errors.push(`${label}: tag must be an HTML tag name`);
+      return;
+    }
+    if (className != null && (typeof className !== 'string' || !SLATE_FORMAT_NAME_RE.test(className))) {
+      errors.push(`${label}: className must be a single class name`);
+      return;
+    }
+    if (hotkey != null && (type !== 'inline' || typeof hotkey !== 'string')) {
+      errors.push(`${label}: hotkey is only supported on inline formats`);
+      return;
+    }
+    const fieldKeys = fields && typeof fields === 'object' ? Object.keys(fields) : [];
+    if (type === 'element' && (fieldKeys.length === 0 || !fieldKeys.every((k) => SLATE_FORMAT_NAME_RE.test(k)))) {
+      errors.push(`${label}: element formats need fields like { title: 'Label' }`);
+      return;
+    }
+    seen.add(name);
+    result.push({
+      name,
+      type,
+      title: typeof format.title === 'string' && format.title ? format.title : name,
+      icon: typeof format.icon === 'string' ? format.icon : null,
+      tag: (tag || (type === 'block' ? 'p' : 'span')).toLowerCase(),
+      className: className || null,
+      hotkey: hotkey || null,
+      fields: type === 'element'
+        ? Object.fromEntries(fieldKeys.map((k) => [k, String(fields[k] || k)]))
+        : {},
+      // A bare default tag (<span>/<p> with no class) would claim ordinary
+      // markup, so only an explicit tag or a class makes a format recognisable.
+      matchHtml: !!(tag || className),
+    });
+  });
+  return { formats: result, errors };
+}
+
+/**
+ * Find the format an HTML element represents (tag + class), or null.
+ * Formats with a className win over a bare-tag format on the same tag.
+ *
+ * @param {Element} el - DOM element (pasted HTML, TOGGLE_MARK HTML)
+ * @param {Object[]} formats - Normalized formats
+ * @returns {Object|null}
+ */
+export function findSlateFormatForElement(el, formats) {
+  if (!el || el.nodeType !== 1 || !formats?.length) return null;
+  const tag = el.nodeName.toLowerCase();
+  let bareMatch = null;
+  for (const format of formats) {
+    if (!format.matchHtml || format.tag !== tag) continue;
+    if (!format.className) {
+      bareMatch = bareMatch || format;
+    } else if (el.classList?.contains(format.className)) {
+      return format;
+    }
+  }
+  return bareMatch;
+}
+
+/**
+ * Read an element format's `data` from its HTML attributes.
+ *
+ * @param {Element} el
+ * @param {Object} format - Normalized 'element' format
+ * @returns {Object} `{ [field]: value }` for the attributes present
+ */
+export function readSlateFormatData(el, format) {
+  const data = {};
+  for (const key of Object.keys(format?.fields || {})) {
+    if (el.hasAttribute?.(key)) data[key] = el.getAttribute(key);
+  }
+  return data;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// FORM_DATA patches
+//
+// Instead of posting the whole form (and blockPathMap) on every change, the
+// admin posts JSON-Patch-style ops against the last state it sent:
+//
+//   { baseVersion: 4, version: 5,
+//     form: [{ op: 'replace', path: '/blocks/col-1/blocks/text-2', value }],
+//     blockPathMap: [{ op: 'add', path: '/text-3', value }] }
+//
+// Form ops are keyed by block path: the diff walks down `blocks` dicts and
+// emits one op per added / removed / changed block, so a keystroke costs one
+// block. A container whose own fields changed (its blocks_layout, say) is
+// replaced whole. Everything else — page fields, blocks_layout, object_list
+// arrays — is replaced at its top-level key. A patch only applies on top of
+// `baseVersion`; the iframe asks for a full resend if it has anything else.
+////////////////////////////////////////////////////////////////////////////////
+
+function _isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function _toPointer(segments) {
+  return segments
+    .map((s) => '/' + String(s).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
+
+function _fromPointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new Error(`invalid patch path "${pointer}"`);
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function _diffInto(ops, prev, next, path, descend) {
+  for (const key of Object.keys(prev)) {
+    if (!(key in next)) ops.push({ op: 'remove', path: _toPointer([...path, key]) });
+  }
+  for (const [key, value] of Object.entries(next)) {
+    const childPath = [...path, key];
+    if (!(key in prev)) {
+      ops.push({ op: 'add', path: _toPointer(childPath), value });
+    } else if (prev[key] !== value && !deepEqual(prev[key], value)) {
+      if (
+        _isPlainObject(prev[key]) &&
+        _isPlainObject(value) &&
+        descend(childPath, prev[key], value)
+      ) {
+        _diffInto(ops, prev[key], value, childPath, descend);
+      } else {
+        ops.push({ op: 'replace', path: _toPointer(childPath), value });
+      }
+    }
+  }
+  return ops;
+}
+
+/** Descend into a `blocks` dict, and into a block when only its `blocks` differ. */
+function _descendFormBlocks(path, prev, next) {
+  if (path[path.length - 1] === 'blocks') return true;
+  if (path[path.length - 2] !== 'blocks') return false;
+  if (!_isPlainObject(prev.blocks) || !_isPlainObject(next.blocks)) return false;
+  const { blocks: _p, ...prevOwn } = prev;
+  const { blocks: _n, ...nextOwn } = next;
+  return deepEqual(prevOwn, nextOwn);
+}
+
+/**
+ * Ops that turn one formData snapshot into the next, keyed by block path.
+ *
+ * @param {Object} prevForm
+ * @param {Object} nextForm
+ * @returns {Array<{op: 'add'|'remove'|'replace', path: string, value?: *}>}
+ *   Empty when the forms are deep-equal.
+ */
+export function diffFormData(prevForm, nextForm) {
+  return _diffInto([], prevForm || {}, nextForm || {}, [], _descendFormBlocks);
+}
+
+/**
+ * Ops between two (post-message stripped) blockPathMaps: one per block entry,
+ * plus one per schema in the shared `_schemas` store.
+ *
+ * @param {Object} prevMap
+ * @param {Object} nextMap
+ * @returns {Array<{op: 'add'|'remove'|'replace', path: string, value?: *}>}
+ */
+export function diffBlockPathMap(prevMap, nextMap) {
+  return _diffInto([], prevMap || {}, nextMap || {}, [], (path) =>
+    path.length === 1 && path[0] === '_schemas',
+  );
+}
+
+/**
+ * Apply ops from diffFormData / diffBlockPathMap. Immutable: returns a new
+ * object sharing every untouched branch with `doc`.
+ *
+ * @param {Object} doc
+ * @param {Array} ops
+ * @returns {Object}
+ * @throws {Error} When an op does not fit `doc` (wrong base) — the caller
+ *   should fall back to a full resync.
+ */
+export function applyFormPatch(doc, ops) {
+  let result = doc;
+  for (const { op, path, value } of ops || []) {
+    const segments = _fromPointer(path);
+    if (segments.length === 0) throw new Error('patch cannot replace the root');
+    const update = (node, depth) => {
+      if (!_isPlainObject(node)) throw new Error(`patch path "${path}" not found`);
+      const key = segments[depth];
+      const copy = { ...node };
+      if (depth < segments.length - 1) {
+        copy[key] = update(node[key], depth + 1);
+      } else if (op === 'remove' || op === 'replace') {
+        if (!(key in node)) throw new Error(`patch path "${path}" not found`);
+        if (op === 'remove') delete copy[key];
+        else copy[key] = value;
+      } else if (op === 'add') {
+        copy[key] = value;
+      } else {
+        throw new Error(`unsupported patch op "${op}"`);
+      }
+      return copy;
+    };
+    result = update(result, 0);
+  }
+  return result;
+}
+
+/**
+ * Summarise form ops for `onEditChange(formData, changes)`.
+ *
+ * @param {Array} ops - From diffFormData
+ * @returns {{full: false, blockIds: string[], removedBlockIds: string[],
+ *   pageFields: string[], ops: Array}} `blockIds` are blocks added or
+ *   changed (a replaced container counts once, not its children),
+ *   `pageFields` the top-level form keys that changed.
+ */
+export function summarizeFormPatch(ops) {
+  const blockIds = new Set();
+  const removedBlockIds = new Set();
+  const pageFields = new Set();
+  for (const { op, path } of ops || []) {
+    const segments = _fromPointer(path);
+    const blockId = _patchTargetBlock(segments);
+    if (blockId === null) {
+      if (segments[0] !== '_editSequence') pageFields.add(segments[0]);
+    } else if (op === 'remove') {
+      removedBlockIds.add(blockId);
+    } else {
+      blockIds.add(blockId);
+    }
+  }
+  return {
+    full: false,
+    blockIds: [...blockIds],
+    removedBlockIds: [...removedBlockIds],
+    pageFields: [...pageFields],
+    ops: ops || [],
+  };
+}
+
+/**
+ * The `changes` for a render that isn't backed by a patch (INITIAL_DATA, a
+ * full FORM_DATA): everything may have changed.
+ *
+ * @returns {Object} Same shape as summarizeFormPatch, with `full: true`
+ */
+export function fullFormChanges() {
+  return { full: true, blockIds: [], removedBlockIds: [], pageFields: [], ops: [] };
+}
+
+/**
+ * Combine the changes of two consecutive patches, for when the first never
+ * reached the renderer (queued behind a render, or dropped as stale).
+ *
+ * @param {Object} earlier - summarizeFormPatch / fullFormChanges result
+ * @param {Object} later
+ * @returns {Object}
+ */
+export function mergeFormPatchSummaries(earlier, later) {
+  if (earlier.full || later.full) return fullFormChanges();
+  const removed = new Set(earlier.removedBlockIds);
+  later.blockIds.forEach((id) => removed.delete(id));
+  later.removedBlockIds.forEach((id) => removed.add(id));
+  const changed = new Set([...earlier.blockIds, ...later.blockIds]);
+  removed.forEach((id) => changed.delete(id));
+  return {
+    full: false,
+    blockIds: [...changed],
+    removedBlockIds: [...removed],
+    pageFields: [...new Set([...earlier.pageFields, ...later.pageFields])],
+    ops: [...earlier.ops, ...later.ops],
+  };
+}
+
+/** `['blocks', id, 'blocks', id2]` → id2; anything else → null. */
+function _patchTargetBlock(segments) {
+  if (segments.length < 2 || segments.length % 2 !== 0) return null;
+  for (let i = 0; i < segments.length; i += 2) {
+    if (segments[i] !== 'blocks') return null;
+  }
+  return segments[segments.length - 1];
+}
+
+/**
+ * findChangedUnit, read off form ops instead of re-diffing two snapshots.
+ * The unit is the deepest block containing every op; a removed block counts
+ * as a change to its parent.
+ *
+ * @param {Array} ops - From diffFormData
+ * @returns {null|{unit: 'page'}|{unit: 'block', blockId: string}}
+ */
+export function findChangedUnitFromPatch(ops) {
+  let common = null;
+  for (const { op, path } of ops || []) {
+    let segments = _fromPointer(path);
+    if (segments[0] === '_editSequence') continue;
+    if (_patchTargetBlock(segments) === null) return { unit: 'page' };
+    if (op === 'remove') segments = segments.slice(0, -2);
+    if (common === null) {
+      common = segments;
+    } else {
+      let i = 0;
+      while (i < common.length && i < segments.length && common[i] === segments[i]) i++;
+      common = common.slice(0, i - (i % 2));
+    }
+  }
+  if (common === null) return null;
+  if (common.length === 0) return { unit: 'page' };
+  return { unit: 'block', blockId: common[common.length - 1] };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Bridge protocol version (INIT / INITIAL_DATA handshake)
+//
+// hydra.js is bundled into each frontend, so a frontend can run an older (or
+// newer) bridge than the admin it talks to. Both sides are built from this
+// package: each announces the protocol version it speaks and the oldest one
+// it still understands, and checks the other side with
+// checkProtocolCompatibility. Bump HYDRA_PROTOCOL_VERSION when a message
+// changes shape; raise HYDRA_MIN_PROTOCOL_VERSION when support for the old
+// shape is dropped. Additive features are capabilities instead — the admin
+// turns a feature off for a bridge that doesn't list it.
+////////////////////////////////////////////////////////////////////////////////
+
+export const HYDRA_PROTOCOL_VERSION = 2;
+export const HYDRA_MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * What this build handles, beyond the base protocol. hydra.js lists them in
+ * INIT and the admin in INITIAL_DATA.protocol; neither side sends a
+ * feature's messages to a peer that doesn't list it.
+ * - `formPatches` — FORM_DATA as versioned patches (FORM_DATA_RESYNC)
+ * - `slateFormats` — frontend-declared slate formats in formatSelectedText
+ * - `authChallenge` — AUTH_REQUIRED, signing in again from the editor
+ * - `tokenRenewal` — TOKEN_RENEW_REQUEST / TOKEN_RENEWED
+ * - `findReplace` — OPEN_FIND, HIGHLIGHT_MATCHES and SELECT_MATCH
+ * - `previewHighlights` — PREVIEW_HIGHLIGHTS, PREVIEW_SCROLL and
+ *   PREVIEW_SCROLL_TO in version previews
+ * - `blocksClipboard` — blocks from the system clipboard in PASTE_BLOCKS
+ */
+export const BRIDGE_CAPABILITIES = [
+  'formPatches',
+  'slateFormats',
+  'authChallenge',
+  'tokenRenewal',
+  'findReplace',
+  'previewHighlights',
+  'blocksClipboard',
+];
+
+/**
+ * Check the other side of the bridge against this build.
+ *
+ * A peer that doesn't announce a version predates the handshake and counts
+ * as protocol 1.
+ *
+ * @param {Object} [peer] - INIT (from hydra.js) or INITIAL_DATA.protocol
+ *   (from the admin)
+ * @param {number} [peer.protocolVersion]
+ * @param {number} [peer.minProtocolVersion]
+ * @returns {{compatible: boolean, peerVersion: number,
+ *   reason: null|'peer-too-old'|'peer-too-new'}}
+ */
+export function checkProtocolCompatibility(peer) {
+  const peerVersion = Number.isInteger(peer?.protocolVersion) ? peer.protocolVersion : 1;
+  const peerMin = Number.isInteger(peer?.minProtocolVersion) ? peer.minProtocolVersion : 1;
+  if (peerVersion < HYDRA_MIN_PROTOCOL_VERSION) {
+    return { compatible: false, peerVersion, reason: 'peer-too-old' };
+  }
+  if (peerMin > HYDRA_PROTOCOL_VERSION) {
+    return { compatible: false, peerVersion, reason: 'peer-too-new' };
+  }
+  return { compatible: true, peerVersion, reason: null };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Backend adapters (BACKEND_REQUEST / BACKEND_RESPONSE)
+//
+// The admin doesn't have to talk to the CMS itself. A frontend can register
+// an adapter with the bridge (`initBridge({ adapter })`); the admin then sends
+// its backend calls over postMessage as intents, and the adapter runs them
+// inside the iframe with the frontend's own credentials. That is what lets
+// one admin edit sites on different CMSes.
+//
+// An adapter is a plain object: a `name` plus one method per intent it
+// supports (BACKEND_INTENTS). Results use plone.restapi's shapes — the ones
+// the admin and the listing helpers already read — so an adapter for another
+// CMS maps its responses into them. Failures are BackendErrors.
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Intent → adapter method. Arguments and results:
+ * - `content.get` `{ path }` → the content item
+ * - `content.save` `{ path, data }` → the saved item (`data` holds the
+ *   changed fields)
+ * - `content.list` `{ path, start, size, types }` → `{ items, items_total }`,
+ *   the children of `path` in folder order
+ * - `search` `{ path, querystring }` → `{ items, items_total }`;
+ *   `querystring` is a listing block's querystring (plone.app.querystring
+ *   criteria plus `sort_on`, `sort_order`, `b_start`, `b_size`)
+ * - `vocabulary.get` `{ name, title, start, size }` → `{ items: [{ token,
+ *   title }], items_total }`
+ * - `asset.upload` `{ path, file }` → the created item; `file` is
+ *   `{ filename, 'content-type', data, encoding }` (see buildUploadPayload)
+ * - `auth.whoami` `{}` → `{ id, fullname, email, roles }`, or null when
+ *   anonymous
+ * - `auth.login` `{ credentials }` → the signed-in user, as whoami. The
+ *   credentials are whatever the adapter's auth challenge asked for (see
+ *   normalizeAuthChallenge)
+ * - `http` `{ op, path, data }` → the response body. Passthrough for
+ *   admin calls that have no intent yet; only Plone-compatible backends can
+ *   implement it.
+ */
+export const BACKEND_INTENTS = {
+  'content.get': 'getContent',
+  'content.save': 'saveContent',
+  'content.list': 'listContent',
+  search: 'search',
+  'vocabulary.get': 'getVocabulary',
+  'asset.upload': 'upload',
+  'auth.whoami': 'whoami',
+  'auth.login': 'login',
+  http: 'http',
+};
+
+/**
+ * A failed backend call. `code` is one of 'unauthorized', 'forbidden',
+ * 'not-found', 'unsupported' (the adapter has no such intent), 'timeout',
+ * 'disconnected' (the iframe went away) or 'error'.
+ */
+export class BackendError extends Error {
+  constructor(code, message, { status = null, data = null } = {}) {
+    super(message);
+    this.name = 'BackendError';
+    this.code = code;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * @param {number} status - HTTP status of a failed response
+ * @param {string} [message]
+ * @param {*} [data] - The response body, if any
+ * @returns {BackendError}
+ */
+export function backendErrorFromStatus(status, message, data = null) {
+  const code =
+    status === 401
+      ? 'unauthorized'
+      : status === 403
+        ? 'forbidden'
+        : status === 404
+          ? 'not-found'
+          : 'error';
+  return new BackendError(code, message || `Backend responded ${status}`, {
+    status,
+    data,
+  });
+}
+
+/**
+ * Errors cross postMessage as plain data.
+ * @param {Error} error
+ * @returns {{code: string, status: number|null, message: string, data: *}}
+ */
+export function serializeBackendError(error) {
+  return {
+    code: error?.code || 'error',
+    status: error?.status ?? null,
+    message: error?.message || String(error),
+    data: error?.data ?? null,
+  };
+}
+
+/** @returns {BackendError} The error serializeBackendError sent. */
+export function deserializeBackendError(error = {}) {
+  return new BackendError(error.code || 'error', error.message || 'Backend request failed', {
+    status: error.status ?? null,
+    data: error.data ?? null,
+  });
+}
+
+/**
+ * @param {Object} adapter
+ * @returns {string[]} The intents the adapter implements.
+ */
+export function adapterIntents(adapter) {
+  return Object.keys(BACKEND_INTENTS).filter(
+    (intent) => typeof adapter?.[BACKEND_INTENTS[intent]] === 'function',
+  );
+}
+
+/**
+ * Run one intent on an adapter.
+ * @param {Object} adapter
+ * @param {string} intent - A BACKEND_INTENTS key
+ * @param {Object} [args]
+ * @returns {Promise<*>} The adapter's result; rejects with a BackendError
+ *   ('unsupported' when the adapter has no method for the intent).
+ */
+export async function dispatchBackendIntent(adapter, intent, args = {}) {
+  const method = BACKEND_INTENTS[intent];
+  if (!method || typeof adapter?.[method] !== 'function') {
+    throw new BackendError(
+      'unsupported',
+      `Backend adapter "${adapter?.name || '?'}" does not support ${intent}`,
+    );
+  }
+  try {
+    return await adapter[method](args);
+  } catch (e) {
+    if (e instanceof BackendError) throw e;
+    throw new BackendError('error', e?.message || String(e));
+  }
+}
+
+// '/' → '', '/a/' → '/a' — paths are joined as `${apiUrl}${path}/++api++`
+function _trimPath(path = '') {
+  return path === '/' ? '' : path.replace(/\/+$/, '');
+}
+
+function _decodeJwtPayload(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reference adapter for plone.restapi, using the same token as the listing
+ * fetchers (access_token param / session / cookie), renewed as it nears
+ * expiry (see renewAccessToken).
+ *
+ * @param {Object} options
+ * @param {string} options.apiUrl - Plone site URL (e.g. 'http://localhost:8080/Plone')
+ * @param {function(): Object} [options.getHeaders] - Request headers,
+ *   including auth (default: Bearer token if one is reachable)
+ * @returns {Object} The adapter
+ */
+export function createPloneAdapter({ apiUrl, getHeaders = _getAuthHeaders } = {}) {
+  if (!apiUrl) throw new Error('createPloneAdapter requires apiUrl');
+
+  async function request(method, url, body) {
+    const res = await _fetchWithRenewal(url, () => {
+      const headers = { ...getHeaders() };
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      if (method === 'PATCH') headers.Prefer = 'return=representation';
+      return {
+        method,
+        headers,
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+      };
+    });
+    const data = res.status === 204 ? null : await res.json().catch(() => null);
+    if (!res.ok) {
+      throw backendErrorFromStatus(res.status, data?.message, data);
+    }
+    return data;
+  }
+  const api = (path, endpoint = '') =>
+    `${apiUrl}${_trimPath(path)}/++api++${endpoint}`;
+  async function whoami() {
+    const token = getAccessToken();
+    const userId = token && _decodeJwtPayload(token)?.sub;
+    if (!userId) return null;
+    const user = await request('GET', api('/', `/@users/${userId}`));
+    return {
+      id: user.id,
+      fullname: user.fullname || '',
+      email: user.email || '',
+      roles: user.roles || [],
+    };
+  }
+
+  return {
+    name: 'plone',
+    getContent: ({ path }) => request('GET', api(path)),
+    saveContent: ({ path, data }) => request('PATCH', api(path), data),
+    listContent: ({ path, start = 0, size = 1000, types } = {}) => {
+      const params = new URLSearchParams({
+        'path.depth': '1',
+        sort_on: 'getObjPositionInParent',
+        metadata_fields: '_all',
+        b_start: String(start),
+        b_size: String(size),
+      });
+      for (const type of types || []) params.append('portal_type', type);
+      return request('GET', api(path, `/@search?${params}`));
+    },
+    search: ({ path = '/', querystring }) =>
+      request('POST', api(path, '/@querystring-search'), querystring),
+    getVocabulary: ({ name, title, start = 0, size = 25 }) => {
+      const params = new URLSearchParams({
+        b_start: String(start),
+        b_size: String(size),
+      });
+      if (title) params.set('title', title);
+      return request('GET', api('/', `/@vocabularies/${name}?${params}`));
+    },
+    upload: ({ path, file }) => {
+      const isImage = (file['content-type'] || '').startsWith('image/');
+      return request('POST', api(path), {
+        '@type': isImage ? 'Image' : 'File',
+        title: file.filename,
+        [isImage ? 'image' : 'file']: file,
+      });
+    },
+    whoami,
+    getAuthChallenge: () => ({
+      method: 'form',
+      title: 'Sign in to Plone',
+      schema: {
+        fields: [
+          { name: 'login', label: 'Username', type: 'text' },
+          { name: 'password', label: 'Password', type: 'password' },
+        ],
+      },
+    }),
+    login: async ({ credentials = {} }) => {
+      const { token } = await request('POST', api('/', '/@login'), {
+        login: credentials.login,
+        password: credentials.password,
+      });
+      setAccessToken(token);
+      return whoami();
+    },
+    http: ({ op = 'get', path, data }) => {
+      // Volto's superagent ops: 'del' is DELETE
+      const method = op === 'del' ? 'DELETE' : op.toUpperCase();
+      // Volto's request paths are site-relative: '/a/@search?…' → '/a/++api++/@search?…'
+      const at = path.search(/\/@|\?/);
+      return at === -1
+        ? request(method, api(path), data)
+        : request(method, api(path.slice(0, at), path.slice(at)), data);
+    },
+  };
+}
+
+// Mock adapter search: enough of plone.app.querystring for listings and
+// the object browser.
+function _matchesCriterion(item, { i, o = '', v }, path) {
+  const op = o.split('.').pop();
+  if (i === 'path') {
+    const depth = /::(\d+)$/.exec(v)?.[1];
+    const base = String(v).replace(/::\d+$/, '');
+    const root = op === 'relativePath' && base === '.' ? path : base;
+    const prefix = root === '/' ? '/' : `${root}/`;
+    if (!item.path.startsWith(prefix)) return false;
+    const rest = item.path.slice(prefix.length).split('/').length;
+    return depth === undefined || rest <= Number(depth);
+  }
+  if (i === 'SearchableText') {
+    const text = String(v).replace(/\*$/, '').toLowerCase();
+    return `${item.title || ''} ${item.description || ''}`.toLowerCase().includes(text);
+  }
+  const value = i === 'portal_type' ? item['@type'] : item[i];
+  const wanted = Array.isArray(v) ? v : [v];
+  return Array.isArray(value)
+    ? value.some((x) => wanted.includes(x))
+    : wanted.includes(value);
+}
+
+/**
+ * In-memory adapter for tests and demos. Items are keyed by path and carry
+ * their own `@type`, `title`, …; `@id` is filled in from the path.
+ *
+ * @param {Object} [options]
+ * @param {Object<string, Object>} [options.content] - path → item
+ * @param {Object<string, Object[]>} [options.vocabularies] - name → [{ token, title }]
+ * @param {Object|null} [options.user] - What whoami returns
+ * @param {Object} [options.credentials] - e.g. `{ login, password }`: every
+ *   call is 'unauthorized' until auth.login gets these
+ * @returns {Object} The adapter; `content` is the live store
+ */
+export function createMockAdapter({
+  content = {},
+  vocabularies = {},
+  user = null,
+  credentials = null,
+} = {}) {
+  let signedIn = !credentials;
+  const guard = (method) => async (args = {}) => {
+    if (!signedIn) {
+      throw new BackendError('unauthorized', 'Sign in first', { status: 401 });
+    }
+    return method(args);
+  };
+  const store = {};
+  for (const [path, item] of Object.entries(content)) {
+    store[path] = { ...item, '@id': path };
+  }
+  const get = (path) => {
+    const item = store[path || '/'];
+    if (!item) throw new BackendError('not-found', `No content at ${path}`, { status: 404 });
+    return item;
+  };
+  const order = (path) => Object.keys(store).indexOf(path);
+  const batch = (items, start = 0, size = items.length) => ({
+    items: items.slice(start, start + size),
+    items_total: items.length,
+  });
+
+  const adapter = {
+    name: 'mock',
+    content: store,
+    getContent: async ({ path }) => get(path),
+    saveContent: async ({ path, data }) => {
+      store[path] = { ...get(path), ...data, '@id': path };
+      return store[path];
+    },
+    listContent: async ({ path = '/', start, size, types } = {}) => {
+      const prefix = path === '/' ? '/' : `${path}/`;
+      const children = Object.keys(store)
+        .filter((p) => p !== prefix && p.startsWith(prefix) && !p.slice(prefix.length).includes('/'))
+        .map((p) => store[p])
+        .filter((item) => !types?.length || types.includes(item['@type']));
+      return batch(children, start, size);
+    },
+    search: async ({ path = '/', querystring = {} }) => {
+      const { query = [], sort_on, sort_order, b_start = 0, b_size } = querystring;
+      let items = Object.keys(store)
+        .map((p) => ({ path: p, item: store[p] }))
+        .filter(({ path: p, item }) =>
+          query.every((c) => _matchesCriterion({ ...item, path: p }, c, path)),
+        );
+      if (sort_on) {
+        const key = (entry) =>
+          sort_on === 'getObjPositionInParent' ? order(entry.path) : entry.item[sort_on];
+        items.sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0));
+        if (sort_order === 'descending' || sort_order === 'reverse') items.reverse();
+      }
+      return batch(items.map((entry) => entry.item), b_start, b_size);
+    },
+    getVocabulary: async ({ name, title, start, size }) => {
+      if (!vocabularies[name]) {
+        throw new BackendError('not-found', `No vocabulary ${name}`, { status: 404 });
+      }
+      const items = vocabularies[name].filter(
+        (term) => !title || term.title.toLowerCase().includes(title.toLowerCase()),
+      );
+      return batch(items, start, size);
+    },
+    upload: async ({ path, file }) => {
+      const itemPath = `${_trimPath(path)}/${file.filename}`;
+      const isImage = (file['content-type'] || '').startsWith('image/');
+      store[itemPath] = {
+        '@id': itemPath,
+        '@type': isImage ? 'Image' : 'File',
+        title: file.filename,
+        [isImage ? 'image' : 'file']: file,
+      };
+      return store[itemPath];
+    },
+    whoami: async () => (signedIn ? user : null),
+  };
+  for (const method of Object.values(BACKEND_INTENTS)) {
+    if (adapter[method] && method !== 'whoami') adapter[method] = guard(adapter[method]);
+  }
+  if (credentials) {
+    adapter.getAuthChallenge = () => ({
+      method: 'form',
+      title: 'Sign in',
+      schema: {
+        fields: Object.keys(credentials).map((name) => ({
+          name,
+          label: name,
+          type: name === 'password' ? 'password' : 'text',
+        })),
+      },
+    });
+    adapter.login = async ({ credentials: given = {} }) => {
+      signedIn = Object.keys(credentials).every((key) => given[key] === credentials[key]);
+      if (!signedIn) {
+        throw new BackendError('unauthorized', 'Wrong credentials', { status: 401 });
+      }
+      return user;
+    };
+  }
+  return adapter;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Sign-in challenge (AUTH_REQUIRED)
+//
+// When a backend call comes back 'unauthorized' the bridge posts
+// AUTH_REQUIRED with the adapter's challenge (adapter.getAuthChallenge). The
+// admin shows a sign-in modal over the editor — the unsaved form stays where
+// it is — sends what the editor entered as auth.login, and retries the calls
+// that failed.
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * - `cookie-passthrough` — the editor signs in to the CMS in another tab
+ *   (`loginUrl`), then retries; the session cookie does the rest
+ * - `form` — the admin renders `schema.fields` and sends the values as
+ *   auth.login credentials
+ * - `oauth` — the admin opens `authorizeUrl` in a popup; when it closes,
+ *   auth.login (without credentials) lets the adapter pick up the result
+ */
+export const AUTH_METHODS = ['cookie-passthrough', 'form', 'oauth'];
+
+const _AUTH_FIELD_TYPES = ['text', 'password', 'email'];
+
+/**
+ * Store the token an in-editor sign-in (or a renewal, see renewAccessToken)
+ * got; getAccessToken prefers it over the one the admin put in the iframe
+ * URL, until the admin loads the iframe with a new one (storeUrlAccessToken).
+ * @param {string|null} token - null forgets it
+ */
+export function setAccessToken(token) {
+  if (typeof window === 'undefined') return;
+  if (token) sessionStorage.setItem('hydra_signed_in_token', token);
+  else sessionStorage.removeItem('hydra_signed_in_token');
+}
+
+/**
+ * The challenge as the admin renders it. Unknown methods fall back to
+ * cookie-passthrough, which needs nothing from the adapter.
+ *
+ * @param {Object} [challenge] - From adapter.getAuthChallenge(reason)
+ * @param {string} [challenge.method] - One of AUTH_METHODS
+ * @param {string} [challenge.title]
+ * @param {string} [challenge.message]
+ * @param {{fields: Array<{name, label, type, hint}>}} [challenge.schema] - form
+ * @param {string} [challenge.loginUrl] - cookie-passthrough
+ * @param {string} [challenge.authorizeUrl] - oauth
+ * @param {string} [reason] - Why sign-in is needed (e.g. the failed call's message)
+ * @returns {{reason: string, method: string, title: string, message: string,
+ *   schema: {fields: Array<{name, label, type, hint}>}, loginUrl: string|null,
+ *   authorizeUrl: string|null}}
+ */
+export function normalizeAuthChallenge(challenge = {}, reason = 'unauthorized') {
+  const method = AUTH_METHODS.includes(challenge?.method)
+    ? challenge.method
+    : 'cookie-passthrough';
+  const fields =
+    method === 'form'
+      ? (challenge.schema?.fields || [])
+          .filter((field) => field?.name)
+          .map((field) => ({
+            name: field.name,
+            label: field.label || field.name,
+            type: _AUTH_FIELD_TYPES.includes(field.type) ? field.type : 'text',
+            hint: field.hint || '',
+          }))
+      : [];
+  return {
+    reason,
+    method,
+    title: challenge?.title || 'Sign in',
+    message:
+      challenge?.message ||
+      (method === 'cookie-passthrough'
+        ? 'Your session has ended. Sign in to the site in another tab, then retry.'
+        : ''),
+    schema: { fields },
+    loginUrl: challenge?.loginUrl || null,
+    authorizeUrl: method === 'oauth' ? challenge?.authorizeUrl || null : null,
+  };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Access-token renewal
+//
+// The token the admin puts in the iframe URL is a JWT that expires; a long
+// editing session outlives it. Inside the admin the bridge registers a
+// renewer (setTokenRenewer) that asks the admin for a fresh token over
+// postMessage (TOKEN_RENEW_REQUEST / TOKEN_RENEWED). Fetches made through
+// fetchWithAuth or the Plone adapter renew a token that is about to expire
+// before using it, and retry once after renewing when they get a 401.
+// Outside the admin (SSR, the public site) nothing is registered and tokens
+// are used as they are.
+////////////////////////////////////////////////////////////////////////////////
+
+/** How long before expiry a token is renewed. */
+export const TOKEN_RENEWAL_LEEWAY_MS = 60 * 1000;
+
+let _tokenRenewer = null;
+let _pendingRenewal = null;
+const _tokenRenewedListeners = new Set();
+
+/**
+ * @param {string} token - A JWT
+ * @returns {number|null} When it expires (ms since epoch), or null if it
+ *   isn't a JWT or has no `exp`.
+ */
+export function decodeTokenExpiry(token) {
+  const exp = token ? _decodeJwtPayload(token)?.exp : null;
+  return Number.isFinite(exp) ? exp * 1000 : null;
+}
+
+/**
+ * @param {string} token
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.leewayMs]
+ * @returns {number|null} Milliseconds until the token should be renewed (0
+ *   when that is now), or null when its expiry is unknown.
+ */
+export function tokenRenewalDelay(
+  token,
+  { now = Date.now(), leewayMs = TOKEN_RENEWAL_LEEWAY_MS } = {},
+) {
+  const expiresAt = decodeTokenExpiry(token);
+  return expiresAt === null ? null : Math.max(0, expiresAt - leewayMs - now);
+}
+
+/**
+ * Register how to get a fresh token (the bridge does this inside the admin).
+ * @param {function(): Promise<string|null>|null} renew - null unregisters
+ */
+export function setTokenRenewer(renew) {
+  _tokenRenewer = renew;
+}
+
+/**
+ * Call `callback(token)` after every renewal — e.g. to stop serving
+ * SSR/ISR-cached pages rendered with the old token.
+ * @param {function(string): void} callback
+ * @returns {function(): void} Unsubscribe
+ */
+export function onAccessTokenRenewed(callback) {
+  _tokenRenewedListeners.add(callback);
+  return () => _tokenRenewedListeners.delete(callback);
+}
+
+/**
+ * Get a fresh token from the registered renewer and store it
+ * (setAccessToken). Concurrent calls share one renewal.
+ * @returns {Promise<string|null>} The new token, or null when there is no
+ *   renewer or it couldn't renew.
+ */
+export function renewAccessToken() {
+  if (!_tokenRenewer) return Promise.resolve(null);
+  if (!_pendingRenewal) {
+    _pendingRenewal = Promise.resolve()
+      .then(() => _tokenRenewer())
+      .catch((e) => {
+        log('Token renewal failed:', e);
+        return null;
+      })
+      .then((token) => {
+        _pendingRenewal = null;
+        if (!token) return null;
+        setAccessToken(token);
+        for (const callback of _tokenRenewedListeners) {
+          try {
+            callback(token);
+          } catch (e) {
+            console.error('[HYDRA] onAccessTokenRenewed callback failed:', e);
+          }
+        }
+        return token;
+      });
+  }
+  return _pendingRenewal;
+}
+
+async function _fetchWithRenewal(url, buildInit) {
+  if (_tokenRenewer && tokenRenewalDelay(getAccessToken()) === 0) {
+    await renewAccessToken();
+  }
+  const res = await fetch(url, buildInit());
+  if (res.status === 401 && (await renewAccessToken())) {
+    return fetch(url, buildInit());
+  }
+  return res;
+}
+
+/**
+ * `fetch` with the current token's auth headers: a token about to expire is
+ * renewed first, and a 401 is retried once after renewing.
+ *
+ * @param {string} url
+ * @param {RequestInit} [init] - Its headers are merged over the auth headers
+ * @returns {Promise<Response>}
+ */
+export function fetchWithAuth(url, init = {}) {
+  return _fetchWithRenewal(url, () => ({
+    ...init,
+    headers: { ..._getAuthHeaders(), ...init.headers },
+  }));
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Table cell spans
+//
+// Merging table cells (the admin's table toolbar) keeps the grid intact: the
+// top-left cell gets `colspan` / `rowspan`, and the cells it spans over stay
+// in the data — content included — so column inserts and deletes keep
+// working by index and a split brings them back. Renderers leave the
+// covered cells out.
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * The cells hidden under merged cells.
+ *
+ * @example
+ *   const covered = getCoveredTableCells(block.table.rows);
+ *   row.cells.filter((cell) => !covered.has(cell.key))
+ *   // and render colspan={cell.colspan} rowspan={cell.rowspan}
+ *
+ * @param {Array<Object>} rows - The table's rows
+ * @param {Object} [options]
+ * @param {string} [options.idField='key'] - Cell id field
+ * @param {string} [options.cellsField='cells'] - Row field holding the cells
+ * @returns {Set<string>} Ids of covered cells. A span running past the table
+ *   edge stops there, and a cell that is itself covered spans nothing.
+ */
+export function getCoveredTableCells(rows, { idField = 'key', cellsField = 'cells' } = {}) {
+  const covered = new Set();
+  (rows || []).forEach((row, rowIndex) => {
+    (row?.[cellsField] || []).forEach((cell, colIndex) => {
+      if (covered.has(cell[idField])) return;
+      const colspan = Math.max(1, Number(cell.colspan) || 1);
+      const rowspan = Math.max(1, Number(cell.rowspan) || 1);
+      for (let r = rowIndex; r < rowIndex + rowspan && r < rows.length; r++) {
+        for (let c = colIndex; c < colIndex + colspan; c++) {
+          const spanned = rows[r]?.[cellsField]?.[c];
+          if (spanned && spanned !== cell) covered.add(spanned[idField]);
+        }
+      }
+    });
+  });
+  return covered;
+}
@@ -0,0 +1,241 @@
+import {
+  BackendError,
+  adapterIntents,
+  dispatchBackendIntent,
+  serializeBackendError,
+  deserializeBackendError,
+  createPloneAdapter,
+  createMockAdapter,
+  normalizeAuthChallenge,
+  ploneFetchItems,
+  relatedItemsFetcher,
+} from '@volto-hydra/helpers';
+
+/**
+ * The admin sends its CMS calls to the frontend as BACKEND_REQUEST intents;
+ * the frontend's adapter runs them (dispatchBackendIntent) and the result or
+ * a serialized BackendError goes back as BACKEND_RESPONSE.
+ */
+const API = 'http://api.test';
+
+const site = () =>
+  createMockAdapter({
+    content: {
+      '/': { '@type': 'Plone Site', title: 'Home' },
+      '/news': { '@type': 'Folder', title: 'News' },
+      '/news/b': { '@type': 'Document', title: 'Beta news', relatedItems: [{ '@id': '/news/a' }] },
+      '/news/a': { '@type': 'Document', title: 'Alpha' },
+      '/news/a/img': { '@type': 'Image', title: 'Picture' },
+    },
+    vocabularies: { colors: [{ token: 'r', title: 'Red' }, { token: 'g', title: 'Green' }] },
+    user: { id: 'admin', fullname: 'Admin', email: '', roles: ['Manager'] },
+  });
+
+describe('dispatchBackendIntent', () => {
+  test('runs the adapter method for an intent', async () => {
+    const adapter = site();
+    expect(adapterIntents(adapter)).toEqual([
+      'content.get',
+      'content.save',
+      'content.list',
+      'search',
+      'vocabulary.get',
+      'asset.upload',
+      'auth.whoami',
+    ]);
+    await expect(dispatchBackendIntent(adapter, 'auth.whoami')).resolves.toMatchObject({ id: 'admin' });
+  });
+
+  test('an intent the adapter lacks is unsupported', async () => {
+    await expect(dispatchBackendIntent(site(), 'http', {})).rejects.toMatchObject({ code: 'unsupported' });
+    await expect(dispatchBackendIntent(site(), 'content.nuke', {})).rejects.toBeInstanceOf(BackendError);
+  });
+
+  test('errors survive the round trip through postMessage', async () => {
+    const error = await dispatchBackendIntent(site(), 'content.get', { path: '/missing' }).catch((e) => e);
+    const received = deserializeBackendError(JSON.parse(JSON.stringify(serializeBackendError(error))));
+    expect(received).toBeInstanceOf(BackendError);
+    expect(received).toMatchObject({ code: 'not-found', status: 404, message: 'No content at /missing' });
+  });
+});
+
+describe('createMockAdapter', () => {
+  test('lists children in folder order', async () => {
+    const { items, items_total } = await dispatchBackendIntent(site(), 'content.list', { path: '/news' });
+    expect(items_total).toBe(2);
+    expect(items.map((i) => i['@id'])).toEqual(['/news/b', '/news/a']);
+  });
+
+  test('searches with querystring criteria, sorted and batched', async () => {
+    const result = await dispatchBackendIntent(site(), 'search', {
+      path: '/news',
+      querystring: {
+        query: [
+          { i: 'path', o: 'plone.app.querystring.operation.string.relativePath', v: '.::1' },
+          { i: 'portal_type', o: 'plone.app.querystring.operation.selection.any', v: ['Document'] },
+        ],
+        sort_on: 'title',
+        b_start: 0,
+        b_size: 1,
+      },
+    });
+    expect(result.items_total).toBe(2);
+    expect(result.items.map((i) => i.title)).toEqual(['Alpha']);
+  });
+
+  test('saves, uploads and filters vocabularies', async () => {
+    const adapter = site();
+    await dispatchBackendIntent(adapter, 'content.save', { path: '/news', data: { title: 'Latest' } });
+    expect(adapter.content['/news'].title).toBe('Latest');
+    const file = { filename: 'x.png', 'content-type': 'image/png', data: 'AA==', encoding: 'base64' };
+    const created = await dispatchBackendIntent(adapter, 'asset.upload', { path: '/news/', file });
+    expect(created).toMatchObject({ '@id': '/news/x.png', '@type': 'Image', image: file });
+    const vocab = await dispatchBackendIntent(adapter, 'vocabulary.get', { name: 'colors', title: 'gr' });
+    expect(vocab).toEqual({ items: [{ token: 'g', title: 'Green' }], items_total: 1 });
+  });
+});
+
+describe('createPloneAdapter', () => {
+  let calls;
+  const mockFetch = (response = { ok: true, status: 200, json: async () => ({}) }) => {
+    calls = [];
+    global.fetch = async (url, init) => {
+      calls.push({ url, ...init });
+      return response;
+    };
+  };
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('maps intents onto plone.restapi', async () => {
+    mockFetch();
+    const adapter = createPloneAdapter({ apiUrl: API });
+    await adapter.getContent({ path: '/news' });
+    await adapter.saveContent({ path: '/news', data: { title: 'N' } });
+    await adapter.listContent({ path: '/', types: ['Image'] });
+    await adapter.getVocabulary({ name: 'colors', title: 're' });
+    expect(calls.map((c) => `${c.method} ${c.url}`)).toEqual([
+      `GET ${API}/news/++api++`,
+      `PATCH ${API}/news/++api++`,
+      `GET ${API}/++api++/@search?path.depth=1&sort_on=getObjPositionInParent&metadata_fields=_all&b_start=0&b_size=1000&portal_type=Image`,
+      `GET ${API}/++api++/@vocabularies/colors?b_start=0&b_size=25&title=re`,
+    ]);
+    expect(calls[1].headers.Prefer).toBe('return=representation');
+    expect(JSON.parse(calls[1].body)).toEqual({ title: 'N' });
+  });
+
+  test('http passes Volto requests through to ++api++', async () => {
+    mockFetch();
+    const adapter = createPloneAdapter({ apiUrl: API });
+    await adapter.http({ op: 'get', path: '/news/@workflow' });
+    await adapter.http({ op: 'get', path: '/@types/Document' });
+    await adapter.http({ op: 'post', path: '/news', data: { '@type': 'Document' } });
+    await adapter.http({ op: 'del', path: '/news/@locking' });
+    expect(calls.map((c) => `${c.method} ${c.url}`)).toEqual([
+      `GET ${API}/news/++api++/@workflow`,
+      `GET ${API}/++api++/@types/Document`,
+      `POST ${API}/news/++api++`,
+      `DELETE ${API}/news/++api++/@locking`,
+    ]);
+  });
+
+  test('failed responses become BackendErrors', async () => {
+    mockFetch({ ok: false, status: 401, json: async () => ({ message: 'Login required' }) });
+    const adapter = createPloneAdapter({ apiUrl: API });
+    await expect(adapter.getContent({ path: '/private' })).rejects.toMatchObject({
+      code: 'unauthorized',
+      status: 401,
+      message: 'Login required',
+    });
+  });
+});
+
+describe('sign-in challenge', () => {
+  test('normalizeAuthChallenge keeps what the admin can render', () => {
+    expect(
+      normalizeAuthChallenge(
+        {
+          method: 'form',
+          title: 'Sign in to WordPress',
+          schema: { fields: [{ name: 'user' }, { name: 'pw', type: 'password', hint: 'An app password' }, {}] },
+          authorizeUrl: 'https://ignored',
+        },
+        'Token expired',
+      ),
+    ).toEqual({
+      reason: 'Token expired',
+      method: 'form',
+      title: 'Sign in to WordPress',
+      message: '',
+      schema: {
+        fields: [
+          { name: 'user', label: 'user', type: 'text', hint: '' },
+          { name: 'pw', label: 'pw', type: 'password', hint: 'An app password' },
+        ],
+      },
+      loginUrl: null,
+      authorizeUrl: null,
+    });
+  });
+
+  test('an adapter without a challenge gets cookie passthrough', () => {
+    expect(normalizeAuthChallenge(undefined)).toMatchObject({
+      reason: 'unauthorized',
+      method: 'cookie-passthrough',
+      message: expect.stringMatching(/another tab/),
+      schema: { fields: [] },
+    });
+  });
+
+  test('the mock adapter refuses everything until signed in', async () => {
+    const adapter = createMockAdapter({
+      content: { '/': { title: 'Home' } },
+      user: { id: 'admin' },
+      credentials: { login: 'admin', password: 'secret' },
+    });
+    await expect(dispatchBackendIntent(adapter, 'content.get', { path: '/' })).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+    await expect(dispatchBackendIntent(adapter, 'auth.whoami')).resolves.toBeNull();
+    expect(normalizeAuthChallenge(adapter.getAuthChallenge()).schema.fields.map((f) => f.type)).toEqual([
+      'text',
+      'password',
+    ]);
+    await dispatchBackendIntent(adapter, 'auth.login', { credentials: { login: 'admin', password: 'secret' } });
+    await expect(dispatchBackendIntent(adapter, 'content.get', { path: '/' })).resolves.toMatchObject({
+      title: 'Home',
+    });
+  });
+
+  test('the Plone adapter signs in with @login', async () => {
+    const calls = [];
+    global.fetch = async (url, init) => {
+      calls.push({ url, ...init });
+      return { ok: true, status: 200, json: async () => ({ token: 'not-a-jwt' }) };
+    };
+    const adapter = createPloneAdapter({ apiUrl: API });
+    await adapter.login({ credentials: { login: 'admin', password: 'secret' } });
+    expect(calls[0].method).toBe('POST');
+    expect(calls[0].url).toBe(`${API}/++api++/@login`);
+    expect(JSON.parse(calls[0].body)).toEqual({ login: 'admin', password: 'secret' });
+    delete global.fetch;
+  });
+});
+
+describe('listing fetchers with an adapter', () => {
+  test('ploneFetchItems searches through the adapter', async () => {
+    const fetchItems = ploneFetchItems({ adapter: site(), contextPath: '/news' });
+    const { items, total } = await fetchItems({}, { start: 0, size: 10 });
+    expect(total).toBe(3);
+    expect(items.map((i) => i.title)).toEqual(['Beta news', 'Alpha', 'Picture']);
+  });
+
+  test('relatedItemsFetcher reads the context through the adapter', async () => {
+    const fetchItems = relatedItemsFetcher({ adapter: site(), contextPath: '/news/b' });
+    await expect(fetchItems({}, { start: 0, size: 10 })).resolves.toEqual({
+      items: [{ '@id': '/news/a' }],
+      total: 1,
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { validateBlockPatch, applyBlockPatch } from '@volto-hydra/helpers';
+
+/**
+ * Bridge.sendBlockUpdate posts a `{ fieldPath: value }` patch; the admin
+ * re-validates it (postMessage boundary) and merges it with applyBlockPatch.
+ * Both sides share these two helpers, so the rules are pinned here.
+ */
+describe('validateBlockPatch', () => {
+  test('accepts plain JSON values, including nested field paths', () => {
+    expect(
+      validateBlockPatch({
+        rows: 3,
+        'table/hideHeaders': false,
+        'content/headline': [{ type: 'p', children: [{ text: 'x' }] }],
+        caption: null,
+      }),
+    ).toBeNull();
+  });
+
+  test('rejects a non-object or empty patch', () => {
+    expect(validateBlockPatch(null)).toMatch(/plain object/);
+    expect(validateBlockPatch([{ a: 1 }])).toMatch(/plain object/);
+    expect(validateBlockPatch('value')).toMatch(/plain object/);
+    expect(validateBlockPatch({})).toMatch(/empty/);
+  });
+
+  test('rejects type changes and template/lock flags', () => {
+    expect(validateBlockPatch({ '@type': 'image' })).toMatch(/@type/);
+    expect(validateBlockPatch({ readOnly: false })).toMatch(/readOnly/);
+    expect(validateBlockPatch({ templateInstanceId: 'x' })).toMatch(
+      /templateInstanceId/,
+    );
+    expect(validateBlockPatch({ 'fixed/nested': true })).toMatch(/fixed/);
+  });
+
+  test("protects an object_list item's own type field", () => {
+    expect(validateBlockPatch({ field_type: 'text' })).toBeNull();
+    expect(
+      validateBlockPatch({ field_type: 'text' }, { typeField: 'field_type' }),
+    ).toMatch(/field_type/);
+  });
+
+  test('rejects malformed paths', () => {
+    expect(validateBlockPatch({ '../title': 'x' })).toMatch(/invalid field path/);
+    expect(validateBlockPatch({ '/title': 'x' })).toMatch(/invalid field path/);
+    expect(validateBlockPatch({ 'a//b': 'x' })).toMatch(/invalid field path/);
+  });
+
+  test('rejects paths through prototype keys', () => {
+    expect(validateBlockPatch({ '__proto__/polluted': true })).toMatch(/invalid field path/);
+    expect(validateBlockPatch({ 'constructor/prototype/polluted': true })).toMatch(
+      /invalid field path/,
+    );
+    expect(validateBlockPatch({ 'content/prototype': 'x' })).toMatch(/invalid field path/);
+  });
+
+  test('rejects replacing child blocks', () => {
+    expect(validateBlockPatch({ blocks: {} })).toMatch(/child blocks/);
+    expect(validateBlockPatch({ 'blocks/abc': { '@type': 'slate' } })).toMatch(/child blocks/);
+    expect(validateBlockPatch({ blocks_layout: { items: [] } })).toMatch(/child blocks/);
+  });
+
+  test("rejects replacing the schema's container fields", () => {
+    const schema = {
+      properties: {
+        title: { type: 'string' },
+        slides: { widget: 'object_list' },
+        table: {
+          widget: 'object',
+          schema: {
+            properties: {
+              hideHeaders: { type: 'boolean' },
+              rows: { widget: 'object_list' },
+            },
+          },
+        },
+        body: {
+          widget: 'object',
+          schema: { properties: { items: { widget: 'blocks_layout' } } },
+        },
+      },
+    };
+    expect(validateBlockPatch({ title: 'x', 'table/hideHeaders': true }, { schema })).toBeNull();
+    expect(validateBlockPatch({ slides: [] }, { schema })).toMatch(/"slides" holds child blocks/);
+    expect(validateBlockPatch({ 'slides/0': {} }, { schema })).toMatch(/child blocks/);
+    expect(validateBlockPatch({ 'table/rows': [] }, { schema })).toMatch(/"table\/rows"/);
+    // Replacing the wrapping object would replace the rows with it
+    expect(validateBlockPatch({ table: { rows: [] } }, { schema })).toMatch(/"table\/rows"/);
+    expect(validateBlockPatch({ 'body/blocks': {} }, { schema })).toMatch(/child blocks/);
+    expect(validateBlockPatch({ 'body/blocks_layout': {} }, { schema })).toMatch(/child blocks/);
+  });
+
+  test('rejects backend-owned page metadata on the page only', () => {
+    expect(validateBlockPatch({ title: 'New' }, { isPage: true })).toBeNull();
+    expect(validateBlockPatch({ '@id': '/elsewhere' }, { isPage: true })).toMatch(/@id/);
+    expect(validateBlockPatch({ '@components': {} }, { isPage: true })).toMatch(/@components/);
+    expect(validateBlockPatch({ UID: 'x' }, { isPage: true })).toMatch(/UID/);
+    expect(validateBlockPatch({ review_state: 'published' }, { isPage: true })).toMatch(
+      /review_state/,
+    );
+    expect(validateBlockPatch({ id: 'teaser-1' })).toBeNull();
+  });
+
+  test('rejects values that are not JSON data', () => {
+    expect(validateBlockPatch({ onClick: () => {} })).toMatch(/not JSON/);
+    expect(validateBlockPatch({ when: new Date() })).toMatch(/not JSON/);
+    expect(validateBlockPatch({ n: NaN })).toMatch(/not JSON/);
+    expect(validateBlockPatch({ list: [1, undefined] })).toMatch(/not JSON/);
+  });
+});
+
+describe('applyBlockPatch', () => {
+  test('sets every field and leaves the input untouched', () => {
+    const block = {
+      '@type': 'slateTable',
+      table: { rows: [], hideHeaders: true },
+      title: 'Old',
+    };
+    const result = applyBlockPatch(block, {
+      title: 'New',
+      'table/rows': [{ key: 'r1', cells: [] }],
+    });
+    expect(result).toEqual({
+      '@type': 'slateTable',
+      table: { rows: [{ key: 'r1', cells: [] }], hideHeaders: true },
+      title: 'New',
+    });
+    expect(block.title).toBe('Old');
+    expect(block.table.rows).toEqual([]);
+    expect(result.table).not.toBe(block.table);
+  });
+
+  test('refuses a path through a prototype key', () => {
+    expect(() => applyBlockPatch({}, { '__proto__/polluted': true })).toThrow(
+      /invalid field path/,
+    );
+    expect({}.polluted).toBeUndefined();
+  });
+
+  test('creates missing object wrappers along a nested path', () => {
+    expect(applyBlockPatch({ '@type': 'hero' }, { 'content/size': 'l' })).toEqual(
+      { '@type': 'hero', content: { size: 'l' } },
+    );
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Blocks on the system clipboard.
+ *
+ * Copy/cut in block mode puts the blocks in Volto's blocksClipboard (Redux),
+ * which only lives as long as the admin tab. So they also go on the system
+ * clipboard, where another tab, another session or another site using the
+ * same block types can paste them:
+ *
+ *   - as a `web application/x-hydra-blocks` custom format, in browsers that
+ *     support web custom formats
+ *   - inside the text/html copy, as a `data-hydra-blocks` attribute, for
+ *     browsers that don't
+ *   - with the blocks' text as text/plain, for pasting into other apps
+ *
+ * A block's data carries its nested children (container `blocks`,
+ * object_list items), so the payload is the whole subtree. The pasting admin
+ * gives every block a fresh id.
+ *
+ * The payload is stamped with when it was copied, so a paste can tell
+ * whether it or the admin's own blocksClipboard is the newer copy.
+ */
+
+export const BLOCKS_CLIPBOARD_MIME = 'application/x-hydra-blocks';
+
+const PAYLOAD_VERSION = 1;
+
+const escapeHtml = (text) =>
+  String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Serialise blocks for the clipboard.
+ *
+ * @param {Array<[string, Object]>} blocks - [blockId, blockData] tuples, in order
+ * @param {Object} [options]
+ * @param {'copy'|'cut'} [options.action='copy']
+ * @param {string} [options.source] - Origin the blocks were copied from
+ * @param {number} [options.copiedAt=Date.now()] - When, in ms since the epoch
+ * @returns {string} JSON payload
+ */
+export function serializeBlocksClipboard(blocks, { action = 'copy', source, copiedAt = Date.now() } = {}) {
+  return JSON.stringify({ hydraBlocks: PAYLOAD_VERSION, action, source, copiedAt, blocks });
+}
+
+/**
+ * The blocks' text, one paragraph per block: their `plaintext` (text
+ * blocks) or `title`.
+ *
+ * @param {Array<[string, Object]>} blocks
+ * @returns {string}
+ */
+export function blocksClipboardText(blocks) {
+  return blocks
+    .map(([, block]) => block?.plaintext || block?.title || '')
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * text/html for the clipboard: the blocks' text, with the payload in a
+ * `data-hydra-blocks` attribute.
+ *
+ * @param {string} payload - From serializeBlocksClipboard
+ * @param {string} text - From blocksClipboardText
+ * @returns {string}
+ */
+export function blocksClipboardHtml(payload, text) {
+  const paragraphs = text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`)
+    .join('');
+  return `<div data-hydra-blocks="${escapeHtml(payload)}">${paragraphs}</div>`;
+}
+
+/**
+ * Read blocks back from clipboard data: the custom format's JSON, or
+ * text/html with a `data-hydra-blocks` attribute.
+ *
+ * @param {string} data
+ * @param {Object} [options]
+ * @param {Function} [options.DOMParser] - DOMParser to read HTML with
+ *   (defaults to the global one)
+ * @returns {{
+ *   action: string,
+ *   source: string|undefined,
+ *   copiedAt: number|undefined,
+ *   blocks: Array<[string, Object]>,
+ * }|null} null when the data holds no (valid) blocks
+ */
+export function parseBlocksClipboard(data, { DOMParser: Parser = globalThis.DOMParser } = {}) {
+  if (!data) return null;
+  let json = data.trim();
+  if (!json.startsWith('{')) {
+    if (!json.includes('data-hydra-blocks') || !Parser) return null;
+    const doc = new Parser().parseFromString(json, 'text/html');
+    json = doc.querySelector('[data-hydra-blocks]')?.getAttribute('data-hydra-blocks');
+    if (!json) return null;
+  }
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (payload?.hydraBlocks !== PAYLOAD_VERSION || !Array.isArray(payload.blocks)) return null;
+  const blocks = payload.blocks.filter(
+    (entry) =>
+      Array.isArray(entry) && typeof entry[0] === 'string' && entry[1] && typeof entry[1] === 'object' && entry[1]['@type'],
+  );
+  if (blocks.length === 0) return null;
+  return {
+    action: payload.action === 'cut' ? 'cut' : 'copy',
+    source: payload.source,
+    copiedAt: Number.isFinite(payload.copiedAt) ? payload.copiedAt : undefined,
+    blocks,
+  };
+}
+
+/**
+ * Put blocks on the system clipboard in all three forms. Best effort: where
+ * the browser has no async clipboard, or refuses the write, the admin's
+ * blocksClipboard still covers its own tab.
+ *
+ * @param {Array<[string, Object]>} blocks - [blockId, blockData] tuples, in order
+ * @param {Object} [options] - As for serializeBlocksClipboard
+ * @returns {Promise<boolean>} Whether the clipboard was written
+ */
+export function writeBlocksClipboard(blocks, options) {
+  if (!globalThis.navigator?.clipboard?.write || typeof ClipboardItem === 'undefined' || blocks.length === 0) {
+    return Promise.resolve(false);
+  }
+  const payload = serializeBlocksClipboard(blocks, options);
+  const text = blocksClipboardText(blocks);
+  const items = {
+    'text/html': new Blob([blocksClipboardHtml(payload, text)], { type: 'text/html' }),
+    'text/plain': new Blob([text], { type: 'text/plain' }),
+  };
+  if (ClipboardItem.supports?.(`web ${BLOCKS_CLIPBOARD_MIME}`)) {
+    items[`web ${BLOCKS_CLIPBOARD_MIME}`] = new Blob([payload], { type: BLOCKS_CLIPBOARD_MIME });
+  }
+  return navigator.clipboard.write([new ClipboardItem(items)]).then(
+    () => true,
+    () => false,
+  );
+}
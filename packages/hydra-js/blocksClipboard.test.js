@@ -0,0 +1,59 @@
+import { JSDOM } from 'jsdom';
+import {
+  serializeBlocksClipboard,
+  blocksClipboardText,
+  blocksClipboardHtml,
+  parseBlocksClipboard,
+} from './blocksClipboard.js';
+import { cloneBlocksWithNewIds } from '@volto-hydra/helpers';
+
+// hydra-js jest env is 'node' (no global DOMParser); pass jsdom's.
+const { DOMParser } = new JSDOM('').window;
+
+const blocks = [
+  ['a', { '@type': 'slate', plaintext: 'Hello <world>' }],
+  [
+    'b',
+    {
+      '@type': 'columns',
+      title: 'Two columns',
+      blocks: { c1: { '@type': 'slate', plaintext: 'Left' } },
+      blocks_layout: { items: ['c1'] },
+    },
+  ],
+];
+
+describe('blocks clipboard payload', () => {
+  it('round-trips through the custom format and through text/html', () => {
+    const payload = serializeBlocksClipboard(blocks, { action: 'cut', source: 'https://a.example', copiedAt: 1000 });
+    const expected = { action: 'cut', source: 'https://a.example', copiedAt: 1000, blocks };
+    expect(parseBlocksClipboard(payload, { DOMParser })).toEqual(expected);
+
+    const text = blocksClipboardText(blocks);
+    expect(text).toBe('Hello <world>\n\nTwo columns');
+    const html = blocksClipboardHtml(payload, text);
+    expect(html).toContain('<p>Hello &lt;world&gt;</p>');
+    expect(parseBlocksClipboard(html, { DOMParser })).toEqual(expected);
+  });
+
+  it('ignores other clipboard data and malformed entries', () => {
+    expect(parseBlocksClipboard('<p>Just HTML</p>', { DOMParser })).toBeNull();
+    expect(parseBlocksClipboard('{"not": "blocks"}', { DOMParser })).toBeNull();
+    expect(parseBlocksClipboard('{broken', { DOMParser })).toBeNull();
+    const payload = JSON.stringify({ hydraBlocks: 1, blocks: [['x', { title: 'no type' }], 'junk', ['y', { '@type': 'slate' }]] });
+    expect(parseBlocksClipboard(payload, { DOMParser }).blocks).toEqual([['y', { '@type': 'slate' }]]);
+  });
+
+  it('gets fresh ids for pasted blocks and all their children', () => {
+    let n = 0;
+    const { blocks: cloned, layout } = cloneBlocksWithNewIds(
+      Object.fromEntries(blocks),
+      blocks.map(([id]) => id),
+      () => `new-${++n}`,
+      { filterNested: false },
+    );
+    expect(layout).toEqual(['new-1', 'new-2']);
+    expect(cloned['new-2'].blocks_layout.items).toEqual(['new-3']);
+    expect(cloned['new-2'].blocks['new-3'].plaintext).toBe('Left');
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  HYDRA_PROTOCOL_VERSION,
+  HYDRA_MIN_PROTOCOL_VERSION,
+  BRIDGE_CAPABILITIES,
+  checkProtocolCompatibility,
+} from '@volto-hydra/helpers';
+
+/**
+ * INIT carries the bridge's protocolVersion / minProtocolVersion /
+ * capabilities; INITIAL_DATA.protocol carries the admin's. Each side checks
+ * the other with checkProtocolCompatibility.
+ */
+describe('checkProtocolCompatibility', () => {
+  test('the same build is compatible with itself', () => {
+    expect(
+      checkProtocolCompatibility({
+        protocolVersion: HYDRA_PROTOCOL_VERSION,
+        minProtocolVersion: HYDRA_MIN_PROTOCOL_VERSION,
+      }),
+    ).toEqual({ compatible: true, peerVersion: HYDRA_PROTOCOL_VERSION, reason: null });
+  });
+
+  test('a peer from before the handshake counts as protocol 1', () => {
+    expect(checkProtocolCompatibility({ type: 'INIT' })).toEqual({
+      compatible: HYDRA_MIN_PROTOCOL_VERSION <= 1,
+      peerVersion: 1,
+      reason: HYDRA_MIN_PROTOCOL_VERSION <= 1 ? null : 'peer-too-old',
+    });
+    expect(checkProtocolCompatibility(undefined).peerVersion).toBe(1);
+  });
+
+  test('a peer older than our minimum is too old', () => {
+    expect(
+      checkProtocolCompatibility({ protocolVersion: HYDRA_MIN_PROTOCOL_VERSION - 1 }),
+    ).toMatchObject({ compatible: false, reason: 'peer-too-old' });
+  });
+
+  test('a newer peer is fine until it drops our version', () => {
+    expect(
+      checkProtocolCompatibility({
+        protocolVersion: HYDRA_PROTOCOL_VERSION + 1,
+        minProtocolVersion: HYDRA_PROTOCOL_VERSION,
+      }),
+    ).toMatchObject({ compatible: true, peerVersion: HYDRA_PROTOCOL_VERSION + 1 });
+    expect(
+      checkProtocolCompatibility({
+        protocolVersion: HYDRA_PROTOCOL_VERSION + 2,
+        minProtocolVersion: HYDRA_PROTOCOL_VERSION + 1,
+      }),
+    ).toMatchObject({ compatible: false, reason: 'peer-too-new' });
+  });
+
+  test('ignores malformed versions', () => {
+    expect(checkProtocolCompatibility({ protocolVersion: '2', minProtocolVersion: 'x' })).toMatchObject({
+      compatible: true,
+      peerVersion: 1,
+    });
+  });
+
+  test('capabilities cover what the admin gates on', () => {
+    expect(BRIDGE_CAPABILITIES).toEqual(
+      expect.arrayContaining([
+        'formPatches',
+        'slateFormats',
+        'authChallenge',
+        'tokenRenewal',
+        'findReplace',
+        'previewHighlights',
+        'blocksClipboard',
+      ]),
+    );
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Spreadsheet ranges on the clipboard, as a grid of cell texts.
+ *
+ * Spreadsheets (Excel, Google Sheets, LibreOffice) put a range on the
+ * clipboard as an HTML `<table>` and as tab-separated text; CSV files opened
+ * in a text editor give comma-separated lines. Pasting any of them into a
+ * table cell should fill the table rather than drop the whole range into
+ * one cell, so `_doPaste` asks here first.
+ *
+ * Plain prose must not be mistaken for CSV: comma-separated text only counts
+ * when it has at least two lines that all split into the same number (> 1)
+ * of fields. Tab-separated text counts as soon as it has a tab.
+ */
+
+/**
+ * Split delimited text into rows of fields. Fields may be quoted ("a, b"),
+ * with "" for a quote inside and line breaks kept inside quotes — the way
+ * spreadsheets write multi-line cells.
+ *
+ * @param {string} text
+ * @param {string} delimiter - '\t' or ','
+ * @returns {string[][]}
+ */
+export function splitDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  // The trailing line break spreadsheets add leaves one empty row
+  if (rows.length > 1 && rows[rows.length - 1].every((f) => f === '')) rows.pop();
+  return rows;
+}
+
+// Cells of an HTML table; a colspan leaves empty cells after it so the
+// columns stay aligned
+function gridFromHtmlTable(table) {
+  return Array.from(table.rows).map((tr) =>
+    Array.from(tr.cells).flatMap((cell) => {
+      const text = cell.textContent.replace(/\s+/g, ' ').trim();
+      const colspan = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+      return [text, ...Array(colspan - 1).fill('')];
+    }),
+  );
+}
+
+// The text a reader sees in `node`, without whitespace: spreadsheets wrap
+// the table in <style> (Sheets, Excel) and <meta> that have text of their own
+const NOT_SHOWN = 'style, script, meta, title, template, noscript';
+function shownText(node) {
+  const copy = node.cloneNode(true);
+  copy.querySelectorAll(NOT_SHOWN).forEach((el) => el.remove());
+  return copy.textContent.replace(/\s+/g, '');
+}
+
+/**
+ * Read a clipboard payload (HTML, or plain text when there's no HTML) as a
+ * table.
+ *
+ * @param {string} data - The text/html or text/plain clipboard data
+ * @param {Object} [options]
+ * @param {Function} [options.DOMParser] - DOMParser to read HTML with
+ *   (defaults to the global one)
+ * @returns {string[][]|null} Rows of cell texts, or null when the data is not
+ *   a table of at least two cells (in plain text: of at least two rows)
+ */
+export function parseClipboardTable(data, { DOMParser: Parser = globalThis.DOMParser } = {}) {
+  if (!data) return null;
+  let grid = null;
+  if (data.trimStart().startsWith('<')) {
+    if (!Parser) return null;
+    const doc = new Parser().parseFromString(data, 'text/html');
+    const table = doc.querySelector('table');
+    // Only when the table is all there is — not a table in a copied page
+    if (!table || shownText(doc.body) !== shownText(table)) return null;
+    grid = gridFromHtmlTable(table);
+  } else if (data.includes('\t')) {
+    grid = splitDelimited(data, '\t');
+    // A single line with tabs is as likely tabbed text as a range of cells;
+    // a one-row range from a spreadsheet comes as a <table> (above)
+    if (grid.length < 2) return null;
+  } else {
+    const rows = splitDelimited(data, ',');
+    const width = rows[0].length;
+    if (rows.length < 2 || width < 2 || rows.some((row) => row.length !== width)) return null;
+    grid = rows;
+  }
+  const cellCount = grid.reduce((sum, row) => sum + row.length, 0);
+  return grid.length > 0 && cellCount > 1 ? grid : null;
+}
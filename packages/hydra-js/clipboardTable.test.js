@@ -0,0 +1,86 @@
+import { JSDOM } from 'jsdom';
+import { parseClipboardTable, splitDelimited } from './clipboardTable.js';
+
+// hydra-js jest env is 'node' (no global DOMParser); pass jsdom's.
+const { DOMParser } = new JSDOM('').window;
+
+describe('parseClipboardTable', () => {
+  it('reads tab-separated spreadsheet text', () => {
+    expect(parseClipboardTable('Plan\tPrice\r\nBasic\t10\r\nPro\t20\r\n', { DOMParser })).toEqual([
+      ['Plan', 'Price'],
+      ['Basic', '10'],
+      ['Pro', '20'],
+    ]);
+  });
+
+  it('reads CSV only when every line has the same number of fields', () => {
+    expect(parseClipboardTable('a,b\nc,"d, e"', { DOMParser })).toEqual([
+      ['a', 'b'],
+      ['c', 'd, e'],
+    ]);
+    // Prose with commas stays text
+    expect(parseClipboardTable('Hello, world', { DOMParser })).toBeNull();
+    expect(parseClipboardTable('First, line\nsecond line', { DOMParser })).toBeNull();
+  });
+
+  it('reads an HTML table, keeping columns aligned across colspans', () => {
+    const html = '<meta charset="utf-8"><table><tr><td colspan="2">Plans</td></tr><tr><td>Basic</td><td> 10 </td></tr></table>';
+    expect(parseClipboardTable(html, { DOMParser })).toEqual([
+      ['Plans', ''],
+      ['Basic', '10'],
+    ]);
+  });
+
+  it('reads the HTML Google Sheets puts on the clipboard', () => {
+    const cell = 'style="overflow:hidden;padding:2px 3px 2px 3px;vertical-align:bottom;"';
+    const html =
+      "<meta charset='utf-8'><google-sheets-html-origin><style type=\"text/css\"><!--td {border: 1px solid #cccccc;}br {mso-data-placement:same-cell;}--></style>" +
+      '<table xmlns="http://www.w3.org/1999/xhtml" cellspacing="0" cellpadding="0" dir="ltr" border="1" style="table-layout:fixed;font-size:10pt;font-family:Arial;width:0px;border-collapse:collapse;border:none">' +
+      '<colgroup><col width="100"/><col width="100"/></colgroup><tbody>' +
+      `<tr style="height:21px;"><td ${cell}>Plan</td><td ${cell}>Price</td></tr>` +
+      `<tr style="height:21px;"><td ${cell}>Basic</td><td style="overflow:hidden;padding:2px 3px 2px 3px;vertical-align:bottom;text-align:right;">10</td></tr>` +
+      '</tbody></table></google-sheets-html-origin>';
+    expect(parseClipboardTable(html, { DOMParser })).toEqual([
+      ['Plan', 'Price'],
+      ['Basic', '10'],
+    ]);
+  });
+
+  it('reads the HTML Excel puts on the clipboard', () => {
+    const html =
+      '<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:x="urn:schemas-microsoft-com:office:excel" xmlns="http://www.w3.org/TR/REC-html40">\r\n' +
+      '<head>\r\n<meta http-equiv=Content-Type content="text/html; charset=utf-8">\r\n<meta name=ProgId content=Excel.Sheet>\r\n<meta name=Generator content="Microsoft Excel 15">\r\n' +
+      '<style>\r\n<!--table\r\n\t{mso-displayed-decimal-separator:"\\.";\r\n\tmso-displayed-thousand-separator:"\\,";}\r\n.xl65\r\n\t{mso-number-format:General;}\r\n-->\r\n</style>\r\n</head>\r\n' +
+      '<body link="#0563C1" vlink="#954F72">\r\n\r\n<table border=0 cellpadding=0 cellspacing=0 width=128 style=\'border-collapse:collapse;width:96pt\'>\r\n' +
+      '<!--StartFragment-->\r\n <col width=64 span=2 style=\'width:48pt\'>\r\n' +
+      ' <tr height=20 style=\'height:15.0pt\'>\r\n  <td height=20 width=64 style=\'height:15.0pt;width:48pt\'>Plan</td>\r\n  <td width=64 style=\'width:48pt\'>Price</td>\r\n </tr>\r\n' +
+      ' <tr height=20 style=\'height:15.0pt\'>\r\n  <td height=20 style=\'height:15.0pt\'>Basic</td>\r\n  <td align=right>10</td>\r\n </tr>\r\n' +
+      '<!--EndFragment-->\r\n</table>\r\n\r\n</body>\r\n\r\n</html>\r\n';
+    expect(parseClipboardTable(html, { DOMParser })).toEqual([
+      ['Plan', 'Price'],
+      ['Basic', '10'],
+    ]);
+  });
+
+  it('ignores a table that is only part of the copied HTML, and single cells', () => {
+    const html = '<p>Intro</p><table><tr><td>a</td><td>b</td></tr></table>';
+    expect(parseClipboardTable(html, { DOMParser })).toBeNull();
+    expect(parseClipboardTable('<table><tr><td>a</td></tr></table>', { DOMParser })).toBeNull();
+    expect(parseClipboardTable('just text', { DOMParser })).toBeNull();
+  });
+
+  it('leaves a single line of tabbed text as text', () => {
+    expect(parseClipboardTable('Name:\tAlice', { DOMParser })).toBeNull();
+    expect(parseClipboardTable('\tindented\r\n', { DOMParser })).toBeNull();
+    // The same cells as a spreadsheet's one-row range
+    expect(parseClipboardTable('<table><tr><td>Name:</td><td>Alice</td></tr></table>', { DOMParser })).toEqual([
+      ['Name:', 'Alice'],
+    ]);
+  });
+});
+
+describe('splitDelimited', () => {
+  it('keeps quotes and line breaks inside quoted fields', () => {
+    expect(splitDelimited('"say ""hi"""\t"two\nlines"', '\t')).toEqual([['say "hi"', 'two\nlines']]);
+  });
+});
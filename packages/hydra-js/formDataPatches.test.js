@@ -0,0 +1,182 @@
+import {
+  diffFormData,
+  diffBlockPathMap,
+  applyFormPatch,
+  summarizeFormPatch,
+  mergeFormPatchSummaries,
+  fullFormChanges,
+  findChangedUnit,
+  findChangedUnitFromPatch,
+} from '@volto-hydra/helpers';
+
+/**
+ * The admin posts FORM_DATA as ops against the last form it sent
+ * (diffFormData); hydra.js rebuilds the form with applyFormPatch and hands
+ * the renderer summarizeFormPatch as `changes`.
+ */
+const slate = (text) => ({ '@type': 'slate', value: [{ type: 'p', children: [{ text }] }] });
+
+const form = {
+  title: 'Landing',
+  blocks: {
+    a: slate('A'),
+    b: slate('B'),
+    cols: {
+      '@type': 'columns',
+      blocks: {
+        c1: { '@type': 'column', blocks: { x: slate('X'), y: slate('Y') }, blocks_layout: { items: ['x', 'y'] } },
+        c2: { '@type': 'column', blocks: { z: slate('Z') }, blocks_layout: { items: ['z'] } },
+      },
+      blocks_layout: { items: ['c1', 'c2'] },
+    },
+  },
+  blocks_layout: { items: ['a', 'b', 'cols'] },
+  _editSequence: 3,
+};
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+describe('diffFormData / applyFormPatch', () => {
+  test('a text edit is one op replacing one block', () => {
+    const next = clone(form);
+    next.blocks.b = slate('B!');
+    next._editSequence = 4;
+    const ops = diffFormData(form, next);
+    expect(ops).toEqual([
+      { op: 'replace', path: '/blocks/b', value: slate('B!') },
+      { op: 'replace', path: '/_editSequence', value: 4 },
+    ]);
+    expect(applyFormPatch(form, ops)).toEqual(next);
+  });
+
+  test('walks into containers, keyed by block path', () => {
+    const next = clone(form);
+    next.blocks.cols.blocks.c1.blocks.y = slate('Y2');
+    expect(diffFormData(form, next)).toEqual([
+      { op: 'replace', path: '/blocks/cols/blocks/c1/blocks/y', value: slate('Y2') },
+    ]);
+  });
+
+  test('a container whose layout changed is replaced whole', () => {
+    const next = clone(form);
+    next.blocks.cols.blocks.c2.blocks.w = slate('W');
+    next.blocks.cols.blocks.c2.blocks_layout.items.push('w');
+    const ops = diffFormData(form, next);
+    expect(ops.map((o) => [o.op, o.path])).toEqual([['replace', '/blocks/cols/blocks/c2']]);
+    expect(applyFormPatch(form, ops)).toEqual(next);
+  });
+
+  test('adds, removes and page fields', () => {
+    const next = clone(form);
+    delete next.blocks.a;
+    next.blocks.n = slate('N');
+    next.blocks_layout.items = ['n', 'b', 'cols'];
+    next.description = 'New';
+    const ops = diffFormData(form, next);
+    expect(ops.map((o) => [o.op, o.path])).toEqual([
+      ['remove', '/blocks/a'],
+      ['add', '/blocks/n'],
+      ['replace', '/blocks_layout'],
+      ['add', '/description'],
+    ]);
+    expect(applyFormPatch(form, ops)).toEqual(next);
+  });
+
+  test('is immutable and shares untouched branches', () => {
+    const before = clone(form);
+    const result = applyFormPatch(form, [{ op: 'replace', path: '/blocks/a', value: slate('A2') }]);
+    expect(form).toEqual(before);
+    expect(result.blocks.b).toBe(form.blocks.b);
+    expect(result.blocks.cols).toBe(form.blocks.cols);
+  });
+
+  test('escapes ids containing / or ~', () => {
+    const prev = { blocks: { 'a/b~c': slate('1') } };
+    const next = { blocks: { 'a/b~c': slate('2') } };
+    const ops = diffFormData(prev, next);
+    expect(ops[0].path).toBe('/blocks/a~1b~0c');
+    expect(applyFormPatch(prev, ops)).toEqual(next);
+  });
+
+  test('throws when the ops do not fit (wrong base)', () => {
+    expect(() => applyFormPatch(form, [{ op: 'replace', path: '/blocks/nope', value: 1 }])).toThrow(/not found/);
+    expect(() => applyFormPatch(form, [{ op: 'remove', path: '/blocks/nope/value' }])).toThrow(/not found/);
+    expect(() => applyFormPatch(form, [{ op: 'move', path: '/title' }])).toThrow(/unsupported/);
+    expect(() => applyFormPatch(form, [{ op: 'add', path: '', value: {} }])).toThrow(/root/);
+  });
+
+  test('blockPathMap ops are per entry and per shared schema', () => {
+    const prev = { _schemas: { s1: { a: 1 } }, a: { path: ['blocks', 'a'], _schemaRef: 's1' } };
+    const next = {
+      _schemas: { s1: { a: 1 }, s2: { b: 2 } },
+      a: { path: ['blocks', 'a'], _schemaRef: 's1' },
+      n: { path: ['blocks', 'n'], _schemaRef: 's2' },
+    };
+    const ops = diffBlockPathMap(prev, next);
+    expect(ops.map((o) => [o.op, o.path])).toEqual([
+      ['add', '/_schemas/s2'],
+      ['add', '/n'],
+    ]);
+    expect(applyFormPatch(prev, ops)).toEqual(next);
+  });
+});
+
+describe('summarizeFormPatch / mergeFormPatchSummaries', () => {
+  test('lists changed and removed blocks and page fields, not the sequence', () => {
+    const next = clone(form);
+    delete next.blocks.a;
+    next.blocks_layout.items = ['b', 'cols'];
+    next.blocks.cols.blocks.c1.blocks.x = slate('X2');
+    next._editSequence = 9;
+    const changes = summarizeFormPatch(diffFormData(form, next));
+    expect(changes).toMatchObject({
+      full: false,
+      blockIds: ['x'],
+      removedBlockIds: ['a'],
+      pageFields: ['blocks_layout'],
+    });
+    expect(changes.ops).toHaveLength(4);
+  });
+
+  test('merging keeps the net effect', () => {
+    const first = { ...summarizeFormPatch([]), blockIds: ['a', 'b'], pageFields: ['title'] };
+    const second = { ...summarizeFormPatch([]), blockIds: ['c'], removedBlockIds: ['b'] };
+    expect(mergeFormPatchSummaries(first, second)).toMatchObject({
+      full: false,
+      blockIds: ['a', 'c'],
+      removedBlockIds: ['b'],
+      pageFields: ['title'],
+    });
+    expect(mergeFormPatchSummaries(first, fullFormChanges()).full).toBe(true);
+  });
+});
+
+describe('findChangedUnitFromPatch', () => {
+  const edits = {
+    'one top-level block': (f) => { f.blocks.a = slate('A2'); },
+    'a nested leaf': (f) => { f.blocks.cols.blocks.c1.blocks.y = slate('Y2'); },
+    'two leaves in one column': (f) => {
+      f.blocks.cols.blocks.c1.blocks.x = slate('X2');
+      f.blocks.cols.blocks.c1.blocks.y = slate('Y2');
+    },
+    'leaves in two columns': (f) => {
+      f.blocks.cols.blocks.c1.blocks.x = slate('X2');
+      f.blocks.cols.blocks.c2.blocks.z = slate('Z2');
+    },
+    'a column layout': (f) => { f.blocks.cols.blocks.c2.blocks_layout.items = []; },
+    'two top-level blocks': (f) => { f.blocks.a = slate('A2'); f.blocks.b = slate('B2'); },
+    'the page layout': (f) => { f.blocks_layout.items.reverse(); },
+    'a page field': (f) => { f.title = 'New'; },
+    'nothing': () => {},
+  };
+
+  test.each(Object.keys(edits))('agrees with findChangedUnit: %s', (name) => {
+    const next = clone(form);
+    edits[name](next);
+    expect(findChangedUnitFromPatch(diffFormData(form, next))).toEqual(findChangedUnit(form, next));
+  });
+
+  test('ignores a sequence-only change', () => {
+    expect(findChangedUnitFromPatch([{ op: 'replace', path: '/_editSequence', value: 5 }])).toBeNull();
+  });
+});
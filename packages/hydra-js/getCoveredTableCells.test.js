@@ -0,0 +1,41 @@
+import { getCoveredTableCells } from '@volto-hydra/helpers';
+
+/**
+ * Merged table cells keep the grid: the anchor carries colspan / rowspan and
+ * the cells under it stay in the data. getCoveredTableCells tells renderers
+ * which ones to leave out.
+ */
+const table = (spans) =>
+  spans.map((row, r) => ({
+    key: `r${r}`,
+    cells: row.map((span, c) => ({ key: `c${r}${c}`, ...span })),
+  }));
+
+describe('getCoveredTableCells', () => {
+  test('a plain table covers nothing', () => {
+    expect(getCoveredTableCells(table([[{}, {}], [{}, {}]])).size).toBe(0);
+  });
+
+  test('colspan and rowspan cover the cells right of and below the anchor', () => {
+    const rows = table([
+      [{ colspan: 2, rowspan: 2 }, {}, {}],
+      [{}, {}, {}],
+      [{}, {}, {}],
+    ]);
+    expect([...getCoveredTableCells(rows)].sort()).toEqual(['c01', 'c10', 'c11']);
+  });
+
+  test('spans stop at the table edge and covered cells span nothing', () => {
+    const rows = table([
+      [{ colspan: 2 }, { rowspan: 2 }],
+      [{ colspan: 5, rowspan: 5 }, {}],
+    ]);
+    // c01 is covered, so its rowspan is ignored; c10 spans to the edge
+    expect([...getCoveredTableCells(rows)].sort()).toEqual(['c01', 'c11']);
+  });
+
+  test('reads custom id and cells fields', () => {
+    const rows = [{ items: [{ id: 'a', colspan: 2 }, { id: 'b' }] }];
+    expect([...getCoveredTableCells(rows, { idField: 'id', cellsField: 'items' })]).toEqual(['b']);
+  });
+});
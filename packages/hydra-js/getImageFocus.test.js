@@ -0,0 +1,82 @@
+import { getImageFocus, getMediaFocusField } from '@volto-hydra/helpers';
+
+/**
+ * getImageFocus turns the `{ focalPoint, crop }` an editor set in the crop
+ * overlay into object-position / object-view-box and the smallest Plone
+ * scale that still fills the rendered width once the crop is applied.
+ */
+const API = 'http://api.test';
+
+describe('getImageFocus', () => {
+  test('stores the focus next to the media field', () => {
+    expect(getMediaFocusField('image')).toBe('image_focus');
+    expect(getMediaFocusField('content/image')).toBe('content/image_focus');
+  });
+
+  test('no focus: centred, plain getImageUrl', () => {
+    expect(getImageFocus('/news/hero.jpg', undefined, { apiUrl: API })).toEqual({
+      src: `${API}/news/hero.jpg/@@images/image`,
+      scale: null,
+      objectPosition: '50% 50%',
+      objectViewBox: null,
+      style: { objectFit: 'cover', objectPosition: '50% 50%' },
+    });
+  });
+
+  test('focal point becomes object-position; the crop an inset view box', () => {
+    const focus = { focalPoint: { x: 0.25, y: 0.1 }, crop: { x: 0.1, y: 0, width: 0.5, height: 0.8 } };
+    const result = getImageFocus('/news/hero.jpg', focus, { apiUrl: API });
+    // Positioned within the crop the view box shows
+    expect(result.objectPosition).toBe('30% 12.5%');
+    expect(result.objectViewBox).toBe('inset(0% 40% 20% 10%)');
+    expect(result.style.objectViewBox).toBe(result.objectViewBox);
+  });
+
+  test('a crop without a focal point centres on the crop', () => {
+    const focus = { crop: { x: 0.5, y: 0.5, width: 0.5, height: 0.5 } };
+    expect(getImageFocus('/a.jpg', focus).objectPosition).toBe('50% 50%');
+  });
+
+  test('a focal point without a crop is a fraction of the full image', () => {
+    expect(getImageFocus('/a.jpg', { focalPoint: { x: 0.25, y: 0.1 } }).objectPosition).toBe('25% 10%');
+  });
+
+  test('picks the smallest default scale covering the cropped width', () => {
+    // 300px at 2x over half the image needs a 1200px source
+    const focus = { crop: { x: 0, y: 0, width: 0.5, height: 1 } };
+    const result = getImageFocus('/a.jpg', focus, { apiUrl: API, width: 300, pixelRatio: 2 });
+    expect(result.scale).toBe('great');
+    expect(result.src).toBe(`${API}/a.jpg/@@images/image/great`);
+    expect(getImageFocus('/a.jpg', {}, { width: 5000 }).src).toBe('/a.jpg/@@images/image');
+  });
+
+  test("uses a brain's declared scales, resolved against its base", () => {
+    const item = {
+      '@id': '/news/item',
+      image_field: 'image',
+      image_scales: {
+        image: [
+          {
+            download: '@@images/image-2000-h.jpeg',
+            width: 2000,
+            scales: {
+              preview: { download: '@@images/image-400-a.jpeg', width: 400 },
+              large: { download: '@@images/image-800-b.jpeg', width: 800 },
+            },
+          },
+        ],
+      },
+    };
+    const result = getImageFocus(item, {}, { apiUrl: API, width: 500 });
+    expect(result.scale).toBe('large');
+    expect(result.src).toBe(`${API}/news/item/@@images/image-800-b.jpeg`);
+    // Nothing big enough: the original
+    expect(getImageFocus(item, {}, { apiUrl: API, width: 1800 }).src).toBe(
+      `${API}/news/item/@@images/image-2000-h.jpeg`,
+    );
+    // An object_browser value: a list holding the brain
+    const picked = getImageFocus([item], {}, { apiUrl: API, width: 500 });
+    expect(picked.scale).toBe('large');
+    expect(picked.src).toBe(`${API}/news/item/@@images/image-800-b.jpeg`);
+  });
+});
@@ -26,10 +26,32 @@ import {
   setFieldValue,
   getFieldDef,
   resolveFieldPath as resolveFieldPathHelper,
+  validateBlockPatch,
+  applyFormPatch,
+  summarizeFormPatch,
+  fullFormChanges,
+  mergeFormPatchSummaries,
+  findChangedUnitFromPatch,
+  HYDRA_PROTOCOL_VERSION,
+  HYDRA_MIN_PROTOCOL_VERSION,
+  BRIDGE_CAPABILITIES,
+  checkProtocolCompatibility,
+  adapterIntents,
+  dispatchBackendIntent,
+  serializeBackendError,
+  normalizeAuthChallenge,
+  setTokenRenewer,
+  renewAccessToken,
+  tokenRenewalDelay,
+  onAccessTokenRenewed,
+  storeUrlAccessToken,
 } from '@volto-hydra/helpers';
-import { expelAllowedTypes, findOnlyEmptyChildUid } from './containerOps.js';
+import { canContain, expelAllowedTypes, findOnlyEmptyChildUid } from './containerOps.js';
 import { acceptableAt } from './conversionMap.js';
 import { collectLinkableAnchors } from './linkableAnchors.js';
+import { parseClipboardTable } from './clipboardTable.js';
+import { parseBlocksClipboard, writeBlocksClipboard } from './blocksClipboard.js';
+import { decideRoute, watchNavigation, ROUTE_BLOCK, ROUTE_IN_PAGE } from './routeDecision.js';
 
 /**
  * This IS a large file and it needs to be written in one file so for better understanding and
@@ -43,6 +65,7 @@ import { collectLinkableAnchors } from './linkableAnchors.js';
 // constructor
 // init
 // _setTokenCookie
+// _installTokenRenewal
 
 ////////////////////////////////////////////////////////////////////////////////
 // Real-time Data Handling and Quanta Toolbar Creation
@@ -153,6 +176,20 @@ const isValidNodeId = (id) => id && /^\d+(\.\d+)*$/.test(id);
  */
 export const PAGE_BLOCK_UID = '_page';
 
+/**
+ * Sent with INIT so the admin can tell which bridge it is talking to: the
+ * protocol version, the oldest admin protocol we understand, and the
+ * optional features we handle (see checkProtocolCompatibility).
+ */
+const PROTOCOL_ANNOUNCEMENT = {
+  protocolVersion: HYDRA_PROTOCOL_VERSION,
+  minProtocolVersion: HYDRA_MIN_PROTOCOL_VERSION,
+  capabilities: BRIDGE_CAPABILITIES,
+};
+
+/** How long to wait for the admin's TOKEN_RENEWED before keeping the old token. */
+const TOKEN_RENEW_TIMEOUT_MS = 10000;
+
 /**
  * Bridge class creating a two-way link between the Hydra and the frontend.
  * @exports Bridge - Exported for testing purposes
@@ -171,6 +208,14 @@ export class Bridge {
    *   - onEditChange: Callback for real-time form data updates
    *   - debug: Enable verbose logging (default: false)
    *   - pathToApiPath: Function to transform frontend path to API/admin path
+   *   - disable: { selection, dragAndDrop, keyboard } — switch off a built-in
+   *             interaction to supply your own (see selectBlock / moveBlocks)
+   *   - onRoute: (from, to) => 'default' | 'inPage' | 'block' — decide how a URL
+   *             change inside the iframe reaches the admin (see routeDecision.js)
+   *   - adapter: Backend adapter the admin's CMS calls go through
+   *             (BACKEND_REQUEST), e.g. createPloneAdapter({ apiUrl })
+   *   - onTokenRenewed: (token) => void — called when the admin renewed the
+   *             access token (see _installTokenRenewal)
    */
   constructor(adminOrigin, options = {}) {
     this.adminOrigin = adminOrigin;
@@ -233,10 +278,12 @@ export class Bridge {
     });
     this.focusedLinkableField = null; // Track which linkable field has focus (for link editing)
     this.focusedMediaField = null; // Track which media field has focus (for image selection)
+    this.focusedEditField = null; // Track which data-edit-field has focus (for its popover)
     this.isInlineEditing = false;
     this.handleMouseUp = null;
     this.blockObserver = null;
     this.handleObjectBrowserMessage = null;
+    this.handleBackendRequest = null; // BACKEND_REQUEST listener, when the frontend registered an adapter
     this.pendingTransform = null; // Track the single pending transform request (only one at a time due to blocking)
     this.eventBuffer = []; // Buffer for keypresses during blocking (replayed after transform)
     this.pendingBufferReplay = null; // Marked for replay after DOM re-render
@@ -246,7 +293,13 @@ export class Bridge {
     this.scrollTimeout = null; // Timer for scroll debouncing
     this.expectedSelectionFromAdmin = null; // Selection we're restoring from Admin - suppress sending it back
     this.blockPathMap = {}; // Maps blockUid -> { path: [...], parentId: string|null }
+    this._formPatchBase = null; // { version, data, blockPathMap } as last sent by the admin — base for the next FORM_DATA patch
+    this._formResyncRequested = false; // FORM_DATA_RESYNC sent, ignore patches until a full FORM_DATA arrives
+    this._formResyncCarry = null; // one-shot fields of patches dropped while waiting for the resync
+    this._droppedFormChanges = null; // changes of FORM_DATA that never reached the renderer (stale)
     this.conversionMap = {}; // { sourceType: [reachableTypes] } — for convert-reachable drop spots
+    this.imageDropTypes = ['image']; // Block types dropped image files can become (image fields)
+    this.adminCapabilities = null; // INITIAL_DATA.protocol.capabilities; null until it arrives
     this.voltoConfig = null; // Store voltoConfig for allowedBlocks checking
     // Track active prospective inline element (link/format with ZWS) for Chrome workaround.
     // Chrome always positions cursor outside <a> elements, unlike <span> for bold.
@@ -254,6 +307,18 @@ export class Bridge {
     this.prospectiveInlineElement = null;
     // Path transformer for frontends that embed state in URL (e.g., paging)
     this.pathToApiPath = options.pathToApiPath || ((path) => path);
+    // Frontend's navigation hook, consulted by init()'s detectNavigation
+    this.routeHandler = options.onRoute || null;
+    // Built-in interactions the frontend replaces with its own. Each is
+    // independent: selection = click/tap/long-press/Tab selecting blocks,
+    // dragAndDrop = drag handle + container edge handles, keyboard = the
+    // block-mode keys (arrows, Escape, Delete, Cmd+A/C/X/V, Enter). Text
+    // editing inside a selected block is unaffected by all three.
+    this.disable = {
+      selection: !!options.disable?.selection,
+      dragAndDrop: !!options.disable?.dragAndDrop,
+      keyboard: !!options.disable?.keyboard,
+    };
     // True after INITIAL_DATA is received — block selection is deferred until then
     this.initialized = false;
     this._pendingSelectBlock = null;
@@ -275,13 +340,14 @@ export class Bridge {
     //
     // Two ways to receive form updates, mutually exclusive:
     //
-    //   - `onEditChange(formData)` — user-supplied callback. Used by
+    //   - `onEditChange(formData, changes)` — user-supplied callback. Used by
     //     reactive frontends (React/Vue/Svelte/Solid/Nuxt/Next) that take
     //     the formData and let their own framework reconcile the DOM.
     //
     //   - `renderEndpoint: '/api/render'` — bridge installs its own
-    //     internal callback that diffs prev vs new formData via
-    //     findChangedUnit, POSTs `{ unit, formData }` to the endpoint,
+    //     internal callback that finds the changed unit (from the FORM_DATA
+    //     patch, else findChangedUnit on prev vs new formData), POSTs
+    //     `{ unit, formData }` to the endpoint,
     //     and swaps the returned HTML in. Used by server-rendered
     //     frontends (Astro / PHP / Django / Rails) that have no
     //     client-side reactivity. Optional `renderContainer` selector
@@ -296,9 +362,149 @@ export class Bridge {
     } else if (options.onEditChange) {
       this.onEditChange(options.onEditChange);
     }
+    // Listen for BACKEND_REQUEST before INIT tells the admin the adapter exists
+    this.backendAdapter = options.adapter || null;
+    if (this.backendAdapter) this._installBackendAdapter();
     this.init(options); // Initialize the bridge
   }
 
+  /**
+   * What INIT says about the backend adapter, if the frontend registered one:
+   * its name and the intents it implements.
+   */
+  _backendAnnouncement() {
+    if (!this.backendAdapter) return {};
+    return {
+      backend: {
+        name: this.backendAdapter.name || 'custom',
+        intents: adapterIntents(this.backendAdapter),
+      },
+    };
+  }
+
+  /**
+   * Run the admin's BACKEND_REQUESTs on the frontend's adapter and answer
+   * each with a BACKEND_RESPONSE carrying the same requestId. The adapter
+   * makes the actual CMS calls, with the frontend's credentials.
+   */
+  _installBackendAdapter() {
+    this.handleBackendRequest = async (event) => {
+      if (event.origin !== this.adminOrigin || event.data?.type !== 'BACKEND_REQUEST') {
+        return;
+      }
+      const { requestId, intent, args } = event.data;
+      log('BACKEND_REQUEST', requestId, intent);
+      let response;
+      try {
+        const result = await dispatchBackendIntent(this.backendAdapter, intent, args);
+        response = { type: 'BACKEND_RESPONSE', requestId, ok: true, result };
+      } catch (e) {
+        log('BACKEND_REQUEST failed', requestId, intent, e);
+        response = { type: 'BACKEND_RESPONSE', requestId, ok: false, error: serializeBackendError(e) };
+        // Ahead of the response, so the admin holds the call for a retry
+        // instead of failing it. A failed sign-in just reports its error.
+        if (e.code === 'unauthorized' && intent !== 'auth.login') this.requireAuth(e.message);
+      }
+      window.parent.postMessage(response, this.adminOrigin);
+    };
+    window.addEventListener('message', this.handleBackendRequest);
+  }
+
+  /**
+   * Ask the admin to sign the editor in again (AUTH_REQUIRED). The bridge
+   * does this itself when a backend call comes back 'unauthorized'; call it
+   * when your frontend's own fetches start failing with a 401. The admin
+   * shows the adapter's challenge (adapter.getAuthChallenge) over the editor
+   * and signs in through auth.login.
+   *
+   * @param {string} [reason] - Shown to the editor
+   */
+  requireAuth(reason = 'unauthorized') {
+    if (!this.backendAdapter) {
+      console.warn('[HYDRA] requireAuth() needs a backend adapter (initBridge({ adapter }))');
+      return;
+    }
+    if (!this._adminHandles('authChallenge')) {
+      console.warn('[HYDRA] requireAuth(): this admin cannot sign the editor in again; upgrade volto-hydra');
+      return;
+    }
+    const challenge = normalizeAuthChallenge(this.backendAdapter.getAuthChallenge?.(reason), reason);
+    log('AUTH_REQUIRED', challenge.method, reason);
+    window.parent.postMessage({ type: 'AUTH_REQUIRED', challenge }, this.adminOrigin);
+  }
+
+  /**
+   * Whether the admin answers a feature's messages (a BRIDGE_CAPABILITIES
+   * name). Until INITIAL_DATA says, it is assumed to.
+   *
+   * @param {string} capability
+   * @returns {boolean}
+   * @private
+   */
+  _adminHandles(capability) {
+    return !this.adminCapabilities || this.adminCapabilities.has(capability);
+  }
+
+  /**
+   * Turn an incremental FORM_DATA into a full one (see diffFormData in
+   * @volto-hydra/helpers). A full FORM_DATA carrying `formVersion` becomes
+   * the base; a `patch` only applies on top of exactly its `baseVersion`.
+   * Anything else — a missed message, a reload mid-stream — asks the admin
+   * for a full resend (FORM_DATA_RESYNC) and drops the patch, as well as any
+   * patches already in flight behind it.
+   *
+   * @param {Object} message - FORM_DATA with `patch` or `formVersion`
+   * @returns {Object|null} The message with `data`, `blockPathMap` and
+   *   `changes` filled in, or null when it can't be applied.
+   */
+  _resolveFormDataPatch(message) {
+    const { patch, formVersion, ...rest } = message;
+    if (!patch) {
+      this._formPatchBase = { version: formVersion, data: rest.data, blockPathMap: rest.blockPathMap };
+      // The resend is state only — re-attach what the dropped patches asked for
+      const carried = this._formResyncCarry;
+      this._formResyncRequested = false;
+      this._formResyncCarry = null;
+      return carried ? { ...carried, ...rest } : rest;
+    }
+    if (this._formResyncRequested) {
+      log('FORM_DATA patch', patch.version, 'ignored, waiting for full resync');
+      this._carryOverFormDataRequests(rest);
+      return null;
+    }
+    const base = this._formPatchBase;
+    try {
+      if (!base || base.version !== patch.baseVersion) {
+        throw new Error(`patch is against version ${patch.baseVersion}, have ${base ? base.version : 'none'}`);
+      }
+      const data = applyFormPatch(base.data, patch.form);
+      const blockPathMap = applyFormPatch(base.blockPathMap, patch.blockPathMap);
+      this._formPatchBase = { version: patch.version, data, blockPathMap };
+      return { ...rest, data, blockPathMap, changes: summarizeFormPatch(patch.form) };
+    } catch (e) {
+      log('FORM_DATA patch rejected, requesting full resync:', e.message);
+      this._formPatchBase = null;
+      this._formResyncRequested = true;
+      this._formResyncCarry = null;
+      this._carryOverFormDataRequests(rest);
+      window.parent.postMessage({ type: 'FORM_DATA_RESYNC' }, this.adminOrigin);
+      return null;
+    }
+  }
+
+  /**
+   * Keep the one-shot parts of a dropped FORM_DATA (the format request we are
+   * blocked on, a block to select, the selection to restore) for the full
+   * resend, which carries state only.
+   */
+  _carryOverFormDataRequests(message) {
+    for (const key of ['formatRequestId', 'selectedBlockUid', 'transformedSelection']) {
+      if (message[key] !== undefined) {
+        this._formResyncCarry = { ...this._formResyncCarry, [key]: message[key] };
+      }
+    }
+  }
+
   /**
    * Wire a server-render endpoint to the FORM_DATA pipeline. Each
    * FORM_DATA arriving from the admin triggers a POST of the smallest
@@ -341,9 +547,13 @@ export class Bridge {
         if (el) el.outerHTML = html;
       }
     };
-    this.onEditChange((formData) => {
+    this.onEditChange((formData, changes) => {
       const prevForm = lastForm;
-      const unit = prevForm == null ? { unit: 'page' } : findChangedUnit(prevForm, formData);
+      // A patch already says what changed; only re-diff without one.
+      let unit;
+      if (prevForm == null) unit = { unit: 'page' };
+      else if (changes && !changes.full && changes.ops.length > 0) unit = findChangedUnitFromPatch(changes.ops);
+      else unit = findChangedUnit(prevForm, formData);
       lastForm = formData;
       if (!unit) return;
 
@@ -457,6 +667,93 @@ export class Bridge {
     return readonlyFromShared;
   }
 
+  /**
+   * Send a frontend-originated change of a block's data to the admin, e.g. from
+   * an in-preview setup form (a layout picker on a new block). The admin
+   * merges the patch into the block via its blockPathMap path and records it as
+   * one undo step, exactly like a sidebar edit; the result comes back through
+   * the normal FORM_DATA → onEditChange re-render.
+   *
+   * Pending typed text is flushed first (sendMessageToParent), so a patch never
+   * overtakes keystrokes still in the debounce buffer.
+   *
+   * @param {string} blockUid - The block to change (PAGE_BLOCK_UID for page fields)
+   * @param {Object} patch - `{ fieldPath: value }`. Paths use the `/` grammar of
+   *   data-edit-* ("content/headline"). `@type`, template and lock flags are
+   *   rejected — change types via the convert flow — as are child blocks
+   *   (`blocks`, `blocks_layout` and the schema's object_list fields; use
+   *   sendBlockAction), the page's backend-owned metadata and prototype keys.
+   * @returns {boolean} True if the update was sent, false if it was rejected
+   */
+  sendBlockUpdate(blockUid, patch) {
+    let error = null;
+    if (!this.initialized) {
+      error = 'bridge is not initialized yet (wait for the first onEditChange)';
+    } else if (!this.getBlockData(blockUid)) {
+      error = `unknown block "${blockUid}"`;
+    } else if (blockUid !== PAGE_BLOCK_UID && this.isBlockReadonly(blockUid)) {
+      error = `block "${blockUid}" is readonly`;
+    } else {
+      error = validateBlockPatch(patch, {
+        typeField: this.blockPathMap?.[blockUid]?.typeField,
+        schema: this.getBlockSchema(blockUid),
+        isPage: blockUid === PAGE_BLOCK_UID,
+      });
+    }
+    if (error) {
+      console.warn('[HYDRA] sendBlockUpdate rejected:', error);
+      return false;
+    }
+    log('sendBlockUpdate:', blockUid, Object.keys(patch));
+    this.sendMessageToParent({ type: 'BLOCK_UPDATE', blockUid, patch });
+    return true;
+  }
+
+  /**
+   * Move blocks next to another block — the same MOVE_BLOCKS the built-in drag
+   * handle sends, for frontends that disable it (`disable.dragAndDrop`) and
+   * reorder through their own UI (a carousel's "move slide left", a canvas).
+   * The target may sit in a different container; the admin applies the same
+   * allowedBlocks / conversion rules as a drop and records one undo step.
+   *
+   * @param {string|string[]} blockIds - Block(s) to move, in their new order
+   * @param {string} targetBlockId - Block to place them next to
+   * @param {Object} [options]
+   * @param {boolean} [options.insertAfter=true] - After (true) or before (false) the target
+   * @returns {boolean} True if the move was sent, false if it was rejected
+   */
+  moveBlocks(blockIds, targetBlockId, { insertAfter = true } = {}) {
+    const uids = Array.isArray(blockIds) ? blockIds : [blockIds];
+    const targetInfo = this.blockPathMap?.[targetBlockId];
+    let error = null;
+    if (!this.initialized) {
+      error = 'bridge is not initialized yet (wait for the first onEditChange)';
+    } else if (uids.length === 0) {
+      error = 'no blocks to move';
+    } else if (uids.some((uid) => uid === PAGE_BLOCK_UID || !this.blockPathMap?.[uid])) {
+      error = `unknown block in ${JSON.stringify(uids)}`;
+    } else if (!targetInfo || targetBlockId === PAGE_BLOCK_UID) {
+      error = `unknown target block "${targetBlockId}"`;
+    } else if (uids.includes(targetBlockId)) {
+      error = 'cannot move a block next to itself';
+    } else if (this._filterMutableBlockUids(uids, 'move').length !== uids.length) {
+      error = 'a block is locked in position by its template';
+    }
+    if (error) {
+      console.warn('[HYDRA] moveBlocks rejected:', error);
+      return false;
+    }
+    log('moveBlocks:', uids, insertAfter ? 'after' : 'before', targetBlockId);
+    this.sendMessageToParent({
+      type: 'MOVE_BLOCKS',
+      blockIds: uids,
+      targetBlockId,
+      insertAfter: !!insertAfter,
+      targetParentId: targetInfo.parentId || null,
+    });
+    return true;
+  }
+
   /**
    * Parse a hydra comment string into attributes and selectors.
    * Format: "hydra attr=value attr attr=value(selector) /"
@@ -578,7 +875,7 @@ export class Bridge {
    * rest are structural, so a missing target is always wrong.
    */
   isFieldAbsentFromRender(name, fieldName, renderedBlock) {
-    if (name !== 'edit-text' && name !== 'edit-link' && name !== 'edit-media') {
+    if (name !== 'edit-text' && name !== 'edit-link' && name !== 'edit-media' && name !== 'edit-field') {
       return false;
     }
     // A leading slash means a PAGE field (/title, /description), which lives on the
@@ -611,6 +908,7 @@ export class Bridge {
       'edit-text': 'data-edit-text',
       'edit-link': 'data-edit-link',
       'edit-media': 'data-edit-media',
+      'edit-field': 'data-edit-field',
       'block-add': 'data-block-add',
       'block-selector': 'data-block-selector',
       'block-container': 'data-block-container',
@@ -1053,6 +1351,22 @@ export class Bridge {
       });
   }
 
+  /**
+   * Get `data-edit-field` fields (select, number, boolean, date — edited in a
+   * popover next to the element) that belong directly to a block, with their
+   * rects. For multi-element blocks, searches ALL elements with the same UID.
+   */
+  getEditFields(blockElement) {
+    return this.collectBlockFields(blockElement, 'data-edit-field',
+      (el, name, results) => {
+        const r = el.getBoundingClientRect();
+        // Skip hidden twins (responsive duplicates, inactive slides)
+        if (r.width > 0 || r.height > 0) {
+          results[name] = { rect: { top: r.top, left: r.left, width: r.width, height: r.height } };
+        }
+      });
+  }
+
   /**
    * Get the add direction for a block element.
    * Uses data-block-add attribute if set, otherwise infers from nesting depth.
@@ -1083,21 +1397,30 @@ export class Bridge {
       return 'hidden';
     }
 
-    let addDirection = blockElement.getAttribute('data-block-add');
-    if (!addDirection) {
-      // Count ancestor blocks to determine nesting depth
-      let depth = 0;
-      let parent = blockElement.parentElement;
-      while (parent) {
-        if (parent.hasAttribute('data-block-uid')) {
-          depth++;
-        }
-        parent = parent.parentElement;
+    return this.getLayoutDirection(blockElement);
+  }
+
+  /**
+   * The axis a block's siblings run along: `data-block-add` when the
+   * frontend sets it, otherwise alternating with nesting depth — page-level
+   * blocks (depth 0) → 'bottom', nested (depth 1) → 'right', etc.
+   *
+   * @param {HTMLElement} blockElement
+   * @returns {string} 'bottom' or 'right' (or the frontend's own value)
+   */
+  getLayoutDirection(blockElement) {
+    const addDirection = blockElement.getAttribute('data-block-add');
+    if (addDirection) return addDirection;
+    // Count ancestor blocks to determine nesting depth
+    let depth = 0;
+    let parent = blockElement.parentElement;
+    while (parent) {
+      if (parent.hasAttribute('data-block-uid')) {
+        depth++;
       }
-      // Page-level blocks (depth 0) → bottom, nested (depth 1) → right, etc.
-      addDirection = depth % 2 === 0 ? 'bottom' : 'right';
+      parent = parent.parentElement;
     }
-    return addDirection;
+    return depth % 2 === 0 ? 'bottom' : 'right';
   }
 
   /**
@@ -1793,14 +2116,27 @@ export class Bridge {
       const deeper = this._descendAbsorbTarget(nearChild, enterEdge, type);
       if (deeper) return deeper;
     }
-    // Accept at THIS level if the container's region allows `type`.
-    const childAllowed = this.blockPathMap?.[children[0]]?.allowedSiblingTypes || null;
-    if (!childAllowed || (type && childAllowed.includes(type))) {
+    // Accept at THIS level if the container's region takes one more `type`.
+    if (this._regionCanContain(children[0], type)) {
       return { targetBlockId: nearChild, insertAfter, targetParentId: containerUid };
     }
     return null;
   }
 
+  /**
+   * canContain for the region `memberUid` sits in: would it take one more
+   * block of `type`, given its allowedBlocks and maxLength? Only asked for
+   * moves that change region — a swap within a region keeps its count.
+   */
+  _regionCanContain(memberUid, type) {
+    const info = this.blockPathMap?.[memberUid];
+    return canContain(
+      { allowedBlocks: info?.allowedSiblingTypes ?? null, maxLength: info?.maxSiblings ?? null },
+      type,
+      info?.siblingCount ?? 0,
+    );
+  }
+
   /**
    * When a block is at its container's edge (no sibling in the move
    * direction), walk UP through ancestor containers until one whose region
@@ -1815,10 +2151,9 @@ export class Bridge {
     while (container && container !== PAGE_BLOCK_UID) {
       const cInfo = this.blockPathMap[container];
       const grandparent = cInfo?.parentId;
-      // Types allowed as siblings of `container` = the region the block would
-      // land in if it escapes to this level.
-      const regionAllowed = cInfo?.allowedSiblingTypes || null;
-      if (!regionAllowed || (type && regionAllowed.includes(type))) {
+      // The region `container` sits in is the one the block would land in
+      // if it escapes to this level.
+      if (this._regionCanContain(container, type)) {
         return {
           targetBlockId: container,
           insertAfter: down,
@@ -1890,6 +2225,56 @@ export class Bridge {
     return null;
   }
 
+  /**
+   * Which in-preview item controls apply to an `object_list` item (a slide,
+   * an accordion panel, a table row). The admin draws them over the item —
+   * chrome pattern — and enables each from this. Adding and duplicating ask
+   * canContain whether the item's list takes one more of its type, so a
+   * slider at its maxLength offers neither.
+   *
+   * @param {string} blockUid
+   * @returns {{addBefore: boolean, addAfter: boolean, duplicate: boolean, delete: boolean}|null}
+   *   null when the block is not an object_list item
+   */
+  getItemActions(blockUid) {
+    const info = this.blockPathMap?.[blockUid];
+    if (!info?.isObjectListItem) return null;
+    const blockData = this.getBlockData(blockUid);
+    const addability = getBlockAddability(blockUid, this.blockPathMap, blockData, this.templateEditMode);
+    const fits = this._regionCanContain(blockUid, info.blockType);
+    return {
+      addBefore: fits && addability.canInsertBefore,
+      addAfter: fits && addability.canInsertAfter,
+      // A table cell's "sibling" is a whole column, and a fixed template item
+      // would be copied with its place in the template.
+      duplicate: fits && addability.canInsertAfter && info.parentAddMode !== 'table' && !blockData?.fixed,
+      delete: this._filterMutableBlockUids([blockUid], 'delete').length > 0,
+    };
+  }
+
+  /**
+   * The rect of the table a selected cell belongs to, so the admin can draw
+   * the table toolbar against the whole table rather than the cell.
+   *
+   * @param {string} blockUid
+   * @returns {{top: number, left: number, width: number, height: number}|null}
+   *   null when the block is not a table cell or the table isn't rendered
+   */
+  getTableRect(blockUid) {
+    const info = this.blockPathMap?.[blockUid];
+    if (info?.parentAddMode !== 'table') return null;
+    const tableUid = this.blockPathMap?.[info.parentId]?.parentId;
+    const tableEl = tableUid ? this.queryBlockElement(tableUid) : null;
+    if (!tableEl) return null;
+    const r = tableEl.getBoundingClientRect();
+    return {
+      top: Math.round(r.top),
+      left: Math.round(r.left),
+      width: Math.round(r.width),
+      height: Math.round(r.height),
+    };
+  }
+
   /**
    * Filter a list of block UIDs to those that can be mutated by `op`.
    * Single source of truth for locked-block protection on the iframe side.
@@ -1988,6 +2373,29 @@ export class Bridge {
    * Cmd+A select-all escalation, Enter to add block.
    */
   _handleBlockModeKey(e) {
+    // Alt+Arrow: move the block one step along its layout axis — the same
+    // target as the toolbar chevrons, so region limits (canContain) apply.
+    if (e.altKey && !e.shiftKey && ['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
+      if (this.multiSelectedBlockUids.length > 0 || !this.selectedBlockUid) return false;
+      const info = this.blockPathMap?.[this.selectedBlockUid];
+      const blockEl = this.queryBlockElement(this.selectedBlockUid);
+      // Table cells move as whole columns, which the chevron target can't express
+      if (!blockEl || info?.parentAddMode === 'table') return false;
+      const vertical = e.key === 'ArrowUp' || e.key === 'ArrowDown';
+      const isTableRow = info?.addMode === 'table';
+      if (vertical !== (isTableRow || this.getLayoutDirection(blockEl) !== 'right')) return false;
+      e.preventDefault();
+      const target = this._computeChevronMove(
+        this.selectedBlockUid,
+        e.key === 'ArrowUp' || e.key === 'ArrowLeft' ? 'up' : 'down',
+      );
+      if (target) {
+        log('Block mode Alt+Arrow: moving', this.selectedBlockUid, target);
+        this.sendMessageToParent({ type: 'MOVE_BLOCKS', blockIds: [this.selectedBlockUid], ...target });
+      }
+      return true;
+    }
+
     // Arrow keys: navigate between sibling blocks or extend multi-selection
     if (['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
       const blockEl = this.queryBlockElement(this.selectedBlockUid);
@@ -2086,7 +2494,8 @@ export class Bridge {
       return true;
     }
 
-    // Cmd+C / Cmd+X: copy/cut blocks (uses Volto's blocksClipboard)
+    // Cmd+C / Cmd+X: copy/cut blocks (uses Volto's blocksClipboard, and the
+    // system clipboard for other tabs)
     if ((e.key === 'c' || e.key === 'x') && (e.ctrlKey || e.metaKey)) {
       e.preventDefault();
       const uids = this.multiSelectedBlockUids.length > 0
@@ -2100,6 +2509,7 @@ export class Bridge {
         ? this._filterMutableBlockUids(uids, 'delete')
         : uids;
       if (transferUids.length > 0) {
+        this._writeBlocksClipboard(transferUids, action);
         this.sendMessageToParent({ type: 'COPY_BLOCKS', uids: transferUids, action });
       }
       if (action === 'cut' && transferUids.length > 0) {
@@ -2110,14 +2520,28 @@ export class Bridge {
       return true;
     }
 
-    // Cmd+V: paste blocks from clipboard (admin handles actual insertion)
+    // Cmd+V: paste blocks from clipboard (admin handles actual insertion).
+    // The keydown goes on so the browser fires `paste`: blocks in its
+    // clipboardData (copied in another tab or site) go along. Without a
+    // paste event the admin pastes its own blocksClipboard.
     if (e.key === 'v' && (e.ctrlKey || e.metaKey)) {
-      e.preventDefault();
       const afterUid = this.multiSelectedBlockUids.length > 0
         ? this.multiSelectedBlockUids[this.multiSelectedBlockUids.length - 1]
         : this.selectedBlockUid;
       log('Block mode paste after:', afterUid);
-      this.sendMessageToParent({ type: 'PASTE_BLOCKS', afterBlockId: afterUid });
+      this._pendingBlocksPaste = afterUid;
+      if (!this._blocksPasteHandler) {
+        // Capture phase, ahead of the text paste handlers
+        this._blocksPasteHandler = (event) => {
+          if (!this._pendingBlocksPaste) return;
+          event.preventDefault();
+          event.stopImmediatePropagation();
+          this._sendBlocksPaste(parseBlocksClipboard(event.clipboardData?.getData('text/html')));
+        };
+        document.addEventListener('paste', this._blocksPasteHandler, true);
+      }
+      // The paste event fires before this, when the browser fires one at all
+      setTimeout(() => this._sendBlocksPaste(null), 0);
       return true;
     }
 
@@ -2149,16 +2573,7 @@ export class Bridge {
     const pathInfo = this.blockPathMap?.[blockUid];
     if (!pathInfo) return null;
 
-    let addDirection = blockElement?.getAttribute('data-block-add');
-    if (!addDirection && blockElement) {
-      let depth = 0;
-      let parent = blockElement.parentElement;
-      while (parent) {
-        if (parent.hasAttribute('data-block-uid')) depth++;
-        parent = parent.parentElement;
-      }
-      addDirection = depth % 2 === 0 ? 'bottom' : 'right';
-    }
+    const addDirection = blockElement ? this.getLayoutDirection(blockElement) : null;
     const isTableMode = pathInfo.parentAddMode === 'table';
 
     const isForwardKey = (key === 'ArrowDown' || key === 'ArrowRight');
@@ -2442,6 +2857,7 @@ export class Bridge {
     if (hasMod && key?.toLowerCase() === 'c') {
       // Option A: cross-block multi-selection copies whole blocks, not text
       if (this.multiSelectedBlockUids.length > 1) {
+        this._writeBlocksClipboard(this.multiSelectedBlockUids, 'copy');
         this.sendMessageToParent({
           type: 'COPY_BLOCKS',
           uids: [...this.multiSelectedBlockUids],
@@ -2458,6 +2874,7 @@ export class Bridge {
           [...this.multiSelectedBlockUids], 'delete',
         );
         if (transferUids.length > 0) {
+          this._writeBlocksClipboard(transferUids, 'cut');
           this.sendMessageToParent({ type: 'COPY_BLOCKS', uids: transferUids, action: 'cut' });
           this.sendMessageToParent({ type: 'DELETE_BLOCKS', uids: transferUids });
         }
@@ -3329,6 +3746,7 @@ export class Bridge {
     const editableFields = elementForFields ? this.getEditableFields(elementForFields) : {};
     const linkableFields = elementForFields ? this.getLinkableFields(elementForFields) : {};
     const mediaFields = elementForFields ? this.getMediaFields(elementForFields) : {};
+    const editFields = elementForFields ? this.getEditFields(elementForFields) : {};
     const addDirection = elementForFields ? this.getAddDirection(elementForFields) : 'bottom';
     // Text-mode invariant at the ONE boundary that reaches the admin:
     // focusedFieldName is the admin's text-mode signal (it surfaces the slate
@@ -3348,6 +3766,9 @@ export class Bridge {
     const focusedMediaField = options.focusedMediaField !== undefined
       ? options.focusedMediaField
       : this.focusedMediaField;
+    const focusedEditField = options.focusedEditField !== undefined
+      ? options.focusedEditField
+      : this.focusedEditField;
 
     // Update iframe drag handle position using the same rect
     // This ensures alignment with Volto toolbar which uses this rect
@@ -3391,6 +3812,7 @@ export class Bridge {
       editableFields,
       linkableFields,
       mediaFields,
+      editFields,
       // Reveal (#296): which optional fields COULD be revealed, and whether they
       // currently are. Rides BLOCK_SELECTED exactly like mediaFields, so the
       // quanta toolbar can show/hide the toggle with no extra round-trip.
@@ -3400,6 +3822,7 @@ export class Bridge {
       focusedFieldRect,
       focusedLinkableField,
       focusedMediaField,
+      focusedEditField,
       addDirection,
       // canResize tells admin which edge handles to render as visible chrome
       // (per docs/architecture.md). Iframe keeps invisible event-capture
@@ -3411,6 +3834,8 @@ export class Bridge {
       // dispatches the target straight through the existing MOVE_BLOCKS path.
       moveUpTarget: blockUid && blockUid !== PAGE_BLOCK_UID ? this._computeChevronMove(blockUid, 'up') : null,
       moveDownTarget: blockUid && blockUid !== PAGE_BLOCK_UID ? this._computeChevronMove(blockUid, 'down') : null,
+      itemActions: blockUid && blockUid !== PAGE_BLOCK_UID ? this.getItemActions(blockUid) : null,
+      tableRect: blockUid && blockUid !== PAGE_BLOCK_UID ? this.getTableRect(blockUid) : null,
       isMultiElement: blockUid && blockUid !== PAGE_BLOCK_UID ? this.getAllBlockElements(blockUid).length > 1 : false,
     };
 
@@ -3678,71 +4103,29 @@ export class Bridge {
 
     // Register document-level keyboard handlers early so no keystrokes are lost
     // during block transitions (field destroyed → new field not ready yet).
-    this._ensureDocumentKeyboardBlocker();
+    // With keyboard handling disabled the blocker is still attached lazily by
+    // setBlockProcessing / re-render blocking, which need it to buffer typing.
+    if (!this.disable.keyboard) {
+      this._ensureDocumentKeyboardBlocker();
+    }
 
     if (window.self !== window.top) {
       // ... (iframe-specific setup: navigation detection, token retrieval, etc.)
-      // This will set the listners for hashchange & pushstate
-      function detectNavigation(callback) {
-        let currentUrl = window.location.href;
-        log('Setting up navigation detection, currentUrl:', currentUrl);
-
-        function checkNavigation() {
-          const newUrl = window.location.href;
-          if (newUrl !== currentUrl) {
-            log('Navigation detected:', currentUrl, '->', newUrl);
-            callback(currentUrl);
-            currentUrl = newUrl;
-          }
-        }
-
-        // Handle hash changes & popstate events (only happens when browser back/forward buttons is clicked)
-        window.addEventListener('hashchange', checkNavigation);
-        window.addEventListener('popstate', checkNavigation);
-
-        // Intercept pushState and replaceState to detect navigation changes
-        const originalPushState = window.history.pushState;
-        window.history.pushState = function (...args) {
-          originalPushState.apply(this, args);
-          checkNavigation();
-        };
-
-        const originalReplaceState = window.history.replaceState;
-        window.history.replaceState = function (...args) {
-          originalReplaceState.apply(this, args);
-          checkNavigation();
-        };
-
-        // Fallback: poll for URL changes every 200ms
-        // This catches navigation from frameworks that cache history.pushState
-        // before hydra.js patches it (e.g., Vue Router in Nuxt)
-        setInterval(() => {
-          checkNavigation();
-        }, 200);
-
-        // Modern Navigation API (Chrome 102+) - more reliable than polling
-        if (typeof navigation !== 'undefined') {
-          navigation.addEventListener('navigatesuccess', checkNavigation);
-        }
-      }
-
-      log('Setting up detectNavigation with adminOrigin:', this.adminOrigin);
-      detectNavigation((currentUrl) => {
+      // Report URL changes to the admin as the frontend's onRoute hook
+      // decides (watchNavigation in routeDecision.js).
+      log('Setting up navigation detection with adminOrigin:', this.adminOrigin);
+      watchNavigation(window, (currentUrl, route) => {
         const currentUrlObj = new URL(currentUrl);
+        const isInPage = route === ROUTE_IN_PAGE;
+        sessionStorage.setItem('hydra_last_url', window.location.href);
         if (window.location.pathname !== currentUrlObj.pathname) {
           const apiPath = this.pathToApiPath(window.location.pathname);
-          // Check if this is in-page navigation (e.g., paging link with data-linkable-allow)
-          const inPageNavTime = sessionStorage.getItem('hydra_in_page_nav_time');
-          const isInPage = inPageNavTime && (Date.now() - parseInt(inPageNavTime, 10)) < 5000;
-          if (isInPage) {
-            sessionStorage.removeItem('hydra_in_page_nav_time');
-          }
-          log('Sending PATH_CHANGE:', window.location.pathname, '-> apiPath:', apiPath, 'inPage:', !!isInPage, 'to', this.adminOrigin);
+          log('Sending PATH_CHANGE:', window.location.pathname, '-> apiPath:', apiPath, 'inPage:', isInPage, 'to', this.adminOrigin);
           window.parent.postMessage(
             {
               type: 'PATH_CHANGE',
               path: apiPath,
-              inPage: !!isInPage,
+              inPage: isInPage,
             },
             this.adminOrigin,
           );
@@ -3753,16 +4136,17 @@ export class Bridge {
           const i = hash.indexOf('/');
           const rawPath = (i !== -1 ? hash.slice(i) || '/' : '/').replace(/\/+/g, '/');
           const apiPath = this.pathToApiPath(rawPath);
-          log('Sending PATH_CHANGE (hash):', rawPath, '-> apiPath:', apiPath, 'to', this.adminOrigin);
+          log('Sending PATH_CHANGE (hash):', rawPath, '-> apiPath:', apiPath, 'inPage:', isInPage, 'to', this.adminOrigin);
           window.parent.postMessage(
             {
               type: 'PATH_CHANGE',
               path: apiPath,
+              inPage: isInPage,
             },
             this.adminOrigin,
           );
         }
-      });
+      }, (from, to) => this._decideRoute(from, to), { log });
 
       // Hydra bridge is enabled via iframe name (persists across navigation)
       // Format: hydra-edit:<origin> or hydra-view:<origin>
@@ -3772,7 +4156,13 @@ export class Bridge {
       const isHydraEdit = window.name.startsWith('hydra-edit:') || editParam === 'true';
       const isHydraView = window.name.startsWith('hydra-view:') || (editParam === 'false');
       const hydraBridgeEnabled = isHydraEdit || isHydraView || editParam !== null;
-      const isEditMode = isHydraEdit;
+      // A version preview (the admin's block history / version compare) is
+      // named like edit mode, so the frontend renders the data the admin
+      // sends, but `_hydra_preview=1` makes it read-only: no selection,
+      // editing or navigation (setupPreviewMode)
+      const isHydraPreview = isHydraEdit && url.searchParams.get('_hydra_preview') === '1';
+      this._isPreviewMode = isHydraPreview;
+      const isEditMode = isHydraEdit && !isHydraPreview;
       // Remember whether this bridge is in EDIT mode. View mode has no block
       // selection / inline editing, so edit-only keyboard handling (the Escape
       // step-up machine) must not run there — otherwise it hijacks the
@@ -3793,33 +4183,49 @@ export class Bridge {
 
       // Store token in sessionStorage if found in URL, or retrieve from sessionStorage
       if (access_token) {
-        sessionStorage.setItem('hydra_access_token', access_token);
+        storeUrlAccessToken(access_token);
         log('Stored access_token in sessionStorage');
       } else {
         access_token = sessionStorage.getItem('hydra_access_token');
         log('Retrieved access_token from sessionStorage:', access_token ? 'found' : 'not found');
       }
+      // A sign-in or renewal since the URL's token was issued (and not
+      // dropped by a new one above) is the one to use
+      access_token = sessionStorage.getItem('hydra_signed_in_token') || access_token;
 
       if (access_token) {
         this.token = access_token;
         this._setTokenCookie(access_token);
       }
+      if (isEditMode || isHydraView) {
+        this._installTokenRenewal(options?.onTokenRenewed);
+      }
 
       // In view mode, we only need navigation detection (already set up above)
       // Skip all the edit mode setup to avoid slowing down page load
-      if (isEditMode) {
-        this.enableBlockClickListener();
-        this.injectCSS();
-        this.listenForSelectBlockMessage();
-        this.setupScrollHandler();
-        this.setupResizeHandler();
-        this.setupMouseActivityReporter();
+      if (isHydraEdit) {
+        if (isHydraPreview) {
+          this.setupPreviewMode();
+        } else {
+          // Installed with selection disabled too: it also keeps links from
+          // navigating the editor away (block selection is what it skips)
+          this.enableBlockClickListener();
+          this.injectCSS();
+          this.listenForSelectBlockMessage();
+          this.setupScrollHandler();
+          this.setupResizeHandler();
+          this.setupMouseActivityReporter();
+          if (!this.disable.dragAndDrop) {
+            this.setupFileDropHandler();
+          }
+        }
         this.setupStructuralObserver();
 
         // Add beforeunload warning to prevent accidental navigation
         window.addEventListener('beforeunload', (e) => {
           // Skip warning for explicitly allowed link navigation (e.g., paging)
-          if (this._allowLinkNavigation) {
+          // A preview has nothing to lose
+          if (this._allowLinkNavigation || isHydraPreview) {
             this._allowLinkNavigation = false;
             return;
           }
@@ -3848,13 +4254,22 @@ export class Bridge {
         // - But we DO have a token in sessionStorage (we were previously initialized)
         // Without stored token, it's initial load even if URL has no token (e.g., mock-parent tests)
         const hasStoredToken = !!sessionStorage.getItem('hydra_access_token');
-        const isSpaNavigation = isHydraEdit && !hasUrlToken && hasStoredToken;
-
-        // Check if this is in-page navigation (e.g., paging) - send PATH_CHANGE with inPage flag
-        const inPageNavTime = sessionStorage.getItem('hydra_in_page_nav_time');
-        const isInPageNavigation = inPageNavTime && (Date.now() - parseInt(inPageNavTime, 10)) < 5000;
-        if (isInPageNavigation) {
-          sessionStorage.removeItem('hydra_in_page_nav_time');
+        const isSpaNavigation = isEditMode && !hasUrlToken && hasStoredToken;
+
+        // A full page load the frontend didn't route client-side (e.g. a
+        // server-rendered paging link) is still a navigation from the last URL
+        // this tab's bridge saw. Admin-initiated loads carry the token in the
+        // URL and are never in-page. The load has already happened, so a
+        // 'block' can't undo it — keeping the admin on its page is the
+        // closest we get, the same as 'inPage'.
+        // sessionStorage is shared with the editing iframe, so a preview
+        // leaves this tab's last URL alone.
+        const lastUrl = sessionStorage.getItem('hydra_last_url');
+        const reloadRoute = isEditMode && !hasUrlToken && lastUrl && lastUrl !== window.location.href
+          ? this._decideRoute(lastUrl, window.location.href)
+          : null;
+        if (isEditMode) sessionStorage.setItem('hydra_last_url', window.location.href);
+        if (reloadRoute === ROUTE_IN_PAGE || reloadRoute === ROUTE_BLOCK) {
           const apiPath = this.pathToApiPath(currentPath);
           log('In-page navigation detected (paging), sending PATH_CHANGE with inPage flag, apiPath:', apiPath);
           window.parent.postMessage(
@@ -3874,6 +4289,8 @@ export class Bridge {
           const initMessage = {
             type: 'INIT',
             currentPath: this.pathToApiPath(currentPath),
+            ...PROTOCOL_ANNOUNCEMENT,
+            ...this._backendAnnouncement(),
           };
           if (options?.page) {
             initMessage.page = options.page;
@@ -3884,6 +4301,11 @@ export class Bridge {
           if (options?.voltoConfig) {
             initMessage.voltoConfig = options.voltoConfig;
           }
+          // Lets the admin hide chrome that has nothing behind it (the
+          // toolbar's ⠿ is only a visual over the iframe's drag button).
+          if (Object.values(this.disable).some(Boolean)) {
+            initMessage.disable = this.disable;
+          }
           window.parent.postMessage(initMessage, this.adminOrigin);
         }
 
@@ -3892,11 +4314,34 @@ export class Bridge {
             if (e.data.type === 'INITIAL_DATA') {
               // Central method sets formData, lastReceivedFormData, and blockPathMap
               this.setFormDataFromAdmin(e.data.data, 'INITIAL_DATA', e.data.blockPathMap);
+              // FORM_DATA patches start again from the admin's next full send
+              this._formPatchBase = null;
+              // An admin that predates the handshake sends no `protocol` (= 1)
+              const protocol = checkProtocolCompatibility(e.data.protocol);
+              if (!protocol.compatible) {
+                console.warn(
+                  `[HYDRA] admin speaks bridge protocol ${protocol.peerVersion}, this hydra.js ` +
+                  `${HYDRA_PROTOCOL_VERSION} (${protocol.reason}) — editing may not work`,
+                );
+                _showBridgeDiagnostic({
+                  protocolMismatch: {
+                    reason: protocol.reason,
+                    adminVersion: protocol.peerVersion,
+                    bridgeVersion: HYDRA_PROTOCOL_VERSION,
+                  },
+                });
+              }
+              // Features the admin answers (BRIDGE_CAPABILITIES); an admin
+              // that predates them lists none
+              this.adminCapabilities = new Set(e.data.protocol?.capabilities || []);
               // Static conversion graph for convert-reachable drop spots (drag).
               if (e.data.conversionMap) this.conversionMap = e.data.conversionMap;
+              // Types a desktop image drop can create (setupFileDropHandler)
+              if (e.data.imageDropTypes) this.imageDropTypes = e.data.imageDropTypes;
 
-              // Store Slate configuration for keyboard shortcuts and toolbar
-              this.slateConfig = e.data.slateConfig || { hotkeys: {}, toolbarButtons: [] };
+              // Store Slate configuration for keyboard shortcuts, toolbar and
+              // frontend-declared formats
+              this.slateConfig = e.data.slateConfig || { hotkeys: {}, toolbarButtons: [], formats: [] };
 
               // Add nodeIds to all slate fields in all blocks
               this.addNodeIdsToAllSlateFields();
@@ -3909,13 +4354,13 @@ export class Bridge {
               // Focus the iframe window so keyboard events reach it on page load.
               // Must happen inside the iframe (window.focus()) because the parent
               // cannot call contentWindow.focus() on a cross-origin iframe.
-              window.focus();
+              if (!this._isPreviewMode) window.focus();
 
               // Mark bridge as initialized — block selection is now allowed
               this.initialized = true;
 
               // Restore block selection if provided (e.g., after adding a new block)
-              if (e.data.selectedBlockUid) {
+              if (e.data.selectedBlockUid && !this._isPreviewMode) {
                 const blockUidToSelect = e.data.selectedBlockUid;
                 const bridge = this;
                 // Wait for element to appear AND position to stabilize before selecting
@@ -4015,6 +4460,10 @@ export class Bridge {
               if (this._mouseButtonDown) {
                 return;
               }
+              // The frontend owns selection — it calls selectBlock itself
+              if (this.disable.selection) {
+                return;
+              }
               // Focus moved to a different block (e.g., via Tab) — select it
               log('Focus moved to different block:', blockUid, 'from:', this.selectedBlockUid);
               // Cancel any pending initial-selection — user navigated away
@@ -4055,7 +4504,12 @@ export class Bridge {
           }
         }
         window.parent.postMessage(
-          { type: 'INIT', currentPath: this.pathToApiPath(currentPath) },
+          {
+            type: 'INIT',
+            currentPath: this.pathToApiPath(currentPath),
+            ...PROTOCOL_ANNOUNCEMENT,
+            ...this._backendAnnouncement(),
+          },
           this.adminOrigin,
         );
       }
@@ -4077,14 +4531,134 @@ export class Bridge {
     document.cookie = `access_token=${token}; expires=${expiryDate.toUTCString()}; path=/; domain=${domain}; SameSite=None; Secure`;
   }
 
+  /**
+   * Keep the access token fresh for as long as the editor stays. The admin
+   * renews it (TOKEN_RENEW_REQUEST → TOKEN_RENEWED) a minute before it
+   * expires, and whenever a fetch made through the helpers (fetchWithAuth,
+   * the Plone adapter, the listing fetchers) comes back 401 — see
+   * renewAccessToken in @volto-hydra/helpers. The renewed token goes to
+   * sessionStorage and the cookie, so getAccessToken returns it from then on.
+   *
+   * @param {function(string): void} [onTokenRenewed] - Frontend callback,
+   *   e.g. to stop serving pages an SSR/ISR cache rendered with the old token
+   * @private
+   */
+  _installTokenRenewal(onTokenRenewed) {
+    if (this.handleTokenRenewed) return;
+    const waiting = new Map(); // requestId → resolve
+    let nextId = 0;
+    this.handleTokenRenewed = (event) => {
+      if (event.origin !== this.adminOrigin || event.data?.type !== 'TOKEN_RENEWED') {
+        return;
+      }
+      waiting.get(event.data.requestId)?.(event.data.token || null);
+    };
+    window.addEventListener('message', this.handleTokenRenewed);
+
+    setTokenRenewer(
+      () =>
+        new Promise((resolve) => {
+          if (!this._adminHandles('tokenRenewal')) {
+            resolve(null);
+            return;
+          }
+          nextId += 1;
+          const requestId = `token-${nextId}`;
+          const done = (token) => {
+            clearTimeout(timer);
+            waiting.delete(requestId);
+            resolve(token);
+          };
+          // An admin without renewal that INITIAL_DATA hasn't named yet
+          // never answers; keep the old token
+          const timer = setTimeout(() => done(null), TOKEN_RENEW_TIMEOUT_MS);
+          waiting.set(requestId, done);
+          log('TOKEN_RENEW_REQUEST', requestId);
+          window.parent.postMessage(
+            { type: 'TOKEN_RENEW_REQUEST', requestId, token: getAccessToken() },
+            this.adminOrigin,
+          );
+        }),
+    );
+    onAccessTokenRenewed((token) => {
+      log('Access token renewed');
+      this.token = token;
+      this._setTokenCookie(token);
+      // A token that is already due again would renew in a loop
+      if (tokenRenewalDelay(token) !== 0) this._scheduleTokenRenewal();
+    });
+    if (onTokenRenewed) onAccessTokenRenewed(onTokenRenewed);
+    this._scheduleTokenRenewal();
+  }
+
+  /**
+   * Set the timer that renews the current token shortly before it expires.
+   * Tokens without a readable expiry are only renewed on a 401.
+   * @private
+   */
+  _scheduleTokenRenewal() {
+    clearTimeout(this._tokenRenewalTimer);
+    const delay = tokenRenewalDelay(getAccessToken());
+    if (delay === null) return;
+    // setTimeout fires at once for delays past 2^31-1 ms (~24 days)
+    this._tokenRenewalTimer = setTimeout(() => renewAccessToken(), Math.min(delay, 2 ** 31 - 1));
+  }
+
   ////////////////////////////////////////////////////////////////////////////////
   // Real-time Data Handling and Quanta Toolbar Creation
   ////////////////////////////////////////////////////////////////////////////////
 
+  /**
+   * Registers the navigation hook: `callback(from, to)` receives the old and
+   * new location as URL objects for every URL change inside the iframe and
+   * returns 'inPage' (the frontend handles it — tabs, filters, paging; the
+   * admin keeps its edit state), 'block' (veto — undo the change, tell the
+   * admin nothing) or 'default'/nothing (the admin follows to the new page).
+   *
+   * @param {function} callback - `(from: URL, to: URL) => 'default'|'inPage'|'block'|undefined`
+   */
+  onRoute(callback) {
+    this.routeHandler = callback;
+  }
+
+  /**
+   * Route decision for a URL change: the frontend's onRoute hook first, then
+   * the bridge's own default — 'inPage' right after a click on a
+   * `data-linkable-allow` element (paging links) on the page being left.
+   *
+   * @param {string} from - Absolute URL before the change
+   * @param {string} to - Absolute URL after the change
+   * @returns {'default'|'inPage'|'block'}
+   */
+  _decideRoute(from, to) {
+    let fallback;
+    try {
+      const hint = JSON.parse(sessionStorage.getItem('hydra_in_page_nav') || 'null');
+      if (hint && hint.from === from && Date.now() - hint.at < 5000) {
+        fallback = ROUTE_IN_PAGE;
+        sessionStorage.removeItem('hydra_in_page_nav');
+      }
+    } catch (e) {
+      sessionStorage.removeItem('hydra_in_page_nav');
+    }
+    const route = decideRoute(this.routeHandler, from, to, fallback);
+    log('Route decision:', from, '->', to, '=', route);
+    return route;
+  }
+
   /**
    * Registers a callback to handle real-time data updates from the adminUI.
    *
-   * @param {function} callback - The function to call when form data is received.
+   * The callback gets `(formData, changes)`. `changes` lets a frontend
+   * re-render only what changed: `blockIds` (added or changed blocks — a
+   * container whose layout changed is listed, not each child),
+   * `removedBlockIds`, `pageFields` (top-level fields such as `title`
+   * or `blocks_layout`) and the raw `ops`. When `changes.full` is true
+   * (first render, full resync, an admin without patch support) anything
+   * may have changed.
+   *
+   * @param {function(Object, Object): void} callback - The function to call
+   *   when form data is received.
    */
   onEditChange(callback) {
     // Store callback so INITIAL_DATA handler can use it
@@ -4099,11 +4673,18 @@ export class Bridge {
           event.data.type === 'TOGGLE_MARK_DONE'
         ) {
           log('Received', event.data.type, 'message');
-          if (event.data.data) {
+          // Incremental FORM_DATA: rebuild the full form from the patch
+          // (or record a full one as the next patch's base).
+          let message = event.data;
+          if (message.type === 'FORM_DATA' && (message.patch || message.formVersion != null)) {
+            message = this._resolveFormDataPatch(message);
+            if (!message) return; // wrong base — full resync requested
+          }
+          if (message.data) {
             // Don't set isInlineEditing to false - user is still editing
             // Check if focused field content changed - if so, this is a sidebar edit,
             // not just a sync. Clear savedClickPosition to prevent stealing focus.
-            if (this.savedClickPosition && !this.focusedFieldValuesEqual(this.formData, event.data.data)) {
+            if (this.savedClickPosition && !this.focusedFieldValuesEqual(this.formData, message.data)) {
               log('FORM_DATA: content changed, clearing savedClickPosition (sidebar edit)');
               this.savedClickPosition = null;
             }
@@ -4111,7 +4692,7 @@ export class Bridge {
             // Check if Admin wants to select a different block (e.g., after Enter creates new block)
             // NOTE: Don't set this.selectedBlockUid here - let selectBlock() set it so isSelectingSameBlock
             // is calculated correctly (important for scroll-into-view behavior)
-            const adminSelectedBlockUid = event.data.selectedBlockUid;
+            const adminSelectedBlockUid = message.selectedBlockUid;
             const needsBlockSwitch = adminSelectedBlockUid && adminSelectedBlockUid !== this.selectedBlockUid;
             if (needsBlockSwitch) {
               log('Switching selectedBlockUid from', this.selectedBlockUid, 'to', adminSelectedBlockUid);
@@ -4125,9 +4706,9 @@ export class Bridge {
             // Check if incoming FORM_DATA is stale (our local sequence is higher)
             // EXCEPTION: Never reject format responses - they have formatRequestId and are
             // the result of a format operation we requested
-            const incomingSeq = event.data.data?._editSequence || 0;
+            const incomingSeq = message.data?._editSequence || 0;
             const localSeq = this.formData?._editSequence || 0;
-            const isFormatResponse = !!event.data.formatRequestId;
+            const isFormatResponse = !!message.formatRequestId;
             const isStale = incomingSeq < localSeq && !isFormatResponse;
 
             if (isStale) {
@@ -4135,21 +4716,25 @@ export class Bridge {
                   'isFormatResponse:', isFormatResponse, 'blockedBlockId:', this.blockedBlockId);
               // Don't unblock here - the stale FORM_DATA is not the response we're waiting for
               // Wait for the actual format response (which will have formatRequestId)
+              // Its changes still have to reach the renderer with the next one.
+              this._droppedFormChanges = this._droppedFormChanges
+                ? mergeFormPatchSummaries(this._droppedFormChanges, message.changes || fullFormChanges())
+                : message.changes || fullFormChanges();
               return;
             }
 
             // Central method for setting form data with logging (also sets blockPathMap)
-            if (event.data.blockPathMap === undefined) {
+            if (message.blockPathMap === undefined) {
               log('WARNING: FORM_DATA received without blockPathMap!',
-                'message keys:', Object.keys(event.data),
-                'hasData:', !!event.data.data,
-                'formatRequestId:', event.data.formatRequestId,
-                'selectedBlockUid:', event.data.selectedBlockUid);
+                'message keys:', Object.keys(message),
+                'hasData:', !!message.data,
+                'formatRequestId:', message.formatRequestId,
+                'selectedBlockUid:', message.selectedBlockUid);
             }
-            if (event.data._sentAt) {
-              log('FORM_DATA postMessage delivery:', (Date.now() - event.data._sentAt) + 'ms');
+            if (message._sentAt) {
+              log('FORM_DATA postMessage delivery:', (Date.now() - message._sentAt) + 'ms');
             }
-            if (this._transformSentAt && event.data.formatRequestId) {
+            if (this._transformSentAt && message.formatRequestId) {
               log('FORM_DATA total round-trip:', (performance.now() - this._transformSentAt).toFixed(0) + 'ms');
               this._transformSentAt = null;
             }
@@ -4159,11 +4744,26 @@ export class Bridge {
             // DOM against data the framework never received.
             if (this._renderInProgress) {
               log('FORM_DATA: render in progress, queuing');
-              this._formDataQueue = event.data;
+              // Only the latest is kept, so it carries the changes of any it replaces
+              const replaced = this._formDataQueue;
+              this._formDataQueue = replaced
+                ? {
+                  ...message,
+                  changes: mergeFormPatchSummaries(
+                    replaced.changes || fullFormChanges(),
+                    message.changes || fullFormChanges(),
+                  ),
+                }
+                : message;
               return;
             }
 
-            this.setFormDataFromAdmin(event.data.data, 'FORM_DATA', event.data.blockPathMap);
+            this.setFormDataFromAdmin(message.data, 'FORM_DATA', message.blockPathMap);
+            let changes = message.changes || fullFormChanges();
+            if (this._droppedFormChanges) {
+              changes = mergeFormPatchSummaries(this._droppedFormChanges, changes);
+              this._droppedFormChanges = null;
+            }
 
             // Add nodeIds to all slate blocks before rendering
             this.addNodeIdsToAllSlateFields();
@@ -4176,27 +4776,28 @@ export class Bridge {
             log('echo detection took', (performance.now() - echoT0).toFixed(1) + 'ms, isEcho:', this._isEchoFormData);
 
             // Extract formatRequestId early so it's available in rAF callbacks
-            const formatRequestId = event.data.formatRequestId;
+            const formatRequestId = message.formatRequestId;
             // Set expectedSelectionFromAdmin BEFORE the render so that any
             // selectionchange from DOM re-render is suppressed. Without this,
             // the selectionchange fires before afterContentRender's double-rAF
             // sets it, sending a stale [0,0] selection back to the admin.
-            if (event.data.transformedSelection) {
-              this.expectedSelectionFromAdmin = event.data.transformedSelection;
+            if (message.transformedSelection) {
+              this.expectedSelectionFromAdmin = message.transformedSelection;
             }
             // skipRender: data didn't change (e.g. link cancel) — skip the
             // framework re-render but still run afterContentRender for
             // selection restore, unblock, observer reattachment, etc.
-            const renderFn = event.data.skipRender ? () => {} : callback;
-            log(event.data.skipRender
+            const renderFn = message.skipRender ? () => {} : callback;
+            log(message.skipRender
               ? 'FORM_DATA: skipRender — running afterContentRender without re-render'
               : 'Calling onEditChange callback to trigger re-render');
             this._executeRender(renderFn, {
-              transformedSelection: event.data.transformedSelection,
+              transformedSelection: message.transformedSelection,
               formatRequestId,
               needsBlockSwitch,
               adminSelectedBlockUid,
-              skipRender: !!event.data.skipRender,
+              skipRender: !!message.skipRender,
+              changes,
             });
           } else {
             throw new Error('No form data has been sent from the adminUI');
@@ -4275,6 +4876,11 @@ export class Bridge {
           // stepUpSelection() so there is one source of truth.
           log('Received STEP_UP');
           this.stepUpSelection({ source: 'stepUpMessage' });
+        } else if (event.data.type === 'HIGHLIGHT_MATCHES') {
+          // Admin find / replace panel: mark every match, the current one apart
+          this.highlightMatches(event.data.matches || [], event.data.currentIndex);
+        } else if (event.data.type === 'SELECT_MATCH') {
+          this.selectMatch(event.data.match);
         } else if (event.data.type === 'TEMPLATE_EDIT_MODE') {
           // v2: the set of currently-unlocked template instance ids (string[]).
           // Multiple templates can be unlocked at once; an empty array means none.
@@ -4368,8 +4974,11 @@ export class Bridge {
    */
   enableBlockClickListener() {
     this.blockClickHandler = (event) => {
+      // With selection disabled (the frontend calls selectBlock itself) a
+      // click still gets its link handling below, but never selects
+      const selecting = !this.disable.selection;
       // Selection mode: clicks toggle blocks instead of selecting
-      if (this._selectionModeBlockUids) {
+      if (this._selectionModeBlockUids && selecting) {
         const blockElement = event.target.closest('[data-block-uid]');
         if (blockElement) {
           event.preventDefault();
@@ -4390,7 +4999,7 @@ export class Bridge {
       // Don't stopPropagation or preventDefault - let frontend handle visibility changes
       // Skip if tryMakeBlockVisible is currently navigating (to avoid interference)
       const selectorElement = event.target.closest('[data-block-selector]');
-      if (selectorElement) {
+      if (selectorElement && selecting) {
         // tryMakeBlockVisible reveals a hidden block by SYNTHESISING a click on
         // its selector (`clickedSelector.click()`); that must not re-enter this
         // handler. But a genuine user click arriving mid-navigation was being
@@ -4426,6 +5035,7 @@ export class Bridge {
       // Save the click point and poll until init + render are done, then resolve
       // the block via elementFromPoint (DOM may re-render during init).
       if (!this.initialized) {
+        if (!selecting) return;
         log('blockClickHandler: deferred — INITIAL_DATA not yet received');
         const x = event.clientX;
         const y = event.clientY;
@@ -4461,8 +5071,12 @@ export class Bridge {
         this._allowLinkNavigation = true;
         // Reset flag after short delay if navigation didn't happen
         setTimeout(() => { this._allowLinkNavigation = false; }, 100);
-        // Store timestamp for in-page navigation - checked on reload to skip PATH_CHANGE
-        sessionStorage.setItem('hydra_in_page_nav_time', String(Date.now()));
+        // The navigation this click starts is in-page by default (paging);
+        // survives a full reload so the next document's init can read it.
+        sessionStorage.setItem('hydra_in_page_nav', JSON.stringify({
+          from: window.location.href,
+          at: Date.now(),
+        }));
       }
 
       const blockElement = event.target.closest('[data-block-uid]');
@@ -4495,6 +5109,7 @@ export class Bridge {
             }
           }
         }
+        if (!selecting) return;
 
         // Store click position relative to the editable element for cursor positioning
         // Using relative coordinates ensures focus()/scroll doesn't invalidate the position
@@ -4512,7 +5127,9 @@ export class Bridge {
         // otherwise submit the form (showing the success state) instead of letting
         // you edit its label. Links are handled above (data-edit-link); a plain
         // <h3>/<p>/<label> has no default action so this is a no-op for them.
-        if (clickedEditableField) {
+        // A data-edit-field element opens its popover instead, so the same goes
+        // for it (a rendered checkbox or <details> would otherwise flip itself).
+        if (clickedEditableField || (!isInsideReadonly && event.target.closest('[data-edit-field]'))) {
           event.preventDefault();
         }
 
@@ -4579,8 +5196,8 @@ export class Bridge {
         this.selectBlock(blockElement);
       } else {
         // No block - check for page-level fields
-        const pageField = event.target.closest('[data-edit-media], [data-edit-link], [data-edit-text]');
-        if (pageField) {
+        const pageField = event.target.closest('[data-edit-media], [data-edit-link], [data-edit-text], [data-edit-field]');
+        if (pageField && selecting) {
           event.preventDefault();
           this.selectedBlockUid = PAGE_BLOCK_UID;
 
@@ -4588,6 +5205,7 @@ export class Bridge {
           this.focusedMediaField = pageField.getAttribute('data-edit-media');
           this.focusedLinkableField = pageField.getAttribute('data-edit-link');
           this.focusedFieldName = pageField.getAttribute('data-edit-text');
+          this.focusedEditField = pageField.getAttribute('data-edit-field');
 
           // Make page-level text fields editable and focusable
           if (this.focusedFieldName) {
@@ -4637,7 +5255,8 @@ export class Bridge {
     // block-selector button (e.g., carousel +1/-1) is clicked.
     if (!this._blockSelectorMousedownHandler) {
       this._blockSelectorMousedownHandler = (event) => {
-        if (event.target.closest('[data-block-selector]')) {
+        // Nothing clears it when selection (and so the reveal) is disabled
+        if (!this.disable.selection && event.target.closest('[data-block-selector]')) {
           this._blockSelectorNavigating = true;
         }
       };
@@ -4670,7 +5289,7 @@ export class Bridge {
           ae.closest &&
           ae.closest('[contenteditable="true"]')
         );
-        if (inTextMode) return;
+        if (inTextMode || this.disable.selection) return;
 
         const touch = e.touches[0];
         startX = touch.clientX;
@@ -4763,6 +5382,7 @@ export class Bridge {
       }
       // Not blocked — handle all keydown events based on current mode.
       if (!this.blockedBlockId) {
+        if (this.disable.keyboard) return; // Frontend handles block-mode keys
         if (e.type !== 'keydown') return;
         if (['Shift', 'Control', 'Alt', 'Meta', 'Tab'].includes(e.key)) return;
         if (e.defaultPrevented) return; // Already handled by field-level handler
@@ -4806,6 +5426,20 @@ export class Bridge {
           return;
         }
 
+        // === Cmd+Shift+F: the admin's find / replace panel ===
+        if (
+          this._isEditMode &&
+          this._adminHandles('findReplace') &&
+          (e.ctrlKey || e.metaKey) &&
+          e.shiftKey &&
+          e.key?.toLowerCase() === 'f'
+        ) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.sendMessageToParent({ type: 'OPEN_FIND' });
+          return;
+        }
+
         // === Cmd+A: escalation (text → block → all siblings) ===
         if (e.key === 'a' && (e.ctrlKey || e.metaKey) && this.selectedBlockUid) {
           if (activeEditField) {
@@ -4864,8 +5498,9 @@ export class Bridge {
         }
 
         // === Text mode on non-editable block (no field to focus): use same
-        // edge navigation as text mode at field boundary ===
-        if (this.editMode === 'text' &&
+        // edge navigation as text mode at field boundary (Alt+Arrow moves
+        // the block instead — see _handleBlockModeKey) ===
+        if (this.editMode === 'text' && !e.altKey &&
             ['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight'].includes(e.key)) {
           const blockEl = this.queryBlockElement(this.selectedBlockUid);
           if (blockEl) {
@@ -6740,6 +7375,42 @@ export class Bridge {
     e.clipboardData.setData('text/html', cleanHtml);
   }
 
+  /**
+   * Put whole blocks on the system clipboard (see blocksClipboard.js), so
+   * they can be pasted in another tab or site. Best effort: the admin's
+   * blocksClipboard (COPY_BLOCKS) still covers this tab when the browser
+   * refuses the write.
+   *
+   * @param {string[]} uids - Blocks to copy, in order
+   * @param {'copy'|'cut'} action
+   */
+  _writeBlocksClipboard(uids, action) {
+    const blocks = uids
+      .filter((uid) => uid !== PAGE_BLOCK_UID)
+      .map((uid) => [uid, this.getBlockData(uid)])
+      .filter(([, block]) => block);
+    writeBlocksClipboard(blocks, { action, source: window.location.origin }).then((written) => {
+      if (!written) log('Blocks clipboard not written');
+    });
+  }
+
+  /**
+   * Send the block-mode paste Cmd+V started (_pendingBlocksPaste), with the
+   * blocks the system clipboard held, if any.
+   *
+   * @param {Object|null} clipboard - From parseBlocksClipboard
+   */
+  _sendBlocksPaste(clipboard) {
+    const afterBlockId = this._pendingBlocksPaste;
+    if (!afterBlockId) return;
+    this._pendingBlocksPaste = null;
+    this.sendMessageToParent({
+      type: 'PASTE_BLOCKS',
+      afterBlockId,
+      ...(clipboard && { blocks: clipboard.blocks, copiedAt: clipboard.copiedAt }),
+    });
+  }
+
   /**
    * Handle cut — copy cleaned selection to clipboard, then delete via transform.
    * Single function called from both normal keydown handler and buffered replay.
@@ -6754,8 +7425,17 @@ export class Bridge {
   /**
    * Handle paste — send paste transform with HTML content.
    * Single function called from both native paste event handler and buffered replay.
+   * A spreadsheet range pasted into a table cell goes as a 'pasteTable'
+   * transform instead, so the admin fills (and grows) the table from that cell.
    */
   _doPaste(blockUid, html) {
+    const grid = this.blockPathMap?.[blockUid]?.parentAddMode === 'table'
+      ? parseClipboardTable(html)
+      : null;
+    if (grid) {
+      this.sendTransformRequest(blockUid, 'pasteTable', { grid });
+      return;
+    }
     this.sendTransformRequest(blockUid, 'paste', { html });
   }
 
@@ -6822,6 +7502,11 @@ export class Bridge {
         const elapsed = this._renderStartTime ? (performance.now() - this._renderStartTime).toFixed(0) : '?';
         log('doAfterContentRender START +' + elapsed + 'ms');
 
+        // Find / replace highlights hold ranges into the DOM just replaced
+        if (this._findHighlight?.matches.length) {
+          this.highlightMatches(this._findHighlight.matches, this._findHighlight.currentIndex);
+        }
+
         // All-blocks operations (materializeHydraComments, markEmptyBlocks,
         // applyReadonlyVisuals, applyPlaceholders) are handled by the
         // structural observer — it fires whenever the framework patches the
@@ -6846,6 +7531,8 @@ export class Bridge {
 
             const newBlockRect = blockElement.getBoundingClientRect();
             const newMediaFields = this.getMediaFields(blockElement);
+            // data-edit-field popovers follow their element the same way
+            const newEditFields = this.getEditFields(blockElement);
 
             const blockRectChanged = !this.lastBlockRect ||
               Math.abs(newBlockRect.top - this.lastBlockRect.top) > 1 ||
@@ -6853,25 +7540,22 @@ export class Bridge {
               Math.abs(newBlockRect.width - this.lastBlockRect.width) > 1 ||
               Math.abs(newBlockRect.height - this.lastBlockRect.height) > 1;
 
-            let mediaFieldsChanged = false;
-            const newFieldNames = Object.keys(newMediaFields);
-            const lastFieldNames = Object.keys(this.lastMediaFields || {});
-            if (newFieldNames.length !== lastFieldNames.length) {
-              mediaFieldsChanged = true;
-            } else {
-              for (const fieldName of newFieldNames) {
-                const newRect = newMediaFields[fieldName]?.rect;
-                const lastRect = this.lastMediaFields?.[fieldName]?.rect;
-                if (!newRect || !lastRect ||
-                    Math.abs(newRect.top - lastRect.top) > 1 ||
-                    Math.abs(newRect.left - lastRect.left) > 1 ||
-                    Math.abs(newRect.width - lastRect.width) > 1 ||
-                    Math.abs(newRect.height - lastRect.height) > 1) {
-                  mediaFieldsChanged = true;
-                  break;
-                }
-              }
-            }
+            const fieldRectsChanged = (next, last) => {
+              const names = Object.keys(next);
+              if (names.length !== Object.keys(last || {}).length) return true;
+              return names.some((fieldName) => {
+                const newRect = next[fieldName]?.rect;
+                const lastRect = last?.[fieldName]?.rect;
+                return !newRect || !lastRect ||
+                  Math.abs(newRect.top - lastRect.top) > 1 ||
+                  Math.abs(newRect.left - lastRect.left) > 1 ||
+                  Math.abs(newRect.width - lastRect.width) > 1 ||
+                  Math.abs(newRect.height - lastRect.height) > 1;
+              });
+            };
+            const mediaFieldsChanged =
+              fieldRectsChanged(newMediaFields, this.lastMediaFields) ||
+              fieldRectsChanged(newEditFields, this.lastEditFields);
 
             log('afterContentRender check:', {
               blockRectChanged,
@@ -6888,6 +7572,7 @@ export class Bridge {
               });
               this.lastBlockRect = { top: newBlockRect.top, left: newBlockRect.left, width: newBlockRect.width, height: newBlockRect.height };
               this.lastMediaFields = JSON.parse(JSON.stringify(newMediaFields));
+              this.lastEditFields = JSON.parse(JSON.stringify(newEditFields));
             }
           }
         }
@@ -7809,15 +8494,17 @@ export class Bridge {
   }
 
   /**
-   * Selects a block and communicates the selection to the adminUI.
-   *
-   * @param {HTMLElement|string} blockElementOrUid - The block element or block UID to select.
-   */
-  /**
-   * Select a block. The caller decides the editing intent via options.fieldToFocus:
+   * Select a block and communicate the selection to the admin UI. Public: a
+   * frontend that disables the built-in selection (`disable.selection`) calls
+   * this from its own interaction model, e.g. `bridge.selectBlock(slideUid)`.
+   * The caller decides the editing intent via options.fieldToFocus:
    *   undefined → auto (focus first editable field, set contenteditable — text mode)
    *   null      → block mode (no contenteditable, no field focus)
    *   'value'   → focus specific field
+   *
+   * @param {HTMLElement|string} blockElementOrUid - The block element or block UID to select.
+   * @param {Object} [options]
+   * @param {string|null} [options.fieldToFocus] - See above
    */
   selectBlock(blockElementOrUid, options = {}) {
     // Back-compat: old callers pass a string as second arg (caller name for logging)
@@ -7987,9 +8674,11 @@ export class Bridge {
     this.focusedFieldName = null;
     this.focusedLinkableField = null;
     this.focusedMediaField = null;
+    this.focusedEditField = null;
     // Reset cached sizes so first FORM_DATA will send updated rects
     this.lastBlockRect = null;
     this.lastMediaFields = null;
+    this.lastEditFields = null;
 
     // Detect focused fields from click location (skip for template instances)
     if (!isTemplateInstance && this.lastClickPosition?.target) {
@@ -8004,6 +8693,7 @@ export class Bridge {
       // Detect clicked linkable and media fields
       this.focusedLinkableField = this.lastClickPosition.linkableField || null;
       this.focusedMediaField = this.lastClickPosition.mediaField || null;
+      this.focusedEditField = this.lastClickPosition.editField || null;
       if (this.focusedLinkableField) {
         log('Detected focused linkable field from click:', this.focusedLinkableField);
       }
@@ -8054,6 +8744,7 @@ export class Bridge {
       focusedFieldName: this.focusedFieldName,
       focusedLinkableField: this.focusedLinkableField,
       focusedMediaField: this.focusedMediaField,
+      focusedEditField: this.focusedEditField,
       addDirection, // Direction for add button positioning
       isMultiElement, // Signal that this is a multi-element selection
     };
@@ -8071,7 +8762,9 @@ export class Bridge {
     // Create drag handle for block reordering (works for all block types including template instances)
     // This creates an invisible button in the iframe positioned under the parent's visual drag handle
     // Mouse events pass through the parent's visual (which has pointerEvents: 'none') to this button
-    this.createDragHandle(blockElements);
+    if (!this.disable.dragAndDrop) {
+      this.createDragHandle(blockElements);
+    }
 
     // Observe block size changes (e.g., image loading, content changes)
     // This updates the selection outline when block dimensions change
@@ -8107,6 +8800,7 @@ export class Bridge {
           focusedFieldName: hasEditableFields ? pending.focusedFieldName : null,
           focusedLinkableField: pending.focusedLinkableField,
           focusedMediaField: pending.focusedMediaField,
+          focusedEditField: pending.focusedEditField,
         });
         if (isTemplateInstance) return;
       }
@@ -8247,12 +8941,14 @@ export class Bridge {
             const pendingFocusedFieldName = this._pendingBlockSelected.focusedFieldName;
             const pendingFocusedLinkableField = this._pendingBlockSelected.focusedLinkableField;
             const pendingFocusedMediaField = this._pendingBlockSelected.focusedMediaField;
+            const pendingFocusedEditField = this._pendingBlockSelected.focusedEditField;
             this._pendingBlockSelected = null;
             this.sendBlockSelected('selectionChangeListener', currentBlockElement, {
               blockUid: pendingBlockUid,
               focusedFieldName: pendingFocusedFieldName,
               focusedLinkableField: pendingFocusedLinkableField,
               focusedMediaField: pendingFocusedMediaField,
+              focusedEditField: pendingFocusedEditField,
               selection: serializedSelection,
             });
             log('Sent BLOCK_SELECTED with selection:', { blockUid: pendingBlockUid, selection: serializedSelection });
@@ -8291,6 +8987,7 @@ export class Bridge {
       target: event.target, // For field detection
       linkableField: fieldAttr('data-edit-link'),
       mediaField: fieldAttr('data-edit-media'),
+      editField: fieldAttr('data-edit-field'),
     };
   }
 
@@ -9542,80 +10239,12 @@ export class Bridge {
         // resolution is uniform for every cursor position (it effectively walks both up
         // and down and takes the nearest droppable edge). Enable HYDRA_DEBUG to trace.
         {
-          const candidates = Array.from(document.querySelectorAll('[data-block-uid]'))
-            .filter(el => el !== draggedBlock && !draggedBlockUids.includes(uidOf(el)));
-          // For each candidate, measure BOTH insert edges along the axis its siblings
-          // are laid out on — a horizontal row (columns / data-block-add="right") uses
-          // the left/right edges + clientX, a vertical stack uses top/bottom + clientY
-          // (the same axis the drop indicator is drawn on downstream, getAddDirection) —
-          // and take the nearer: the leading edge inserts BEFORE (insertAt 0), the
-          // trailing edge inserts AFTER (insertAt 1). Measuring both edges per block
-          // (rather than only the add edge) keeps a dense set of candidates so the
-          // nearest inside edge reliably wins near a container boundary.
-          let bestEdge = null;
-          // Accumulate a compact per-candidate trace and emit it as ONE log line per
-          // move (below), not one line PER candidate: with HYDRA_DEBUG on in tests the
-          // scan runs every mousemove, and a log() per candidate floods the CDP console
-          // channel enough to starve mouse.move/boundingBox (60s timeouts). Batching to
-          // a single message per move keeps the "why each candidate didn't match" trace
-          // the design calls for at ~1/30th the message volume.
-          const edgeTrace = (debugEnabled || window.HYDRA_DEBUG) ? [] : null;
-          for (const el of candidates) {
-            const rect = el.getBoundingClientRect();
-            const horizontal = this.getAddDirection(el) === 'right';
-            // True 2D distance from the cursor to each insert-edge LINE SEGMENT, not
-            // just the perpendicular axis — otherwise blocks that share the insertion
-            // axis but sit at a different offset on the other axis (e.g. children of
-            // DIFFERENT columns at the same Y) are indistinguishable and the wrong one
-            // can win. The edge is a segment along the block's span on the OTHER axis;
-            // `over` is how far the cursor is outside that span (0 when within it, so a
-            // vertical stack the cursor is over reduces to the plain perpendicular dy).
-            let dStart, dEnd;
-            if (horizontal) {
-              // vertical insert edges (left/right); segment spans rect.top..rect.bottom
-              const over = e.clientY < rect.top ? rect.top - e.clientY
-                : e.clientY > rect.bottom ? e.clientY - rect.bottom : 0;
-              dStart = Math.hypot(e.clientX - rect.left, over);
-              dEnd = Math.hypot(e.clientX - rect.right, over);
-            } else {
-              // horizontal insert edges (top/bottom); segment spans rect.left..rect.right
-              const over = e.clientX < rect.left ? rect.left - e.clientX
-                : e.clientX > rect.right ? e.clientX - rect.right : 0;
-              dStart = Math.hypot(over, e.clientY - rect.top);
-              dEnd = Math.hypot(over, e.clientY - rect.bottom);
-            }
-            const at = dStart <= dEnd ? 0 : 1; // 0 = before (top/left), 1 = after (bottom/right)
-            const dist = Math.min(dStart, dEnd);
-            const droppable = isDroppableBeside(el);
-            // Nesting depth (block ancestors). A container's insert edge ~coincides with
-            // its last/first child's edge, so at an exact-or-near distance tie a pure
-            // `dist <` picks whichever comes FIRST in DOM order — the ANCESTOR container —
-            // and a reorder meant to stay inside the container ejects the block to the
-            // outer level. Depth breaks that tie toward the INNER (deeper) edge so the
-            // block reorders within the container the cursor is over. (object-blocks:213:
-            // ob-1 and child-2 both at d6 → without this, ob-1 wins and child-1 ejects.)
-            let depth = 0;
-            for (let p = el.parentElement; p; p = p.parentElement) {
-              if (p.hasAttribute && p.hasAttribute('data-block-uid')) depth++;
-            }
-            if (edgeTrace) edgeTrace.push(`${uidOf(el)}${horizontal ? 'H' : 'V'}@${at}d${Math.round(dist)}${droppable ? 'ok' : 'x'}`);
-            if (droppable) {
-              const NEST_EPS = 8; // px within which two edges count as coincident
-              let better = false;
-              if (!bestEdge) {
-                better = true;
-              } else if (dist < bestEdge.dist - NEST_EPS) {
-                better = true; // clearly closer — cursor is genuinely nearer this edge
-              } else if (dist <= bestEdge.dist + NEST_EPS) {
-                // near-coincident: prefer the deeper (inner) edge; tie at equal depth → closer
-                better =
-                  depth > bestEdge.depth ||
-                  (depth === bestEdge.depth && dist < bestEdge.dist);
-              }
-              if (better) bestEdge = { el, at, dist, depth };
-            }
-          }
-          if (edgeTrace) log('[drag-edge] candidates', edgeTrace.join(' '));
+          const bestEdge = this._findNearestDropEdge(
+            e.clientX,
+            e.clientY,
+            isDroppableBeside,
+            (el) => el === draggedBlock || draggedBlockUids.includes(uidOf(el)),
+          );
           if (bestEdge) {
             log('[drag-edge] nearest droppable edge ->', uidOf(bestEdge.el), 'insertAt', bestEdge.at);
             closestBlock = bestEdge.el;
@@ -9950,6 +10579,98 @@ export class Bridge {
     dragButton._dragHandler = dragHandler;
   }
 
+  /**
+   * Where dragged content would land: the nearest insert edge, to the cursor,
+   * of a block the content can drop beside (`isDroppableBeside(el)` — into
+   * el's parent). Shared by block drags and desktop file drops.
+   *
+   * @param {number} clientX
+   * @param {number} clientY
+   * @param {function(Element): boolean} isDroppableBeside
+   * @param {function(Element): boolean} [isExcluded] - Blocks that can't be
+   *   a target (the dragged blocks themselves)
+   * @returns {{el: Element, at: number}|null} `at` 0 inserts before el
+   *   (top/left), 1 after; null when nothing accepts the drop
+   */
+  _findNearestDropEdge(clientX, clientY, isDroppableBeside, isExcluded = () => false) {
+    const uidOf = (el) => el && el.getAttribute('data-block-uid');
+    const candidates = Array.from(document.querySelectorAll('[data-block-uid]'))
+      .filter((el) => !isExcluded(el));
+    // For each candidate, measure BOTH insert edges along the axis its siblings
+    // are laid out on — a horizontal row (columns / data-block-add="right") uses
+    // the left/right edges + clientX, a vertical stack uses top/bottom + clientY
+    // (the same axis the drop indicator is drawn on downstream, getAddDirection) —
+    // and take the nearer: the leading edge inserts BEFORE (insertAt 0), the
+    // trailing edge inserts AFTER (insertAt 1). Measuring both edges per block
+    // (rather than only the add edge) keeps a dense set of candidates so the
+    // nearest inside edge reliably wins near a container boundary.
+    let bestEdge = null;
+    // Accumulate a compact per-candidate trace and emit it as ONE log line per
+    // move (below), not one line PER candidate: with HYDRA_DEBUG on in tests the
+    // scan runs every mousemove, and a log() per candidate floods the CDP console
+    // channel enough to starve mouse.move/boundingBox (60s timeouts). Batching to
+    // a single message per move keeps the "why each candidate didn't match" trace
+    // the design calls for at ~1/30th the message volume.
+    const edgeTrace = (debugEnabled || window.HYDRA_DEBUG) ? [] : null;
+    for (const el of candidates) {
+      const rect = el.getBoundingClientRect();
+      const horizontal = this.getAddDirection(el) === 'right';
+      // True 2D distance from the cursor to each insert-edge LINE SEGMENT, not
+      // just the perpendicular axis — otherwise blocks that share the insertion
+      // axis but sit at a different offset on the other axis (e.g. children of
+      // DIFFERENT columns at the same Y) are indistinguishable and the wrong one
+      // can win. The edge is a segment along the block's span on the OTHER axis;
+      // `over` is how far the cursor is outside that span (0 when within it, so a
+      // vertical stack the cursor is over reduces to the plain perpendicular dy).
+      let dStart, dEnd;
+      if (horizontal) {
+        // vertical insert edges (left/right); segment spans rect.top..rect.bottom
+        const over = clientY < rect.top ? rect.top - clientY
+          : clientY > rect.bottom ? clientY - rect.bottom : 0;
+        dStart = Math.hypot(clientX - rect.left, over);
+        dEnd = Math.hypot(clientX - rect.right, over);
+      } else {
+        // horizontal insert edges (top/bottom); segment spans rect.left..rect.right
+        const over = clientX < rect.left ? rect.left - clientX
+          : clientX > rect.right ? clientX - rect.right : 0;
+        dStart = Math.hypot(over, clientY - rect.top);
+        dEnd = Math.hypot(over, clientY - rect.bottom);
+      }
+      const at = dStart <= dEnd ? 0 : 1; // 0 = before (top/left), 1 = after (bottom/right)
+      const dist = Math.min(dStart, dEnd);
+      const droppable = isDroppableBeside(el);
+      // Nesting depth (block ancestors). A container's insert edge ~coincides with
+      // its last/first child's edge, so at an exact-or-near distance tie a pure
+      // `dist <` picks whichever comes FIRST in DOM order — the ANCESTOR container —
+      // and a reorder meant to stay inside the container ejects the block to the
+      // outer level. Depth breaks that tie toward the INNER (deeper) edge so the
+      // block reorders within the container the cursor is over. (object-blocks:213:
+      // ob-1 and child-2 both at d6 → without this, ob-1 wins and child-1 ejects.)
+      let depth = 0;
+      for (let p = el.parentElement; p; p = p.parentElement) {
+        if (p.hasAttribute && p.hasAttribute('data-block-uid')) depth++;
+      }
+      if (edgeTrace) edgeTrace.push(`${uidOf(el)}${horizontal ? 'H' : 'V'}@${at}d${Math.round(dist)}${droppable ? 'ok' : 'x'}`);
+      if (droppable) {
+        const NEST_EPS = 8; // px within which two edges count as coincident
+        let better = false;
+        if (!bestEdge) {
+          better = true;
+        } else if (dist < bestEdge.dist - NEST_EPS) {
+          better = true; // clearly closer — cursor is genuinely nearer this edge
+        } else if (dist <= bestEdge.dist + NEST_EPS) {
+          // near-coincident: prefer the deeper (inner) edge; tie at equal depth → closer
+          better =
+            depth > bestEdge.depth ||
+            (depth === bestEdge.depth && dist < bestEdge.dist);
+        }
+        if (better) bestEdge = { el, at, dist, depth };
+      }
+    }
+    if (edgeTrace) log('[drag-edge] candidates', edgeTrace.join(' '));
+    return bestEdge;
+  }
+
   /**
    * Listens for 'SELECT_BLOCK' messages from the adminUI to select a block.
    */
@@ -10250,6 +10971,192 @@ export class Bridge {
     document.addEventListener('touchstart', sendActivity, { passive: true });
   }
 
+  /**
+   * Accept image files dragged from the desktop onto the preview. While they
+   * hover, show where they would go: the `data-edit-media` field under the
+   * cursor, else the nearest edge where one of `imageDropTypes` may be added
+   * (the block drag's scan, _findNearestDropEdge). On drop the files go to
+   * the admin (FILES_DROPPED), which uploads them and creates image blocks —
+   * or gallery items, when that is what the container takes — or fills the
+   * field. A placeholder shows the upload progress (FILES_DROP_PROGRESS)
+   * until the admin is done (FILES_DROP_DONE).
+   */
+  setupFileDropHandler() {
+    const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+    const hideTarget = () => {
+      const indicator = document.querySelector('.volto-hydra-drop-indicator');
+      if (indicator) indicator.style.display = 'none';
+      const shade = document.querySelector('.volto-hydra-drop-shade');
+      if (shade) shade.style.display = 'none';
+    };
+    let nextDropId = 0;
+
+    document.addEventListener('dragover', (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault(); // Otherwise the browser opens the file
+      const target = this._resolveFileDropTarget(e.clientX, e.clientY);
+      e.dataTransfer.dropEffect = target ? 'copy' : 'none';
+      if (target) this._showFileDropTarget(target);
+      else hideTarget();
+    });
+    document.addEventListener('dragleave', (e) => {
+      // relatedTarget is null only when the drag leaves the document
+      if (isFileDrag(e) && !e.relatedTarget) hideTarget();
+    });
+    document.addEventListener('drop', (e) => {
+      if (!isFileDrag(e)) return;
+      e.preventDefault();
+      hideTarget();
+      const target = this._resolveFileDropTarget(e.clientX, e.clientY);
+      let files = Array.from(e.dataTransfer.files).filter((file) => file.type.startsWith('image/'));
+      if (!target || files.length === 0) {
+        log('File drop ignored:', target ? 'no image files' : 'nowhere to put images');
+        return;
+      }
+      // A media field holds one image
+      if (target.mediaField) files = files.slice(0, 1);
+      nextDropId += 1;
+      const dropId = `files-${nextDropId}`;
+      this._showUploadPlaceholder(dropId, target, files.length);
+      const { element, ...placement } = target;
+      log('FILES_DROPPED', dropId, files.length, placement);
+      this.sendMessageToParent({ type: 'FILES_DROPPED', dropId, files, target: placement });
+    });
+
+    window.addEventListener('message', (event) => {
+      if (event.origin !== this.adminOrigin) return;
+      const { type, dropId } = event.data || {};
+      const placeholder = dropId && document.querySelector(`.volto-hydra-upload-placeholder[data-drop-id="${dropId}"]`);
+      if (!placeholder) return;
+      if (type === 'FILES_DROP_PROGRESS') {
+        const { done, total } = event.data;
+        placeholder.textContent = total > 1 ? `Uploading image ${done + 1} of ${total}…` : 'Uploading image…';
+      } else if (type === 'FILES_DROP_DONE') {
+        placeholder.remove();
+      }
+    });
+  }
+
+  /**
+   * Where image files dropped at a point would go.
+   *
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {Object|null} `{ element, blockId, mediaField }` for a media
+   *   field (`/` and `..` resolved), `{ element, blockId, insertAfter, replaceTargetId }` beside a
+   *   block (replacing it when it is an 'empty' placeholder), or null
+   */
+  _resolveFileDropTarget(clientX, clientY) {
+    const media = document.elementFromPoint(clientX, clientY)?.closest('[data-edit-media]');
+    if (media && !media.closest('[data-block-readonly]')) {
+      const blockElement = media.closest('[data-block-uid]');
+      const { blockId, fieldName } = this.resolveFieldPath(
+        media.getAttribute('data-edit-media'),
+        blockElement ? blockElement.getAttribute('data-block-uid') : PAGE_BLOCK_UID,
+      );
+      return { element: media, blockId, mediaField: fieldName };
+    }
+    const edge = this._findNearestDropEdge(clientX, clientY, (el) => {
+      const allowed = this.blockPathMap?.[el.getAttribute('data-block-uid')]?.allowedSiblingTypes;
+      // Native fit only: the admin creates these types directly, no conversion
+      return this.imageDropTypes.some((type) => acceptableAt(type, allowed, false, null));
+    });
+    if (!edge) return null;
+    const blockId = edge.el.getAttribute('data-block-uid');
+    const addability = getBlockAddability(blockId, this.blockPathMap, this.getBlockData(blockId), this.templateEditMode);
+    if (!(edge.at === 0 ? addability.canInsertBefore : addability.canInsertAfter)) return null;
+    const isEmpty = this.blockPathMap?.[blockId]?.blockType === 'empty';
+    return {
+      element: edge.el,
+      blockId,
+      insertAfter: !isEmpty && edge.at === 1,
+      replaceTargetId: isEmpty ? blockId : null,
+    };
+  }
+
+  /**
+   * Shade the media field or empty placeholder a file drop would fill, or
+   * draw the drop line at the edge it would be added at.
+   * @param {Object} target - From _resolveFileDropTarget
+   */
+  _showFileDropTarget(target) {
+    const rect = target.element.getBoundingClientRect();
+    const fills = target.mediaField || target.replaceTargetId;
+    let indicator = document.querySelector(fills ? '.volto-hydra-drop-shade' : '.volto-hydra-drop-indicator');
+    const other = document.querySelector(fills ? '.volto-hydra-drop-indicator' : '.volto-hydra-drop-shade');
+    if (other) other.style.display = 'none';
+    if (!indicator) {
+      indicator = document.createElement('div');
+      indicator.className = fills ? 'volto-hydra-drop-shade' : 'volto-hydra-drop-indicator';
+      indicator.style.cssText = fills
+        ? 'position:absolute;background:rgba(0,123,255,0.15);border:2px dashed #007bff;border-radius:4px;pointer-events:none;z-index:9998;'
+        : 'position:absolute;background:transparent;pointer-events:none;z-index:9998;display:none;';
+      document.body.appendChild(indicator);
+    }
+    if (fills) {
+      Object.assign(indicator.style, {
+        top: `${rect.top + window.scrollY}px`,
+        left: `${rect.left + window.scrollX}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+        display: 'block',
+      });
+      return;
+    }
+    const horizontal = this.getAddDirection(target.element) === 'right';
+    const size = 4;
+    Object.assign(indicator.style, horizontal
+      ? {
+        top: `${rect.top + window.scrollY}px`,
+        left: `${(target.insertAfter ? rect.right : rect.left) + window.scrollX - size / 2}px`,
+        width: `${size}px`,
+        height: `${rect.height}px`,
+      }
+      : {
+        top: `${(target.insertAfter ? rect.bottom : rect.top) + window.scrollY - size / 2}px`,
+        left: `${rect.left + window.scrollX}px`,
+        width: `${rect.width}px`,
+        height: `${size}px`,
+      });
+    Object.assign(indicator.style, { background: '#007bff', display: 'block' });
+  }
+
+  /**
+   * Show "Uploading image…" where dropped files will appear; the admin's
+   * FILES_DROP_PROGRESS / FILES_DROP_DONE update and remove it.
+   * @param {string} dropId
+   * @param {Object} target - From _resolveFileDropTarget
+   * @param {number} total - Number of files
+   */
+  _showUploadPlaceholder(dropId, target, total) {
+    const rect = target.element.getBoundingClientRect();
+    const placeholder = document.createElement('div');
+    placeholder.className = 'volto-hydra-upload-placeholder';
+    placeholder.setAttribute('data-drop-id', dropId);
+    placeholder.textContent = total > 1 ? `Uploading image 1 of ${total}…` : 'Uploading image…';
+    const fills = target.mediaField || target.replaceTargetId;
+    const height = fills ? rect.height : 48;
+    const top = fills ? rect.top : (target.insertAfter ? rect.bottom : rect.top) - height / 2;
+    Object.assign(placeholder.style, {
+      position: 'absolute',
+      top: `${top + window.scrollY}px`,
+      left: `${rect.left + window.scrollX}px`,
+      width: `${rect.width}px`,
+      height: `${height}px`,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'rgba(255,255,255,0.85)',
+      border: '2px dashed #007bff',
+      borderRadius: '4px',
+      color: '#007bff',
+      font: '14px sans-serif',
+      pointerEvents: 'none',
+      zIndex: '9998',
+    });
+    document.body.appendChild(placeholder);
+  }
+
   ////////////////////////////////////////////////////////////////////////////////
   // Make Block Text Inline Editable and Text Changes Observation
   ////////////////////////////////////////////////////////////////////////////////
@@ -10508,11 +11415,12 @@ export class Bridge {
       const t0 = performance.now();
       this.materializeHydraComments();
       const t1 = performance.now();
-      this.markEmptyBlocks();
+      // A version preview shows the page as visitors see it: no edit markers
+      if (!this._isPreviewMode) this.markEmptyBlocks();
       const t2 = performance.now();
-      this.applyReadonlyVisuals();
+      if (!this._isPreviewMode) this.applyReadonlyVisuals();
       const t3 = performance.now();
-      this.applyPlaceholders();
+      if (!this._isPreviewMode) this.applyPlaceholders();
       const t4 = performance.now();
       const total = t4 - t0;
       if (total > 5) {
@@ -10528,7 +11436,7 @@ export class Bridge {
       // guard in View.jsx suppresses the send), so it never re-renders the
       // iframe; the echo guard in _maybeSendLinkableAnchors sends only when the
       // map changes.
-      this._maybeSendLinkableAnchors();
+      if (!this._isPreviewMode) this._maybeSendLinkableAnchors();
       // Signal DOM settled — but only if no new mutations arrived during
       // this rAF callback. If new mutations come, the observer will fire
       // again and we'll wait for the next settlement.
@@ -10837,7 +11745,11 @@ export class Bridge {
   toggleOptionalFields(blockUid) {
     if (this.revealedBlocks.has(blockUid)) this.revealedBlocks.delete(blockUid);
     else this.revealedBlocks.add(blockUid);
-    if (this.onContentChangeCallback) this._executeRender(this.onContentChangeCallback);
+    if (this.onContentChangeCallback) {
+      this._executeRender(this.onContentChangeCallback, {
+        changes: { ...summarizeFormPatch([]), blockIds: [blockUid] },
+      });
+    }
   }
 
   _projectForRender(formData) {
@@ -10949,7 +11861,11 @@ export class Bridge {
 
     // Call the callback to trigger the render. The renderer never sees
     // this.formData directly — it gets a projection (see _projectForRender).
-    callbackFn(this._projectForRender(this.formData));
+    // The second argument says which blocks changed (see onEditChange).
+    callbackFn(
+      this._projectForRender(this.formData),
+      afterRenderOptions.changes || fullFormChanges(),
+    );
 
     const afterRender = () => {
       this.afterContentRender(afterRenderOptions);
@@ -11813,6 +12729,238 @@ export class Bridge {
     }
   }
 
+  /**
+   * DOM range of a find / replace match: {blockId, fieldName, slate, anchor,
+   * focus} with slate-style points (string fields: path [] and an offset into
+   * the field's text), resolved like restoreSlateSelection does.
+   *
+   * @param {Object} match
+   * @returns {Range|null} null when the block or field isn't rendered
+   */
+  getMatchRange({ blockId, fieldName, slate, anchor, focus }) {
+    const blockElement = this.queryBlockElement(blockId);
+    if (!blockElement) return null;
+    let anchorPos;
+    let focusPos;
+    if (slate) {
+      const fieldValue = getFieldValue(this.getBlockData(blockId), fieldName);
+      const toDom = (point) => {
+        const result = Array.isArray(fieldValue) && this.getNodeIdFromPath(fieldValue, point.path);
+        const element = result && blockElement.querySelector(`[data-node-id="${result.nodeId}"]`);
+        if (!element) return null;
+        const offset = result.textChildIndex !== null && result.parentChildren
+          ? this.calculateAbsoluteOffset(result.parentChildren, result.textChildIndex, point.offset)
+          : point.offset;
+        return this.findPositionByVisibleOffset(element, offset);
+      };
+      anchorPos = toDom(anchor);
+      focusPos = toDom(focus);
+    } else {
+      const field = this.getEditableFieldByName(blockElement, fieldName);
+      anchorPos = field && this.findPositionByVisibleOffset(field, anchor.offset);
+      focusPos = field && this.findPositionByVisibleOffset(field, focus.offset);
+    }
+    if (!anchorPos || !focusPos) return null;
+    const range = document.createRange();
+    range.setStart(anchorPos.node, anchorPos.offset);
+    range.setEnd(focusPos.node, focusPos.offset);
+    return range;
+  }
+
+  /**
+   * Highlight find / replace matches with the CSS Custom Highlight API
+   * (`::highlight(hydra-find)`, and `hydra-find-current` for the current
+   * one) — no DOM changes, so the frontend's rendering is untouched. A
+   * no-op where the API is missing. An empty list clears the highlights;
+   * afterContentRender re-applies them to the re-rendered DOM.
+   *
+   * @param {Array<Object>} matches - See getMatchRange
+   * @param {number} [currentIndex]
+   */
+  highlightMatches(matches, currentIndex) {
+    this._findHighlight = { matches, currentIndex };
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return;
+    if (!this._findStyleEl) {
+      this._findStyleEl = document.createElement('style');
+      this._findStyleEl.type = 'text/css';
+      this._findStyleEl.textContent = `
+        ::highlight(hydra-find) { background-color: rgba(255, 213, 0, 0.45); }
+        ::highlight(hydra-find-current) { background-color: rgba(255, 140, 0, 0.85); }
+      `;
+      document.head.appendChild(this._findStyleEl);
+    }
+    const ranges = matches.map((match) => this.getMatchRange(match));
+    CSS.highlights.set('hydra-find', new Highlight(...ranges.filter((range, i) => range && i !== currentIndex)));
+    const current = ranges[currentIndex];
+    CSS.highlights.set('hydra-find-current', new Highlight(...(current ? [current] : [])));
+  }
+
+  /**
+   * Select a find / replace match: select its block (bringing a hidden one,
+   * e.g. another slide, into view), focus its field and select the matched
+   * text via restoreSlateSelection.
+   *
+   * @param {Object} match - See getMatchRange
+   */
+  async selectMatch(match) {
+    const { blockId, fieldName, anchor, focus } = match || {};
+    if (!blockId) return;
+    let blockElement = this.queryBlockElement(blockId);
+    if (!blockElement || this.isElementHidden(blockElement)) {
+      this.tryMakeBlockVisible(blockId);
+      for (let i = 0; i < 30 && (!blockElement || this.isElementHidden(blockElement)); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        blockElement = this.queryBlockElement(blockId);
+      }
+      if (!blockElement || this.isElementHidden(blockElement)) {
+        log('selectMatch: block not visible:', blockId);
+        return;
+      }
+    }
+    if (!this.elementIsVisibleInViewport(blockElement)) {
+      this.scrollBlockIntoView(blockElement);
+    }
+    this.editMode = 'text';
+    this.selectBlock(blockElement, { fieldToFocus: fieldName });
+    // Same wait as SELECT_BLOCK: the field is made editable after selectBlock
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        this.selectedBlockUid = blockId;
+        this.focusedFieldName = fieldName;
+        this.restoreSlateSelection({ anchor, focus }, this.formData);
+      });
+    });
+  }
+
+  /**
+   * Read-only version preview (`_hydra_preview=1`): the page renders from the
+   * INITIAL_DATA the admin sends, as visitors would see it. There is no
+   * selection or editing, and links don't navigate away from the version
+   * shown (a carousel's data-block-selector controls still work). The admin
+   * outlines blocks with PREVIEW_HIGHLIGHTS. Scrolling is reported as
+   * PREVIEW_SCROLL and PREVIEW_SCROLL_TO follows another preview's, so two
+   * versions side by side scroll together.
+   */
+  setupPreviewMode() {
+    document.addEventListener(
+      'click',
+      (e) => {
+        const link = e.target.closest?.('a[href]');
+        if (link && !link.closest('[data-block-selector]')) e.preventDefault();
+      },
+      true,
+    );
+    window.addEventListener('message', (event) => {
+      if (event.origin !== this.adminOrigin) return;
+      if (event.data?.type === 'PREVIEW_HIGHLIGHTS') {
+        this.highlightPreviewBlocks(event.data.blocks || {}, event.data.scrollTo);
+      } else if (event.data?.type === 'PREVIEW_SCROLL_TO') {
+        this.followPreviewScroll(event.data);
+      }
+    });
+    let scrollFrame = null;
+    window.addEventListener(
+      'scroll',
+      () => {
+        // Our own scroll to follow the other preview isn't reported back
+        if (scrollFrame || Date.now() < (this._previewFollowUntil || 0)) return;
+        scrollFrame = requestAnimationFrame(() => {
+          scrollFrame = null;
+          window.parent.postMessage(
+            { type: 'PREVIEW_SCROLL', ...this.getPreviewScrollPosition() },
+            this.adminOrigin,
+          );
+        });
+      },
+      { passive: true },
+    );
+  }
+
+  /**
+   * Where a version preview is scrolled to, in terms another version can
+   * follow: the blocks crossing the top of the viewport, innermost first,
+   * each with how far it is scrolled past, and the scroll ratio for when
+   * the other version has none of them.
+   *
+   * @returns {{anchors: Array<{blockId: string, offset: number}>, ratio: number}}
+   */
+  getPreviewScrollPosition() {
+    const anchors = [];
+    document.querySelectorAll('[data-block-uid]').forEach((el) => {
+      const rect = el.getBoundingClientRect();
+      if (rect.top <= 0 && rect.bottom > 0) {
+        anchors.unshift({ blockId: el.getAttribute('data-block-uid'), offset: -rect.top });
+      }
+    });
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    return { anchors, ratio: scrollable > 0 ? window.scrollY / scrollable : 0 };
+  }
+
+  /**
+   * Scroll a version preview to where another one is (PREVIEW_SCROLL_TO,
+   * from getPreviewScrollPosition): to the first anchor block this version
+   * has, else to the same scroll ratio.
+   *
+   * @param {{anchors: Array<{blockId: string, offset: number}>, ratio: number}} position
+   */
+  followPreviewScroll({ anchors = [], ratio = 0 }) {
+    let top = null;
+    for (const { blockId, offset } of anchors) {
+      const el = this.queryBlockElement(blockId);
+      if (el && !this.isElementHidden(el)) {
+        top = el.getBoundingClientRect().top + window.scrollY + offset;
+        break;
+      }
+    }
+    if (top === null) {
+      top = ratio * (document.documentElement.scrollHeight - window.innerHeight);
+    }
+    this._previewFollowUntil = Date.now() + 150;
+    window.scrollTo({ top, behavior: 'instant' });
+  }
+
+  /**
+   * Outline blocks in a version preview, e.g. the block whose history is
+   * shown, or what changed between two versions. Like applyReadonlyVisuals,
+   * the rules are keyed by data-block-uid in one style element, so they
+   * survive the frontend re-rendering.
+   *
+   * @param {Object<string, string>} blocks - Block uid → kind: 'focus', or a
+   *   version diff's 'inserted' / 'removed' / 'moved' / 'changed'
+   * @param {string} [scrollTo] - Block uid to bring into view (a hidden one,
+   *   e.g. another slide, is made visible first)
+   */
+  async highlightPreviewBlocks(blocks, scrollTo) {
+    const outlines = {
+      focus: '3px solid #007eb1',
+      inserted: '3px solid #21ba45',
+      removed: '3px dashed #db2828',
+      moved: '3px dashed #f2711c',
+      changed: '3px solid #fbbd08',
+    };
+    if (!this._previewStyleEl) {
+      this._previewStyleEl = document.createElement('style');
+      this._previewStyleEl.type = 'text/css';
+      document.head.appendChild(this._previewStyleEl);
+    }
+    this._previewStyleEl.textContent = Object.entries(blocks)
+      .filter(([, kind]) => outlines[kind])
+      .map(
+        ([uid, kind]) =>
+          `[data-block-uid="${uid}"] { outline: ${outlines[kind]}; outline-offset: 2px; }`,
+      )
+      .join('\n');
+    if (!scrollTo) return;
+    // The frontend may still be rendering the data it was just sent
+    let blockElement = this.queryBlockElement(scrollTo);
+    for (let i = 0; i < 30 && (!blockElement || this.isElementHidden(blockElement)); i++) {
+      if (blockElement) this.tryMakeBlockVisible(scrollTo);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      blockElement = this.queryBlockElement(scrollTo);
+    }
+    if (blockElement) this.scrollBlockIntoView(blockElement, { toolbarMargin: 0 });
+  }
+
   /**
    * Find DOM position (node + offset) by visible character offset.
    * Uses Range.toString().length to match the browser's text model,
@@ -12892,35 +14040,57 @@ export class Bridge {
   /**
    * Formats the selected text within a block.
    *
-   * @param {string} format - The format to apply (e.g., 'bold', 'italic', 'del').
+   * Besides the built-ins, `format` can name an inline or element format the
+   * frontend declared in `voltoConfig.settings.slate.formats`; it is written
+   * with that format's tag and class so the admin reads it back as the same
+   * slate type.
+   *
+   * @param {string} format - The format to apply (e.g., 'bold', 'italic', 'del', 'highlight').
    * @param {boolean} remove - Whether to remove the format (true) or apply it (false).
+   * @param {Object} [data] - Attributes for an element format (e.g. `{ title }` for an abbr).
    */
-  formatSelectedText(format, remove) {
+  formatSelectedText(format, remove, data = {}) {
     // Don't set isInlineEditing to false - keep it true for text changes
     const selection = window.getSelection();
     if (!selection.rangeCount) return;
 
     const range = selection.getRangeAt(0);
+    const frontendFormat = this._getFrontendSlateFormat(format);
     if (remove) {
       this.unwrapFormatting(range, format);
     } else {
       // Handle selections that include non-Text nodes
       const fragment = range.extractContents(); // Extract the selected content
       const newNode = document.createElement(
-        format === 'bold'
-          ? 'strong'
-          : format === 'italic'
-            ? 'em'
-            : format === 'del'
-              ? 'del'
-              : 'span',
+        frontendFormat
+          ? frontendFormat.tag
+          : format === 'bold'
+            ? 'strong'
+            : format === 'italic'
+              ? 'em'
+              : format === 'del'
+                ? 'del'
+                : 'span',
       );
+      if (frontendFormat?.className) newNode.classList.add(frontendFormat.className);
+      if (frontendFormat?.type === 'element') {
+        for (const key of Object.keys(frontendFormat.fields)) {
+          if (data[key] != null) newNode.setAttribute(key, data[key]);
+        }
+      }
       newNode.appendChild(fragment); // Append the extracted content to the new node
       range.insertNode(newNode); // Insert the new node back into the document
     }
     this.sendFormattedHTMLToAdminUI(selection);
   }
 
+  /** Inline/element format declared by the frontend (INITIAL_DATA slateConfig.formats). */
+  _getFrontendSlateFormat(format) {
+    return (this.slateConfig?.formats || []).find(
+      (f) => f.name === format && f.type !== 'block',
+    ) || null;
+  }
+
   // Helper function to unwrap formatting while preserving other formatting
   unwrapFormatting(range, format) {
     const formattingElements = {
@@ -12929,6 +14099,11 @@ export class Bridge {
       del: ['DEL'],
       link: ['A'],
     };
+    const frontendFormat = this._getFrontendSlateFormat(format);
+    if (frontendFormat) {
+      formattingElements[format] = [frontendFormat.tag.toUpperCase()];
+    }
+    if (!formattingElements[format]) return;
 
     // Check if the selection is entirely within a formatting element of the specified type
     let container = range.commonAncestorContainer;
@@ -13196,6 +14371,16 @@ export class Bridge {
           outline-offset: 2px;
           border-radius: 4px;
         }
+        /* data-edit-field hover styles - the element opens a popover control.
+           Same outline approach — host CSS untouched. */
+        [data-edit-field]:not([data-block-readonly] [data-edit-field]):not([data-block-readonly][data-edit-field]) {
+          cursor: pointer;
+        }
+        [data-edit-field]:not([data-block-readonly] [data-edit-field]):not([data-block-readonly][data-edit-field]):hover {
+          outline: 2px dotted rgba(0, 126, 177, 0.5);
+          outline-offset: 2px;
+          border-radius: 4px;
+        }
         /* Media field hover styles - indicate clickable image areas.
            Same outline approach — host CSS untouched. */
         /* Exclude fields inside readonly blocks */
@@ -13438,7 +14623,8 @@ let _diagnosticShown = false;
 /**
  * Show a diagnostic popup when the bridge can't connect.
  * Automatically called when hydra.js detects it's in an iframe with edit signals
- * but the bridge doesn't initialize within a timeout.
+ * but the bridge doesn't initialize within a timeout — and on INITIAL_DATA from
+ * an admin whose bridge protocol this hydra.js can't speak (`info.protocolMismatch`).
  */
 function _showBridgeDiagnostic(info) {
   if (_diagnosticShown) return;
@@ -13454,7 +14640,8 @@ function _showBridgeDiagnostic(info) {
     'font-family:monospace', 'font-size:13px', 'line-height:1.6', 'color:#7f1d1d',
   ].join(';'));
 
-  const rows = [
+  let title = 'Hydra Bridge: Not Connected';
+  let rows = [
     `<strong>window.name:</strong> "${info.windowName || '(empty)'}"`,
     `<strong>In iframe:</strong> ${info.inIframe}`,
     `<strong>Admin origin:</strong> ${info.adminOrigin || '(none)'}`,
@@ -13463,7 +14650,19 @@ function _showBridgeDiagnostic(info) {
   ];
 
   let hint = '';
-  if (info.inIframe && !info.hasHydraName) {
+  const mismatch = info.protocolMismatch;
+  if (mismatch) {
+    title = 'Hydra Bridge: Version Mismatch';
+    rows = [
+      `<strong>Admin protocol:</strong> ${mismatch.adminVersion}`,
+      `<strong>hydra.js protocol:</strong> ${mismatch.bridgeVersion}`,
+    ];
+    hint = mismatch.reason === 'peer-too-old'
+      ? 'The admin is older than this hydra.js supports. Upgrade volto-hydra, ' +
+        'or pin this frontend to an older @volto-hydra/hydra-js.'
+      : 'This hydra.js is too old for the admin. Upgrade @volto-hydra/hydra-js ' +
+        'in this frontend.';
+  } else if (info.inIframe && !info.hasHydraName) {
     hint = 'The admin should set the iframe name to "hydra-edit:&lt;origin&gt;". ' +
       'Check that Volto sets window.name on the iframe element.';
   } else if (info.bridgeCreated && !info.bridgeInitialized) {
@@ -13476,7 +14675,7 @@ function _showBridgeDiagnostic(info) {
 
   el.innerHTML = `
     <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px">
-      <strong style="color:#dc2626;font-size:14px">Hydra Bridge: Not Connected</strong>
+      <strong style="color:#dc2626;font-size:14px">${title}</strong>
       <button id="hydra-diag-dismiss" style="background:none;border:none;cursor:pointer;font-size:18px;color:#666">&times;</button>
     </div>
     <div>${rows.join('<br>')}</div>
@@ -13574,19 +14773,24 @@ export function initBridge(adminOriginOrOptions, options = {}) {
     if (options.pathToApiPath) {
       bridgeInstance.pathToApiPath = options.pathToApiPath;
     }
+    if (options.onRoute) {
+      bridgeInstance.routeHandler = options.onRoute;
+    }
     if (bridgeInstance.lastKnownPath && bridgeInstance.lastKnownPath !== currentPath) {
       const apiPath = bridgeInstance.pathToApiPath(currentPath);
-      // Check if this is in-page navigation (paging) — don't send PATH_CHANGE again
-      const inPageNavTime = sessionStorage.getItem('hydra_in_page_nav_time');
-      const isInPage = inPageNavTime && (Date.now() - parseInt(inPageNavTime, 10)) < 5000;
-      if (!isInPage) {
+      // In-page (paging, tabs) or vetoed navigation — don't send PATH_CHANGE again
+      const route = bridgeInstance._decideRoute(
+        new URL(bridgeInstance.lastKnownPath, window.location.href).href,
+        window.location.href,
+      );
+      if (route !== ROUTE_IN_PAGE && route !== ROUTE_BLOCK) {
         log('initBridge: URL changed since last init, sending PATH_CHANGE:', bridgeInstance.lastKnownPath, '->', currentPath, '-> apiPath:', apiPath);
         window.parent.postMessage(
           { type: 'PATH_CHANGE', path: apiPath },
           bridgeInstance.adminOrigin,
         );
       } else {
-        log('initBridge: URL changed since last init but in-page nav, skipping PATH_CHANGE');
+        log('initBridge: URL changed since last init but route is', route, '- skipping PATH_CHANGE');
       }
     }
     bridgeInstance.lastKnownPath = currentPath;
@@ -13595,7 +14799,8 @@ export function initBridge(adminOriginOrOptions, options = {}) {
 }
 
 /**
- * Get the access token from URL (preferred), sessionStorage, or cookie (fallback)
+ * Get the access token from an in-editor sign-in or renewal (setAccessToken),
+ * the URL (preferred), sessionStorage, or cookie (fallback)
  * Token is stored in sessionStorage when first received from URL params
  * @returns {String|null} token
  */
@@ -13603,11 +14808,16 @@ export function getAccessToken() {
   if (typeof window === 'undefined') {
     return null;
   }
-  // Try URL first (admin sends token via URL on initial load)
+  // The URL's (admin sends token via URL on initial load), stored for future
+  // SPA navigations. A new one replaces an earlier sign-in or renewal.
   const urlToken = new URL(window.location.href).searchParams.get('access_token');
+  if (urlToken) storeUrlAccessToken(urlToken);
+  // A token from an in-editor sign-in or renewal (setAccessToken) replaces the URL's
+  const signedInToken = sessionStorage.getItem('hydra_signed_in_token');
+  if (signedInToken) {
+    return signedInToken;
+  }
   if (urlToken) {
-    // Store for future SPA navigations
-    sessionStorage.setItem('hydra_access_token', urlToken);
     return urlToken;
   }
   // Try sessionStorage (persists across SPA navigations)
@@ -13758,3 +14968,15 @@ export { canContain, findConversionPath, mapLayoutItems } from './containerOps.j
 // contents tree — re-exported so the admin (fragment picker) and frontends (an
 // in-page navigation block) build the hierarchy from ONE source.
 export { buildAnchorTree } from './linkableAnchors.js';
+
+// onRoute return values — re-exported so frontends can name them instead of
+// repeating the strings.
+export { ROUTE_DEFAULT, ROUTE_IN_PAGE, ROUTE_BLOCK } from './routeDecision.js';
+
+// The admin's own block copies (toolbar, menu) go on the system clipboard in
+// the same form as the bridge's, so a paste anywhere reads them alike.
+export { writeBlocksClipboard } from './blocksClipboard.js';
+
+// Re-exported because the renewer lives in module state: a frontend using the
+// bundled hydra.js has to call the copy the bridge registered it with.
+export { fetchWithAuth, onAccessTokenRenewed } from '@volto-hydra/helpers';
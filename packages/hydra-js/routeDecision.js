@@ -0,0 +1,126 @@
+/**
+ * How a URL change inside the preview iframe is reported to the admin.
+ *
+ *   - 'default' — post PATH_CHANGE; the admin follows the iframe to that page
+ *     (leaving edit mode for a different page, as a nav-link click does).
+ *   - 'inPage'  — the frontend handles the change itself (tabs, filters,
+ *     paging). PATH_CHANGE carries `inPage: true`, so the admin keeps its
+ *     page, edit state and undo history and just resends the form data.
+ *   - 'block'   — veto: the URL change is undone (or never applied, when it
+ *     came through history.pushState/replaceState) and the admin is not told.
+ */
+export const ROUTE_DEFAULT = 'default';
+export const ROUTE_IN_PAGE = 'inPage';
+export const ROUTE_BLOCK = 'block';
+
+const ROUTE_RESULTS = [ROUTE_DEFAULT, ROUTE_IN_PAGE, ROUTE_BLOCK];
+
+/**
+ * Ask the frontend's `onRoute(from, to)` hook how to treat a URL change.
+ *
+ * The hook is optional and forgiving: returning nothing (or 'default') falls
+ * back to `fallback` — the bridge's own decision, e.g. 'inPage' after a click
+ * on a `data-linkable-allow` paging link. An unknown return value or a throw
+ * is logged and also falls back, so a buggy hook degrades to today's
+ * behaviour instead of breaking navigation.
+ *
+ * @param {Function|null} onRoute - `(from: URL, to: URL) => 'default'|'inPage'|'block'|undefined`
+ * @param {string} from - Absolute URL before the change
+ * @param {string} to - Absolute URL after the change
+ * @param {string} [fallback='default'] - Decision when the hook doesn't make one
+ * @returns {'default'|'inPage'|'block'}
+ */
+export function decideRoute(onRoute, from, to, fallback = ROUTE_DEFAULT) {
+  if (typeof onRoute !== 'function') return fallback;
+  let result;
+  try {
+    result = onRoute(new URL(from), new URL(to));
+  } catch (e) {
+    console.warn('[HYDRA] onRoute threw, using the default navigation:', e);
+    return fallback;
+  }
+  if (result == null || result === ROUTE_DEFAULT) return fallback;
+  if (!ROUTE_RESULTS.includes(result)) {
+    console.warn(
+      `[HYDRA] onRoute returned ${JSON.stringify(result)}; expected one of ${ROUTE_RESULTS.join(', ')}`,
+    );
+    return fallback;
+  }
+  return result;
+}
+
+/**
+ * Watch the window's URL and report each change as `onNavigate(from, route)`,
+ * once the URL has changed. pushState/replaceState are asked BEFORE the URL
+ * changes, so a 'block' never touches history; every other source
+ * (back/forward, hashchange, the Navigation API, polling for routers that
+ * kept a reference to the unpatched pushState) is only seen afterwards, so
+ * 'block' restores the old URL.
+ *
+ * @param {Window} win
+ * @param {function(string, string): void} onNavigate - `(fromUrl, route)`
+ * @param {function(string, string): string} decide - `(from, to)` → route
+ *   (e.g. decideRoute with the frontend's hook)
+ * @param {Object} [options]
+ * @param {function(...*)} [options.log]
+ * @param {number} [options.pollInterval=200] - Milliseconds
+ * @returns {function(): void} Stops watching and restores pushState/replaceState
+ */
+export function watchNavigation(win, onNavigate, decide, { log = () => {}, pollInterval = 200 } = {}) {
+  const { history } = win;
+  let currentUrl = win.location.href;
+  log('Setting up navigation detection, currentUrl:', currentUrl);
+  const originalPushState = history.pushState;
+  const originalReplaceState = history.replaceState;
+
+  const checkNavigation = (decided) => {
+    const newUrl = win.location.href;
+    if (newUrl === currentUrl) return;
+    const route = decided || decide(currentUrl, newUrl);
+    if (route === ROUTE_BLOCK) {
+      log('Navigation blocked by onRoute, restoring:', currentUrl);
+      originalReplaceState.call(history, history.state, '', currentUrl);
+      return;
+    }
+    log('Navigation detected:', currentUrl, '->', newUrl, 'route:', route);
+    onNavigate(currentUrl, route);
+    currentUrl = newUrl;
+  };
+  const onEvent = () => checkNavigation();
+
+  const intercept = (original) =>
+    function (...args) {
+      const target = args[2] != null ? new URL(args[2], win.location.href).href : currentUrl;
+      if (target === currentUrl) {
+        // State-only update (no URL change) — nothing to decide
+        const result = original.apply(this, args);
+        checkNavigation();
+        return result;
+      }
+      const route = decide(currentUrl, target);
+      if (route === ROUTE_BLOCK) {
+        log('Navigation blocked by onRoute:', currentUrl, '->', target);
+        return undefined;
+      }
+      const result = original.apply(this, args);
+      checkNavigation(route);
+      return result;
+    };
+  history.pushState = intercept(originalPushState);
+  history.replaceState = intercept(originalReplaceState);
+
+  win.addEventListener('hashchange', onEvent);
+  win.addEventListener('popstate', onEvent);
+  // Modern Navigation API (Chrome 102+) - more reliable than polling
+  win.navigation?.addEventListener('navigatesuccess', onEvent);
+  const poll = setInterval(onEvent, pollInterval);
+
+  return () => {
+    clearInterval(poll);
+    win.removeEventListener('hashchange', onEvent);
+    win.removeEventListener('popstate', onEvent);
+    win.navigation?.removeEventListener('navigatesuccess', onEvent);
+    history.pushState = originalPushState;
+    history.replaceState = originalReplaceState;
+  };
+}
@@ -0,0 +1,160 @@
+import {
+  decideRoute,
+  watchNavigation,
+  ROUTE_BLOCK,
+  ROUTE_DEFAULT,
+  ROUTE_IN_PAGE,
+} from './routeDecision.js';
+
+const FROM = 'http://localhost:3000/products?tab=specs';
+const TO = 'http://localhost:3000/products?tab=reviews';
+
+describe('decideRoute', () => {
+  const originalWarn = console.warn;
+  let warnings;
+  beforeEach(() => {
+    warnings = [];
+    console.warn = (...args) => warnings.push(args);
+  });
+  afterEach(() => {
+    console.warn = originalWarn;
+  });
+
+  test('without a hook the fallback decides', () => {
+    expect(decideRoute(null, FROM, TO)).toBe(ROUTE_DEFAULT);
+    expect(decideRoute(undefined, FROM, TO, ROUTE_IN_PAGE)).toBe(ROUTE_IN_PAGE);
+  });
+
+  test('passes both locations to the hook as URL objects', () => {
+    const calls = [];
+    const onRoute = (...args) => {
+      calls.push(args);
+      return ROUTE_IN_PAGE;
+    };
+    expect(decideRoute(onRoute, FROM, TO)).toBe(ROUTE_IN_PAGE);
+    const [from, to] = calls[0];
+    expect(from.searchParams.get('tab')).toBe('specs');
+    expect(to.pathname).toBe('/products');
+    expect(to.searchParams.get('tab')).toBe('reviews');
+  });
+
+  test("'block' and 'inPage' override the fallback", () => {
+    expect(decideRoute(() => ROUTE_BLOCK, FROM, TO, ROUTE_IN_PAGE)).toBe(ROUTE_BLOCK);
+    expect(decideRoute(() => ROUTE_IN_PAGE, FROM, TO)).toBe(ROUTE_IN_PAGE);
+  });
+
+  test("returning nothing or 'default' keeps the bridge's own decision", () => {
+    // e.g. a data-linkable-allow paging click the hook doesn't know about
+    expect(decideRoute(() => undefined, FROM, TO, ROUTE_IN_PAGE)).toBe(ROUTE_IN_PAGE);
+    expect(decideRoute(() => ROUTE_DEFAULT, FROM, TO, ROUTE_IN_PAGE)).toBe(ROUTE_IN_PAGE);
+    expect(decideRoute(() => null, FROM, TO)).toBe(ROUTE_DEFAULT);
+    expect(warnings).toEqual([]);
+  });
+
+  test('a throwing or misbehaving hook degrades to the fallback with a warning', () => {
+    const boom = () => {
+      throw new Error('router not ready');
+    };
+    expect(decideRoute(boom, FROM, TO)).toBe(ROUTE_DEFAULT);
+    expect(decideRoute(() => true, FROM, TO)).toBe(ROUTE_DEFAULT);
+    expect(decideRoute(() => 'in-page', FROM, TO, ROUTE_IN_PAGE)).toBe(ROUTE_IN_PAGE);
+    expect(warnings).toHaveLength(3);
+    expect(warnings[2][0]).toMatch(/"in-page"/);
+  });
+});
+
+// A window whose history moves location.href, as a browser's does, and
+// records the calls that reached it
+function fakeWindow(href) {
+  const listeners = {};
+  const win = {
+    location: { href },
+    history: { state: null },
+    historyCalls: [],
+    addEventListener: (type, fn) => (listeners[type] = listeners[type] || []).push(fn),
+    removeEventListener: (type, fn) => {
+      listeners[type] = (listeners[type] || []).filter((l) => l !== fn);
+    },
+    // The user going back, or a router that kept the unpatched pushState
+    navigateOutside(url, type = 'popstate') {
+      win.location.href = new URL(url, win.location.href).href;
+      (listeners[type] || []).forEach((fn) => fn());
+    },
+  };
+  const method = (name) =>
+    function (state, title, url) {
+      win.historyCalls.push([name, ...arguments]);
+      win.history.state = state;
+      if (url != null) win.location.href = new URL(url, win.location.href).href;
+    };
+  win.history.pushState = method('pushState');
+  win.history.replaceState = method('replaceState');
+  return win;
+}
+
+describe('watchNavigation', () => {
+  let win;
+  let navigations;
+  let decisions;
+  let stop;
+  const watch = (route) => {
+    stop = watchNavigation(
+      win,
+      (from, decided) => navigations.push([from, decided]),
+      (from, to) => {
+        decisions.push([from, to]);
+        return typeof route === 'function' ? route(from, to) : route;
+      },
+    );
+  };
+  beforeEach(() => {
+    win = fakeWindow(FROM);
+    navigations = [];
+    decisions = [];
+    stop = () => {};
+  });
+  afterEach(() => stop());
+
+  test('pushState passes through and reports the route the hook chose', () => {
+    watch(ROUTE_IN_PAGE);
+    win.history.pushState({ tab: 'reviews' }, '', '?tab=reviews');
+    expect(win.historyCalls).toEqual([['pushState', { tab: 'reviews' }, '', '?tab=reviews']]);
+    expect(decisions).toEqual([[FROM, TO]]);
+    expect(win.location.href).toBe(TO);
+    expect(navigations).toEqual([[FROM, ROUTE_IN_PAGE]]);
+  });
+
+  test('a blocked pushState never reaches history', () => {
+    watch(ROUTE_BLOCK);
+    expect(win.history.pushState(null, '', '/elsewhere')).toBeUndefined();
+    expect(win.historyCalls).toEqual([]);
+    expect(win.location.href).toBe(FROM);
+    expect(navigations).toEqual([]);
+  });
+
+  test('a state-only replaceState is not a navigation', () => {
+    watch(ROUTE_BLOCK);
+    win.history.replaceState({ scroll: 10 }, '');
+    expect(win.historyCalls).toEqual([['replaceState', { scroll: 10 }, '']]);
+    expect(decisions).toEqual([]);
+    expect(navigations).toEqual([]);
+  });
+
+  test('a change seen afterwards is undone when blocked', () => {
+    watch((from, to) => (to.endsWith('/elsewhere') ? ROUTE_BLOCK : ROUTE_DEFAULT));
+    win.navigateOutside('/elsewhere');
+    expect(win.location.href).toBe(FROM);
+    expect(win.historyCalls).toEqual([['replaceState', null, '', FROM]]);
+    expect(navigations).toEqual([]);
+    win.navigateOutside('#top', 'hashchange');
+    expect(navigations).toEqual([[FROM, ROUTE_DEFAULT]]);
+  });
+
+  test('stopping restores the original history methods', () => {
+    const originalPushState = win.history.pushState;
+    watch(ROUTE_DEFAULT);
+    expect(win.history.pushState).not.toBe(originalPushState);
+    stop();
+    expect(win.history.pushState).toBe(originalPushState);
+  });
+});
@@ -0,0 +1,99 @@
+import { JSDOM } from 'jsdom';
+import {
+  normalizeSlateFormats,
+  findSlateFormatForElement,
+  readSlateFormatData,
+} from '@volto-hydra/helpers';
+
+// hydra-js jest env is 'node' (no global document); build DOM via jsdom directly.
+function el(html) {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>${html}</body>`);
+  return window.document.body.firstElementChild;
+}
+
+const declared = [
+  { name: 'highlight', title: 'Highlight', tag: 'mark', hotkey: 'mod+shift+h' },
+  { name: 'lead', type: 'block', title: 'Lead paragraph', tag: 'p', className: 'lead' },
+  { name: 'abbr', type: 'element', tag: 'abbr', fields: { title: 'Expansion' } },
+  { name: 'brand', type: 'inline', className: 'brand' },
+];
+
+describe('normalizeSlateFormats', () => {
+  test('fills in defaults', () => {
+    const { formats, errors } = normalizeSlateFormats(declared);
+    expect(errors).toEqual([]);
+    expect(formats[0]).toEqual({
+      name: 'highlight',
+      type: 'inline',
+      title: 'Highlight',
+      icon: null,
+      tag: 'mark',
+      className: null,
+      hotkey: 'mod+shift+h',
+      fields: {},
+      matchHtml: true,
+    });
+    expect(formats[2].title).toBe('abbr');
+    expect(formats[2].fields).toEqual({ title: 'Expansion' });
+    // No tag → <span class="brand">
+    expect(formats[3]).toMatchObject({ tag: 'span', className: 'brand', matchHtml: true });
+  });
+
+  test('a bare default tag is not matched against HTML', () => {
+    const { formats } = normalizeSlateFormats([{ name: 'plain' }, { name: 'intro', type: 'block' }]);
+    expect(formats.map((f) => [f.tag, f.matchHtml])).toEqual([
+      ['span', false],
+      ['p', false],
+    ]);
+  });
+
+  test('drops invalid entries and reports each one', () => {
+    const { formats, errors } = normalizeSlateFormats([
+      { name: 'ok' },
+      { name: 'ok' },
+      { name: 'has space' },
+      { name: 'big', type: 'huge' },
+      { name: 'lead2', type: 'block', hotkey: 'mod+l' },
+      { name: 'abbr', type: 'element' },
+      { name: 'x', tag: '<script>' },
+      null,
+    ]);
+    expect(formats.map((f) => f.name)).toEqual(['ok']);
+    expect(errors).toHaveLength(7);
+    expect(errors[0]).toMatch(/"ok": declared twice/);
+    expect(errors[3]).toMatch(/hotkey is only supported on inline formats/);
+    expect(errors[4]).toMatch(/element formats need fields/);
+  });
+
+  test('nothing declared is not an error; a non-array is', () => {
+    expect(normalizeSlateFormats(undefined)).toEqual({ formats: [], errors: [] });
+    expect(normalizeSlateFormats({ name: 'x' }).errors).toEqual(['slate formats must be an array']);
+  });
+});
+
+describe('findSlateFormatForElement', () => {
+  const { formats } = normalizeSlateFormats([
+    ...declared,
+    { name: 'callout', type: 'block', tag: 'p' },
+  ]);
+
+  test('matches by tag, preferring a class match over a bare tag', () => {
+    expect(findSlateFormatForElement(el('<mark>x</mark>'), formats).name).toBe('highlight');
+    expect(findSlateFormatForElement(el('<p class="lead big">x</p>'), formats).name).toBe('lead');
+    expect(findSlateFormatForElement(el('<p>x</p>'), formats).name).toBe('callout');
+    expect(findSlateFormatForElement(el('<span class="brand">x</span>'), formats).name).toBe('brand');
+  });
+
+  test('returns null for unrelated markup', () => {
+    expect(findSlateFormatForElement(el('<span>x</span>'), formats)).toBeNull();
+    expect(findSlateFormatForElement(el('<strong>x</strong>'), formats)).toBeNull();
+    expect(findSlateFormatForElement(el('<mark>x</mark>'), [])).toBeNull();
+  });
+
+  test('element formats read their data from attributes', () => {
+    const abbr = el('<abbr title="HyperText Markup Language" lang="en">HTML</abbr>');
+    const format = findSlateFormatForElement(abbr, formats);
+    expect(format.name).toBe('abbr');
+    expect(readSlateFormatData(abbr, format)).toEqual({ title: 'HyperText Markup Language' });
+  });
+});
@@ -0,0 +1,159 @@
+import {
+  TOKEN_RENEWAL_LEEWAY_MS,
+  decodeTokenExpiry,
+  tokenRenewalDelay,
+  setTokenRenewer,
+  renewAccessToken,
+  onAccessTokenRenewed,
+  fetchWithAuth,
+  getAccessToken,
+  setAccessToken,
+  createPloneAdapter,
+} from '@volto-hydra/helpers';
+
+/**
+ * Inside the admin the bridge registers a renewer that asks the admin for a
+ * fresh token (TOKEN_RENEW_REQUEST / TOKEN_RENEWED). Fetches renew a token
+ * that is about to expire, and retry once after renewing on a 401.
+ */
+const jwt = (payload) =>
+  ['header', Buffer.from(JSON.stringify(payload)).toString('base64url'), 'signature'].join('.');
+const expiringIn = (ms) => jwt({ sub: 'admin', exp: Math.floor((Date.now() + ms) / 1000) });
+
+let store;
+beforeEach(() => {
+  store = new Map();
+  global.window = { location: { href: 'http://frontend.test/page' } };
+  global.sessionStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+});
+afterEach(() => {
+  setTokenRenewer(null);
+  delete global.window;
+  delete global.sessionStorage;
+  delete global.fetch;
+});
+
+describe('token expiry', () => {
+  test('reads exp from a JWT', () => {
+    expect(decodeTokenExpiry(jwt({ exp: 1700000000 }))).toBe(1700000000000);
+    expect(decodeTokenExpiry(jwt({ sub: 'admin' }))).toBeNull();
+    expect(decodeTokenExpiry('not-a-jwt')).toBeNull();
+    expect(decodeTokenExpiry(null)).toBeNull();
+  });
+
+  test('renewal is due a leeway before expiry', () => {
+    const now = 1700000000000;
+    const token = jwt({ exp: now / 1000 + 600 });
+    expect(tokenRenewalDelay(token, { now })).toBe(600000 - TOKEN_RENEWAL_LEEWAY_MS);
+    expect(tokenRenewalDelay(token, { now: now + 590000 })).toBe(0);
+    expect(tokenRenewalDelay('not-a-jwt', { now })).toBeNull();
+  });
+});
+
+describe('getAccessToken', () => {
+  const loadWithToken = (token) => {
+    window.location.href = `http://frontend.test/page?access_token=${token}`;
+  };
+
+  test('a sign-in replaces the URL token until the admin sends a new one', () => {
+    loadWithToken('first');
+    expect(getAccessToken()).toBe('first');
+    setAccessToken('signed-in');
+    expect(getAccessToken()).toBe('signed-in');
+    // Reloading the same URL keeps the sign-in
+    loadWithToken('first');
+    expect(getAccessToken()).toBe('signed-in');
+    loadWithToken('second');
+    expect(getAccessToken()).toBe('second');
+  });
+});
+
+describe('renewAccessToken', () => {
+  test('stores the renewed token and tells the listeners', async () => {
+    const renewed = [];
+    const unsubscribe = onAccessTokenRenewed((token) => renewed.push(token));
+    setTokenRenewer(async () => 'fresh');
+    await expect(renewAccessToken()).resolves.toBe('fresh');
+    unsubscribe();
+    expect(getAccessToken()).toBe('fresh');
+    expect(renewed).toEqual(['fresh']);
+  });
+
+  test('a renewed token gives way to the next URL token', async () => {
+    window.location.href = 'http://frontend.test/page?access_token=from-url';
+    expect(getAccessToken()).toBe('from-url');
+    setTokenRenewer(async () => 'renewed');
+    await renewAccessToken();
+    expect(getAccessToken()).toBe('renewed');
+    // The admin reloads the iframe with the token it has now
+    window.location.href = 'http://frontend.test/page?access_token=newest';
+    expect(getAccessToken()).toBe('newest');
+    expect(sessionStorage.getItem('hydra_signed_in_token')).toBeNull();
+  });
+
+  test('concurrent calls share one renewal', async () => {
+    let calls = 0;
+    setTokenRenewer(async () => {
+      calls += 1;
+      return 'fresh';
+    });
+    await Promise.all([renewAccessToken(), renewAccessToken()]);
+    expect(calls).toBe(1);
+  });
+
+  test('no renewer, or a failed renewal, keeps the token', async () => {
+    await expect(renewAccessToken()).resolves.toBeNull();
+    setTokenRenewer(async () => {
+      throw new Error('offline');
+    });
+    await expect(renewAccessToken()).resolves.toBeNull();
+    expect(getAccessToken()).toBeNull();
+  });
+});
+
+describe('fetchWithAuth', () => {
+  const recordFetch = (statusFor) => {
+    const calls = [];
+    global.fetch = async (url, init) => {
+      calls.push(init.headers.Authorization);
+      return { ok: true, status: statusFor(init.headers.Authorization), json: async () => ({}) };
+    };
+    return calls;
+  };
+
+  test('retries a 401 once with the renewed token', async () => {
+    store.set('hydra_access_token', 'stale');
+    setTokenRenewer(async () => 'fresh');
+    const calls = recordFetch((auth) => (auth === 'Bearer fresh' ? 200 : 401));
+    const res = await fetchWithAuth('http://api.test/page');
+    expect(res.status).toBe(200);
+    expect(calls).toEqual(['Bearer stale', 'Bearer fresh']);
+  });
+
+  test('renews a token about to expire before using it', async () => {
+    store.set('hydra_access_token', expiringIn(10000));
+    setTokenRenewer(async () => 'fresh');
+    const calls = recordFetch(() => 200);
+    await fetchWithAuth('http://api.test/page', { headers: { Accept: 'text/html' } });
+    expect(calls).toEqual(['Bearer fresh']);
+  });
+
+  test('without a renewer a 401 is returned as is', async () => {
+    store.set('hydra_access_token', 'stale');
+    const calls = recordFetch(() => 401);
+    expect((await fetchWithAuth('http://api.test/page')).status).toBe(401);
+    expect(calls).toHaveLength(1);
+  });
+
+  test('the Plone adapter retries after renewing', async () => {
+    store.set('hydra_access_token', 'stale');
+    setTokenRenewer(async () => 'fresh');
+    const calls = recordFetch((auth) => (auth === 'Bearer fresh' ? 200 : 401));
+    await createPloneAdapter({ apiUrl: 'http://api.test' }).getContent({ path: '/page' });
+    expect(calls).toEqual(['Bearer stale', 'Bearer fresh']);
+  });
+});
@@ -0,0 +1 @@
+When a backend adapter reports that the editor's session has ended, the admin now shows a sign-in modal over the editor. The modal follows the adapter's declared method: a login form, an OAuth popup, or signing in to the site in another tab. The admin keeps unsaved edits, and retries the calls that failed once sign-in succeeds.
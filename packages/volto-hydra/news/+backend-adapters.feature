@@ -0,0 +1 @@
+A frontend can now pass a backend adapter to `initBridge`. The admin then sends its content, listing, search, vocabulary and upload calls to the preview as intents, and the adapter runs them. This lets one editor work with sites on different CMSes. The release includes a Plone reference adapter and an in-memory mock adapter, and the listing fetchers take the same adapter.
@@ -0,0 +1 @@
+Block history: History… in a block's menu lists the page's saved versions, shows the chosen version next to the current page, both rendered by the frontend with the block outlined, lists the block's changed fields, and restores the block (or a block deleted since) in one undoable change, where the block's container takes it and no template lock stands in the way.
@@ -0,0 +1 @@
+Add an `initBridge` `disable: { selection, dragAndDrop, keyboard }` option to switch off each of the bridge's built-in interactions independently, plus public `bridge.selectBlock(uid)` and `bridge.moveBlocks(blockIds, targetBlockId, { insertAfter })` so a frontend with its own carousel or canvas interaction model can replace one piece of Hydra and keep the rest.
@@ -0,0 +1 @@
+The preview bridge and the admin now tell each other their protocol version when they connect, and hydra.js lists the features it supports. An admin connected to an older hydra.js turns off the features that hydra.js lacks, and shows a clear message saying which side to upgrade when the two versions can't work together.
@@ -0,0 +1 @@
+Bulk-edit settings when several blocks are multi-selected: the sidebar shows the settings the selected blocks share, marks those whose values differ as mixed, and applies a value to every selected block in one undoable change.
@@ -0,0 +1 @@
+Pasting HTML into a text field now splits out elements that match a block's `fieldMappings['css:<selector>']` into blocks of that type. Attributes, text or inner HTML of the element and its descendants map onto block fields, and the rest of the paste is still converted to text as before.
@@ -0,0 +1 @@
+Add the `data-edit-field` annotation: clicking the element opens a popover to edit a choice, number, checkbox or date field right in the preview, through the same form update as the sidebar.
@@ -0,0 +1 @@
+Drag image files from the desktop onto the preview to upload them: dropped beside a block they become image blocks (or gallery items where the container only allows those), dropped on a `data-edit-media` element they fill that field, with a progress placeholder while they upload.
@@ -0,0 +1 @@
+Find and replace across the page: Cmd/Ctrl+Shift+F opens a find bar that searches every text field, including blocks in containers and list items, highlights the matches in the preview, steps through them and replaces one or all of them in a single undo step.
@@ -0,0 +1 @@
+The admin now sends edits to the preview as versioned patches of the changed blocks instead of the whole form and block map on every change, and resends everything if the bridge misses a patch. `onEditChange` gets a second `changes` argument naming the changed and removed blocks and the changed page fields, so a frontend can re-render only those blocks.
@@ -0,0 +1 @@
+Selected `object_list` items (slides, accordion panels, table rows) get add-before, add-after, duplicate and remove buttons in the preview, and Alt+Arrow moves the selected block along its list. Both respect the list's `maxLength` and `allowedBlocks`, and items behind a carousel are revealed after the change.
@@ -0,0 +1 @@
+Unsaved edits are kept as a local draft in the browser (IndexedDB) while editing. Reopening a page after a crash, a closed tab or a failed save offers to restore them, with a list of the blocks they change; a successful save discards the draft.
@@ -0,0 +1 @@
+Pasting Markdown into a text field now creates the blocks it describes: headings, paragraphs, lists and quotes as text blocks, image lines as image blocks, fenced code as code example blocks and pipe tables as table blocks. Types the container doesn't allow fall back to text.
@@ -0,0 +1 @@
+Crop and set the focal point of a `data-edit-media` image in the preview. The overlay stores `{ focalPoint, crop }` next to the field, and the new `getImageFocus` helper turns it into `object-position` and the nearest Plone scale.
@@ -0,0 +1 @@
+Pasting from Word or Google Docs now keeps lists, headings and bold/italic/underline formatting instead of bringing in inline styles, and embedded images become image blocks (configurable with `config.settings.slate.officePasteImages`).
@@ -0,0 +1 @@
+Add an `onRoute(from, to)` navigation hook to `initBridge` (also `bridge.onRoute(fn)`). Returning `'inPage'` keeps the admin on the page being edited, with its selection and undo history, while the frontend changes the URL for tabs, filters or paging. Returning `'block'` vetoes the change. The in-page decision for `data-linkable-allow` clicks now goes through the same path, replacing the timestamp-based `hydra_in_page_nav_time` check.
@@ -0,0 +1 @@
+Add a page outline to the sidebar: a collapsible tree of every region, container, list item and template instance on the page, with read-only and fixed markers. Clicking a row selects the block, also when it is on a hidden tab or slide, and dragging a row moves the block, across containers where the target accepts it.
@@ -0,0 +1 @@
+Add `bridge.sendBlockUpdate(blockUid, patch)` so a frontend can change a block's data from inside the preview (e.g. an in-preview "rows × columns" setup form). The patch is validated on both sides of the bridge with the shared `validateBlockPatch` helper, merged by the admin through `updateBlockById` and recorded as a single undo step like a sidebar edit.
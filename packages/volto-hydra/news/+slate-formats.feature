@@ -0,0 +1 @@
+Frontends can declare their own rich-text formats via `initBridge({ voltoConfig: { settings: { slate: { formats } } } })`: inline marks, block styles and attribute-carrying inline elements. Each gets a toolbar button (block styles in the format dropdown), an optional hotkey, and is recognised again when pasted or toggled.
@@ -0,0 +1 @@
+Copied and cut blocks now also go on the system clipboard, so they can be pasted into another browser tab, a new admin session or another site with the same block types. Pasted blocks and their children get new ids and are converted when the target container needs it.
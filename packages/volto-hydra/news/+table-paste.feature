@@ -0,0 +1 @@
+Pasting a range copied from a spreadsheet (an HTML table, tab-separated text or CSV) into a table cell now fills the table from that cell, adding rows and columns when the range is bigger than the table, instead of pasting the whole range as text into one cell.
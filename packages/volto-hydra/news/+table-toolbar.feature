@@ -0,0 +1 @@
+Selecting a table cell now shows a table toolbar under the table in the preview: add rows and columns on any side, remove the row or column, merge cells right or down and split them again, and toggle the header row and column. Merged cells are stored as `colspan` / `rowspan` on the cell; render tables with `getCoveredTableCells` from `@volto-hydra/helpers`. Header toggles set the table's `headerMode`, which drives the cells field's `typeRule` for typed tables.
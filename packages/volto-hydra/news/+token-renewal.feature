@@ -0,0 +1 @@
+The editor's access token is renewed before it expires: hydra.js asks the admin for a fresh one over the bridge, and fetches through `fetchWithAuth`, the Plone adapter and the listing fetchers retry once after renewing on a 401. Frontends can pass `onTokenRenewed` to `initBridge` to bypass SSR/ISR caches.
@@ -0,0 +1 @@
+Compare versions as the frontend renders them: page history, and its Compare two saved versions page, show the two versions side by side in frontend previews that scroll together, with added, removed, moved and changed blocks outlined.
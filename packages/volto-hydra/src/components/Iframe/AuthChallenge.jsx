@@ -0,0 +1,159 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { defineMessages, useIntl } from 'react-intl';
+
+const messages = defineMessages({
+  signInFailed: {
+    id: 'Sign-in failed',
+    defaultMessage: 'Sign-in failed',
+  },
+  popupBlocked: {
+    id: 'The sign-in window was blocked. Allow popups for this site and try again.',
+    defaultMessage: 'The sign-in window was blocked. Allow popups for this site and try again.',
+  },
+  openSignInPage: {
+    id: 'Open the sign-in page',
+    defaultMessage: 'Open the sign-in page',
+  },
+  cancel: {
+    id: 'Cancel',
+    defaultMessage: 'Cancel',
+  },
+  signIn: {
+    id: 'Sign in',
+    defaultMessage: 'Sign in',
+  },
+  continueToSignIn: {
+    id: 'Continue to sign in',
+    defaultMessage: 'Continue to sign in',
+  },
+  retryAfterSignIn: {
+    id: "I've signed in — retry",
+    defaultMessage: "I've signed in — retry",
+  },
+});
+
+/**
+ * Sign-in modal for AUTH_REQUIRED, rendered from the challenge the
+ * frontend's backend adapter declared (see normalizeAuthChallenge in
+ * @volto-hydra/helpers). It sits over the editor, so the unsaved form is
+ * untouched; `onSignIn` resolves once the adapter accepted the sign-in and
+ * the failed calls are retried.
+ *
+ * - form: one input per schema field; the values are the credentials
+ * - oauth: opens `authorizeUrl` in a popup and signs in when it closes
+ * - cookie-passthrough: the editor signs in elsewhere (`loginUrl`), then
+ *   retries
+ */
+const AuthChallenge = ({ challenge, onSignIn, onCancel }) => {
+  const intl = useIntl();
+  const { method, title, message, schema, loginUrl, authorizeUrl } = challenge;
+  const [values, setValues] = useState({});
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const popupTimer = useRef(null);
+
+  useEffect(() => () => clearInterval(popupTimer.current), []);
+
+  const signIn = async (credentials) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onSignIn(credentials);
+    } catch (e) {
+      setError(e.message || intl.formatMessage(messages.signInFailed));
+      setBusy(false);
+    }
+  };
+
+  const openPopup = () => {
+    const popup = window.open(authorizeUrl, 'hydra-auth', 'width=520,height=640');
+    if (!popup) {
+      setError(intl.formatMessage(messages.popupBlocked));
+      return;
+    }
+    setBusy(true);
+    clearInterval(popupTimer.current);
+    popupTimer.current = setInterval(() => {
+      if (!popup.closed) return;
+      clearInterval(popupTimer.current);
+      signIn({});
+    }, 500);
+  };
+
+  return (
+    <div className="template-edit-modal-overlay hydra-auth-overlay" role="dialog" aria-modal="true">
+      <form
+        className="template-edit-modal hydra-auth-challenge"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (method === 'form') signIn(values);
+        }}
+      >
+        <h3>{title}</h3>
+        {challenge.reason && challenge.reason !== 'unauthorized' && (
+          <p className="hydra-auth-reason">{challenge.reason}</p>
+        )}
+        {message && <p>{message}</p>}
+        {method === 'form' &&
+          schema.fields.map((field, index) => (
+            <label key={field.name} className="hydra-auth-field">
+              <span>{field.label}</span>
+              <input
+                type={field.type}
+                name={field.name}
+                autoComplete={field.type === 'password' ? 'current-password' : 'username'}
+                autoFocus={index === 0}
+                value={values[field.name] || ''}
+                onChange={(e) => setValues({ ...values, [field.name]: e.target.value })}
+              />
+              {field.hint && <small>{field.hint}</small>}
+            </label>
+          ))}
+        {method === 'cookie-passthrough' && loginUrl && (
+          <p>
+            <a href={loginUrl} target="_blank" rel="noopener noreferrer">
+              {intl.formatMessage(messages.openSignInPage)}
+            </a>
+          </p>
+        )}
+        {error && (
+          <p className="hydra-auth-error" role="alert">
+            {error}
+          </p>
+        )}
+        <div className="template-edit-modal-actions">
+          <button type="button" className="ui button hydra-auth-cancel" onClick={onCancel}>
+            {intl.formatMessage(messages.cancel)}
+          </button>
+          {method === 'form' && (
+            <button type="submit" className="ui primary button hydra-auth-submit" disabled={busy}>
+              {intl.formatMessage(messages.signIn)}
+            </button>
+          )}
+          {method === 'oauth' && (
+            <button
+              type="button"
+              className="ui primary button hydra-auth-submit"
+              disabled={busy || !authorizeUrl}
+              onClick={openPopup}
+            >
+              {intl.formatMessage(messages.continueToSignIn)}
+            </button>
+          )}
+          {method === 'cookie-passthrough' && (
+            <button
+              type="button"
+              className="ui primary button hydra-auth-submit"
+              disabled={busy}
+              onClick={() => signIn({})}
+            >
+              {intl.formatMessage(messages.retryAfterSignIn)}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AuthChallenge;
@@ -0,0 +1,367 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { defineMessages, useIntl } from 'react-intl';
+import { Link } from 'react-router-dom';
+import config from '@plone/volto/registry';
+import Api from '@plone/volto/helpers/Api/Api';
+import { PAGE_BLOCK_UID } from '@volto-hydra/hydra-js';
+import { buildBlockPathMap, getBlockById } from '../../utils/blockPath';
+import {
+  getHistoryVersions,
+  getBlockLabel,
+  diffBlockFields,
+  summariseFieldValue,
+  getDeletedBlocks,
+  restoreBlockFromVersion,
+  canRestoreBlock,
+} from '../../utils/blockHistory';
+import VersionPreviewFrame from './VersionPreviewFrame';
+import VersionCompare from './VersionCompare';
+
+const messages = defineMessages({
+  pageHistory: {
+    id: 'Page history',
+    defaultMessage: 'Page history',
+  },
+  blockHistory: {
+    id: 'Block history',
+    defaultMessage: 'Block history',
+  },
+  historyOf: {
+    id: 'History: {block}',
+    defaultMessage: 'History: {block}',
+  },
+  compareVersions: {
+    id: 'Compare two saved versions',
+    defaultMessage: 'Compare two saved versions',
+  },
+  close: {
+    id: 'Close',
+    defaultMessage: 'Close',
+  },
+  closeShortcut: {
+    id: 'Close (Escape)',
+    defaultMessage: 'Close (Escape)',
+  },
+  historyNotLoaded: {
+    id: 'The history of this page could not be loaded.',
+    defaultMessage: 'The history of this page could not be loaded.',
+  },
+  versionNotLoaded: {
+    id: 'Version {version} could not be loaded.',
+    defaultMessage: 'Version {version} could not be loaded.',
+  },
+  noVersions: {
+    id: 'This page has no saved versions yet.',
+    defaultMessage: 'This page has no saved versions yet.',
+  },
+  loading: {
+    id: 'Loading history…',
+    defaultMessage: 'Loading history…',
+  },
+  versions: {
+    id: 'Versions',
+    defaultMessage: 'Versions',
+  },
+  version: {
+    id: 'Version {version}',
+    defaultMessage: 'Version {version}',
+  },
+  now: {
+    id: 'Now',
+    defaultMessage: 'Now',
+  },
+  notInVersion: {
+    id: 'This block was not on the page in this version.',
+    defaultMessage: 'This block was not on the page in this version.',
+  },
+  deletedSince: {
+    id: 'This block has been deleted since this version.',
+    defaultMessage: 'This block has been deleted since this version.',
+  },
+  unchanged: {
+    id: 'This block is unchanged since this version.',
+    defaultMessage: 'This block is unchanged since this version.',
+  },
+  field: {
+    id: 'Field',
+    defaultMessage: 'Field',
+  },
+  restoreBlock: {
+    id: 'Restore this block',
+    defaultMessage: 'Restore this block',
+  },
+  deletedSinceVersion: {
+    id: 'Deleted since this version',
+    defaultMessage: 'Deleted since this version',
+  },
+  restore: {
+    id: 'Restore',
+    defaultMessage: 'Restore',
+  },
+  cannotRestore: {
+    id: "The block can't go back there: the spot is locked, or doesn't take this block.",
+    defaultMessage: "The block can't go back there: the spot is locked, or doesn't take this block.",
+  },
+});
+
+/**
+ * One block's saved versions (Plone `@history`, see utils/blockHistory).
+ * Picking a version shows it and the current form side by side, both
+ * rendered by the frontend (VersionPreviewFrame) and scrolled to the block,
+ * with the fields that changed. "Restore this block" writes the old block
+ * back as one formData change (one undo step); blocks deleted since that
+ * version can be restored too. Opened for the page, it compares the whole
+ * page with the version instead (VersionCompare).
+ *
+ * @param {string} blockId - The block, or PAGE_BLOCK_UID
+ * @param {Object} formData - The current form
+ * @param {Object} blockPathMap
+ * @param {string} path - The content path (`@history` is fetched under it)
+ * @param {string} previewSrc - Frontend URL for VersionPreviewFrame
+ * @param {string[]} templateEditMode - The unlocked template instance ids
+ *   (a restore must pass canRestoreBlock)
+ * @param {function(Object, string)} onRestore - Called with the new formData
+ *   and the restored block's id
+ * @param {function()} onClose
+ */
+const BlockHistoryPanel = ({ blockId, formData, blockPathMap, path, previewSrc, templateEditMode, onRestore, onClose }) => {
+  const intl = useIntl();
+  const blocksConfig = config.blocks.blocksConfig;
+  const apiPath = `${path.replace(/\/$/, '')}/@history`;
+  const [versions, setVersions] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [versionData, setVersionData] = useState(null);
+  const [error, setError] = useState(null);
+  const versionCache = useRef({});
+  const isPage = !blockId || blockId === PAGE_BLOCK_UID;
+
+  useEffect(() => {
+    let cancelled = false;
+    new Api()
+      .get(apiPath)
+      .then((history) => {
+        if (cancelled) return;
+        const list = getHistoryVersions(history);
+        setVersions(list);
+        setSelected(list[0]?.version ?? null);
+      })
+      .catch(() => !cancelled && setError({ message: messages.historyNotLoaded }));
+    return () => {
+      cancelled = true;
+    };
+  }, [apiPath]);
+
+  useEffect(() => {
+    if (selected === null) return undefined;
+    if (versionCache.current[selected]) {
+      setVersionData(versionCache.current[selected]);
+      return undefined;
+    }
+    let cancelled = false;
+    setVersionData(null);
+    new Api()
+      .get(`${apiPath}/${selected}`)
+      .then((content) => {
+        versionCache.current[selected] = content;
+        if (!cancelled) setVersionData(content);
+      })
+      .catch(() => !cancelled && setError({ message: messages.versionNotLoaded, values: { version: selected } }));
+    return () => {
+      cancelled = true;
+    };
+  }, [apiPath, selected]);
+
+  const versionPathMap = useMemo(
+    () => versionData && buildBlockPathMap(versionData, blocksConfig, intl),
+    [versionData, blocksConfig, intl],
+  );
+  const oldBlock = !isPage && versionData ? getBlockById(versionData, versionPathMap, blockId) : undefined;
+  const currentBlock = isPage ? undefined : getBlockById(formData, blockPathMap, blockId);
+  const changes = useMemo(
+    () => (oldBlock ? diffBlockFields(oldBlock, currentBlock) : []),
+    [oldBlock, currentBlock],
+  );
+  const deletedBlocks = useMemo(
+    () => (versionData ? getDeletedBlocks(versionData, versionPathMap, blockPathMap, blocksConfig) : []),
+    [versionData, versionPathMap, blockPathMap, blocksConfig],
+  );
+  // Stable objects, or every render would re-scroll the previews
+  const oldHighlights = useMemo(() => (oldBlock ? { [blockId]: 'focus' } : {}), [oldBlock, blockId]);
+  const currentHighlights = useMemo(() => (currentBlock ? { [blockId]: 'focus' } : {}), [currentBlock, blockId]);
+
+  const restorable = (id) =>
+    canRestoreBlock(formData, blockPathMap, versionData, versionPathMap, id, blocksConfig, intl, templateEditMode);
+  const restore = (id) => {
+    const restored = restoreBlockFromVersion(
+      formData,
+      blockPathMap,
+      versionData,
+      versionPathMap,
+      id,
+      blocksConfig,
+      intl,
+      templateEditMode,
+    );
+    if (restored) onRestore(restored, id);
+  };
+
+  let status = null;
+  if (!isPage && versionData) {
+    if (!oldBlock) status = intl.formatMessage(messages.notInVersion);
+    else if (!currentBlock) status = intl.formatMessage(messages.deletedSince);
+    else if (changes.length === 0) status = intl.formatMessage(messages.unchanged);
+  }
+  const canRestore = !isPage && !!oldBlock && changes.length > 0 && restorable(blockId);
+
+  return (
+    <div
+      className="template-edit-modal-overlay hydra-history-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-label={intl.formatMessage(isPage ? messages.pageHistory : messages.blockHistory)}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') onClose();
+      }}
+    >
+      <div className="hydra-history-panel">
+        <div className="hydra-history-header">
+          <h3>
+            {isPage
+              ? intl.formatMessage(messages.pageHistory)
+              : intl.formatMessage(messages.historyOf, { block: getBlockLabel(currentBlock || oldBlock, blocksConfig) })}
+          </h3>
+          {isPage && (
+            <Link to={`${path.replace(/\/$/, '')}/compare-versions`} onClick={onClose}>
+              {intl.formatMessage(messages.compareVersions)}
+            </Link>
+          )}
+          <button
+            type="button"
+            aria-label={intl.formatMessage(messages.close)}
+            title={intl.formatMessage(messages.closeShortcut)}
+            onClick={onClose}
+          >
+            ×
+          </button>
+        </div>
+        {error && <p className="hydra-history-error">{intl.formatMessage(error.message, error.values)}</p>}
+        {versions?.length === 0 && <p>{intl.formatMessage(messages.noVersions)}</p>}
+        {versions === null && !error && <p>{intl.formatMessage(messages.loading)}</p>}
+        {versions?.length > 0 && (
+          <div className="hydra-history-body">
+            <ul className="hydra-history-versions" aria-label={intl.formatMessage(messages.versions)}>
+              {versions.map((entry) => (
+                <li key={entry.version}>
+                  <button
+                    type="button"
+                    className={entry.version === selected ? 'selected' : undefined}
+                    aria-pressed={entry.version === selected}
+                    onClick={() => setSelected(entry.version)}
+                  >
+                    <strong>{intl.formatMessage(messages.version, { version: entry.version })}</strong>
+                    <span>{entry.time ? new Date(entry.time).toLocaleString() : ''}</span>
+                    <span>{entry.actor}</span>
+                    {entry.comment && <em>{entry.comment}</em>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="hydra-history-compare">
+              {isPage ? (
+                <VersionCompare
+                  src={previewSrc}
+                  before={versionData}
+                  after={formData}
+                  beforeLabel={intl.formatMessage(messages.version, { version: selected })}
+                  afterLabel={intl.formatMessage(messages.now)}
+                />
+              ) : (
+                <div className="hydra-history-previews">
+                  <figure>
+                    <figcaption>{intl.formatMessage(messages.version, { version: selected })}</figcaption>
+                    <VersionPreviewFrame
+                      src={previewSrc}
+                      formData={versionData}
+                      highlights={oldHighlights}
+                      scrollTo={oldBlock ? blockId : undefined}
+                      title={intl.formatMessage(messages.version, { version: selected })}
+                    />
+                  </figure>
+                  <figure>
+                    <figcaption>{intl.formatMessage(messages.now)}</figcaption>
+                    <VersionPreviewFrame
+                      src={previewSrc}
+                      formData={formData}
+                      highlights={currentHighlights}
+                      scrollTo={currentBlock ? blockId : undefined}
+                      title={intl.formatMessage(messages.now)}
+                    />
+                  </figure>
+                </div>
+              )}
+              {status && <p className="hydra-history-status">{status}</p>}
+              {changes.length > 0 && (
+                <table className="hydra-history-changes">
+                  <thead>
+                    <tr>
+                      <th>{intl.formatMessage(messages.field)}</th>
+                      <th>{intl.formatMessage(messages.version, { version: selected })}</th>
+                      <th>{intl.formatMessage(messages.now)}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changes.map(({ field, change, before, after }) => (
+                      <tr key={field} data-change={change}>
+                        <td>{field}</td>
+                        <td>{summariseFieldValue(before)}</td>
+                        <td>{summariseFieldValue(after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {!isPage && (
+                <div className="template-edit-modal-actions">
+                  <button
+                    type="button"
+                    className="ui primary button hydra-history-restore"
+                    disabled={!canRestore}
+                    onClick={() => restore(blockId)}
+                  >
+                    {intl.formatMessage(messages.restoreBlock)}
+                  </button>
+                </div>
+              )}
+              {deletedBlocks.length > 0 && (
+                <div className="hydra-history-deleted">
+                  <h4>{intl.formatMessage(messages.deletedSinceVersion)}</h4>
+                  <ul>
+                    {deletedBlocks.map((block) => {
+                      const allowed = restorable(block.id);
+                      return (
+                        <li key={block.id}>
+                          <span>{block.title}</span>
+                          <button
+                            type="button"
+                            className="ui button"
+                            disabled={!allowed}
+                            title={allowed ? undefined : intl.formatMessage(messages.cannotRestore)}
+                            onClick={() => restore(block.id)}
+                          >
+                            {intl.formatMessage(messages.restore)}
+                          </button>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BlockHistoryPanel;
@@ -0,0 +1,221 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { defineMessages, useIntl } from 'react-intl';
+import { findTextMatches, replaceTextMatches } from '../../utils/findReplace';
+
+const messages = defineMessages({
+  findAndReplace: {
+    id: 'Find and replace',
+    defaultMessage: 'Find and replace',
+  },
+  find: {
+    id: 'Find',
+    defaultMessage: 'Find',
+  },
+  matchPosition: {
+    id: '{current} of {total}',
+    defaultMessage: '{current} of {total}',
+  },
+  noResults: {
+    id: 'No results',
+    defaultMessage: 'No results',
+  },
+  previousMatch: {
+    id: 'Previous match',
+    defaultMessage: 'Previous match',
+  },
+  previousShortcut: {
+    id: 'Previous (Shift+Enter)',
+    defaultMessage: 'Previous (Shift+Enter)',
+  },
+  nextMatch: {
+    id: 'Next match',
+    defaultMessage: 'Next match',
+  },
+  nextShortcut: {
+    id: 'Next (Enter)',
+    defaultMessage: 'Next (Enter)',
+  },
+  close: {
+    id: 'Close',
+    defaultMessage: 'Close',
+  },
+  closeShortcut: {
+    id: 'Close (Escape)',
+    defaultMessage: 'Close (Escape)',
+  },
+  replaceWith: {
+    id: 'Replace with',
+    defaultMessage: 'Replace with',
+  },
+  replace: {
+    id: 'Replace',
+    defaultMessage: 'Replace',
+  },
+  replaceAll: {
+    id: 'Replace all',
+    defaultMessage: 'Replace all',
+  },
+  matchCase: {
+    id: 'Match case',
+    defaultMessage: 'Match case',
+  },
+  wholeWord: {
+    id: 'Whole word',
+    defaultMessage: 'Whole word',
+  },
+});
+
+/**
+ * Find / replace over every text field on the page (see utils/findReplace).
+ * Matches are highlighted in the preview (HIGHLIGHT_MATCHES); stepping to
+ * one selects its block and text there (SELECT_MATCH). Replace changes the
+ * current match, Replace all every match in blocks the editor may change —
+ * each as one formData change, so one undo step.
+ *
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {Object} fieldTypes - blockType → fieldName → field type string
+ * @param {function(string): boolean} isEditable - Whether a block's text may
+ *   be replaced (not readonly / template-locked)
+ * @param {function(Object)} onReplace - Called with the new formData
+ * @param {function(Object)} postMessage - Posts a message to the preview
+ * @param {number} focusRequest - Changes when the panel should take focus
+ * @param {function()} onClose
+ */
+const FindReplacePanel = ({ formData, blockPathMap, fieldTypes, isEditable, onReplace, postMessage, focusRequest, onClose }) => {
+  const intl = useIntl();
+  const [query, setQuery] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [matchCase, setMatchCase] = useState(false);
+  const [wholeWord, setWholeWord] = useState(false);
+  const [current, setCurrent] = useState(0);
+  const queryInput = useRef(null);
+
+  const matches = useMemo(
+    () => findTextMatches(formData, blockPathMap, query, { fieldTypes, matchCase, wholeWord }),
+    [formData, blockPathMap, query, fieldTypes, matchCase, wholeWord],
+  );
+  // After a replace the list shrinks; the match that followed takes the index
+  const index = matches.length ? Math.min(current, matches.length - 1) : -1;
+
+  useEffect(() => {
+    queryInput.current?.focus();
+    queryInput.current?.select();
+  }, [focusRequest]);
+
+  useEffect(() => {
+    postMessage({ type: 'HIGHLIGHT_MATCHES', matches, currentIndex: index });
+  }, [matches, index, postMessage]);
+  useEffect(() => () => postMessage({ type: 'HIGHLIGHT_MATCHES', matches: [] }), [postMessage]);
+
+  const step = (direction) => {
+    if (!matches.length) return;
+    const next = (index + direction + matches.length) % matches.length;
+    setCurrent(next);
+    postMessage({ type: 'SELECT_MATCH', match: matches[next] });
+  };
+
+  const replaceCurrent = () => {
+    const match = matches[index];
+    if (!match || !isEditable(match.blockId)) return;
+    onReplace(replaceTextMatches(formData, blockPathMap, [match], replacement));
+  };
+
+  const replaceAll = () => {
+    const editable = matches.filter((match) => isEditable(match.blockId));
+    if (editable.length) onReplace(replaceTextMatches(formData, blockPathMap, editable, replacement));
+  };
+
+  const closeOnEscape = (e) => {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    onClose();
+  };
+
+  const onQueryKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      step(e.shiftKey ? -1 : 1);
+    } else {
+      closeOnEscape(e);
+    }
+  };
+
+  return (
+    <div className="hydra-find-panel" role="search" aria-label={intl.formatMessage(messages.findAndReplace)}>
+      <div className="hydra-find-row">
+        <input
+          ref={queryInput}
+          type="search"
+          placeholder={intl.formatMessage(messages.find)}
+          aria-label={intl.formatMessage(messages.find)}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setCurrent(0);
+          }}
+          onKeyDown={onQueryKeyDown}
+        />
+        <span className="hydra-find-count" aria-live="polite">
+          {query
+            ? matches.length
+              ? intl.formatMessage(messages.matchPosition, { current: index + 1, total: matches.length })
+              : intl.formatMessage(messages.noResults)
+            : ''}
+        </span>
+        <button
+          type="button"
+          aria-label={intl.formatMessage(messages.previousMatch)}
+          title={intl.formatMessage(messages.previousShortcut)}
+          disabled={!matches.length}
+          onClick={() => step(-1)}
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          aria-label={intl.formatMessage(messages.nextMatch)}
+          title={intl.formatMessage(messages.nextShortcut)}
+          disabled={!matches.length}
+          onClick={() => step(1)}
+        >
+          ↓
+        </button>
+        <button
+          type="button"
+          aria-label={intl.formatMessage(messages.close)}
+          title={intl.formatMessage(messages.closeShortcut)}
+          onClick={onClose}
+        >
+          ×
+        </button>
+      </div>
+      <div className="hydra-find-row">
+        <input
+          type="text"
+          placeholder={intl.formatMessage(messages.replaceWith)}
+          aria-label={intl.formatMessage(messages.replaceWith)}
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          onKeyDown={closeOnEscape}
+        />
+        <button type="button" disabled={index < 0 || !isEditable(matches[index].blockId)} onClick={replaceCurrent}>
+          {intl.formatMessage(messages.replace)}
+        </button>
+        <button type="button" disabled={!matches.length} onClick={replaceAll}>
+          {intl.formatMessage(messages.replaceAll)}
+        </button>
+      </div>
+      <div className="hydra-find-row hydra-find-options">
+        <label>
+          <input type="checkbox" checked={matchCase} onChange={(e) => setMatchCase(e.target.checked)} /> {intl.formatMessage(messages.matchCase)}
+        </label>
+        <label>
+          <input type="checkbox" checked={wholeWord} onChange={(e) => setWholeWord(e.target.checked)} /> {intl.formatMessage(messages.wholeWord)}
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default FindReplacePanel;
@@ -0,0 +1,226 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useSelector, useStore } from 'react-redux';
+import { defineMessages, useIntl } from 'react-intl';
+import config from '@plone/volto/registry';
+import { formDataContentEqual } from '@volto-hydra/helpers';
+import {
+  createDraftWriter,
+  getDraft,
+  discardDrafts,
+  summariseDraft,
+} from '../../utils/localDrafts';
+
+const messages = defineMessages({
+  title: {
+    id: 'Restore unsaved changes?',
+    defaultMessage: 'Restore unsaved changes?',
+  },
+  unsavedSince: {
+    id: 'This page has changes from {time} that were never saved.',
+    defaultMessage: 'This page has changes from {time} that were never saved.',
+  },
+  savedSince: {
+    id: 'The page has been saved since',
+    defaultMessage: 'The page has been saved since',
+  },
+  revertsSave: {
+    id: '{savedSince}, so restoring them also reverts what that save changed.',
+    defaultMessage: '{savedSince}, so restoring them also reverts what that save changed.',
+  },
+  makesChanges: {
+    id: 'Restoring makes these changes:',
+    defaultMessage: 'Restoring makes these changes:',
+  },
+  pageFields: {
+    id: 'Page fields: {fields}',
+    defaultMessage: 'Page fields: {fields}',
+  },
+  inserted: {
+    id: 'Added',
+    defaultMessage: 'Added',
+  },
+  removed: {
+    id: 'Removed',
+    defaultMessage: 'Removed',
+  },
+  moved: {
+    id: 'Moved',
+    defaultMessage: 'Moved',
+  },
+  changed: {
+    id: 'Changed',
+    defaultMessage: 'Changed',
+  },
+  discard: {
+    id: 'Discard them',
+    defaultMessage: 'Discard them',
+  },
+  restore: {
+    id: 'Restore',
+    defaultMessage: 'Restore',
+  },
+});
+
+// Call `callback(ok)` once the page save in flight has an outcome — for an
+// editor unmounted mid-save, which no longer sees `content.update` change
+function whenSaveSettles(store, callback) {
+  const settled = () => {
+    const update = store.getState().content.update;
+    if (update?.loading) return false;
+    callback(!!update?.loaded && !update?.error);
+    return true;
+  };
+  if (settled()) return;
+  const unsubscribe = store.subscribe(() => {
+    if (settled()) unsubscribe();
+  });
+}
+
+/**
+ * Keeps the page being edited as a local draft (utils/localDrafts) and, when
+ * the page is opened with a draft the form doesn't match, asks whether to
+ * restore it — listing the blocks it would change. Nothing is written until
+ * that is answered, so the stored draft isn't overwritten by the form it
+ * was offered over. A successful save discards the draft.
+ *
+ * @param {string} path - The content path
+ * @param {Object} formData - The form
+ * @param {function(Object)} onRestore - Called with the draft's formData
+ */
+const LocalDraftRecovery = ({ path, formData, onRestore }) => {
+  const intl = useIntl();
+  const store = useStore();
+  // The saved version being edited
+  const modified = useSelector((state) => state.content.data?.modified);
+  const blocksConfig = config.blocks.blocksConfig;
+  const [draft, setDraft] = useState(null);
+  const [resolved, setResolved] = useState(false);
+  const formDataRef = useRef(formData);
+  formDataRef.current = formData;
+  // The form as it was when the draft was resolved: unedited, not a draft
+  const baselineRef = useRef(null);
+  // Writes the drafts of the page at `path`
+  const writerRef = useRef(null);
+
+  const resolve = useCallback(() => {
+    baselineRef.current = formDataRef.current;
+    setDraft(null);
+    setResolved(true);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const writer = createDraftWriter(path);
+    writerRef.current = writer;
+    setResolved(false);
+    setDraft(null);
+    getDraft(path).then((found) => {
+      if (cancelled) return;
+      if (found) setDraft(found);
+      else resolve();
+    });
+    return () => {
+      cancelled = true;
+      writer.close();
+      if (writer.isSaving()) whenSaveSettles(store, writer.saveSettled);
+    };
+  }, [path, store, resolve]);
+
+  const summary = useMemo(
+    () => draft && summariseDraft(formData, draft.formData, blocksConfig, intl),
+    [draft, formData, blocksConfig, intl],
+  );
+
+  // A draft that matches the form has nothing to offer
+  useEffect(() => {
+    if (draft && !summary) resolve();
+  }, [draft, summary, resolve]);
+
+  useEffect(() => {
+    if (!resolved || formDataContentEqual(formData, baselineRef.current)) return;
+    writerRef.current.change(modified, formData);
+  }, [formData, resolved, modified]);
+
+  // A tab being closed gets no unmount: write what's pending now
+  useEffect(() => {
+    const flush = () => writerRef.current?.flush();
+    window.addEventListener('pagehide', flush);
+    return () => window.removeEventListener('pagehide', flush);
+  }, []);
+
+  // Discard once the page is saved. A save that fails (e.g. on an expired
+  // token) keeps the draft.
+  const update = useSelector((state) => state.content.update);
+  useEffect(() => {
+    const writer = writerRef.current;
+    if (!writer) return;
+    if (update?.loading) {
+      writer.saveStarted();
+    } else if (writer.isSaving()) {
+      const ok = !!update?.loaded && !update?.error;
+      if (ok) baselineRef.current = formDataRef.current;
+      writer.saveSettled(ok);
+    }
+  }, [update]);
+
+  if (!draft || !summary) return null;
+  const savedOver = draft.modified !== (modified || '');
+  return createPortal(
+    <div className="template-edit-modal-overlay" role="dialog" aria-modal="true">
+      <div className="template-edit-modal hydra-draft-modal">
+        <h3>{intl.formatMessage(messages.title)}</h3>
+        <p>
+          {intl.formatMessage(messages.unsavedSince, { time: new Date(draft.savedAt).toLocaleString() })}
+          {savedOver && (
+            <>
+              {' '}
+              {intl.formatMessage(messages.revertsSave, {
+                savedSince: <strong>{intl.formatMessage(messages.savedSince)}</strong>,
+              })}
+            </>
+          )}{' '}
+          {intl.formatMessage(messages.makesChanges)}
+        </p>
+        {summary.pageFields.length > 0 && (
+          <p>{intl.formatMessage(messages.pageFields, { fields: summary.pageFields.join(', ') })}</p>
+        )}
+        {summary.blocks.length > 0 && (
+          <ul className="hydra-draft-changes">
+            {summary.blocks.map(({ id, kind, title }) => (
+              <li key={id} data-change={kind}>
+                <span className="hydra-version-compare-kind">{intl.formatMessage(messages[kind])}</span>
+                {title}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="template-edit-modal-actions">
+          <button
+            type="button"
+            className="ui button hydra-draft-discard"
+            onClick={() => {
+              discardDrafts(path);
+              resolve();
+            }}
+          >
+            {intl.formatMessage(messages.discard)}
+          </button>
+          <button
+            type="button"
+            className="ui primary button hydra-draft-restore"
+            onClick={() => {
+              onRestore(draft.formData);
+              resolve();
+            }}
+          >
+            {intl.formatMessage(messages.restore)}
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+};
+
+export default LocalDraftRecovery;
@@ -0,0 +1,112 @@
+import React, { useMemo, useState } from 'react';
+import { useIntl } from 'react-intl';
+import config from '@plone/volto/registry';
+import { buildBlockPathMap, getBlockById } from '../../utils/blockPath';
+import { getBlockLabel } from '../../utils/blockHistory';
+import { diffVersions, CHANGE_KIND_LABELS } from '../../utils/versionDiff';
+import VersionPreviewFrame from './VersionPreviewFrame';
+
+/**
+ * Two versions of the page side by side, each rendered by the frontend
+ * (VersionPreviewFrame), with what changed outlined (utils/versionDiff):
+ * removed blocks on the older side, added ones on the newer, moved and
+ * changed ones on both. The previews scroll together; picking a change in
+ * the list scrolls both to it.
+ *
+ * @param {string} src - Frontend URL for VersionPreviewFrame
+ * @param {Object} before - The older version's formData
+ * @param {Object} after - The newer version's formData (or the current form)
+ * @param {string} beforeLabel
+ * @param {string} afterLabel
+ */
+const VersionCompare = ({ src, before, after, beforeLabel, afterLabel }) => {
+  const intl = useIntl();
+  const blocksConfig = config.blocks.blocksConfig;
+  const [focused, setFocused] = useState(null);
+  // Each preview follows the position the other one reports
+  const [followBefore, setFollowBefore] = useState(null);
+  const [followAfter, setFollowAfter] = useState(null);
+
+  const beforeMap = useMemo(
+    () => before && buildBlockPathMap(before, blocksConfig, intl),
+    [before, blocksConfig, intl],
+  );
+  const afterMap = useMemo(
+    () => after && buildBlockPathMap(after, blocksConfig, intl),
+    [after, blocksConfig, intl],
+  );
+  const diff = useMemo(
+    () => before && after && diffVersions(before, beforeMap, after, afterMap),
+    [before, beforeMap, after, afterMap],
+  );
+
+  const blockTitle = (id) =>
+    getBlockLabel(
+      getBlockById(after, afterMap, id) || getBlockById(before, beforeMap, id),
+      blocksConfig,
+      id,
+    );
+
+  // A removed block is only in the older preview, an added one only in the newer
+  const scrollBefore = focused && diff?.before[focused] ? focused : undefined;
+  const scrollAfter = focused && diff?.after[focused] ? focused : undefined;
+
+  return (
+    <div className="hydra-version-compare">
+      <div className="hydra-history-previews">
+        <figure>
+          <figcaption>{beforeLabel}</figcaption>
+          <VersionPreviewFrame
+            src={src}
+            formData={before}
+            highlights={diff?.before}
+            scrollTo={scrollBefore}
+            title={beforeLabel}
+            onScroll={setFollowAfter}
+            followScroll={followBefore}
+          />
+        </figure>
+        <figure>
+          <figcaption>{afterLabel}</figcaption>
+          <VersionPreviewFrame
+            src={src}
+            formData={after}
+            highlights={diff?.after}
+            scrollTo={scrollAfter}
+            title={afterLabel}
+            onScroll={setFollowBefore}
+            followScroll={followAfter}
+          />
+        </figure>
+      </div>
+      {diff && (
+        <div className="hydra-version-compare-changes">
+          {diff.changes.length === 0 && diff.pageFields.length === 0 && (
+            <p className="hydra-history-status">These versions are the same.</p>
+          )}
+          {diff.pageFields.length > 0 && (
+            <p className="hydra-history-status">Page fields changed: {diff.pageFields.join(', ')}</p>
+          )}
+          {diff.changes.length > 0 && (
+            <ul aria-label="Changes">
+              {diff.changes.map(({ id, kind }) => (
+                <li key={id} data-change={kind}>
+                  <button
+                    type="button"
+                    aria-pressed={focused === id}
+                    onClick={() => setFocused(id)}
+                  >
+                    <span className="hydra-version-compare-kind">{CHANGE_KIND_LABELS[kind]}</span>
+                    {blockTitle(id)}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionCompare;
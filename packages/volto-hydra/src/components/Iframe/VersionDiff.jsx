@@ -0,0 +1,166 @@
+/**
+ * VersionDiff - The `/compare-versions` route (Page history → "Compare two
+ * saved versions"): two versions rendered by the frontend (VersionCompare),
+ * where Volto's `/diff` renders them with Volto's views, which look nothing
+ * like the frontend. Volto's stays as it was, linked from here for what
+ * this can't show (e.g. a frontend that's down). Same query as Volto's:
+ * `?one=<version>&two=<version>`.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { defineMessages, useIntl } from 'react-intl';
+import { useSelector } from 'react-redux';
+import { Link, useHistory, useLocation } from 'react-router-dom';
+import Cookies from 'js-cookie';
+import Api from '@plone/volto/helpers/Api/Api';
+import { getHistoryVersions } from '../../utils/blockHistory';
+import { getIframeUrlCookieName } from '../../utils/cookieNames';
+import { getURlsFromEnv } from '../../utils/getSavedURLs';
+import { getUrlWithAdminParams } from '../../utils/adminUrl';
+import VersionCompare from './VersionCompare';
+
+const messages = defineMessages({
+  historyNotLoaded: {
+    id: 'The history of this page could not be loaded.',
+    defaultMessage: 'The history of this page could not be loaded.',
+  },
+  versionNotLoaded: {
+    id: 'Version {version} could not be loaded.',
+    defaultMessage: 'Version {version} could not be loaded.',
+  },
+  olderVersion: {
+    id: 'Older version',
+    defaultMessage: 'Older version',
+  },
+  newerVersion: {
+    id: 'Newer version',
+    defaultMessage: 'Newer version',
+  },
+  chooseVersion: {
+    id: 'Choose a version',
+    defaultMessage: 'Choose a version',
+  },
+  version: {
+    id: 'Version {version}',
+    defaultMessage: 'Version {version}',
+  },
+  compareVersions: {
+    id: 'Compare versions',
+    defaultMessage: 'Compare versions',
+  },
+  voltoDiff: {
+    id: "Volto's view of the changes",
+    defaultMessage: "Volto's view of the changes",
+  },
+  backToHistory: {
+    id: 'Back to history',
+    defaultMessage: 'Back to history',
+  },
+  noFrontend: {
+    id: 'No frontend is configured to render the page.',
+    defaultMessage: 'No frontend is configured to render the page.',
+  },
+});
+
+const VersionDiff = () => {
+  const intl = useIntl();
+  const location = useLocation();
+  const history = useHistory();
+  const path = location.pathname.replace(/\/compare-versions$/, '') || '/';
+  const apiPath = `${path.replace(/\/$/, '')}/@history`;
+  const query = new URLSearchParams(location.search);
+  const one = query.get('one');
+  const two = query.get('two');
+
+  const token = useSelector((state) => state.userSession.token);
+  const frontendUrl =
+    useSelector((state) => state.frontendPreviewUrl.url) ||
+    Cookies.get(getIframeUrlCookieName()) ||
+    getURlsFromEnv()[0]?.url;
+
+  const [versions, setVersions] = useState(null);
+  const [contents, setContents] = useState({});
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    new Api()
+      .get(apiPath)
+      .then((entries) => !cancelled && setVersions(getHistoryVersions(entries)))
+      .catch(() => !cancelled && setError({ message: messages.historyNotLoaded }));
+    return () => {
+      cancelled = true;
+    };
+  }, [apiPath]);
+
+  useEffect(() => {
+    let cancelled = false;
+    [one, two]
+      .filter((version) => version !== null && !contents[version])
+      .forEach((version) =>
+        new Api()
+          .get(`${apiPath}/${version}`)
+          .then((content) => !cancelled && setContents((loaded) => ({ ...loaded, [version]: content })))
+          .catch(() => !cancelled && setError({ message: messages.versionNotLoaded, values: { version } })),
+      );
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiPath, one, two]);
+
+  const choose = (name, version) => {
+    query.set(name, version);
+    history.replace({ search: query.toString() });
+  };
+
+  const versionSelect = (name, value) => (
+    <select
+      aria-label={intl.formatMessage(name === 'one' ? messages.olderVersion : messages.newerVersion)}
+      value={value ?? ''}
+      onChange={(e) => choose(name, e.target.value)}
+    >
+      <option value="" disabled>
+        {intl.formatMessage(messages.chooseVersion)}
+      </option>
+      {(versions || []).map((entry) => (
+        <option key={entry.version} value={entry.version}>
+          {intl.formatMessage(messages.version, { version: entry.version })}
+          {entry.time ? ` — ${new Date(entry.time).toLocaleString()}` : ''}
+          {entry.actor ? ` — ${entry.actor}` : ''}
+        </option>
+      ))}
+    </select>
+  );
+
+  const src =
+    frontendUrl && getUrlWithAdminParams(frontendUrl, token, true, { preview: true, contentPath: path });
+
+  return (
+    <div className="hydra-version-diff">
+      <div className="hydra-history-header">
+        <h3>{intl.formatMessage(messages.compareVersions)}</h3>
+        <Link to={`${path.replace(/\/$/, '')}/diff${location.search}`}>{intl.formatMessage(messages.voltoDiff)}</Link>
+        <Link to={`${path.replace(/\/$/, '')}/historyview`}>{intl.formatMessage(messages.backToHistory)}</Link>
+      </div>
+      <div className="hydra-version-diff-choose">
+        {versionSelect('one', one)}
+        <span>→</span>
+        {versionSelect('two', two)}
+      </div>
+      {error && <p className="hydra-history-error">{intl.formatMessage(error.message, error.values)}</p>}
+      {!src && <p className="hydra-history-error">{intl.formatMessage(messages.noFrontend)}</p>}
+      {src && one !== null && two !== null && (
+        <VersionCompare
+          src={src}
+          before={contents[one]}
+          after={contents[two]}
+          beforeLabel={intl.formatMessage(messages.version, { version: one })}
+          afterLabel={intl.formatMessage(messages.version, { version: two })}
+        />
+      )}
+    </div>
+  );
+};
+
+export default VersionDiff;
@@ -0,0 +1,102 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useIntl } from 'react-intl';
+import config from '@plone/volto/registry';
+import { buildBlockPathMap, stripBlockPathMapForPostMessage } from '../../utils/blockPath';
+import { ADMIN_PROTOCOL, negotiateBridgeProtocol } from '../../utils/bridgeProtocol';
+
+/**
+ * The frontend rendering a formData it is given, read-only — an older
+ * version of the page for block history and version compare. The frame is
+ * named like the editing iframe (so the frontend renders the admin's data)
+ * and loads with `_hydra_preview=1`, which turns off selection, editing and
+ * link navigation in the bridge. Its INIT is answered here with INITIAL_DATA;
+ * View's message handler only listens to the editing iframe. Two previews
+ * scroll together by passing each one's `onScroll` position to the other's
+ * `followScroll`. A bridge that doesn't list `previewHighlights` just shows
+ * the version.
+ *
+ * @param {string} src - Frontend URL with the admin params and `_hydra_preview`
+ * @param {Object} formData - The content to render
+ * @param {Object<string, string>} [highlights] - Block uid → outline kind
+ *   (PREVIEW_HIGHLIGHTS)
+ * @param {string} [scrollTo] - Block uid to bring into view
+ * @param {string} title - The frame's accessible title
+ * @param {function(Object)} [onScroll] - Called with the bridge's
+ *   PREVIEW_SCROLL position when the user scrolls the preview
+ * @param {Object} [followScroll] - Another preview's position to scroll to
+ */
+const VersionPreviewFrame = ({ src, formData, highlights, scrollTo, title, onScroll, followScroll }) => {
+  const intl = useIntl();
+  const iframeRef = useRef(null);
+  // Bumped by every INIT: a (re)loaded bridge needs the data again
+  const [bridgeLoads, setBridgeLoads] = useState(0);
+  // The bridge handles PREVIEW_HIGHLIGHTS / PREVIEW_SCROLL_TO
+  const [highlighting, setHighlighting] = useState(false);
+  const origin = src && new URL(src).origin;
+  const onScrollRef = useRef(onScroll);
+  onScrollRef.current = onScroll;
+
+  const blockPathMap = useMemo(
+    () => formData && buildBlockPathMap(formData, config.blocks.blocksConfig, intl),
+    [formData, intl],
+  );
+
+  useEffect(() => {
+    const onMessage = (event) => {
+      if (event.source !== iframeRef.current?.contentWindow || event.origin !== origin) return;
+      if (event.data?.type === 'INIT') {
+        setHighlighting(negotiateBridgeProtocol(event.data).capabilities.has('previewHighlights'));
+        setBridgeLoads((count) => count + 1);
+      }
+      if (event.data?.type === 'PREVIEW_SCROLL') {
+        const { anchors, ratio } = event.data;
+        onScrollRef.current?.({ anchors, ratio });
+      }
+    };
+    window.addEventListener('message', onMessage);
+    return () => window.removeEventListener('message', onMessage);
+  }, [origin]);
+
+  const ready = bridgeLoads > 0 && !!formData;
+  const postToFrame = (message) => iframeRef.current?.contentWindow?.postMessage(message, origin);
+
+  useEffect(() => {
+    if (!ready) return;
+    postToFrame({
+      type: 'INITIAL_DATA',
+      protocol: ADMIN_PROTOCOL,
+      data: formData,
+      blockPathMap: stripBlockPathMapForPostMessage(blockPathMap),
+      slateConfig: {
+        hotkeys: {},
+        toolbarButtons: [],
+        formats: config.settings.slate?.hydraFormats || [],
+      },
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ready, bridgeLoads, formData, blockPathMap]);
+
+  useEffect(() => {
+    if (ready && highlighting) postToFrame({ type: 'PREVIEW_HIGHLIGHTS', blocks: highlights || {}, scrollTo });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ready, highlighting, bridgeLoads, formData, highlights, scrollTo]);
+
+  useEffect(() => {
+    if (ready && highlighting && followScroll) postToFrame({ type: 'PREVIEW_SCROLL_TO', ...followScroll });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ready, highlighting, followScroll]);
+
+  return (
+    <div className="hydra-version-preview">
+      <iframe
+        ref={iframeRef}
+        src={src}
+        name={`hydra-edit:${window.location.origin}`}
+        title={title}
+      />
+      {!ready && <div className="hydra-version-preview-loading">Loading preview…</div>}
+    </div>
+  );
+};
+
+export default VersionPreviewFrame;
@@ -9,8 +9,9 @@ import {
 } from '@plone/volto/helpers';
 import { validateAndLog, validateTemplatePlaceholders } from '../../utils/formDataValidation';
 import { toast } from 'react-toastify';
+import { getUrlWithAdminParams } from '../../utils/adminUrl';
 import { getIframeUrlCookieName } from '../../utils/cookieNames';
-import { PAGE_BLOCK_UID } from '@volto-hydra/hydra-js';
+import { PAGE_BLOCK_UID, writeBlocksClipboard } from '@volto-hydra/hydra-js';
 import {
   isSlateFieldType,
   formDataContentEqual,
@@ -20,6 +21,8 @@ import {
   isBlockPositionLocked,
   getFieldValue,
   setFieldValue,
+  validateBlockPatch,
+  applyBlockPatch,
 } from '@volto-hydra/helpers';
 import Api from '@plone/volto/helpers/Api/Api';
 
@@ -81,6 +84,24 @@ function countContainerItems(formData, blockPathMap, containerConfig) {
   return parent?.blocks_layout?.[containerConfig.region || 'items']?.length ?? 0;
 }
 
+/**
+ * Type for a block added next to `blockId`: "another one of these" when its
+ * own type is allowed at that position, otherwise the centralised
+ * getEmptyBlockType chain (defaultBlockType → single allowedBlocks →
+ * config.settings.defaultBlockType → 'empty' slot).
+ */
+function getAddedSiblingType(blockId, blockPathMap, formData, intl) {
+  const containerFieldConfig = getContainerFieldConfig(
+    blockId, blockPathMap, formData, config.blocks.blocksConfig, intl,
+  );
+  const sourcePathInfo = blockPathMap?.[blockId];
+  const sourceType = sourcePathInfo?.blockType;
+  const allowedSiblings = sourcePathInfo?.allowedSiblingTypes;
+  const sourceAllowed = sourceType
+    && (!allowedSiblings || allowedSiblings.includes(sourceType));
+  return sourceAllowed ? sourceType : getEmptyBlockType(containerFieldConfig);
+}
+
 /**
  * Enforce the one-node-per-slate-field invariant.
  *
@@ -247,20 +268,34 @@ import { createPortal, flushSync } from 'react-dom';
 import { usePopper } from 'react-popper';
 import { useSelector, useDispatch } from 'react-redux';
 import { getURlsFromEnv } from '../../utils/getSavedURLs';
-import { setSidebarTab } from '@plone/volto/actions';
+import { setSidebarTab, loginRenew } from '@plone/volto/actions';
 import blockSVG from '@plone/volto/icons/block.svg';
 import columnAfterSVG from '@plone/volto/icons/column-after.svg';
 import rowAfterSVG from '@plone/volto/icons/row-after.svg';
 import { setAllowedBlocksList } from '../../utils/allowedBlockList';
 import toggleMark from '../../utils/toggleMark';
+import { installSlateFormats } from '../Toolbar/slateFormats';
 import slateTransforms from '../../utils/slateTransforms';
 // Note: Editor, Transforms, toggleInlineFormat, toggleBlock were removed
 // as applyFormat was replaced by SLATE_TRANSFORM_REQUEST handling
 import OpenObjectBrowser from './OpenObjectBrowser';
+import AuthChallenge from './AuthChallenge';
+import FindReplacePanel from './FindReplacePanel';
+import BlockHistoryPanel from './BlockHistoryPanel';
+import LocalDraftRecovery from './LocalDraftRecovery';
 import SyncedSlateToolbar from '../Toolbar/SyncedSlateToolbar';
-import { buildBlockPathMap, buildIdFieldMap, stripBlockPathMapForPostMessage, getBlockByPath, getBlockById, updateBlockById, getChildBlockIds, getContainerFieldConfig, getSelectAfterDelete, insertBlockInContainer, deleteBlockFromContainer, mutateBlockInContainer, ensureEmptyBlockIfEmpty, initializeContainerBlock, moveBlockBetweenContainers, reorderBlocksInContainer, getAllContainerFields, insertTableColumn, deleteTableColumn, removeTemplateInstance, getContainerItems, getResolvedSchema, getCommonAncestor, wrapBlocksInContainer, unwrapContainer, getEmptyBlockType, getContainerRegionDescriptors } from '../../utils/blockPath';
+import { buildBlockPathMap, buildIdFieldMap, stripBlockPathMapForPostMessage, getBlockByPath, getBlockById, updateBlockById, getChildBlockIds, getContainerFieldConfig, getSelectAfterDelete, insertBlockInContainer, deleteBlockFromContainer, mutateBlockInContainer, ensureEmptyBlockIfEmpty, initializeContainerBlock, moveBlockBetweenContainers, reorderBlocksInContainer, getAllContainerFields, insertTableColumn, deleteTableColumn, spanInsertedTableRow, deleteTableRow, removeTemplateInstance, getContainerItems, getResolvedSchema, getCommonAncestor, wrapBlocksInContainer, unwrapContainer, getEmptyBlockType, getContainerRegionDescriptors } from '../../utils/blockPath';
 import { mergeAnchorsIntoContent } from '../../utils/linkableAnchors';
-import { canContainAll, getChildBlockEntries, setBlockType, clearBlockType } from '@volto-hydra/helpers';
+import { createFormDataChannel } from '../../utils/formDataPatches';
+import { ADMIN_PROTOCOL, negotiateBridgeProtocol } from '../../utils/bridgeProtocol';
+import { connectBridgeBackend, getBridgeBackend } from '../../utils/backendRequests';
+import { renewIframeToken } from '../../utils/tokenRenewal';
+import { getImageDropTypes, planImageDrop, canDropImages, droppedImageData, insertDroppedBlocks } from '../../utils/fileDrop';
+import { buildUploadPayload } from '../../utils/uploadPayload';
+import { fitPastedBlocks, cloneClipboardBlocks } from '../../utils/pasteBlocks';
+import { duplicateBlockData } from '../../utils/duplicateBlock';
+import { canContainAll, getChildBlockEntries, setChildBlockEntries, setBlockType, clearBlockType } from '@volto-hydra/helpers';
+import { getTableCellContext, mergeTableCell, splitTableCell, getTableHeaderMode, toggleHeaderMode, applyHeaderCellTypes, pasteTableGrid } from '../../utils/tableEditing';
 import { mergeTemplatesIntoPage } from '../../utils/mergeTemplates.mjs';
 import {
   applySchemaDefaultsToFormData,
@@ -285,10 +320,14 @@ import {
   pullLinkedFields,
   pullAllLinkedFields,
 } from '../../utils/copyFromTarget';
-import { flattenToAppURL, isInternalURL } from '@plone/volto/helpers/Url/Url';
+import { flattenToAppURL, getBaseUrl, isInternalURL } from '@plone/volto/helpers/Url/Url';
 import { searchContent } from '@plone/volto/actions/search/search';
+import { createContent } from '@plone/volto/actions/content/content';
+import { readAsDataURL } from 'promise-file-reader';
+import { validateFileUploadSize } from '@plone/volto/helpers/FormValidation/FormValidation';
 import ChildBlocksWidget from '../Sidebar/ChildBlocksWidget';
 import ParentBlocksWidget from '../Sidebar/ParentBlocksWidget';
+import PageOutlineWidget from '../Sidebar/PageOutlineWidget';
 
 /**
  * NoPreview component for frontend-defined blocks.
@@ -438,51 +477,6 @@ const extractBlockFieldTypes = (intl, contentTypeSchema = null) => {
   return blockFieldTypes;
 };
 
-/**
- * Returns url with query params + proper paths
- * @param {String} url
- * @param {Object} qParams
- * @param {String} pathname
- * @returns {String}
- */
-const addUrlParams = (url, qParams, pathname) => {
-  const urlObj = new URL(url);
-  for (const [key, value] of Object.entries(qParams)) {
-    urlObj.searchParams.set(key, value);
-  }
-  // console.log('pathname', appendPathToURL(newUrl, pathname));
-
-  const path = pathname.startsWith('/') ? pathname.slice(1) : pathname;
-  if (urlObj.hash) {
-    // Support both /#/ and /# - normalize by removing trailing slash before appending
-    const hashBase = urlObj.hash.replace(/\/$/, '');
-    urlObj.hash = `${hashBase}/${path}`;
-  } else {
-    urlObj.pathname += `${path}`;
-  }
-  const newURL = urlObj.toString();
-  return newURL;
-};
-
-/**
- * Format the URL for the Iframe with location, token and edit mode
- * @param {URL} url
- * @param {String} token
- * @returns {URL} URL with the admin params
- */
-const getUrlWithAdminParams = (url, token, isEdit) => {
-  // Edit mode communicated via iframe name AND _edit param for reliability
-  // _edit param ensures mode change triggers URL change and iframe reload
-  if (typeof window === 'undefined') return null;
-  const contentPath = window.location.pathname.replace(/\/edit$/, '');
-  const params = { access_token: token, _edit: isEdit ? 'true' : 'false' };
-  // Forward debug param to iframe so hydra.js enables logging
-  const adminUrl = new URL(window.location.href);
-  if (adminUrl.searchParams.has('_hydra_debug')) {
-    params._hydra_debug = '1';
-  }
-  return addUrlParams(`${url}`, params, contentPath);
-};
 function _isObject(item) {
   return (
     ![undefined, null].includes(item) &&
@@ -680,6 +674,9 @@ const Iframe = (props) => {
 
   const dispatch = useDispatch();
   const blocksClipboard = useSelector((state) => state?.blocksClipboard || {});
+  // When blocksClipboard was last set, against the system clipboard's
+  // blocks (their `copiedAt`): a paste takes the newer copy
+  const blocksClipboardAtRef = useRef(0);
 
   // Viewport preset for responsive preview
   const viewportPreset = useSelector(
@@ -715,6 +712,8 @@ const Iframe = (props) => {
   const [blockUI, setBlockUI] = useState(null); // { blockUid, rect, focusedFieldName }
   const [mouseActivityCounter, setMouseActivityCounter] = useState(0); // incremented on MOUSE_ACTIVITY from iframe
   const [selectionMode, setSelectionMode] = useState(false); // true when in touch selection mode
+  // Bridge interactions the frontend replaced with its own (initBridge `disable`)
+  const [frontendDisable, setFrontendDisable] = useState({}); // { selection, dragAndDrop, keyboard }
   // Unified chooser overlay used by both Wrap and Convert. Shape:
   //   { kind: 'wrap', blockIds: string[], allowedBlocks: string[] }
   //   { kind: 'convert', blockId: string, allowedBlocks: string[] }
@@ -846,6 +845,19 @@ const Iframe = (props) => {
   const inlineEditCounterRef = useRef(0); // Count INLINE_EDIT_DATA messages from iframe
   const processedInlineEditCounterRef = useRef(0); // Count how many we've seen come back through Redux
   const editSequenceRef = useRef(-1); // Sequence counter for detecting stale iframe echoes (starts at -1 so first increment gives 0)
+  // FORM_DATA goes out as patches against the last send when the bridge supports it
+  const formDataChannelRef = useRef(null);
+  if (!formDataChannelRef.current) formDataChannelRef.current = createFormDataChannel();
+  const frontendFormPatchesRef = useRef(false); // INIT announced the `formPatches` capability
+  // Everything INIT announced (BRIDGE_CAPABILITIES); features the bridge
+  // lacks stay off
+  const [bridgeCapabilities, setBridgeCapabilities] = useState(() => new Set());
+  const bridgeCapabilitiesRef = useRef(bridgeCapabilities);
+  bridgeCapabilitiesRef.current = bridgeCapabilities;
+  const tokenRef = useRef(token); // Latest session token, for TOKEN_RENEW_REQUEST
+  tokenRef.current = token;
+  const propertiesRef = useRef(properties); // Latest form, for FILES_DROPPED once its uploads finish
+  propertiesRef.current = properties;
   // "Latest ref" for the unlocked-template set. saveTemplatesRef.current is a
   // useEffect closure; it captured templateEditMode one render behind, so a Ctrl+S
   // fired the instant the toggle flipped to locked (render) hit a stale, still-
@@ -886,6 +898,14 @@ const Iframe = (props) => {
   // per-instance snapshot of formData taken at unlock time (so "Reset changes"
   // can revert only that template's blocks, keeping page edits).
   const [templateModal, setTemplateModal] = useState(null); // { kind, instanceId } | null
+  const [authChallenge, setAuthChallenge] = useState(null); // AUTH_REQUIRED challenge while the editor signs in
+  // Find / replace panel: open flag, and a counter bumped on each Cmd/Ctrl+Shift+F
+  // so an already-open panel takes focus again
+  const [findOpen, setFindOpen] = useState(false);
+  const [findFocusRequest, setFindFocusRequest] = useState(0);
+  // Block history panel: the block whose versions are shown (PAGE_BLOCK_UID
+  // for the page), null when closed
+  const [historyBlockId, setHistoryBlockId] = useState(null);
   // True while a template lock-commit is persisting (flush → reverse-merge → PATCH →
   // unlock). That round-trip can be slow and, unlike a page save, has no Volto request
   // spinner — so show a Dimmer+Loader over the editor and block interaction until it
@@ -931,7 +951,10 @@ const Iframe = (props) => {
         })
         .filter(Boolean);
       log('hydra-copy-blocks:', action, blocksData.length, 'blocks');
+      // On the system clipboard too, as a copy in the iframe is, for other tabs
+      writeBlocksClipboard(blocksData, { action, source: window.location.origin });
       dispatch(setBlocksClipboard({ [action]: blocksData }));
+      blocksClipboardAtRef.current = Date.now();
       // Clear all outlines — stale combined rect would render wrong as single-block outline
       setBlockUI(null);
       handleExitSelectionMode();
@@ -964,21 +987,31 @@ const Iframe = (props) => {
     };
 
     const handlePaste = (e) => {
-      const { afterBlockId, keepClipboard } = e.detail;
+      const { afterBlockId, keepClipboard, blocksData: clipboardBlocks, copiedAt } = e.detail;
       const mode = Object.keys(blocksClipboard).includes('cut') ? 'cut' : 'copy';
       const blocksData = blocksClipboard[mode] || [];
-
-      const cloneWithIds = blocksData
-        .filter(([blockId, blockData]) => blockId && blockData?.['@type'])
-        .map(([blockId, blockData]) => {
-          const blockConfig = blocksConfig[blockData['@type']];
-          return mode === 'copy'
-            ? blockConfig?.cloneData
-              ? blockConfig.cloneData(blockData)
-              : [uuid(), cloneBlocks(blockData)]
-            : [blockId, blockData];
-        })
-        .filter(Boolean);
+      // The system clipboard's blocks, unless blocksClipboard was set since
+      const fromSystem =
+        !!clipboardBlocks &&
+        !(blocksData.length > 0 && (copiedAt || 0) < blocksClipboardAtRef.current);
+
+      let cloneWithIds;
+      if (fromSystem) {
+        // From the system clipboard (maybe another tab or site)
+        cloneWithIds = cloneClipboardBlocks(clipboardBlocks, blocksConfig, uuid);
+      } else {
+        cloneWithIds = blocksData
+          .filter(([blockId, blockData]) => blockId && blockData?.['@type'])
+          .map(([blockId, blockData]) => {
+            const blockConfig = blocksConfig[blockData['@type']];
+            return mode === 'copy'
+              ? blockConfig?.cloneData
+                ? blockConfig.cloneData(blockData)
+                : [uuid(), cloneBlocks(blockData)]
+              : [blockId, blockData];
+          })
+          .filter(Boolean);
+      }
 
       if (cloneWithIds.length === 0) return;
 
@@ -1030,7 +1063,8 @@ const Iframe = (props) => {
       }
 
       const commitPaste = (fd) => {
-        if (!keepClipboard) dispatch(resetBlocksClipboard());
+        // A paste from the system clipboard leaves blocksClipboard as it was
+        if (!keepClipboard && !fromSystem) dispatch(resetBlocksClipboard());
         onChangeFormData(fd);
       };
       // Trial the paste (same as a drop): normalise the candidate, diff @types, and
@@ -1076,7 +1110,7 @@ const Iframe = (props) => {
     // admin-React → admin-React reuse goes through the CustomEvent bus
     // (same pattern as hydra-paste-blocks, hydra-copy-blocks, etc.).
     const handleMoveBlock = (e) => {
-      const { blockId, targetBlockId, insertAfter, targetParentId } = e.detail || {};
+      const { blockId, targetBlockId, insertAfter, targetParentId, replaceTargetId } = e.detail || {};
       if (!blockId || !targetBlockId) return;
       // Drop a synthetic MOVE_BLOCKS message in — the same handler in the
       // window 'message' listener does the path-map rebuild, allowed-types
@@ -1084,7 +1118,7 @@ const Iframe = (props) => {
       // dispatching directly through MessageEvent on window.
       window.dispatchEvent(
         new MessageEvent('message', {
-          data: { type: 'MOVE_BLOCKS', blockIds: [blockId], targetBlockId, insertAfter, targetParentId },
+          data: { type: 'MOVE_BLOCKS', blockIds: [blockId], targetBlockId, insertAfter, targetParentId, replaceTargetId },
           origin: iframeOriginRef.current || (iframeSrc ? new URL(iframeSrc).origin : ''),
         }),
       );
@@ -1096,6 +1130,8 @@ const Iframe = (props) => {
     document.addEventListener('hydra-exit-selection-mode', handleExitSelectionMode);
     document.addEventListener('hydra-enter-selection-mode', handleEnterSelectionMode);
     document.addEventListener('hydra-move-block', handleMoveBlock);
+    const handleOpenHistory = (e) => setHistoryBlockId(e.detail?.blockId || PAGE_BLOCK_UID);
+    document.addEventListener('hydra-open-block-history', handleOpenHistory);
     return () => {
       document.removeEventListener('hydra-copy-blocks', handleCopy);
       document.removeEventListener('hydra-delete-blocks', handleDelete);
@@ -1103,6 +1139,7 @@ const Iframe = (props) => {
       document.removeEventListener('hydra-exit-selection-mode', handleExitSelectionMode);
       document.removeEventListener('hydra-enter-selection-mode', handleEnterSelectionMode);
       document.removeEventListener('hydra-move-block', handleMoveBlock);
+      document.removeEventListener('hydra-open-block-history', handleOpenHistory);
     };
     // NOTE: templateEditMode must be a dep — these handlers (handleDelete) gate
     // on it via isBlockReadonly; without it the listener closure keeps a
@@ -1151,6 +1188,29 @@ const Iframe = (props) => {
     }
   }, [referenceElement]);
 
+  // Find / replace: the panel highlights and selects matches in the preview.
+  // Search terms are the editor's text: only the frontend's own origin gets them.
+  const postFindMessage = useCallback((message) => {
+    if (!iframeOriginRef.current) return;
+    referenceElement?.contentWindow?.postMessage(message, iframeOriginRef.current);
+  }, [referenceElement]);
+
+  // Cmd/Ctrl+Shift+F while focus is in the admin (the preview sends OPEN_FIND).
+  // Only while editing: in view mode the shortcut stays the browser's.
+  const findEnabled = isEditMode && bridgeCapabilities.has('findReplace');
+  useEffect(() => {
+    if (!findEnabled) return undefined;
+    const onKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.shiftKey && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        setFindOpen(true);
+        setFindFocusRequest((n) => n + 1);
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [findEnabled]);
+
   // Lock a template WITHOUT saving (used when it wasn't changed): drop it from the
   // unlocked set, tell the iframe, and discard its snapshot. No reverse-merge, no
   // template write. (Declared AFTER postTemplateEditMode — it's a dependency.)
@@ -1868,6 +1928,15 @@ const Iframe = (props) => {
       return null;
     }
 
+    // A table row added beside others runs through any merged cell above it
+    if (isTableMode && action !== 'inside') {
+      newFormData = spanInsertedTableRow(
+        newFormData,
+        buildBlockPathMap(newFormData, mergedBlocksConfig, intl),
+        newBlockId,
+      );
+    }
+
     // Ensure new container blocks have at least one child (for gridBlock etc.)
     const newBlockPathMap = buildBlockPathMap(newFormData, mergedBlocksConfig, intl);
     newFormData = ensureEmptyBlockIfEmpty(
@@ -2084,12 +2153,21 @@ const Iframe = (props) => {
     }
   }, [pendingDelete]);
 
+  // Backend calls stop going to the iframe once it's gone
+  useEffect(() => () => connectBridgeBackend(null), []);
+
   useEffect(() => {
     const initialUrlOrigin = iframeSrc && new URL(iframeSrc).origin;
     const messageHandler = (event) => {
       if (event.origin !== initialUrlOrigin) {
         return;
       }
+      // Version previews (VersionPreviewFrame) load the same frontend; their
+      // bridges are answered there, not here
+      const editingFrame = document.getElementById('previewIframe')?.contentWindow;
+      if (event.source && editingFrame && event.source !== editingFrame) {
+        return;
+      }
       // Store the actual iframe origin from the first message we receive
       if (!iframeOriginRef.current) {
         iframeOriginRef.current = event.origin;
@@ -2111,6 +2189,165 @@ const Iframe = (props) => {
       }
 
       switch (type) {
+        case 'BACKEND_RESPONSE':
+          getBridgeBackend()?.handleResponse(event.data);
+          break;
+
+        case 'AUTH_REQUIRED':
+          // A backend call came back unauthorized; it waits (and the form
+          // keeps its unsaved edits) while the editor signs in again.
+          setAuthChallenge((current) => current || event.data.challenge);
+          break;
+
+        case 'OPEN_FIND':
+          // Cmd/Ctrl+Shift+F in the preview
+          setFindOpen(true);
+          setFindFocusRequest((n) => n + 1);
+          break;
+
+        case 'TOKEN_RENEW_REQUEST': {
+          // The iframe's token is about to expire (or got a 401): answer with
+          // the admin's token if Volto renewed it already, else renew the session
+          const { requestId, token: stale } = event.data;
+          renewIframeToken({
+            current: tokenRef.current,
+            stale,
+            renew: () => dispatch(loginRenew()).then((result) => result?.token),
+          }).then((renewed) => {
+            log('TOKEN_RENEW_REQUEST:', requestId, renewed ? 'renewed' : 'not renewed');
+            event.source.postMessage({ type: 'TOKEN_RENEWED', requestId, token: renewed }, event.origin);
+          });
+          break;
+        }
+
+        case 'FILES_DROPPED': {
+          // Image files dropped on the preview (see utils/fileDrop). Upload
+          // them one by one next to the page, reporting progress so hydra.js
+          // can update its placeholder, then fill the targeted media field or
+          // insert one block per image where they were dropped.
+          const { dropId, files, target } = event.data;
+          const { source, origin } = event;
+          const reply = (message) => source.postMessage({ ...message, dropId }, origin);
+          // Next to the page; on /add, in the folder it is being added to
+          const contentPath = getBaseUrl(history.location.pathname) || '/';
+          log('FILES_DROPPED:', dropId, files?.length, 'files, target:', target);
+
+          // What the images become there, or null when they may not go there
+          // (locked, readonly, a type or count the container refuses)
+          const planDrop = (formData, pathMap, count) => {
+            const plan = target.mediaField
+              ? {}
+              : planImageDrop(pathMap[target.blockId]?.allowedSiblingTypes, blocksConfig, intl);
+            if (!plan) return null;
+            const types = plan.blockType ? Array(count).fill(plan.blockType) : [];
+            const allowed = canDropImages(formData, pathMap, target, types, {
+              blocksConfig,
+              intl,
+              templateEditMode: templateEditModeRef.current,
+            });
+            return allowed ? plan : null;
+          };
+          if (!planDrop(propertiesRef.current, iframeSyncState.blockPathMap, files.length)) {
+            log('FILES_DROPPED: images may not be added at', target.blockId);
+            reply({ type: 'FILES_DROP_DONE' });
+            break;
+          }
+
+          (async () => {
+            const uploads = [];
+            for (let i = 0; i < files.length; i++) {
+              const file = files[i];
+              reply({ type: 'FILES_DROP_PROGRESS', done: i, total: files.length });
+              if (!validateFileUploadSize(file, intl.formatMessage)) continue;
+              const payload = buildUploadPayload(file, await readAsDataURL(file));
+              if (target.mediaField && target.blockId === PAGE_BLOCK_UID) {
+                // Page image fields store the image itself, not a path
+                uploads.push({ payload });
+                continue;
+              }
+              const created = await dispatch(createContent(contentPath, payload, `hydra-drop-${dropId}-${i}`));
+              if (created?.['@id']) uploads.push({ created, url: flattenToAppURL(created['@id']) });
+            }
+            if (uploads.length === 0) return;
+
+            // Read the form now: it may have changed while the files uploaded
+            const currentFormData = propertiesRef.current;
+            const currentBlockPathMap = buildBlockPathMap(currentFormData, config.blocks.blocksConfig, intl);
+            const plan = planDrop(currentFormData, currentBlockPathMap, uploads.length);
+            if (!plan) {
+              log('FILES_DROPPED: images may no longer be added at', target.blockId);
+              return;
+            }
+            let newFormData = null;
+            let selectUid = target.blockId;
+
+            if (target.mediaField) {
+              const [{ payload, created, url }] = uploads;
+              if (target.blockId === PAGE_BLOCK_UID) {
+                newFormData = setFieldValue(currentFormData, target.mediaField, payload.image);
+              } else {
+                const block = getBlockById(currentFormData, currentBlockPathMap, target.blockId);
+                if (!block) return;
+                const updatedBlock =
+                  block['@type'] === 'image' && target.mediaField === 'url'
+                    ? { ...block, ...droppedImageData('image', 'url', url, created) }
+                    : setFieldValue(block, target.mediaField, url);
+                newFormData = updateBlockById(currentFormData, currentBlockPathMap, target.blockId, updatedBlock);
+              }
+            } else {
+              const blocks = uploads.map(({ created, url }) => ({
+                '@type': plan.blockType,
+                ...droppedImageData(plan.blockType, plan.field, url, created),
+              }));
+              const result = insertDroppedBlocks(currentFormData, currentBlockPathMap, target, blocks, {
+                blocksConfig,
+                intl,
+                uuid,
+              });
+              if (!result) return;
+              newFormData = applySchemaDefaultsToFormData(
+                result.formData,
+                buildBlockPathMap(result.formData, config.blocks.blocksConfig, intl),
+                config.blocks.blocksConfig,
+                intl,
+              );
+              selectUid = result.blockIds[0];
+            }
+
+            // Commit like MOVE_BLOCKS: the useEffect sends FORM_DATA
+            const newBlockPathMap = buildBlockPathMap(newFormData, config.blocks.blocksConfig, intl);
+            flushSync(() => {
+              setIframeSyncState((prev) => ({
+                ...prev,
+                blockPathMap: newBlockPathMap,
+                pendingSelectBlockUid: selectUid,
+              }));
+            });
+            onChangeFormData(newFormData);
+          })()
+            .catch((e) => {
+              console.error('[VIEW] FILES_DROPPED failed:', e);
+              toast.error(
+                <Toast
+                  error
+                  title="Couldn't add the images"
+                  content={e?.message || 'The dropped files could not be uploaded.'}
+                />,
+              );
+            })
+            .finally(() => reply({ type: 'FILES_DROP_DONE' }));
+          break;
+        }
+
+        case 'FORM_DATA_RESYNC': {
+          // hydra.js couldn't apply a FORM_DATA patch (it missed one, or
+          // reloaded mid-stream) — resend the current state in full.
+          const resend = formDataChannelRef.current.resync();
+          log('FORM_DATA_RESYNC: resending full form data:', !!resend);
+          if (resend) event.source.postMessage(resend, event.origin);
+          break;
+        }
+
         case 'PATH_CHANGE': { // PATH change from the iframe (SPA navigation)
           // Check if this is in-page navigation (e.g., paging) - just resend form data
           if (event.data.inPage) {
@@ -2127,17 +2364,21 @@ const Iframe = (props) => {
             event.source.postMessage(
               {
                 type: 'INITIAL_DATA',
+                protocol: ADMIN_PROTOCOL,
                 data: resendFormWithDefaults,
                 blockPathMap: stripBlockPathMapForPostMessage(resendBlockPathMap),
                 conversionMap: getConversionMap(config.blocks.blocksConfig),
+                imageDropTypes: getImageDropTypes(config.blocks.blocksConfig, intl),
                 selectedBlockUid: selectedBlock,
                 slateConfig: {
                   hotkeys: config.settings.slate?.hotkeys || {},
                   toolbarButtons,
+                  formats: config.settings.slate?.hydraFormats || [],
                 },
               },
               event.origin,
             );
+            formDataChannelRef.current.reset();
             break;
           }
           // User clicked a nav link in iframe - they want to VIEW that page, not edit it
@@ -2193,15 +2434,26 @@ const Iframe = (props) => {
             .filter(Boolean);
           log('COPY_BLOCKS:', action, blocksData.length, 'blocks');
           dispatch(setBlocksClipboard({ [action]: blocksData }));
+          blocksClipboardAtRef.current = Date.now();
           break;
         }
 
         case 'PASTE_BLOCKS': {
-          // Paste from blocks clipboard after the specified block (Cmd+V in block mode)
+          // Paste from blocks clipboard after the specified block (Cmd+V in block mode).
+          // `blocks` (and when they were copied, `copiedAt`) are set when the
+          // system clipboard held blocks (blocksClipboard.js)
           const afterBlockId = event.data.afterBlockId;
           if (!afterBlockId) break;
           document.dispatchEvent(new CustomEvent('hydra-paste-blocks', {
-            detail: { afterBlockId, keepClipboard: false },
+            detail: {
+              afterBlockId,
+              keepClipboard: false,
+              // An older bridge only pastes the admin's clipboard
+              blocksData: bridgeCapabilitiesRef.current.has('blocksClipboard')
+                ? event.data.blocks
+                : undefined,
+              copiedAt: event.data.copiedAt,
+            },
           }));
           break;
         }
@@ -2242,22 +2494,11 @@ const Iframe = (props) => {
         }
 
         case 'ADD_BLOCK_AFTER': {
-          // "Another one of these" if the source block's @type is in the
-          // computed allowed types for this position; otherwise defer to
-          // the centralised getEmptyBlockType chain (defaultBlockType →
-          // single-allowedBlocks → config.settings.defaultBlockType →
-          // 'empty' slot). Same definition used by ensureEmptyBlockIfEmpty.
-          const containerFieldConfig = getContainerFieldConfig(
-            event.data.blockId, iframeSyncState.blockPathMap, properties, config.blocks.blocksConfig, intl
+          // "Another one of these" where allowed, else the same empty-block
+          // type ensureEmptyBlockIfEmpty uses (getAddedSiblingType).
+          const newType = getAddedSiblingType(
+            event.data.blockId, iframeSyncState.blockPathMap, properties, intl,
           );
-          const sourcePathInfo = iframeSyncState.blockPathMap?.[event.data.blockId];
-          const sourceType = sourcePathInfo?.blockType;
-          const allowedSiblings = sourcePathInfo?.allowedSiblingTypes;
-          const sourceAllowed = sourceType
-            && (!allowedSiblings || allowedSiblings.includes(sourceType));
-          const newType = sourceAllowed
-            ? sourceType
-            : getEmptyBlockType(containerFieldConfig);
           // ADD_BLOCK_AFTER comes from the bridge's keyboard-Enter handler
           // (block-mode Enter, last-field plain-string Enter, slate split).
           // Keyboard intent is "ready to type", so drill the selection down
@@ -2408,7 +2649,10 @@ const Iframe = (props) => {
         case 'TOGGLE_MARK': {
           // console.log('TOGGLE_BOLD', event.data.html);
 
-          const deserializedHTMLData = toggleMark(event.data.html);
+          const deserializedHTMLData = toggleMark(
+            event.data.html,
+            config.settings.slate?.hydraFormats,
+          );
           // console.log('deserializedHTMLData', deserializedHTMLData);
           onChangeFormData({
             ...form,
@@ -2596,6 +2840,56 @@ const Iframe = (props) => {
                 event.origin,
               );
             }
+          } else if (event.data.transformType === 'pasteTable') {
+            // A spreadsheet range pasted into a table cell: hydra.js read the
+            // clipboard into `grid`; fill the cells from this one on, adding
+            // rows and columns where the range runs past the table's edge
+            const { blockId: ptCellId, grid: ptGrid, requestId: ptRequestId } = event.data;
+            const ptForm = event.data.data;
+            const ptBpm = buildBlockPathMap(ptForm, config.blocks.blocksConfig, intl);
+            const tableContext = getTableCellContext(ptCellId, ptBpm, (id) => getBlockById(ptForm, ptBpm, id));
+            // A table a template locks takes no paste (the toolbar hides for it too)
+            if (
+              tableContext &&
+              (isBlockReadonly(tableContext.table, templateEditModeRef.current) ||
+                isBlockReadonly(getBlockById(ptForm, ptBpm, ptCellId), templateEditModeRef.current))
+            ) {
+              event.source.postMessage(
+                { type: 'SLATE_ERROR', blockId: ptCellId, error: 'The table is locked' },
+                event.origin,
+              );
+              break;
+            }
+            const newRows = tableContext && pasteTableGrid(tableContext.rows, ptCellId, ptGrid, {
+              ...tableContext.options,
+              rowIdField: tableContext.rowsDescriptor.idField,
+              valueField: event.data.fieldName || 'value',
+              newId: uuid,
+            });
+            if (!newRows) {
+              event.source.postMessage(
+                { type: 'SLATE_ERROR', blockId: ptCellId, error: 'Pasted table has no target cell' },
+                event.origin,
+              );
+              break;
+            }
+            const newTable = { ...tableContext.table };
+            setChildBlockEntries(
+              newTable,
+              tableContext.rowsDescriptor,
+              newRows.map((row) => ({ id: row[tableContext.rowsDescriptor.idField], block: row })),
+            );
+            let fd = updateBlockById(ptForm, ptBpm, tableContext.tableId, newTable);
+            fd = applySchemaDefaultsToFormData(fd, buildBlockPathMap(fd, config.blocks.blocksConfig, intl), config.blocks.blocksConfig, intl);
+            flushSync(() => {
+              setIframeSyncState(prev => ({
+                ...prev,
+                blockPathMap: buildBlockPathMap(fd, config.blocks.blocksConfig, intl),
+                pendingSelectBlockUid: ptCellId,
+                pendingFormatRequestId: ptRequestId,
+              }));
+            });
+            onChangeFormData(fd);
           } else if (event.data.transformType === 'outdent') {
             // Check if this is a top-level list item — needs block splitting
             const { blockId: odBlockId, fieldName: odFieldName, selection: odSelection, requestId: odRequestId } = event.data;
@@ -2891,7 +3185,7 @@ const Iframe = (props) => {
           } else if (action === 'deleteRow' && pathInfo?.addMode === 'table') {
             // Delete row: use standard block deletion
             const containerConfig = getContainerFieldConfig(actionBlockId, iframeSyncState.blockPathMap, properties, blocksConfig, intl);
-            let newFormData = deleteBlockFromContainer(properties, iframeSyncState.blockPathMap, actionBlockId, containerConfig);
+            let newFormData = deleteTableRow(properties, iframeSyncState.blockPathMap, actionBlockId);
             if (newFormData && containerConfig) {
               // Ensure container has at least one row
               newFormData = ensureEmptyBlockIfEmpty(newFormData, containerConfig, iframeSyncState.blockPathMap, uuid, blocksConfig, { intl, metadata, properties });
@@ -2916,6 +3210,41 @@ const Iframe = (props) => {
           onChangeFormData(event.data.data);
           break;
 
+        case 'BLOCK_UPDATE': {
+          // Frontend-originated block edit (bridge.sendBlockUpdate). hydra.js
+          // already validated the patch, but this is a postMessage boundary, so
+          // re-check it before merging. One onChangeFormData call = one undo
+          // step, same as a sidebar edit; the Unified Form Sync effect then
+          // sends the merged result back as FORM_DATA.
+          const { blockUid: updateUid, patch } = event.data;
+          const bpm = iframeSyncState.blockPathMap;
+          const isPage = updateUid === PAGE_BLOCK_UID;
+          const block = isPage ? properties : getBlockById(properties, bpm, updateUid);
+          const patchError = !block
+            ? `unknown block "${updateUid}"`
+            : !isPage && isBlockReadonly(block, iframeSyncState.templateEditMode)
+              ? `block "${updateUid}" is readonly`
+              : validateBlockPatch(patch, {
+                  typeField: bpm?.[updateUid]?.typeField,
+                  schema: getResolvedSchema(bpm?.[updateUid], bpm),
+                  isPage,
+                });
+          if (patchError) {
+            console.warn('[VIEW] BLOCK_UPDATE rejected:', patchError);
+            break;
+          }
+          const patched = applyBlockPatch(block, patch);
+          const newFormData = isPage
+            ? patched
+            : updateBlockById(properties, bpm, updateUid, patched);
+          if (!validateAndLog(newFormData, 'BLOCK_UPDATE', blockFieldTypes)) {
+            break;
+          }
+          log('BLOCK_UPDATE:', updateUid, Object.keys(patch));
+          onChangeFormData(newFormData);
+          break;
+        }
+
         case 'MOVE_BLOCKS': {
           // Handle drag-and-drop block moves (single or multi, supports containers)
           // replaceTargetId is set when the drop landed on an 'empty' placeholder
@@ -3302,15 +3631,19 @@ const Iframe = (props) => {
             // Skip update if nothing changed - prevents unnecessary toolbar redraws
             // IMPORTANT: Must compare mediaFields because they can change independently
             // (e.g., when an image is cleared, the placeholder div has different dimensions)
-            const mediaFieldsChanged = JSON.stringify(prevBlockUI?.mediaFields) !== JSON.stringify(event.data.mediaFields);
+            const mediaFieldsChanged = JSON.stringify(prevBlockUI?.mediaFields) !== JSON.stringify(event.data.mediaFields) ||
+              JSON.stringify(prevBlockUI?.editFields) !== JSON.stringify(event.data.editFields);
             if (prevBlockUI &&
                 prevBlockUI.blockUid === event.data.blockUid &&
                 prevBlockUI.focusedFieldName === event.data.focusedFieldName &&
                 prevBlockUI.focusedLinkableField === event.data.focusedLinkableField &&
                 prevBlockUI.focusedMediaField === event.data.focusedMediaField &&
+                prevBlockUI.focusedEditField === event.data.focusedEditField &&
                 prevBlockUI.addDirection === event.data.addDirection &&
                 prevBlockUI.revealed === event.data.revealed &&
                 JSON.stringify(prevBlockUI.revealableFields) === JSON.stringify(event.data.revealableFields) &&
+                JSON.stringify(prevBlockUI.itemActions || null) === JSON.stringify(event.data.itemActions || null) &&
+                JSON.stringify(prevBlockUI.tableRect || null) === JSON.stringify(event.data.tableRect || null) &&
                 prevBlockUI.rect?.top === event.data.rect?.top &&
                 prevBlockUI.rect?.left === event.data.rect?.left &&
                 prevBlockUI.rect?.width === event.data.rect?.width &&
@@ -3342,9 +3675,11 @@ const Iframe = (props) => {
               focusedFieldRect: event.data.focusedFieldRect, // Rect of focused field for underline positioning
               focusedLinkableField: event.data.focusedLinkableField, // Track which linkable field is focused
               focusedMediaField: event.data.focusedMediaField, // Track which media field is focused
+              focusedEditField: event.data.focusedEditField, // Track which data-edit-field is focused (popover)
               editableFields: event.data.editableFields, // Map of fieldName -> fieldType from iframe
               linkableFields: event.data.linkableFields, // Map of fieldName -> true for link fields
               mediaFields: event.data.mediaFields, // Map of fieldName -> true for image/media fields
+              editFields: event.data.editFields, // Map of fieldName -> { rect } for data-edit-field popovers
               // Reveal (#296): empty inline-editable fields the quanta toolbar can
               // offer to reveal, and whether they currently are.
               revealableFields: event.data.revealableFields, // string[] of field names
@@ -3356,6 +3691,11 @@ const Iframe = (props) => {
               // null => that chevron is disabled; otherwise the MOVE_BLOCKS target.
               moveUpTarget: event.data.moveUpTarget || null,
               moveDownTarget: event.data.moveDownTarget || null,
+              // object_list item controls ({addBefore, addAfter, duplicate, delete}),
+              // null for other blocks
+              itemActions: event.data.itemActions || null,
+              // The selected cell's table, for the table toolbar; null outside tables
+              tableRect: event.data.tableRect || null,
               selectionModeRects: event.data.selectionModeRects,
             };
           });
@@ -3412,6 +3752,33 @@ const Iframe = (props) => {
             }
           }
 
+          setFrontendDisable(event.data.disable || {});
+
+          // Bridge protocol handshake: a hydra.js this admin can't talk to
+          // gets a banner; an older one gets the features it lacks turned off.
+          const bridgeProtocol = negotiateBridgeProtocol(event.data);
+          if (!bridgeProtocol.compatible) {
+            toast.error(
+              <Toast
+                error
+                title="Frontend bridge version mismatch"
+                content={bridgeProtocol.message}
+              />,
+              { toastId: 'hydra-bridge-protocol', autoClose: false },
+            );
+          } else if (bridgeProtocol.message) {
+            console.warn(`[HYDRA] ${bridgeProtocol.message}`);
+          }
+          // A (re)loaded bridge has no patch base: next FORM_DATA goes in full
+          frontendFormPatchesRef.current = bridgeProtocol.capabilities.has('formPatches');
+          setBridgeCapabilities(bridgeProtocol.capabilities);
+          formDataChannelRef.current.reset();
+          // A frontend backend adapter takes over the admin's CMS calls
+          // (middleware/backendRequests); without one they go to Volto's API.
+          connectBridgeBackend(event.data.backend, (message) =>
+            event.source.postMessage(message, event.origin),
+          );
+
           // 1. Merge custom block definitions from event.data.blocks
           const blocksConfig = event.data.blocks;
           if (blocksConfig) {
@@ -3520,6 +3887,17 @@ const Iframe = (props) => {
           if (event.data.voltoConfig) {
             recurseUpdateVoltoConfig(event.data.voltoConfig);
           }
+          // 1c.1. Frontend slate formats (settings.slate.formats) → toolbar
+          // buttons, renderers, hotkeys and paste deserializers. A bridge
+          // without formatSelectedText support for them gets none.
+          if (config.settings.slate) {
+            installSlateFormats(config.settings.slate, {
+              parseIcon: parseSvgToIconFormat,
+              formats: bridgeProtocol.capabilities.has('slateFormats')
+                ? config.settings.slate.formats
+                : [],
+            });
+          }
 
           // 1d. Install variation field enhancers for blocks with `variations.length>1`.
           // Volto would normally add the variation field at sidebar render via
@@ -3861,8 +4239,11 @@ const Iframe = (props) => {
         'blockPathMap keys:', Object.keys(message.blockPathMap || {}),
         'cachedBPM keys:', Object.keys(iframeSyncState.blockPathMap || {}));
       const iframeEl = document.getElementById('previewIframe');
+      const wireMessage = formDataChannelRef.current.prepare(message, {
+        patches: frontendFormPatchesRef.current,
+      });
       let msgSize;
-      try { msgSize = JSON.stringify(message).length; } catch { msgSize = -1; }
+      try { msgSize = JSON.stringify(wireMessage).length; } catch { msgSize = -1; }
       // One-time payload breakdown
       if (!window._payloadLogged && message.formatRequestId) {
         window._payloadLogged = true;
@@ -3879,10 +4260,10 @@ const Iframe = (props) => {
           console.log('[PAYLOAD] total:', (msgSize/1024).toFixed(0) + 'KB (detail error:', e.message + ')');
         }
       }
-      message._sentAt = Date.now();
+      wireMessage._sentAt = Date.now();
       const postT0 = performance.now();
       iframeEl?.contentWindow?.postMessage(
-        message,
+        wireMessage,
         iframeOriginRef.current,
       );
       console.log('[VIEW-TIMING] postMessage call took', (performance.now() - postT0).toFixed(1) + 'ms, payload:', (msgSize / 1024).toFixed(0) + 'KB');
@@ -3971,12 +4352,19 @@ const Iframe = (props) => {
 
           source.postMessage({
             type: 'INITIAL_DATA',
+            protocol: ADMIN_PROTOCOL,
             data: formDataToSend,
             blockPathMap: stripBlockPathMapForPostMessage(blockPathMap),
             conversionMap: getConversionMap(config.blocks.blocksConfig),
+            imageDropTypes: getImageDropTypes(config.blocks.blocksConfig, intl),
             selectedBlockUid: selectedBlock,
-            slateConfig: { hotkeys: config.settings.slate?.hotkeys || {}, toolbarButtons },
+            slateConfig: {
+              hotkeys: config.settings.slate?.hotkeys || {},
+              toolbarButtons,
+              formats: config.settings.slate?.hydraFormats || [],
+            },
           }, origin);
+          formDataChannelRef.current.reset();
           pendingInitialDataRef.current = null;
         })().catch(err => {
           log('[INITIAL_DATA] ERROR in forced-layout merge:', err.message, err.stack);
@@ -4060,12 +4448,19 @@ const Iframe = (props) => {
         // Send INITIAL_DATA
         source.postMessage({
           type: 'INITIAL_DATA',
+          protocol: ADMIN_PROTOCOL,
           data: formDataToSend,
           blockPathMap: stripBlockPathMapForPostMessage(blockPathMap),
           conversionMap: getConversionMap(config.blocks.blocksConfig),
+          imageDropTypes: getImageDropTypes(config.blocks.blocksConfig, intl),
           selectedBlockUid: selectedBlock,
-          slateConfig: { hotkeys: config.settings.slate?.hotkeys || {}, toolbarButtons },
+          slateConfig: {
+            hotkeys: config.settings.slate?.hotkeys || {},
+            toolbarButtons,
+            formats: config.settings.slate?.hydraFormats || [],
+          },
         }, origin);
+        formDataChannelRef.current.reset();
         pendingInitialDataRef.current = null;
 
         // Update Redux with the SAME data sent to the iframe (including seeded
@@ -4185,7 +4580,7 @@ const Iframe = (props) => {
     };
     log('Sending FORM_DATA to iframe. blockPathMap keys:', Object.keys(newBlockPathMap), 'selectedBlockUid:', hasPendingSelect ? iframeSyncState.pendingSelectBlockUid : '(not sent)', '_editSequence:', editSequenceRef.current);
     document.getElementById('previewIframe')?.contentWindow?.postMessage(
-      message,
+      formDataChannelRef.current.prepare(message, { patches: frontendFormPatchesRef.current }),
       iframeOriginRef.current,
     );
   // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -4899,6 +5294,66 @@ const Iframe = (props) => {
           </div>
         );
       })(), document.body)}
+      {authChallenge &&
+        createPortal(
+          <AuthChallenge
+            challenge={authChallenge}
+            onSignIn={async (credentials) => {
+              const backend = getBridgeBackend();
+              if (!backend) throw new Error('The preview is no longer connected.');
+              await backend.login(credentials);
+              setAuthChallenge(null);
+            }}
+            onCancel={() => {
+              getBridgeBackend()?.cancelAuth();
+              setAuthChallenge(null);
+            }}
+          />,
+          document.body,
+        )}
+      {findOpen &&
+        findEnabled &&
+        createPortal(
+          <FindReplacePanel
+            formData={properties}
+            blockPathMap={iframeSyncState.blockPathMap}
+            fieldTypes={blockFieldTypes}
+            isEditable={(blockId) => {
+              const block = getBlockById(properties, iframeSyncState.blockPathMap, blockId);
+              return !!block && !isBlockReadonly(block, iframeSyncState.templateEditMode);
+            }}
+            onReplace={onChangeFormData}
+            postMessage={postFindMessage}
+            focusRequest={findFocusRequest}
+            onClose={() => setFindOpen(false)}
+          />,
+          document.body,
+        )}
+      {isEditMode && properties && (
+        <LocalDraftRecovery
+          path={pathname.replace(/\/edit$/, '') || '/'}
+          formData={properties}
+          onRestore={onChangeFormData}
+        />
+      )}
+      {historyBlockId &&
+        createPortal(
+          <BlockHistoryPanel
+            blockId={historyBlockId}
+            formData={properties}
+            blockPathMap={iframeSyncState.blockPathMap}
+            path={pathname.replace(/\/edit$/, '') || '/'}
+            previewSrc={getUrlWithAdminParams(u, token, true, { preview: true })}
+            templateEditMode={iframeSyncState.templateEditMode}
+            onRestore={(newFormData, blockId) => {
+              setHistoryBlockId(null);
+              onChangeFormData(newFormData);
+              onSelectBlock(blockId);
+            }}
+            onClose={() => setHistoryBlockId(null)}
+          />,
+          document.body,
+        )}
       <OpenObjectBrowser
         origin={iframeSrc && new URL(iframeSrc).origin}
         pendingFieldMedia={pendingFieldMedia}
@@ -5312,21 +5767,31 @@ const Iframe = (props) => {
                 }
 
                 // Insert extra blocks from paste emitter extraction (images,
-                // tables, text blocks split from multi-paragraph paste)
+                // tables, text blocks split from multi-paragraph paste, and
+                // elements claimed by a block's `css:` fieldMappings)
                 let pendingSelectBlockUid = null;
                 if (extraBlocks?.length > 0) {
                   bpm = buildBlockPathMap(fd, config.blocks.blocksConfig, intl);
                   const containerConfig = getContainerFieldConfig(
                     selectedBlock, bpm, fd, config.blocks.blocksConfig, intl,
                   );
+                  const { fits, dropped } = containerConfig
+                    ? fitPastedBlocks(extraBlocks, containerConfig, countContainerItems(fd, bpm, containerConfig))
+                    : { fits: [], dropped: extraBlocks };
+                  if (dropped.length > 0) {
+                    log('paste: dropped', dropped.length, 'blocks the container cannot take:',
+                      dropped.map(([, blockData]) => blockData?.['@type']));
+                  }
                   let lastId = selectedBlock;
-                  for (const [newId, blockData] of extraBlocks) {
+                  for (const [newId, blockData] of fits) {
                     fd = insertBlockInContainer(fd, bpm, lastId, newId, blockData, containerConfig, 'after');
                     bpm = buildBlockPathMap(fd, config.blocks.blocksConfig, intl);
                     lastId = newId;
                   }
-                  pendingSelectBlockUid = lastId;
-                  dataChanged = true;
+                  if (fits.length > 0) {
+                    pendingSelectBlockUid = lastId;
+                    dataChanged = true;
+                  }
                 }
 
                 const newSel = selection || prev.selection;
@@ -5354,6 +5819,7 @@ const Iframe = (props) => {
             onSelectBlock={onSelectBlock}
             parentId={iframeSyncState.blockPathMap?.[selectedBlock]?.parentId}
             maxToolbarWidth={referenceElement?.getBoundingClientRect()?.width || 400}
+            canDrag={!frontendDisable.dragAndDrop}
             blockActions={iframeSyncState.blockPathMap?.[selectedBlock]?.actions}
             onBlockAction={(actionId) => {
               // Generic action handler - dispatches based on action type
@@ -5404,7 +5870,7 @@ const Iframe = (props) => {
                   const containerConfig = getContainerFieldConfig(rowId, iframeSyncState.blockPathMap, properties, blocksConfig, intl);
                   const rowIndex = rowPathInfo.path[rowPathInfo.path.length - 1];
 
-                  let newFormData = deleteBlockFromContainer(properties, iframeSyncState.blockPathMap, rowId, containerConfig);
+                  let newFormData = deleteTableRow(properties, iframeSyncState.blockPathMap, rowId);
                   if (newFormData && containerConfig) {
                     newFormData = ensureEmptyBlockIfEmpty(newFormData, containerConfig, iframeSyncState.blockPathMap, uuid, blocksConfig, { intl, metadata, properties });
 
@@ -5458,6 +5924,50 @@ const Iframe = (props) => {
                 // Add column uses insertAndSelectBlock which detects table mode
                 const action = actionId === 'addColumnBefore' ? 'before' : 'after';
                 insertAndSelectBlock(selectedBlock, null, action);
+              } else if (pathInfo?.parentAddMode === 'table' && ['mergeCellRight', 'mergeCellDown', 'splitCell', 'toggleHeaderRow', 'toggleHeaderColumn'].includes(actionId)) {
+                // Merges and header toggles rewrite the whole rows list of the
+                // cell's table; the cell stays selected
+                const bpm = iframeSyncState.blockPathMap;
+                const tableContext = getTableCellContext(selectedBlock, bpm, (id) => getBlockById(properties, bpm, id));
+                if (!tableContext) return;
+                const { table, rows, rowsDescriptor, options } = tableContext;
+                const newTable = { ...table };
+                let newRows = null;
+                if (actionId === 'mergeCellRight' || actionId === 'mergeCellDown') {
+                  newRows = mergeTableCell(rows, selectedBlock, actionId === 'mergeCellRight' ? 'right' : 'down', options);
+                } else if (actionId === 'splitCell') {
+                  newRows = splitTableCell(rows, selectedBlock, options);
+                } else {
+                  // headerMode drives the cells' typeRule (tableCell ⇄
+                  // tableHeaderCell, see proposals/container-value-conversion.md);
+                  // untyped slateTable cells carry Volto's `type` instead
+                  const headerMode = toggleHeaderMode(
+                    getTableHeaderMode(table.headerMode, rows, options),
+                    actionId === 'toggleHeaderRow' ? 'row' : 'col',
+                  );
+                  newTable.headerMode = headerMode || 'none';
+                  newRows = pathInfo.typeField ? rows : applyHeaderCellTypes(rows, headerMode, options);
+                }
+                if (!newRows) return;
+                setChildBlockEntries(
+                  newTable,
+                  rowsDescriptor,
+                  newRows.map((row) => ({ id: row[rowsDescriptor.idField], block: row })),
+                );
+                let updatedProperties = updateBlockById(properties, bpm, tableContext.tableId, newTable);
+                updatedProperties = applySchemaDefaultsToFormData(
+                  updatedProperties,
+                  buildBlockPathMap(updatedProperties, config.blocks.blocksConfig, intl),
+                  config.blocks.blocksConfig,
+                  intl,
+                );
+                onChangeFormData(updatedProperties);
+                setIframeSyncState((prev) => ({
+                  ...prev,
+                  formData: updatedProperties,
+                  blockPathMap: buildBlockPathMap(updatedProperties, config.blocks.blocksConfig, intl),
+                  toolbarRequestDone: `table-action-${Date.now()}`,
+                }));
               }
             }}
             onFieldLinkChange={(fieldName, url, metadata) => {
@@ -5563,6 +6073,53 @@ const Iframe = (props) => {
               // Set pending state to trigger object browser via OpenObjectBrowser component
               setPendingFieldMedia({ fieldName, blockUid });
             }}
+            onFieldValueChange={(blockId, fieldName, value) => {
+              // A data-edit-field popover or the media crop overlay set one
+              // field; undefined clears it
+              let updatedProperties;
+              if (blockId === PAGE_BLOCK_UID) {
+                updatedProperties = setFieldValue(properties, fieldName, value);
+              } else {
+                const block = getBlockById(properties, iframeSyncState.blockPathMap, blockId);
+                if (!block) return;
+                updatedProperties = updateBlockById(
+                  properties,
+                  iframeSyncState.blockPathMap,
+                  blockId,
+                  setFieldValue(block, fieldName, value),
+                );
+              }
+              onChangeFormData(updatedProperties);
+              setIframeSyncState((prev) => ({
+                ...prev,
+                formData: updatedProperties,
+                blockPathMap: buildBlockPathMap(updatedProperties, config.blocks.blocksConfig, intl),
+                toolbarRequestDone: `field-value-${Date.now()}`,
+              }));
+            }}
+            onItemAction={(blockId, action) => {
+              // object_list item controls; the bridge only enables the
+              // actions the list's limits and template locks allow
+              const bpm = iframeSyncState.blockPathMap;
+              if (action === 'delete') {
+                setPendingDelete({ uid: blockId, selectPrev: true });
+              } else if (action === 'duplicate') {
+                const block = getBlockById(properties, bpm, blockId);
+                if (!block) return;
+                // Selecting the copy reveals it: the bridge clicks its
+                // data-block-selector (a hidden slide) and scrolls to it
+                insertAndSelectBlock(blockId, bpm[blockId]?.blockType, 'after', null, {
+                  blockData: duplicateBlockData(block, blockId, bpm, uuid, bpm[blockId]?.idField),
+                });
+              } else {
+                insertAndSelectBlock(
+                  blockId,
+                  getAddedSiblingType(blockId, bpm, properties, intl),
+                  action === 'addBefore' ? 'before' : 'after',
+                  null,
+                );
+              }
+            }}
             convertibleTypes={(() => {
               const bpm = iframeSyncState.blockPathMap;
               const blockData = getBlockById(properties, bpm, selectedBlock);
@@ -5990,7 +6547,7 @@ const Iframe = (props) => {
             if (rowPathInfo?.addMode === 'table') {
               const containerConfig = getContainerFieldConfig(rowId, iframeSyncState.blockPathMap, properties, blocksConfig, intl);
               const rowIndex = rowPathInfo.path[rowPathInfo.path.length - 1];
-              let newFormData = deleteBlockFromContainer(properties, iframeSyncState.blockPathMap, rowId, containerConfig);
+              let newFormData = deleteTableRow(properties, iframeSyncState.blockPathMap, rowId);
               if (newFormData && containerConfig) {
                 newFormData = ensureEmptyBlockIfEmpty(newFormData, containerConfig, iframeSyncState.blockPathMap, uuid, blocksConfig, { intl, metadata, properties });
                 let selectBlockId = rowPathInfo.parentId;
@@ -6128,6 +6685,7 @@ const Iframe = (props) => {
           }
         }}
         onToggleTemplateEditMode={handleToggleTemplateEditMode}
+        onChangeFormData={onChangeFormData}
       />
       <ChildBlocksWidget
         selectedBlock={selectedBlock}
@@ -6165,6 +6723,28 @@ const Iframe = (props) => {
         onChangeFormData={onChangeFormData}
         templateEditMode={iframeSyncState.templateEditMode}
       />
+      <PageOutlineWidget
+        selectedBlock={selectedBlock}
+        formData={properties}
+        blockPathMap={iframeSyncState.blockPathMap}
+        onSelectBlock={onSelectBlock}
+        onMoveBlock={(blockId, targetBlockId, insertAfter) => {
+          // Same path as the toolbar's move chevrons (hydra-move-block → MOVE_BLOCKS);
+          // dropping on an empty container's placeholder replaces it
+          const bpm = iframeSyncState.blockPathMap;
+          const target = getBlockById(properties, bpm, targetBlockId);
+          document.dispatchEvent(new CustomEvent('hydra-move-block', {
+            detail: {
+              blockId,
+              targetBlockId,
+              insertAfter,
+              targetParentId: bpm?.[targetBlockId]?.parentId || null,
+              replaceTargetId: target?.['@type'] === 'empty' ? targetBlockId : undefined,
+            },
+          }));
+        }}
+        templateEditMode={iframeSyncState.templateEditMode}
+      />
     </div>
   );
 };
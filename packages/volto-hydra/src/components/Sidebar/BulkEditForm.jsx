@@ -0,0 +1,133 @@
+/**
+ * BulkEditForm - Settings shared by the multi-selected blocks (utils/bulkEdit).
+ * Shown in the multi-select bar. A field whose value differs between the
+ * blocks is marked "Mixed" and left empty; setting a field writes it to every
+ * selected block as one change (one undo step). What's typed into a text or
+ * number field is applied once the typing is done — on leaving the field or
+ * after a pause — not per keystroke.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { defineMessages, useIntl } from 'react-intl';
+import config from '@plone/volto/registry';
+import { BlockDataForm } from '@plone/volto/components/manage/Form';
+import { getBulkEditState, applyBulkEdit, isTypedBulkField } from '../../utils/bulkEdit';
+
+// Milliseconds of no typing before typed values are applied
+const TYPING_PAUSE = 800;
+
+const messages = defineMessages({
+  sharedSettings: {
+    id: 'Shared settings ({count} blocks)',
+    defaultMessage: 'Shared settings ({count} blocks)',
+  },
+  mixed: {
+    id: 'Mixed',
+    defaultMessage: 'Mixed',
+  },
+  mixedDescription: {
+    id: 'The selected blocks have different values. Setting one applies it to all of them.',
+    defaultMessage: 'The selected blocks have different values. Setting one applies it to all of them.',
+  },
+});
+
+const BulkEditForm = ({ multiSelected, formData, blockPathMap, templateEditMode, onChangeFormData }) => {
+  const intl = useIntl();
+  const blocksConfig = config.blocks?.blocksConfig;
+
+  const state = React.useMemo(
+    () => getBulkEditState(multiSelected, formData, blockPathMap, blocksConfig, intl, templateEditMode),
+    [multiSelected, formData, blockPathMap, blocksConfig, intl, templateEditMode],
+  );
+
+  // Typed values not applied yet, and the blocks they were typed for
+  const [typed, setTyped] = React.useState({});
+  const pendingRef = React.useRef(null);
+  const timerRef = React.useRef(null);
+  const latestRef = React.useRef();
+  latestRef.current = { formData, blockPathMap, onChangeFormData };
+
+  const applyTyped = React.useCallback(() => {
+    clearTimeout(timerRef.current);
+    const pending = pendingRef.current;
+    if (!pending) return;
+    pendingRef.current = null;
+    setTyped({});
+    const { formData: data, blockPathMap: pathMap, onChangeFormData: onChange } = latestRef.current;
+    onChange?.(
+      Object.entries(pending.values).reduce(
+        (result, [name, value]) => applyBulkEdit(result, pathMap, pending.blockIds, name, value),
+        data,
+      ),
+    );
+  }, []);
+
+  // Apply what's typed before the selection changes or the form goes away
+  const blockIdsKey = state?.blockIds.join(' ');
+  React.useEffect(() => applyTyped, [blockIdsKey, applyTyped]);
+
+  if (!state || !onChangeFormData) return null;
+
+  const onChangeField = (fieldName, value) => {
+    if (!isTypedBulkField(state.schema.properties[fieldName] || {})) {
+      applyTyped();
+      onChangeFormData(applyBulkEdit(formData, blockPathMap, state.blockIds, fieldName, value));
+      return;
+    }
+    const values = { ...pendingRef.current?.values, [fieldName]: value };
+    pendingRef.current = { blockIds: state.blockIds, values };
+    setTyped(values);
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(applyTyped, TYPING_PAUSE);
+  };
+
+  // Mark mixed fields in their title/description and leave them empty — the
+  // form's widgets have no indeterminate state of their own
+  const mixedLabel = intl.formatMessage(messages.mixed);
+  const schema = {
+    ...state.schema,
+    properties: Object.fromEntries(
+      Object.entries(state.schema.properties).map(([name, fieldDef]) => [
+        name,
+        state.mixed.includes(name)
+          ? {
+              ...fieldDef,
+              title: `${fieldDef.title || name} (${mixedLabel})`,
+              description: intl.formatMessage(messages.mixedDescription),
+              placeholder: mixedLabel,
+              default: undefined,
+            }
+          : fieldDef,
+      ]),
+    ),
+  };
+
+  return (
+    <div className="bulk-edit-form" data-mixed-fields={state.mixed.join(' ')} onBlur={applyTyped}>
+      <div className="bulk-edit-title">
+        {intl.formatMessage(messages.sharedSettings, { count: state.blockIds.length })}
+      </div>
+      <BlockDataForm
+        schema={schema}
+        title={schema.title}
+        formData={{ ...state.values, ...typed }}
+        block="hydra-bulk-edit"
+        onChangeField={onChangeField}
+        // Don't let the form write schema defaults to the blocks on mount
+        onChangeBlock={() => {}}
+        applySchemaEnhancers={false}
+      />
+    </div>
+  );
+};
+
+BulkEditForm.propTypes = {
+  multiSelected: PropTypes.arrayOf(PropTypes.string),
+  formData: PropTypes.object,
+  blockPathMap: PropTypes.object,
+  templateEditMode: PropTypes.arrayOf(PropTypes.string),
+  onChangeFormData: PropTypes.func,
+};
+
+export default BulkEditForm;
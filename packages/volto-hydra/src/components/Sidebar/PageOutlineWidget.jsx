@@ -0,0 +1,283 @@
+/**
+ * PageOutlineWidget - Collapsible tree of the whole page in the sidebar.
+ * ChildBlocksWidget / ParentBlocksWidget show one level around the selected
+ * block; the outline shows every region, container, object_list item and
+ * template instance at once (utils/pageOutline builds it from blockPathMap).
+ *
+ *   Outline                    [▾]
+ *   ▾ Blocks
+ *     Welcome
+ *     ▾ Slider
+ *       ▾ Slides
+ *         Item 1
+ *   ▾ Footer
+ *     Footer text            🔒
+ *
+ * Clicking a node selects the block (the iframe brings hidden ones — other
+ * tabs, carousel slides — into view). Dragging a node before/after another
+ * moves it, across containers too, where canDropInOutline allows.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { createPortal } from 'react-dom';
+import { defineMessages, useIntl } from 'react-intl';
+import config from '@plone/volto/registry';
+import { buildPageOutline, canDropInOutline } from '../../utils/pageOutline';
+
+const messages = defineMessages({
+  outline: {
+    id: 'Outline',
+    defaultMessage: 'Outline',
+  },
+  expand: {
+    id: 'Expand',
+    defaultMessage: 'Expand',
+  },
+  collapse: {
+    id: 'Collapse',
+    defaultMessage: 'Collapse',
+  },
+  readonly: {
+    id: 'Read-only',
+    defaultMessage: 'Read-only',
+  },
+  fixed: {
+    id: 'Fixed position',
+    defaultMessage: 'Fixed position',
+  },
+  template: {
+    id: 'Template',
+    defaultMessage: 'Template',
+  },
+});
+
+/**
+ * One block node and, unless collapsed, its regions
+ */
+const OutlineNode = ({ node, depth, state }) => {
+  const intl = useIntl();
+  const { selectedBlock, collapsed, toggle, drag, dropTarget } = state;
+  const hasChildren = node.regions.some((region) => region.blocks.length > 0);
+  const isCollapsed = collapsed.has(node.id);
+  const isDropTarget = dropTarget?.id === node.id;
+
+  return (
+    <li
+      role="treeitem"
+      aria-selected={selectedBlock === node.id}
+      aria-expanded={hasChildren ? !isCollapsed : undefined}
+    >
+      <div
+        className={[
+          'outline-node',
+          selectedBlock === node.id && 'selected',
+          drag.id === node.id && 'dragging',
+          isDropTarget && (dropTarget.after ? 'drop-after' : 'drop-before'),
+        ]
+          .filter(Boolean)
+          .join(' ')}
+        style={{ paddingLeft: 8 + depth * 16 }}
+        data-outline-uid={node.id}
+        draggable={!node.fixed && !node.readonly}
+        onDragStart={(e) => drag.start(e, node)}
+        onDragOver={(e) => drag.over(e, node)}
+        onDragLeave={() => drag.leave(node)}
+        onDrop={(e) => drag.drop(e, node)}
+        onDragEnd={drag.end}
+        onClick={() => state.onSelectBlock(node.id)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            state.onSelectBlock(node.id);
+          } else if (hasChildren && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault();
+            toggle(node.id, e.key === 'ArrowLeft');
+          }
+        }}
+        role="button"
+        tabIndex={0}
+      >
+        {hasChildren ? (
+          <button
+            type="button"
+            className="outline-toggle"
+            aria-label={intl.formatMessage(isCollapsed ? messages.expand : messages.collapse)}
+            onClick={(e) => {
+              e.stopPropagation();
+              toggle(node.id);
+            }}
+          >
+            {isCollapsed ? '▸' : '▾'}
+          </button>
+        ) : (
+          <span className="outline-toggle" />
+        )}
+        <span className="outline-title">{node.title}</span>
+        {node.isTemplateInstance && (
+          <span className="outline-marker" title={intl.formatMessage(messages.template)}>
+            ⧉
+          </span>
+        )}
+        {node.fixed && (
+          <span className="outline-marker" title={intl.formatMessage(messages.fixed)}>
+            📌
+          </span>
+        )}
+        {node.readonly && (
+          <span className="outline-marker" title={intl.formatMessage(messages.readonly)}>
+            🔒
+          </span>
+        )}
+      </div>
+      {hasChildren && !isCollapsed && (
+        <ul role="group">
+          {node.regions.map((region) => (
+            <OutlineRegion key={region.key} region={region} depth={depth + 1} state={state} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+/**
+ * A region label and its blocks
+ */
+const OutlineRegion = ({ region, depth, state }) => (
+  <li role="none" className="outline-region">
+    <div className="outline-region-title" style={{ paddingLeft: 8 + depth * 16 }}>
+      {region.title}
+    </div>
+    <ul role="group">
+      {region.blocks.map((node) => (
+        <OutlineNode key={node.id} node={node} depth={depth + 1} state={state} />
+      ))}
+    </ul>
+  </li>
+);
+
+/**
+ * PageOutlineWidget - Main component
+ */
+const PageOutlineWidget = ({ selectedBlock, formData, blockPathMap, onSelectBlock, onMoveBlock, templateEditMode }) => {
+  const intl = useIntl();
+  const blocksConfig = config.blocks?.blocksConfig;
+  const [isClient, setIsClient] = React.useState(false);
+  const [open, setOpen] = React.useState(false);
+  const [collapsed, setCollapsed] = React.useState(() => new Set());
+  const [dragId, setDragId] = React.useState(null);
+  const [dropTarget, setDropTarget] = React.useState(null); // { id, after }
+
+  React.useEffect(() => {
+    setIsClient(true);
+  }, []);
+
+  // Keep the selected block visible: expand its ancestors
+  React.useEffect(() => {
+    if (!selectedBlock || !blockPathMap) return;
+    setCollapsed((current) => {
+      let next = current;
+      for (let id = blockPathMap[selectedBlock]?.parentId; id; id = blockPathMap[id]?.parentId) {
+        if (next.has(id)) {
+          if (next === current) next = new Set(current);
+          next.delete(id);
+        }
+      }
+      return next;
+    });
+  }, [selectedBlock, blockPathMap]);
+
+  const outline = React.useMemo(
+    () => (open ? buildPageOutline(formData, blockPathMap, blocksConfig, intl, templateEditMode) : []),
+    [open, formData, blockPathMap, blocksConfig, intl, templateEditMode],
+  );
+
+  if (!isClient) return null;
+  const target = document.getElementById('sidebar-outline');
+  if (!target) return null;
+
+  const toggle = (id, collapse) =>
+    setCollapsed((current) => {
+      const next = new Set(current);
+      if (collapse ?? !next.has(id)) next.add(id);
+      else next.delete(id);
+      return next;
+    });
+
+  const drag = {
+    id: dragId,
+    start: (e, node) => {
+      e.stopPropagation();
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', node.id);
+      setDragId(node.id);
+    },
+    over: (e, node) => {
+      if (!dragId) return;
+      e.stopPropagation();
+      if (!canDropInOutline(formData, blockPathMap, blocksConfig, intl, dragId, node.id, templateEditMode)) {
+        if (dropTarget) setDropTarget(null);
+        return;
+      }
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      const rect = e.currentTarget.getBoundingClientRect();
+      const after = e.clientY > rect.top + rect.height / 2;
+      if (dropTarget?.id !== node.id || dropTarget.after !== after) setDropTarget({ id: node.id, after });
+    },
+    leave: (node) => {
+      if (dropTarget?.id === node.id) setDropTarget(null);
+    },
+    drop: (e, node) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (dragId && dropTarget?.id === node.id) onMoveBlock(dragId, node.id, dropTarget.after);
+      setDragId(null);
+      setDropTarget(null);
+    },
+    end: () => {
+      setDragId(null);
+      setDropTarget(null);
+    },
+  };
+
+  const state = { selectedBlock, collapsed, toggle, drag, dropTarget, onSelectBlock };
+
+  return createPortal(
+    <div className="page-outline-widget">
+      <div className="widget-header">
+        <span className="widget-title">{intl.formatMessage(messages.outline)}</span>
+        <div className="widget-actions">
+          <button
+            type="button"
+            aria-expanded={open}
+            aria-label={intl.formatMessage(open ? messages.collapse : messages.expand)}
+            onClick={() => setOpen(!open)}
+          >
+            {open ? '▾' : '▸'}
+          </button>
+        </div>
+      </div>
+      {open && (
+        <ul className="outline-tree" role="tree" aria-label={intl.formatMessage(messages.outline)}>
+          {outline.map((region) => (
+            <OutlineRegion key={region.key} region={region} depth={0} state={state} />
+          ))}
+        </ul>
+      )}
+    </div>,
+    target,
+  );
+};
+
+PageOutlineWidget.propTypes = {
+  selectedBlock: PropTypes.string,
+  formData: PropTypes.object,
+  blockPathMap: PropTypes.object,
+  onSelectBlock: PropTypes.func,
+  onMoveBlock: PropTypes.func,
+  templateEditMode: PropTypes.arrayOf(PropTypes.string),
+};
+
+export default PageOutlineWidget;
@@ -35,6 +35,7 @@ import TemplateLockToggle from '../Toolbar/TemplateLockToggle';
 import { SidebarPortalTargetContext } from './SidebarPortalTargetContext';
 import DropdownMenu from '../Toolbar/DropdownMenu';
 import ReadOnlyForm from './ReadOnlyForm';
+import BulkEditForm from './BulkEditForm';
 import { getBlockById, updateBlockById, getResolvedSchema, getCommonAncestor } from '../../utils/blockPath';
 import { HydraSchemaProvider } from '../../context';
 import { getConvertibleTypes, convertBlockType, findTypeField } from '../../utils/blockSync';
@@ -614,6 +615,7 @@ const ParentBlocksWidget = ({
   onChangeTemplateSettings,
   onToggleTemplateEditMode,
   templatePermissions,
+  onChangeFormData,
 }) => {
   const isMultiSelected = multiSelected.length > 1;
   const [isClient, setIsClient] = React.useState(false);
@@ -761,6 +763,13 @@ const ParentBlocksWidget = ({
               </div>
             );
           })}
+          <BulkEditForm
+            multiSelected={multiSelected}
+            formData={formData}
+            blockPathMap={blockPathMap}
+            templateEditMode={templateEditMode}
+            onChangeFormData={onChangeFormData}
+          />
         </div>,
         parentsTarget,
       );
@@ -888,6 +897,13 @@ const ParentBlocksWidget = ({
                     </div>
                   );
                 })}
+                <BulkEditForm
+                  multiSelected={multiSelected}
+                  formData={formData}
+                  blockPathMap={blockPathMap}
+                  templateEditMode={templateEditMode}
+                  onChangeFormData={onChangeFormData}
+                />
               </div>
             );
           })()}
@@ -906,6 +922,7 @@ ParentBlocksWidget.propTypes = {
   onDeleteBlock: PropTypes.func,
   onChangeBlock: PropTypes.func,
   onBlockAction: PropTypes.func,
+  onChangeFormData: PropTypes.func,
 };
 
 export default ParentBlocksWidget;
@@ -487,6 +487,28 @@ const DropdownMenu = ({
           <div style={{ height: '1px', background: 'rgba(0, 0, 0, 0.1)', margin: '0 10px' }} />
         </>
       )}
+      {/* History — the block's saved versions, to compare and restore it
+          (BlockHistoryPanel); for the page, the blocks deleted since */}
+      {selectedBlock && !(multiSelectedUids?.length > 1) && (
+        <>
+          <div
+            className="volto-hydra-dropdown-item"
+            data-action="block-history"
+            style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '10px', cursor: 'pointer', fontSize: '15px', fontWeight: '500' }}
+            onMouseEnter={(e) => (e.currentTarget.style.background = '#f0f0f0')}
+            onMouseLeave={(e) => (e.currentTarget.style.background = 'transparent')}
+            onClick={() => {
+              onClose();
+              document.dispatchEvent(new CustomEvent('hydra-open-block-history', {
+                detail: { blockId: selectedBlock },
+              }));
+            }}
+          >
+            🕘 History…
+          </div>
+          <div style={{ height: '1px', background: 'rgba(0, 0, 0, 0.1)', margin: '0 10px' }} />
+        </>
+      )}
       {/* Remove action - label changes based on table mode and add direction */}
       {/* Hide remove for page-level fields and fixed template blocks */}
       {selectedBlock && selectedBlock !== PAGE_BLOCK_UID && !isFixed && (() => {
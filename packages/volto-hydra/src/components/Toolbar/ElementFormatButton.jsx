@@ -0,0 +1,167 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { useSlate } from 'slate-react';
+import { Editor, Range, Transforms } from 'slate';
+import { Icon } from '@plone/volto/components';
+
+/**
+ * ElementFormatButton - toolbar button for a frontend-declared 'element'
+ * slate format (an inline wrapper with `data`, e.g. <abbr title="…">).
+ *
+ * Like the other toolbar buttons it is first intercepted by the toolbar's
+ * capture handler (FLUSH_BUFFER), then re-dispatched with bypassCapture. The
+ * re-dispatched mousedown opens a small form with one input per format field,
+ * prefilled when the cursor is already inside such an element. Apply wraps
+ * the selection (or updates the element), Remove unwraps it.
+ *
+ * Closing without a change dispatches `hydra:format-editor-close` so the
+ * toolbar unblocks the iframe, the same way the LinkEditor's cancel does.
+ *
+ * @param {Object} format - Normalized 'element' format (see normalizeSlateFormats)
+ * @param {Object} icon - Icon in Volto's `{ attributes, content }` form
+ */
+const ElementFormatButton = ({ format, icon }) => {
+  const editor = useSlate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [values, setValues] = useState({});
+  const triggerRef = useRef(null);
+  const firstInputRef = useRef(null);
+  const targetRef = useRef(null); // { selection, path } captured on open
+
+  const [activeEntry] = editor.selection
+    ? Editor.nodes(editor, { match: (n) => n.type === format.name, mode: 'lowest' })
+    : [];
+
+  useEffect(() => {
+    if (isOpen) firstInputRef.current?.focus();
+  }, [isOpen]);
+
+  const close = () => {
+    setIsOpen(false);
+    targetRef.current = null;
+    // After Slate's onChange (a microtask) has picked up the format requestId;
+    // if nothing changed this is what unblocks the iframe.
+    setTimeout(() => document.dispatchEvent(new Event('hydra:format-editor-close')), 0);
+  };
+
+  const open = () => {
+    if (!activeEntry && (!editor.selection || Range.isCollapsed(editor.selection))) {
+      // Nothing to wrap — still release the flush block
+      close();
+      return;
+    }
+    targetRef.current = { selection: editor.selection, path: activeEntry?.[1] || null };
+    setValues({ ...(activeEntry?.[0]?.data || {}) });
+    setIsOpen(true);
+  };
+
+  const apply = () => {
+    const { selection, path } = targetRef.current || {};
+    const data = Object.fromEntries(
+      Object.keys(format.fields)
+        .filter((key) => values[key])
+        .map((key) => [key, values[key]]),
+    );
+    if (path) {
+      Transforms.setNodes(editor, { data }, { at: path });
+    } else if (selection) {
+      Transforms.select(editor, selection);
+      Transforms.wrapNodes(
+        editor,
+        { type: format.name, data, children: [] },
+        { split: true },
+      );
+    }
+    close();
+  };
+
+  const remove = () => {
+    const { path } = targetRef.current || {};
+    if (path) {
+      Transforms.unwrapNodes(editor, { at: path });
+    }
+    close();
+  };
+
+  const triggerRect = isOpen ? triggerRef.current?.getBoundingClientRect() : null;
+
+  return (
+    <>
+      <button
+        ref={triggerRef}
+        className="element-format-button"
+        title={format.title}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          padding: '4px 6px',
+          background: activeEntry || isOpen ? '#e8e8e8' : 'transparent',
+          border: 'none',
+          borderRadius: '2px',
+          cursor: 'pointer',
+        }}
+        onMouseDown={(e) => {
+          // Don't prevent default first time - let capture handler intercept.
+          // After the flush completes, this is re-triggered with bypassCapture.
+          if (e.currentTarget.dataset.bypassCapture === 'true') {
+            e.preventDefault();
+            open();
+          }
+        }}
+      >
+        <Icon name={icon} size="20px" />
+      </button>
+
+      {isOpen && triggerRect && createPortal(
+        <form
+          className="hydra-format-editor"
+          style={{
+            position: 'fixed',
+            left: `${triggerRect.left}px`,
+            top: `${triggerRect.bottom + 4}px`,
+            background: 'white',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            boxShadow: '0 2px 10px rgba(0, 0, 0, 0.15)',
+            zIndex: 10001,
+            minWidth: '220px',
+            padding: '8px 12px',
+          }}
+          onSubmit={(e) => {
+            e.preventDefault();
+            apply();
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') {
+              e.preventDefault();
+              close();
+            }
+          }}
+        >
+          {Object.entries(format.fields).map(([key, label], i) => (
+            <label key={key} style={{ display: 'block', fontSize: '12px', marginBottom: '6px' }}>
+              {label}
+              <input
+                ref={i === 0 ? firstInputRef : undefined}
+                name={key}
+                value={values[key] || ''}
+                onChange={(e) => setValues({ ...values, [key]: e.target.value })}
+                style={{ display: 'block', width: '100%', marginTop: '2px' }}
+              />
+            </label>
+          ))}
+          <div style={{ display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+            {targetRef.current?.path && (
+              <button type="button" onClick={remove}>Remove</button>
+            )}
+            <button type="button" onClick={close}>Cancel</button>
+            <button type="submit">Apply</button>
+          </div>
+        </form>,
+        document.body,
+      )}
+    </>
+  );
+};
+
+export default ElementFormatButton;
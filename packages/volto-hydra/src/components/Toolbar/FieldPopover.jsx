@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import { toControlValue, fromControlValue } from '../../utils/fieldPopover';
+
+/**
+ * Popover control for a `data-edit-field` element, placed just below the
+ * element in the preview. A change is applied through `onChange(value)` —
+ * the same form update the sidebar makes — so the frontend re-renders while
+ * the popover stays open; Escape or × closes it. A number is applied once
+ * typed (Enter or leaving the input), so it isn't clamped mid-way and isn't
+ * an undo step per keystroke.
+ *
+ * @param {{top: number, left: number, width: number, height: number}} rect
+ *   - The element's rect in viewport coordinates
+ * @param {string} title - Field title
+ * @param {Object} control - From getFieldControl (utils/fieldPopover)
+ * @param {*} value - Current stored value
+ * @param {function(*)} onChange
+ * @param {function()} onClose
+ */
+const FieldPopover = ({ rect, title, control, value, onChange, onClose }) => {
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  // The number being typed, until it is applied
+  const [typed, setTyped] = useState(null);
+  useEffect(() => setTyped(null), [value]);
+
+  const inputValue = toControlValue(control, value);
+  const apply = (input) => onChange(fromControlValue(control, input));
+  const applyTyped = () => {
+    if (typed === null) return;
+    setTyped(null);
+    apply(typed);
+  };
+
+  let input;
+  if (control.kind === 'select') {
+    input = (
+      <select value={inputValue} onChange={(e) => apply(e.target.value)} autoFocus>
+        {(!control.required || inputValue === '') && <option value="">—</option>}
+        {control.choices.map(([, label], index) => (
+          <option key={index} value={String(index)}>
+            {label}
+          </option>
+        ))}
+      </select>
+    );
+  } else if (control.kind === 'checkbox') {
+    input = <input type="checkbox" checked={inputValue} onChange={(e) => apply(e.target.checked)} autoFocus />;
+  } else if (control.kind === 'number') {
+    input = (
+      <input
+        type="number"
+        value={typed ?? inputValue}
+        min={control.min}
+        max={control.max}
+        step={control.step}
+        onChange={(e) => setTyped(e.target.value)}
+        onBlur={applyTyped}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') applyTyped();
+        }}
+        autoFocus
+      />
+    );
+  } else {
+    const type = { date: 'date', datetime: 'datetime-local' }[control.kind];
+    input = (
+      <input
+        type={type}
+        value={inputValue}
+        onChange={(e) => apply(e.target.value)}
+        autoFocus
+      />
+    );
+  }
+
+  return (
+    <div
+      className="hydra-field-popover"
+      role="dialog"
+      aria-label={title}
+      style={{
+        position: 'fixed',
+        top: `${rect.top + rect.height + 6}px`,
+        left: `${rect.left}px`,
+        zIndex: 100,
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        padding: '6px 8px',
+        background: '#fff',
+        borderRadius: '4px',
+        boxShadow: '0 2px 8px rgba(0, 0, 0, 0.2)',
+        pointerEvents: 'auto',
+      }}
+    >
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', margin: 0 }}>
+        <span style={{ fontSize: '13px', fontWeight: 600 }}>{title}</span>
+        {input}
+      </label>
+      <button
+        type="button"
+        title="Close"
+        onClick={onClose}
+        style={{ border: 'none', background: 'none', cursor: 'pointer', padding: '0 2px', fontSize: '16px' }}
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default FieldPopover;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { defineMessages, useIntl } from 'react-intl';
+import { Icon } from '@plone/volto/components';
+import rowBeforeSVG from '@plone/volto/icons/row-before.svg';
+import rowAfterSVG from '@plone/volto/icons/row-after.svg';
+import columnBeforeSVG from '@plone/volto/icons/column-before.svg';
+import columnAfterSVG from '@plone/volto/icons/column-after.svg';
+import copySVG from '@plone/volto/icons/copy.svg';
+import deleteSVG from '@plone/volto/icons/delete.svg';
+
+const messages = defineMessages({
+  addBeforeLeft: {
+    id: 'Add item before (left)',
+    defaultMessage: 'Add item before (left)',
+  },
+  addBeforeAbove: {
+    id: 'Add item before (above)',
+    defaultMessage: 'Add item before (above)',
+  },
+  addAfterRight: {
+    id: 'Add item after (right)',
+    defaultMessage: 'Add item after (right)',
+  },
+  addAfterBelow: {
+    id: 'Add item after (below)',
+    defaultMessage: 'Add item after (below)',
+  },
+  duplicate: {
+    id: 'Duplicate item',
+    defaultMessage: 'Duplicate item',
+  },
+  remove: {
+    id: 'Remove item',
+    defaultMessage: 'Remove item',
+  },
+});
+
+/**
+ * Add-before / add-after / duplicate / delete buttons for an `object_list`
+ * item (a slide, an accordion panel, a table row), drawn inside the item's
+ * top-right corner in the preview. Which buttons are enabled comes from the
+ * bridge's `itemActions` on BLOCK_SELECTED, so list limits (maxLength,
+ * allowedBlocks) and template locks are decided where the item renders.
+ *
+ * @param {{top: number, left: number, width: number, height: number}} rect
+ *   - The item's rect in viewport coordinates
+ * @param {{addBefore: boolean, addAfter: boolean, duplicate: boolean, delete: boolean}} actions
+ * @param {boolean} horizontal - The list runs left to right
+ * @param {function(string)} onAction - Called with the action's key
+ */
+const ItemControls = ({ rect, actions, horizontal, onAction }) => {
+  const intl = useIntl();
+  const buttons = [
+    {
+      key: 'addBefore',
+      title: intl.formatMessage(horizontal ? messages.addBeforeLeft : messages.addBeforeAbove),
+      icon: horizontal ? columnBeforeSVG : rowBeforeSVG,
+    },
+    {
+      key: 'addAfter',
+      title: intl.formatMessage(horizontal ? messages.addAfterRight : messages.addAfterBelow),
+      icon: horizontal ? columnAfterSVG : rowAfterSVG,
+    },
+    { key: 'duplicate', title: intl.formatMessage(messages.duplicate), icon: copySVG },
+    { key: 'delete', title: intl.formatMessage(messages.remove), icon: deleteSVG },
+  ];
+
+  return (
+    <div
+      className="volto-hydra-item-controls"
+      style={{
+        position: 'fixed',
+        top: `${rect.top + 4}px`,
+        left: `${rect.left + rect.width - 4}px`,
+        transform: 'translateX(-100%)',
+        zIndex: 10,
+        display: 'flex',
+        gap: '2px',
+        padding: '2px',
+        background: 'rgba(255, 255, 255, 0.9)',
+        borderRadius: '4px',
+        boxShadow: '0 1px 4px rgba(0, 0, 0, 0.2)',
+        pointerEvents: 'auto',
+      }}
+    >
+      {buttons.map(({ key, title, icon }) => (
+        <button
+          key={key}
+          type="button"
+          className={`volto-hydra-item-${key}`}
+          title={title}
+          aria-label={title}
+          disabled={!actions[key]}
+          onClick={() => onAction(key)}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            width: '26px',
+            height: '26px',
+            padding: 0,
+            border: 'none',
+            background: 'none',
+            cursor: actions[key] ? 'pointer' : 'default',
+            opacity: actions[key] ? 1 : 0.35,
+          }}
+        >
+          <Icon name={icon} size="18px" />
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ItemControls;
@@ -0,0 +1,197 @@
+import React, { useRef, useState } from 'react';
+import { containRect, pointToFraction, dragCrop, normalizeFocus } from '../../utils/mediaFocus';
+
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+
+const percent = (fraction) => `${fraction * 100}%`;
+
+/**
+ * Crop and focal-point overlay for a filled `data-edit-media` field, drawn
+ * over the field's rect in the preview. It shows the whole image so the
+ * editor can pick what the frontend's `object-fit: cover` box keeps: drag
+ * the box or its corners to crop, click or drag the dot to move the focal
+ * point. `onApply` gets the normalised value (undefined after a reset),
+ * stored under getMediaFocusField(field) — see utils/mediaFocus.
+ *
+ * @param {{top: number, left: number, width: number, height: number}} rect
+ *   - The field's rect in viewport coordinates
+ * @param {string} src - The image's URL
+ * @param {Object} [value] - Current `{ focalPoint, crop }`
+ * @param {function(Object|undefined)} onApply
+ * @param {function()} onClose
+ */
+const MediaFocusEditor = ({ rect, src, value, onApply, onClose }) => {
+  const [crop, setCrop] = useState(value?.crop || FULL_CROP);
+  const [focalPoint, setFocalPoint] = useState(
+    value?.focalPoint || { x: crop.x + crop.width / 2, y: crop.y + crop.height / 2 },
+  );
+  const [natural, setNatural] = useState(null);
+  const drag = useRef(null);
+
+  const imageRect = containRect(rect, natural?.width, natural?.height);
+
+  const startDrag = (e, handle) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { handle, x: e.clientX, y: e.clientY, crop };
+    if (handle === 'focal') setFocalPoint(pointToFraction(e.clientX, e.clientY, imageRect));
+  };
+  const onPointerMove = (e) => {
+    const current = drag.current;
+    if (!current) return;
+    if (current.handle === 'focal') {
+      setFocalPoint(pointToFraction(e.clientX, e.clientY, imageRect));
+      return;
+    }
+    const dx = (e.clientX - current.x) / imageRect.width;
+    const dy = (e.clientY - current.y) / imageRect.height;
+    setCrop(dragCrop(current.crop, current.handle, dx, dy));
+  };
+  const endDrag = () => {
+    drag.current = null;
+  };
+
+  const button = {
+    padding: '4px 10px',
+    border: 'none',
+    borderRadius: '3px',
+    cursor: 'pointer',
+    background: '#fff',
+  };
+
+  return (
+    <div
+      className="media-focus-editor"
+      style={{ position: 'fixed', inset: 0, zIndex: 20 }}
+      onPointerMove={onPointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+    >
+      <div
+        style={{
+          position: 'fixed',
+          top: `${rect.top}px`,
+          left: `${rect.left}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+          background: 'rgba(0, 0, 0, 0.75)',
+        }}
+      />
+      <div
+        className="media-focus-image"
+        style={{
+          position: 'fixed',
+          top: `${imageRect.top}px`,
+          left: `${imageRect.left}px`,
+          width: `${imageRect.width}px`,
+          height: `${imageRect.height}px`,
+          cursor: 'crosshair',
+          touchAction: 'none',
+        }}
+        onPointerDown={(e) => startDrag(e, 'focal')}
+      >
+        <img
+          src={src}
+          alt=""
+          draggable={false}
+          onLoad={(e) => setNatural({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+          style={{ width: '100%', height: '100%', display: 'block', opacity: 0.5 }}
+        />
+        <div
+          className="media-focus-crop"
+          style={{
+            position: 'absolute',
+            top: percent(crop.y),
+            left: percent(crop.x),
+            width: percent(crop.width),
+            height: percent(crop.height),
+            outline: '2px solid #007bff',
+            backgroundImage: `url(${JSON.stringify(src)})`,
+            backgroundSize: `${100 / crop.width}% ${100 / crop.height}%`,
+            backgroundPosition: `${crop.width < 1 ? percent(crop.x / (1 - crop.width)) : '0%'} ${
+              crop.height < 1 ? percent(crop.y / (1 - crop.height)) : '0%'
+            }`,
+            cursor: 'move',
+          }}
+          onPointerDown={(e) => startDrag(e, 'move')}
+        >
+          {CORNERS.map((corner) => (
+            <span
+              key={corner}
+              className={`media-focus-handle ${corner}`}
+              onPointerDown={(e) => startDrag(e, corner)}
+              style={{
+                position: 'absolute',
+                width: '12px',
+                height: '12px',
+                background: '#fff',
+                border: '2px solid #007bff',
+                [corner.includes('n') ? 'top' : 'bottom']: '-7px',
+                [corner.includes('w') ? 'left' : 'right']: '-7px',
+                cursor: `${corner}-resize`,
+              }}
+            />
+          ))}
+        </div>
+        <span
+          className="media-focus-point"
+          title="Focal point"
+          onPointerDown={(e) => startDrag(e, 'focal')}
+          style={{
+            position: 'absolute',
+            top: percent(focalPoint.y),
+            left: percent(focalPoint.x),
+            width: '18px',
+            height: '18px',
+            marginTop: '-9px',
+            marginLeft: '-9px',
+            borderRadius: '50%',
+            border: '3px solid #fff',
+            boxShadow: '0 0 0 2px #e40166',
+            cursor: 'grab',
+          }}
+        />
+      </div>
+      <div
+        style={{
+          position: 'fixed',
+          top: `${rect.top + rect.height - 40}px`,
+          left: `${rect.left}px`,
+          width: `${rect.width}px`,
+          display: 'flex',
+          justifyContent: 'center',
+          gap: '6px',
+        }}
+      >
+        <button
+          type="button"
+          style={button}
+          onClick={() => {
+            setCrop(FULL_CROP);
+            setFocalPoint({ x: 0.5, y: 0.5 });
+          }}
+        >
+          Reset
+        </button>
+        <button type="button" style={button} onClick={onClose}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          className="media-focus-apply"
+          style={{ ...button, background: '#007bff', color: '#fff' }}
+          onClick={() => {
+            const isDefault = crop === FULL_CROP && focalPoint.x === 0.5 && focalPoint.y === 0.5;
+            onApply(isDefault ? undefined : normalizeFocus({ crop, focalPoint }));
+          }}
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MediaFocusEditor;
@@ -1,32 +1,62 @@
 import React, { useState, useEffect, useLayoutEffect, useCallback, useRef, Component } from 'react';
+import { defineMessages, useIntl } from 'react-intl';
+import { toast } from 'react-toastify';
 import { Slate, ReactEditor, useSlate } from 'slate-react';
 import { Transforms, Node, Range, Editor, Element, Point } from 'slate';
 import { isEqual, cloneDeep } from 'lodash';
+import { v4 as uuid } from 'uuid';
 import config from '@plone/volto/registry';
-import { Icon } from '@plone/volto/components';
+import { Icon, Toast } from '@plone/volto/components';
 import { makeEditor, toggleInlineFormat, isBlockActive } from '@plone/volto-slate/utils';
 import { BlockButton } from '@plone/volto-slate/editor/ui';
 import slateTransforms, { withEmptyInlineRemoval } from '../../utils/slateTransforms';
 import { syncCreateSlateBlock } from '@plone/volto-slate/utils/volto-blocks';
 import { getBlockById, updateBlockById, getResolvedSchema } from '../../utils/blockPath';
 import { calculateDragHandlePosition, PAGE_BLOCK_UID } from '@volto-hydra/hydra-js';
-import { isSlateFieldType, isBlockPositionLocked, isBlockReadonly, getFieldValue, getFieldDef } from '@volto-hydra/helpers';
+import { isSlateFieldType, isBlockPositionLocked, isBlockReadonly, getFieldValue, getFieldDef, getImageUrl, getMediaFocusField, resolveFieldPath } from '@volto-hydra/helpers';
 import { useDispatch, useSelector } from 'react-redux';
 import FormatDropdown from './FormatDropdown';
 import DropdownMenu from './DropdownMenu';
 import TemplateLockToggle from './TemplateLockToggle';
 import OptionalFieldsToggle from './OptionalFieldsToggle';
+import MediaFocusEditor from './MediaFocusEditor';
+import FieldPopover from './FieldPopover';
+import ItemControls from './ItemControls';
+import TableToolbar from './TableToolbar';
+import { getFieldControl } from '../../utils/fieldPopover';
+import { getTableCellContext, getTableCellState } from '../../utils/tableEditing';
+import { isMarkdown, markdownToBlocks } from '../../utils/markdownPaste';
+import { isOfficeHtml, normalizeOfficeHtml } from '../../utils/officePaste';
 import linkSVG from '@plone/volto/icons/link.svg';
 import imageSVG from '@plone/volto/icons/image.svg';
+import zoomSVG from '@plone/volto/icons/zoom.svg';
 import clearSVG from '@plone/volto/icons/clear.svg';
 import upSVG from '@plone/volto/icons/up.svg';
 import lockSVG from '@plone/volto/icons/lock.svg';
 import AddLinkForm from '@plone/volto/components/manage/AnchorPlugin/components/LinkButton/AddLinkForm';
 import { ImageInput } from '@plone/volto/components/manage/Widgets/ImageWidget';
 import { createLog } from '../../utils/log';
+import {
+  getCssFieldMappings,
+  extractPastedBlocks,
+  splitAtPasteBlockTokens,
+  getPasteBlockIndex,
+} from '../../utils/pasteBlocks';
 
 const log = createLog('TOOLBAR');
 
+const messages = defineMessages({
+  imagesNotPasted: {
+    id: 'Images not pasted',
+    defaultMessage: 'Images not pasted',
+  },
+  imagesNotPastedContent: {
+    id: '{count, plural, one {# image was} other {# images were}} embedded in the copied document rather than linked from the web. Add them with an image block.',
+    defaultMessage:
+      '{count, plural, one {# image was} other {# images were}} embedded in the copied document rather than linked from the web. Add them with an image block.',
+  },
+});
+
 // Buttons that open a UI before applying a transform. These get flushed
 // (text synced) but without input blocking — the user needs pointer events
 // to interact with the UI and cancel by clicking back to the editor.
@@ -152,6 +182,10 @@ const DebugSlateChild = () => {
   return null;
 };
 
+// URL of a media field's image for the crop overlay: paths, links and brains
+// via getImageUrl, page NamedBlobImage values via their download
+const mediaSrc = (value) => getImageUrl(value) || (typeof value?.download === 'string' ? value.download : '');
+
 const SyncedSlateToolbar = ({
   selectedBlock,
   form,
@@ -170,10 +204,13 @@ const SyncedSlateToolbar = ({
   onSelectBlock,
   parentId,
   maxToolbarWidth,
+  canDrag = true, // False when the frontend disabled the bridge's drag-and-drop
   blockActions, // { toolbar: [...], dropdown: [...] } from pathMap.actions
   onBlockAction, // Handler for block actions: (actionId) => void
   onFieldLinkChange, // Handler for link field changes: (fieldName, url) => void
   onOpenObjectBrowser, // Handler to open object browser for media fields
+  onFieldValueChange, // Handler for a plain field value: (blockId, fieldName, value) => void
+  onItemAction, // Handler for object_list item controls: (blockId, action) => void
   onFileUpload, // Handler for file uploads: (fieldName, file) => void
   convertibleTypes = [], // Array of { type, title } for block type conversion
   onConvertBlock, // Handler for block conversion: (newType) => void
@@ -187,6 +224,7 @@ const SyncedSlateToolbar = ({
   onToggleTemplateEditMode, // Enter/exit template edit mode: (instanceId|null) => void
   templatePermissions, // Map templateId -> { can_edit } (defaults to editable)
 }) => {
+  const intl = useIntl();
 
   // Helper to get block data using path lookup (supports nested blocks)
   // For page-level fields (blockId is PAGE_BLOCK_UID), return form itself
@@ -349,6 +387,9 @@ const SyncedSlateToolbar = ({
   const [fieldImageEditorOpen, setFieldImageEditorOpen] = useState(false);
   const [fieldImageEditorField, setFieldImageEditorField] = useState(null);
 
+  // Media field whose crop / focal point overlay is open
+  const [fieldFocusEditorField, setFieldFocusEditorField] = useState(null);
+
   // Close image editor when block is deselected or changes
   useEffect(() => {
     if (!selectedBlock || !blockUI) {
@@ -356,6 +397,12 @@ const SyncedSlateToolbar = ({
       setFieldImageEditorField(null);
     }
   }, [selectedBlock, blockUI]);
+  useEffect(() => setFieldFocusEditorField(null), [selectedBlock]);
+
+  // data-edit-field popover: open for the clicked field until dismissed
+  const [dismissedEditField, setDismissedEditField] = useState(null);
+  useEffect(() => setDismissedEditField(null), [selectedBlock, blockUI?.focusedEditField]);
+  const contentTypeSchema = useSelector((state) => state.schema?.schema);
 
   // Helper to replace editor content using proper Slate APIs
   // Direct assignment (editor.children = X) bypasses Slate-react's state tracking,
@@ -482,8 +529,14 @@ const SyncedSlateToolbar = ({
       linkEditorWasVisibleRef.current = false;
       handleLinkEditorClosed();
     };
+    // ElementFormatButton's attribute form closes the same way
+    const onFormatEditorClose = () => handleLinkEditorClosed();
     document.addEventListener('hydra:linkeditor-close', onClose);
-    return () => document.removeEventListener('hydra:linkeditor-close', onClose);
+    document.addEventListener('hydra:format-editor-close', onFormatEditorClose);
+    return () => {
+      document.removeEventListener('hydra:linkeditor-close', onClose);
+      document.removeEventListener('hydra:format-editor-close', onFormatEditorClose);
+    };
   }, [handleLinkEditorClosed]);
 
   // Poll fallback for close paths that do NOT route through AddLinkForm.onClose — most
@@ -666,13 +719,71 @@ const SyncedSlateToolbar = ({
           // Use volto-slate's full insertData pipeline (handles text/plain with
           // newline splitting, text/html with tables/images/lists, and Slate fragments).
           const dt = new DataTransfer();
-          const pasteContent = transformAction.html;
-          if (pasteContent.trimStart().startsWith('<')) {
+          let pasteContent = transformAction.html;
+          let pastedBlocks = [];
+          // Markdown (plain text only): the leading text is pasted as HTML
+          // like any rich paste, the rest becomes blocks after this one.
+          // Not in object_list items (table cells, slides) — their siblings
+          // aren't text blocks.
+          let markdownBlocks = [];
+          const pathInfo = blockPathMap?.[selectedBlock];
+          const allowed = pathInfo?.allowedSiblingTypes;
+          const canAdd = (type) =>
+            !pathInfo?.isObjectListItem && !!config.blocks.blocksConfig[type] && (!allowed || allowed.includes(type));
+          if (!pathInfo?.isObjectListItem && isMarkdown(pasteContent)) {
+            const converted = markdownToBlocks(pasteContent, {
+              toSlate: slateTransforms.htmlToSlate,
+              canAdd,
+              newId: uuid,
+              // The container's maxLength less the blocks it holds
+              room:
+                pathInfo?.maxSiblings != null
+                  ? Math.max(0, pathInfo.maxSiblings - (pathInfo.siblingCount || 0))
+                  : Infinity,
+            });
+            pasteContent = converted.html;
+            markdownBlocks = converted.blocks.map((blockData) => [uuid(), blockData]);
+          }
+          // Word / Google Docs: styles → lists, headings and marks. Embedded
+          // images stay (the image emitter below splits them into image
+          // blocks) unless the site turns that off or the container can't
+          // take images.
+          if (isOfficeHtml(pasteContent)) {
+            const normalized = normalizeOfficeHtml(pasteContent, {
+              images: config.settings.slate.officePasteImages !== false && canAdd('image'),
+            });
+            pasteContent = normalized.html;
+            if (normalized.droppedImages > 0) {
+              toast.warning(
+                <Toast
+                  warning
+                  title={intl.formatMessage(messages.imagesNotPasted)}
+                  content={intl.formatMessage(messages.imagesNotPastedContent, {
+                    count: normalized.droppedImages,
+                  })}
+                />,
+              );
+            }
+          }
+          // Empty when Markdown starts with a non-text block
+          if (pasteContent && pasteContent.trimStart().startsWith('<')) {
+            // Elements claimed by a block's `css:` fieldMappings become their
+            // own blocks; a placeholder keeps their position in the HTML.
+            ({ html: pasteContent, blocks: pastedBlocks } = extractPastedBlocks(
+              pasteContent,
+              getCssFieldMappings(config.blocks.blocksConfig, {
+                allowedBlocks: blockPathMap?.[selectedBlock]?.allowedSiblingTypes,
+              }),
+              { fieldTypes: blockFieldTypes, toSlate: slateTransforms.htmlToSlate },
+            ));
             dt.setData('text/html', pasteContent);
-          } else {
+          } else if (pasteContent) {
             dt.setData('text/plain', pasteContent);
           }
-          editor.insertData(dt);
+          if (pasteContent) editor.insertData(dt);
+          if (pastedBlocks.length > 0) {
+            splitAtPasteBlockTokens(editor);
+          }
 
           // Run voltoBlockEmiters (extractImages, extractTables) on the editor
           // to extract inline images/tables into separate block tuples.
@@ -690,6 +801,13 @@ const SyncedSlateToolbar = ({
             // become new slate blocks. Emitter results follow each child's text.
             for (let i = 0; i < pathRefs.length; i++) {
               const pathRef = pathRefs[i];
+              // Marker left by splitAtPasteBlockTokens — emit the extracted block
+              const pastedIndex = pathRef.current
+                && getPasteBlockIndex(Node.get(editor, pathRef.current));
+              if (pastedIndex !== undefined && pastedBlocks[pastedIndex]) {
+                extraBlocks.push([uuid(), pastedBlocks[pastedIndex]]);
+                continue;
+              }
               const extras = voltoBlockEmiters
                 .map((emit) => emit(editor, pathRef))
                 .flat(1);
@@ -726,6 +844,9 @@ const SyncedSlateToolbar = ({
               editor._extraBlocks = extras;
             }
           }
+          if (markdownBlocks.length > 0) {
+            editor._extraBlocks = [...(editor._extraBlocks || []), ...markdownBlocks];
+          }
           break;
         }
         case 'delete':
@@ -976,7 +1097,12 @@ const SyncedSlateToolbar = ({
           bold: 'strong', italic: 'em', underline: 'u',
           strikethrough: 'del', sub: 'sub', sup: 'sup', code: 'code',
         };
-        const format = buttonToFormat[buttonName];
+        // Frontend-declared inline formats (installSlateFormats) toggle the
+        // same way, with prospective formatting on a collapsed cursor.
+        const frontendFormat = (config.settings.slate?.hydraFormats || []).find(
+          (f) => f.name === buttonName && f.type === 'inline',
+        );
+        const format = buttonToFormat[buttonName] || frontendFormat?.name;
 
         if (format) {
           applyInlineFormat(format, requestId);
@@ -998,7 +1124,7 @@ const SyncedSlateToolbar = ({
         }
       }
     }
-  }, [selectedBlock, form, currentSelection, editor, blockUI?.focusedFieldName, dispatch, completedFlushRequestId, blockFieldTypes, getBlock, applyInlineFormat, replaceEditorContent, transformAction, onTransformApplied]);
+  }, [selectedBlock, form, blockPathMap, currentSelection, editor, blockUI?.focusedFieldName, dispatch, completedFlushRequestId, blockFieldTypes, getBlock, applyInlineFormat, replaceEditorContent, transformAction, onTransformApplied, intl]);
 
   // NOTE: editor.hydra is set later (after toolbar position is calculated)
   // to include toolbarTop/toolbarLeft for LinkEditor positioning
@@ -1022,7 +1148,8 @@ const SyncedSlateToolbar = ({
       const currentFieldValue = getFieldValue(block, fieldName);
       const currentText = currentFieldValue?.[0]?.children?.[0]?.text?.substring(0, 40);
 
-      if (isEqual(newValue, currentFieldValue)) {
+      // A paste can leave the field as it was and only add blocks after it
+      if (isEqual(newValue, currentFieldValue) && !editor._extraBlocks) {
         log('onChange: values equal, skipping');
         return;
       }
@@ -1058,8 +1185,9 @@ const SyncedSlateToolbar = ({
   // These intercept mousedown to flush the iframe buffer before applying formatting
   const handleButtonMouseDownCapture = useCallback(
     (e) => {
-      // Don't intercept clicks inside popups (like LinkEditor's Clear/Submit buttons)
-      if (e.target.closest('.add-link')) {
+      // Don't intercept clicks inside popups (like LinkEditor's Clear/Submit buttons,
+      // or an element format's attribute form)
+      if (e.target.closest('.add-link, .hydra-format-editor')) {
         return;
       }
 
@@ -1402,7 +1530,9 @@ const SyncedSlateToolbar = ({
         const block = getBlock(selectedBlock);
         const instanceId = toolbarTemplateInstanceId;
 
-        const dragHandle = (
+        // The ⠿ is only a visual over the iframe's invisible drag button; when
+        // the frontend disabled drag-and-drop there is nothing behind it.
+        const dragHandle = canDrag && (
           <div
             className="drag-handle"
             style={{
@@ -1481,7 +1611,7 @@ const SyncedSlateToolbar = ({
             </div>
           );
         }
-        return dragHandle;
+        return dragHandle || <div style={{ width: '8px' }} />;
       })()}
 
       {/* Reveal empty optional fields (#296). Rendered only when the selected block
@@ -1593,6 +1723,27 @@ const SyncedSlateToolbar = ({
               <Icon name={imageSVG} size="18px" />
             </button>
           )}
+          {blockUI?.focusedMediaField && onFieldValueChange &&
+            mediaSrc(getFieldValue(getBlock(selectedBlock), blockUI.focusedMediaField)) && (
+            <button
+              title={`Crop and focal point (${blockUI.focusedMediaField})`}
+              onClick={() => setFieldFocusEditorField(blockUI.focusedMediaField)}
+              style={{
+                background: fieldFocusEditorField ? '#e8e8e8' : 'none',
+                border: 'none',
+                padding: '4px',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                borderRadius: '2px',
+              }}
+              onMouseEnter={(e) => (e.currentTarget.style.background = '#e8e8e8')}
+              onMouseLeave={(e) => (e.currentTarget.style.background = fieldFocusEditorField ? '#e8e8e8' : 'none')}
+            >
+              <Icon name={zoomSVG} size="18px" />
+            </button>
+          )}
 
         </div>
       )}
@@ -1942,6 +2093,101 @@ const SyncedSlateToolbar = ({
       }
     })}
 
+    {/* data-edit-field popover (select / number / checkbox / date) */}
+    {blockUI?.focusedEditField && onFieldValueChange &&
+      dismissedEditField !== blockUI.focusedEditField &&
+      blockUI.editFields?.[blockUI.focusedEditField]?.rect &&
+      !isBlockReadonly(getBlock(selectedBlock), templateEditMode) && (() => {
+      const fieldPath = blockUI.focusedEditField;
+      const { blockId, fieldName } = resolveFieldPath(fieldPath, selectedBlock, blockPathMap);
+      const schema = blockId === PAGE_BLOCK_UID
+        ? contentTypeSchema
+        : getResolvedSchema(blockPathMap?.[blockId], blockPathMap);
+      const fieldDef = getFieldDef(schema, fieldName);
+      const control = getFieldControl(fieldDef, !!schema?.required?.includes(fieldName));
+      if (!control) {
+        log('data-edit-field has no popover control:', fieldPath, fieldDef);
+        return null;
+      }
+      const elementRect = blockUI.editFields[fieldPath].rect;
+      return (
+        <FieldPopover
+          key={`${selectedBlock}-${fieldPath}`}
+          rect={{
+            top: toolbarIframeRect.top + elementRect.top,
+            left: toolbarIframeRect.left + elementRect.left,
+            width: elementRect.width,
+            height: elementRect.height,
+          }}
+          title={fieldDef.title || fieldName}
+          control={control}
+          value={getFieldValue(getBlock(blockId), fieldName)}
+          onChange={(value) => onFieldValueChange(blockId, fieldName, value)}
+          onClose={() => setDismissedEditField(fieldPath)}
+        />
+      );
+    })()}
+
+    {/* Add / duplicate / remove controls on an object_list item */}
+    {blockUI?.itemActions && blockUI.rect && onItemAction && (
+      <ItemControls
+        rect={{
+          top: toolbarIframeRect.top + blockUI.rect.top,
+          left: toolbarIframeRect.left + blockUI.rect.left,
+          width: blockUI.rect.width,
+          height: blockUI.rect.height,
+        }}
+        actions={blockUI.itemActions}
+        horizontal={blockUI.addDirection === 'right'}
+        onAction={(action) => onItemAction(selectedBlock, action)}
+      />
+    )}
+
+    {/* Row/column, merge and header controls under the selected cell's table */}
+    {blockUI?.tableRect && onBlockAction && (() => {
+      const tableContext = getTableCellContext(selectedBlock, blockPathMap, getBlock);
+      if (!tableContext || isBlockReadonly(tableContext.table, templateEditMode)) return null;
+      return (
+        <TableToolbar
+          rect={{
+            top: toolbarIframeRect.top + blockUI.tableRect.top,
+            left: toolbarIframeRect.left + blockUI.tableRect.left,
+            width: blockUI.tableRect.width,
+            height: blockUI.tableRect.height,
+          }}
+          bounds={toolbarIframeRect}
+          state={getTableCellState(tableContext, selectedBlock, templateEditMode)}
+          onAction={onBlockAction}
+        />
+      );
+    })()}
+
+    {/* Crop / focal point overlay over the field being focused */}
+    {fieldFocusEditorField && blockUI?.mediaFields?.[fieldFocusEditorField]?.rect && (() => {
+      const block = getBlock(selectedBlock);
+      const mediaRect = blockUI.mediaFields[fieldFocusEditorField].rect;
+      const src = mediaSrc(getFieldValue(block, fieldFocusEditorField));
+      if (!src) return null;
+      return (
+        <MediaFocusEditor
+          key={`${selectedBlock}-${fieldFocusEditorField}`}
+          rect={{
+            top: toolbarIframeRect.top + mediaRect.top,
+            left: toolbarIframeRect.left + mediaRect.left,
+            width: mediaRect.width,
+            height: mediaRect.height,
+          }}
+          src={src}
+          value={getFieldValue(block, getMediaFocusField(fieldFocusEditorField))}
+          onApply={(focus) => {
+            onFieldValueChange(selectedBlock, getMediaFocusField(fieldFocusEditorField), focus);
+            setFieldFocusEditorField(null);
+          }}
+          onClose={() => setFieldFocusEditorField(null)}
+        />
+      );
+    })()}
+
     {/* Starter UI Overlay - for blocks with empty required fields */}
     {blockPathMap?.[selectedBlock]?.emptyRequiredFields?.map(({ fieldName, fieldDef }) => {
       // For now, only render for object_browser link fields
@@ -0,0 +1,199 @@
+import React from 'react';
+import { defineMessages, useIntl } from 'react-intl';
+import config from '@plone/volto/registry';
+import { Icon } from '@plone/volto/components';
+
+// The labels of the built-in hydraActions, and the toolbar's own
+const messages = defineMessages({
+  table: {
+    id: 'Table',
+    defaultMessage: 'Table',
+  },
+  addRowBefore: {
+    id: 'Add Row Before',
+    defaultMessage: 'Add Row Before',
+  },
+  addRowAfter: {
+    id: 'Add Row After',
+    defaultMessage: 'Add Row After',
+  },
+  addColumnBefore: {
+    id: 'Add Column Before',
+    defaultMessage: 'Add Column Before',
+  },
+  addColumnAfter: {
+    id: 'Add Column After',
+    defaultMessage: 'Add Column After',
+  },
+  deleteRow: {
+    id: 'Remove Row',
+    defaultMessage: 'Remove Row',
+  },
+  deleteColumn: {
+    id: 'Remove Column',
+    defaultMessage: 'Remove Column',
+  },
+  mergeCellRight: {
+    id: 'Merge With Cell Right',
+    defaultMessage: 'Merge With Cell Right',
+  },
+  mergeCellRightShort: {
+    id: 'Merge →',
+    defaultMessage: 'Merge →',
+  },
+  mergeCellDown: {
+    id: 'Merge With Cell Below',
+    defaultMessage: 'Merge With Cell Below',
+  },
+  mergeCellDownShort: {
+    id: 'Merge ↓',
+    defaultMessage: 'Merge ↓',
+  },
+  splitCell: {
+    id: 'Split Cell',
+    defaultMessage: 'Split Cell',
+  },
+  splitCellShort: {
+    id: 'Split',
+    defaultMessage: 'Split',
+  },
+  toggleHeaderRow: {
+    id: 'Header Row',
+    defaultMessage: 'Header Row',
+  },
+  toggleHeaderRowShort: {
+    id: 'Header row',
+    defaultMessage: 'Header row',
+  },
+  toggleHeaderColumn: {
+    id: 'Header Column',
+    defaultMessage: 'Header Column',
+  },
+  toggleHeaderColumnShort: {
+    id: 'Header col',
+    defaultMessage: 'Header col',
+  },
+});
+
+// Groups of hydraActions, separated in the toolbar
+const ACTION_GROUPS = [
+  ['addRowBefore', 'addRowAfter', 'addColumnBefore', 'addColumnAfter'],
+  ['deleteRow', 'deleteColumn'],
+  ['mergeCellRight', 'mergeCellDown', 'splitCell'],
+  ['toggleHeaderRow', 'toggleHeaderColumn'],
+];
+
+/**
+ * Contextual toolbar for a selected table cell, drawn under the table in
+ * the preview: row/column insert and delete, cell merge/split and the
+ * header row/column toggles. Labels and icons come from
+ * `config.settings.hydraActions`, translated while a label is still the
+ * built-in one; buttons dispatch through the same `onBlockAction` as the
+ * block's own actions.
+ *
+ * @param {{top: number, left: number, width: number, height: number}} rect
+ *   - The table's rect in viewport coordinates
+ * @param {{top: number, height: number}} bounds - The iframe's rect; the
+ *   toolbar moves above the table when there's no room below
+ * @param {{mergeRight: boolean, mergeDown: boolean, split: boolean, headerRow: boolean,
+ *   headerColumn: boolean, deleteRow: boolean, deleteColumn: boolean}} state
+ *   - From getTableCellState
+ * @param {function(string)} onAction - Called with the action id
+ */
+const TableToolbar = ({ rect, bounds, state, onAction }) => {
+  const intl = useIntl();
+  const actionsRegistry = config.settings.hydraActions || {};
+  // A project may relabel an action; its own label is then shown as is
+  const translate = (text, message) =>
+    message && text === message.defaultMessage ? intl.formatMessage(message) : text;
+  const enabled = {
+    deleteRow: state.deleteRow,
+    deleteColumn: state.deleteColumn,
+    mergeCellRight: state.mergeRight,
+    mergeCellDown: state.mergeDown,
+    splitCell: state.split,
+  };
+  const pressed = {
+    toggleHeaderRow: state.headerRow,
+    toggleHeaderColumn: state.headerColumn,
+  };
+  const TOOLBAR_HEIGHT = 32;
+  const below = rect.top + rect.height + 4;
+  const top =
+    below + TOOLBAR_HEIGHT > bounds.top + bounds.height
+      ? Math.max(bounds.top, rect.top - TOOLBAR_HEIGHT - 4)
+      : below;
+
+  return (
+    <div
+      className="volto-hydra-table-toolbar"
+      role="toolbar"
+      aria-label={intl.formatMessage(messages.table)}
+      style={{
+        position: 'fixed',
+        top: `${top}px`,
+        left: `${rect.left}px`,
+        zIndex: 10,
+        display: 'flex',
+        alignItems: 'center',
+        gap: '2px',
+        height: `${TOOLBAR_HEIGHT}px`,
+        padding: '2px 4px',
+        background: '#fff',
+        borderRadius: '4px',
+        boxShadow: '0 1px 4px rgba(0, 0, 0, 0.2)',
+        pointerEvents: 'auto',
+      }}
+    >
+      {ACTION_GROUPS.map((group, index) => (
+        <React.Fragment key={group[0]}>
+          {index > 0 && (
+            <span style={{ width: '1px', alignSelf: 'stretch', background: '#e0e0e0', margin: '2px 2px' }} />
+          )}
+          {group.map((actionId) => {
+            const actionDef = actionsRegistry[actionId] || { label: actionId };
+            const label = translate(actionDef.label, messages[actionId]);
+            const shortLabel = translate(actionDef.shortLabel, messages[`${actionId}Short`]);
+            const disabled = enabled[actionId] === false;
+            const isPressed = pressed[actionId];
+            return (
+              <button
+                key={actionId}
+                type="button"
+                className={`volto-hydra-table-${actionId}`}
+                title={label}
+                aria-label={label}
+                aria-pressed={isPressed === undefined ? undefined : isPressed}
+                disabled={disabled}
+                onClick={() => onAction(actionId)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  minWidth: '26px',
+                  height: '26px',
+                  padding: '0 4px',
+                  border: 'none',
+                  borderRadius: '2px',
+                  background: isPressed ? '#e8e8e8' : 'none',
+                  cursor: disabled ? 'default' : 'pointer',
+                  opacity: disabled ? 0.35 : 1,
+                  fontSize: '12px',
+                  whiteSpace: 'nowrap',
+                }}
+              >
+                {actionDef.icon ? (
+                  <Icon name={actionDef.icon} size="18px" />
+                ) : (
+                  shortLabel || label
+                )}
+              </button>
+            );
+          })}
+        </React.Fragment>
+      ))}
+    </div>
+  );
+};
+
+export default TableToolbar;
@@ -0,0 +1,153 @@
+/**
+ * Install frontend-declared slate formats (initBridge
+ * `voltoConfig.settings.slate.formats`) into Volto's slate config.
+ *
+ * Each format becomes a toolbar button, an element renderer, an
+ * `inlineElements` entry (inline/element formats), an optional hotkey and a
+ * paste deserializer for its HTML form. The toolbar then treats them like
+ * Volto's own formats: inline buttons sit with bold/italic, block formats
+ * land in the FormatDropdown (it picks up any BlockButton).
+ *
+ * Runs on every INIT, so it first undoes whatever a previous INIT installed.
+ */
+import React from 'react';
+import { jsx } from 'slate-hyperscript';
+import { BlockButton, MarkElementButton } from '@plone/volto-slate/editor/ui';
+import { deserializeChildren } from '@plone/volto-slate/editor/deserialize';
+import {
+  normalizeSlateFormats,
+  findSlateFormatForElement,
+  readSlateFormatData,
+} from '@volto-hydra/helpers';
+import paragraphSVG from '@plone/volto/icons/paragraph.svg';
+import blockSVG from '@plone/volto/icons/block.svg';
+import ElementFormatButton from './ElementFormatButton';
+
+const removeFrom = (list, names) =>
+  (list || []).filter((name) => !names.includes(name));
+
+/** Insert inline buttons at the end of the first (inline) toolbar group. */
+const withInlineButtons = (toolbarButtons, names) => {
+  const list = [...(toolbarButtons || [])];
+  const separator = list.indexOf('separator');
+  list.splice(separator === -1 ? list.length : separator, 0, ...names);
+  return list;
+};
+
+function uninstall(slate) {
+  const previous = slate._hydraInstalledFormats;
+  if (!previous) return;
+  const names = previous.formats.map((f) => f.name);
+  delete slate.hydraFormats;
+  for (const name of names) {
+    delete slate.buttons[name];
+    delete slate.elements[name];
+  }
+  slate.inlineElements = removeFrom(slate.inlineElements, names);
+  slate.toolbarButtons = removeFrom(slate.toolbarButtons, names);
+  if (slate.expandedToolbarButtons) {
+    slate.expandedToolbarButtons = removeFrom(slate.expandedToolbarButtons, names);
+  }
+  for (const hotkey of previous.hotkeys) delete slate.hotkeys[hotkey];
+  for (const [tag, original] of Object.entries(previous.tagDeserializers)) {
+    if (original) slate.htmlTagsToSlate[tag] = original;
+    else delete slate.htmlTagsToSlate[tag];
+  }
+  delete slate._hydraInstalledFormats;
+}
+
+/**
+ * @param {Object} slate - config.settings.slate (mutated)
+ * @param {Object} [options]
+ * @param {Function} [options.parseIcon] - SVG string → Volto icon object
+ * @param {Object[]} [options.formats] - Declarations to install instead of
+ *   `slate.formats` (`[]` removes any previously installed ones)
+ * @returns {Object[]} The formats that were installed (normalized); also
+ *   kept on `slate.hydraFormats` so INITIAL_DATA can hand them to hydra.js.
+ */
+export function installSlateFormats(
+  slate,
+  { parseIcon = () => null, formats = slate.formats } = {},
+) {
+  uninstall(slate);
+
+  const { formats: normalized, errors } = normalizeSlateFormats(formats);
+  errors.forEach((error) => console.warn(`[HYDRA] ${error} — skipped`));
+
+  const installed = [];
+  const hotkeys = [];
+  for (const format of normalized) {
+    if (slate.buttons[format.name] || slate.elements[format.name]) {
+      console.warn(
+        `[HYDRA] slate format "${format.name}" clashes with a built-in Volto format — skipped`,
+      );
+      continue;
+    }
+    if (format.hotkey && slate.hotkeys[format.hotkey]) {
+      console.warn(
+        `[HYDRA] slate format "${format.name}": hotkey ${format.hotkey} is already taken — ignored`,
+      );
+    } else if (format.hotkey) {
+      slate.hotkeys[format.hotkey] = { format: format.name, type: 'inline' };
+      hotkeys.push(format.hotkey);
+    }
+
+    const icon =
+      (format.icon && parseIcon(format.icon)) ||
+      (format.type === 'block' ? paragraphSVG : blockSVG);
+    if (format.type === 'block') {
+      slate.buttons[format.name] = (props) => (
+        <BlockButton format={format.name} icon={icon} title={format.title} {...props} />
+      );
+    } else if (format.type === 'element') {
+      slate.buttons[format.name] = (props) => (
+        <ElementFormatButton format={format} icon={icon} {...props} />
+      );
+    } else {
+      slate.buttons[format.name] = (props) => (
+        <MarkElementButton format={format.name} icon={icon} title={format.title} {...props} />
+      );
+    }
+
+    const Tag = format.tag;
+    slate.elements[format.name] = ({ attributes, children, element }) => (
+      <Tag {...element.data} {...attributes} className={format.className || undefined}>
+        {children}
+      </Tag>
+    );
+    installed.push(format);
+  }
+
+  const inlineNames = installed.filter((f) => f.type !== 'block').map((f) => f.name);
+  const blockNames = installed.filter((f) => f.type === 'block').map((f) => f.name);
+  slate.inlineElements = [...(slate.inlineElements || []), ...inlineNames];
+  slate.toolbarButtons = [...withInlineButtons(slate.toolbarButtons, inlineNames), ...blockNames];
+  if (slate.expandedToolbarButtons) {
+    slate.expandedToolbarButtons = [
+      ...withInlineButtons(slate.expandedToolbarButtons, inlineNames),
+      ...blockNames,
+    ];
+  }
+
+  // Paste / TOGGLE_MARK: recognise the formats' HTML form, falling back to
+  // whatever Volto does with the tag otherwise (e.g. <p> without the class).
+  const tagDeserializers = {};
+  const matchable = installed.filter((f) => f.matchHtml);
+  for (const tag of new Set(matchable.map((f) => f.tag.toUpperCase()))) {
+    const original = slate.htmlTagsToSlate[tag];
+    tagDeserializers[tag] = original;
+    slate.htmlTagsToSlate[tag] = (editor, el) => {
+      const format = findSlateFormatForElement(el, matchable);
+      if (!format) {
+        return original ? original(editor, el) : deserializeChildren(el, editor);
+      }
+      const attrs = { type: format.name };
+      if (format.type === 'element') attrs.data = readSlateFormatData(el, format);
+      return jsx('element', attrs, deserializeChildren(el, editor));
+    };
+  }
+
+  slate._hydraInstalledFormats = { formats: installed, hotkeys, tagDeserializers };
+  slate.hydraFormats = installed;
+  return installed;
+}
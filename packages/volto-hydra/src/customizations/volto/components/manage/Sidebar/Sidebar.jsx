@@ -227,6 +227,11 @@ const Sidebar = (props) => {
           <div className="sidebar-section child-blocks-section" id="sidebar-order">
             {/* Child blocks widget rendered here */}
           </div>
+
+          {/* Page outline - portal target for the whole-page block tree */}
+          <div className="sidebar-section page-outline-section" id="sidebar-outline">
+            {/* PageOutlineWidget rendered here */}
+          </div>
         </div>
       </div>
       <div className={expanded ? 'pusher expanded' : 'pusher'} />
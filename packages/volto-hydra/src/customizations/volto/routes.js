@@ -59,6 +59,7 @@ import withClientSideContent from '@plone/volto/helpers/Content/withClientSideCo
 
 import App from '@plone/volto/components/theme/App/App';
 import View from '@plone/volto/components/theme/View/View';
+import VersionDiff from '../../components/Iframe/VersionDiff';
 
 import config from '@plone/volto/registry';
 
@@ -295,6 +296,11 @@ export const defaultRoutes = [
     path: '/**/diff',
     component: Diff,
   },
+  // HYDRA: Compare versions as the frontend renders them
+  {
+    path: '/**/compare-versions',
+    component: VersionDiff,
+  },
   {
     path: '/**/historyview',
     component: History,
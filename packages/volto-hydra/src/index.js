@@ -41,6 +41,7 @@ import { getIframeUrlCookieName } from './utils/cookieNames';
 import getSavedURLs, { getURlsFromEnv } from './utils/getSavedURLs';
 import getCurrentFrontendPublicUrl from './utils/getCurrentFrontendPublicUrl';
 import publicUrlSync from './middleware/publicUrlSync';
+import backendRequests from './middleware/backendRequests';
 import {
   getAllowedBlocksList,
   subscribeToAllowedBlocksListChanges,
@@ -126,9 +127,13 @@ const applyConfig = (config) => {
   // different frontend in the toolbar switcher. RAZZLE_PUBLIC_URL is
   // therefore inapplicable; the middleware listens for the same Redux
   // action FrontendSwitcherPanel already dispatches.
+  //
+  // backendRequests goes first so it sees API actions before Volto's api
+  // middleware fetches them: with a frontend backend adapter connected they
+  // are sent to the iframe instead.
   config.settings.storeExtenders = [
     ...(config.settings.storeExtenders || []),
-    (stack) => [...stack, publicUrlSync],
+    (stack) => [backendRequests, ...stack, publicUrlSync],
   ];
   if (typeof window !== 'undefined') {
     // Boot value: pick the frontend the editor was last viewing (cookie
@@ -812,6 +817,12 @@ const applyConfig = (config) => {
     addColumnAfter: { label: 'Add Column After', icon: columnAfterSVG },
     deleteRow: { label: 'Remove Row', icon: rowDeleteSVG },
     deleteColumn: { label: 'Remove Column', icon: columnDeleteSVG },
+    // Table toolbar only (TableToolbar); no icon, so they show shortLabel
+    mergeCellRight: { label: 'Merge With Cell Right', shortLabel: 'Merge →' },
+    mergeCellDown: { label: 'Merge With Cell Below', shortLabel: 'Merge ↓' },
+    splitCell: { label: 'Split Cell', shortLabel: 'Split' },
+    toggleHeaderRow: { label: 'Header Row', shortLabel: 'Header row' },
+    toggleHeaderColumn: { label: 'Header Column', shortLabel: 'Header col' },
   };
 
   // Add "templates" group to block chooser
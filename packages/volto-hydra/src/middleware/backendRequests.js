@@ -0,0 +1,37 @@
+import { getBridgeBackend, requestToIntent } from '../utils/backendRequests';
+
+/**
+ * Redux middleware that sends the object browser's, listings' and
+ * vocabularies' API calls, and file uploads, through the frontend's backend
+ * adapter (BACKEND_REQUEST) when the iframe announced one.
+ *
+ * It handles the same actions Volto's api middleware does — those with a
+ * `request` — and dispatches the same `_PENDING` / `_SUCCESS` / `_FAIL`
+ * actions, so reducers and callers awaiting the dispatch can't tell the
+ * difference. Every other request (the page's own reads and saves among
+ * them), and everything while no adapter is connected, goes on to Volto's
+ * api middleware unchanged.
+ */
+const backendRequests = (_store) => (next) => (action) => {
+  const backend = getBridgeBackend();
+  if (!backend || !action?.request || Array.isArray(action.request)) {
+    return next(action);
+  }
+  const call = requestToIntent(action.request, backend.intents);
+  if (!call) return next(action);
+
+  const { request, type, mode, ...rest } = action;
+  next({ ...rest, type: `${type}_PENDING` });
+  return backend.request(call.intent, call.args).then(
+    (result) => {
+      next({ ...rest, result, type: `${type}_SUCCESS` });
+      return result;
+    },
+    (error) => {
+      next({ ...rest, error, statusCode: error.status, type: `${type}_FAIL` });
+      return Promise.reject(error);
+    },
+  );
+};
+
+export default backendRequests;
@@ -0,0 +1,55 @@
+/**
+ * The frontend URLs the admin loads in its iframes: the page's path on the
+ * frontend, with the token and mode the bridge reads from the query.
+ */
+
+/**
+ * Returns url with query params + proper paths
+ * @param {String} url
+ * @param {Object} qParams
+ * @param {String} pathname
+ * @returns {String}
+ */
+const addUrlParams = (url, qParams, pathname) => {
+  const urlObj = new URL(url);
+  for (const [key, value] of Object.entries(qParams)) {
+    urlObj.searchParams.set(key, value);
+  }
+
+  const path = pathname.startsWith('/') ? pathname.slice(1) : pathname;
+  if (urlObj.hash) {
+    // Support both /#/ and /# - normalize by removing trailing slash before appending
+    const hashBase = urlObj.hash.replace(/\/$/, '');
+    urlObj.hash = `${hashBase}/${path}`;
+  } else {
+    urlObj.pathname += `${path}`;
+  }
+  const newURL = urlObj.toString();
+  return newURL;
+};
+
+/**
+ * Format the URL for the Iframe with location, token and edit mode
+ * @param {URL} url
+ * @param {String} token
+ * @param {Boolean} isEdit
+ * @param {Object} [options]
+ * @param {Boolean} [options.preview] - A read-only version preview (VersionPreviewFrame)
+ * @param {String} [options.contentPath] - The page to load, when it isn't
+ *   the admin's own location (e.g. `/page` on `/page/compare-versions`)
+ * @returns {URL} URL with the admin params
+ */
+export const getUrlWithAdminParams = (url, token, isEdit, { preview = false, contentPath } = {}) => {
+  // Edit mode communicated via iframe name AND _edit param for reliability
+  // _edit param ensures mode change triggers URL change and iframe reload
+  if (typeof window === 'undefined') return null;
+  const path = contentPath ?? window.location.pathname.replace(/\/edit$/, '');
+  const params = { access_token: token, _edit: isEdit ? 'true' : 'false' };
+  if (preview) params._hydra_preview = '1';
+  // Forward debug param to iframe so hydra.js enables logging
+  const adminUrl = new URL(window.location.href);
+  if (adminUrl.searchParams.has('_hydra_debug')) {
+    params._hydra_debug = '1';
+  }
+  return addUrlParams(`${url}`, params, path);
+};
@@ -0,0 +1,33 @@
+import { getUrlWithAdminParams } from './adminUrl';
+
+describe('getUrlWithAdminParams', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/docs/page/edit');
+  });
+
+  it('loads the page being edited, with the token and mode', () => {
+    const url = new URL(getUrlWithAdminParams('https://front.example/', 'tok', true));
+    expect(url.pathname).toBe('/docs/page');
+    expect(url.searchParams.get('access_token')).toBe('tok');
+    expect(url.searchParams.get('_edit')).toBe('true');
+    expect(url.searchParams.has('_hydra_preview')).toBe(false);
+  });
+
+  it('appends the path to a hash-routed frontend', () => {
+    const url = new URL(getUrlWithAdminParams('https://front.example/#/', 'tok', false));
+    expect(url.hash).toBe('#/docs/page');
+    expect(url.searchParams.get('_edit')).toBe('false');
+  });
+
+  it('loads another page as a preview', () => {
+    window.history.replaceState(null, '', '/docs/page/compare-versions?one=1&two=2');
+    const url = new URL(
+      getUrlWithAdminParams('https://front.example/', 'tok', true, {
+        preview: true,
+        contentPath: '/docs/page',
+      }),
+    );
+    expect(url.pathname).toBe('/docs/page');
+    expect(url.searchParams.get('_hydra_preview')).toBe('1');
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Admin side of BACKEND_REQUEST / BACKEND_RESPONSE (see "Backend adapters" in
+ * @volto-hydra/helpers).
+ *
+ * When the frontend's INIT announces a `backend` (an adapter registered with
+ * initBridge), View.jsx connects a client here. The backendRequests Redux
+ * middleware then sends the object browser's, listings' and vocabularies'
+ * API calls (and file uploads) to the iframe as intents instead of fetching
+ * the CMS directly. The editor's own calls — reading and saving the page,
+ * and everything else — still go to Volto's API as before.
+ *
+ * A call that comes back 'unauthorized' waits while the editor signs in
+ * (AUTH_REQUIRED → the AuthChallenge modal → login()) and is then retried
+ * once; cancelling the sign-in fails it.
+ */
+import { BackendError, deserializeBackendError } from '@volto-hydra/helpers';
+
+export const DEFAULT_TIMEOUT_MS = 30000;
+// Uploads carry the file and wait on the CMS to process it
+const INTENT_TIMEOUT_MS = { 'asset.upload': 120000 };
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Adapter name from INIT
+ * @param {string[]} options.intents - Intents the adapter implements
+ * @param {function(Object): void} options.post - Posts a message to the iframe
+ * @param {number} [options.timeoutMs]
+ * @returns {{
+ *   name: string,
+ *   intents: Set<string>,
+ *   request: function(string, Object=, Object=): Promise<*>,
+ *   handleResponse: function(Object): void,
+ *   login: function(Object): Promise<*>,
+ *   cancelAuth: function(): void,
+ *   close: function(): void,
+ * }}
+ *   - `request(intent, args, { timeoutMs })` — resolves with the adapter's
+ *     result; rejects with a BackendError.
+ *   - `handleResponse(message)` — settles the request a BACKEND_RESPONSE
+ *     answers.
+ *   - `login(credentials)` — auth.login; on success the calls waiting for
+ *     sign-in are retried.
+ *   - `cancelAuth()` — the editor gave up: fail the calls waiting for sign-in.
+ *   - `close()` — rejects everything still pending ('disconnected').
+ */
+export function createBackendClient({
+  name,
+  intents,
+  post,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) {
+  const pending = new Map(); // requestId → { resolve, reject, timer }
+  let nextId = 0;
+  let signIn = null; // { promise, resolve, reject } while calls wait for sign-in
+
+  const send = (intent, args, options) => {
+    nextId += 1;
+    const requestId = `backend-${nextId}`;
+    const wait = options.timeoutMs || INTENT_TIMEOUT_MS[intent] || timeoutMs;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        reject(new BackendError('timeout', `${intent} timed out after ${wait}ms`));
+      }, wait);
+      pending.set(requestId, { resolve, reject, timer });
+      post({ type: 'BACKEND_REQUEST', requestId, intent, args });
+    });
+  };
+
+  const waitForSignIn = () => {
+    if (!signIn) {
+      signIn = {};
+      signIn.promise = new Promise((resolve, reject) => {
+        signIn.resolve = resolve;
+        signIn.reject = reject;
+      });
+    }
+    return signIn.promise;
+  };
+
+  const endSignIn = (error) => {
+    if (!signIn) return;
+    if (error) signIn.reject(error);
+    else signIn.resolve();
+    signIn = null;
+  };
+
+  return {
+    name,
+    intents: new Set(intents),
+
+    request(intent, args = {}, options = {}) {
+      return send(intent, args, options).catch((error) => {
+        if (error.code !== 'unauthorized' || intent === 'auth.login' || options.retried) {
+          throw error;
+        }
+        return waitForSignIn().then(() =>
+          this.request(intent, args, { ...options, retried: true }),
+        );
+      });
+    },
+
+    async login(credentials = {}) {
+      const user = await send('auth.login', { credentials }, {});
+      endSignIn();
+      return user;
+    },
+
+    cancelAuth() {
+      endSignIn(new BackendError('unauthorized', 'Sign-in cancelled'));
+    },
+
+    handleResponse({ requestId, ok, result, error }) {
+      const entry = pending.get(requestId);
+      if (!entry) return; // timed out or from a previous connection
+      pending.delete(requestId);
+      clearTimeout(entry.timer);
+      if (ok) entry.resolve(result);
+      else entry.reject(deserializeBackendError(error));
+    },
+
+    close() {
+      const gone = new BackendError('disconnected', 'The frontend went away');
+      for (const { reject, timer } of pending.values()) {
+        clearTimeout(timer);
+        reject(gone);
+      }
+      pending.clear();
+      endSignIn(gone);
+    },
+  };
+}
+
+let current = null;
+
+/**
+ * Connect the backend a frontend announced in INIT, replacing the previous
+ * one. Called with no `backend` when the frontend has no adapter (or the
+ * iframe goes away), so calls go back to Volto's own API.
+ *
+ * @param {{name: string, intents: string[]}|undefined} backend - INIT.backend
+ * @param {function(Object): void} [post] - Posts a message to the iframe
+ * @returns {Object|null} The connected client
+ */
+export function connectBridgeBackend(backend, post) {
+  current?.close();
+  current =
+    backend && post
+      ? createBackendClient({ name: backend.name, intents: backend.intents || [], post })
+      : null;
+  return current;
+}
+
+/** @returns {Object|null} The connected backend client, if any. */
+export function getBridgeBackend() {
+  return current;
+}
+
+const SESSION_ENDPOINTS = /(^|\/)@(login|login-renew|logout)(\?|$)/;
+
+// '/a/@search' → '/a'; '' and '/' → '/'
+function _basePath(path) {
+  return path.replace(/\/+$/, '') || '/';
+}
+
+// Whether the adapter takes this call: the object browser's folder listing
+// and search, listings' querystring search, vocabularies and file uploads.
+// The page's own reads (with their ?expand= components) and saves are not.
+function _isAdapterCall(op, endpoint, data) {
+  if (!endpoint) return op === 'post' && !!(data?.image || data?.file)?.data;
+  return (
+    (endpoint === '@search' && op === 'get') ||
+    (endpoint === '@querystring-search' && op === 'post') ||
+    (endpoint.startsWith('@vocabularies/') && op === 'get')
+  );
+}
+
+/**
+ * Map a Volto API request (`action.request`: `{ op, path, data }`) to the
+ * intent the backend handles it with, for the calls the object browser,
+ * listings and vocabulary widgets make, and file uploads. Passthrough
+ * (`http`) when the adapter offers it, else the semantic intent.
+ *
+ * @param {Object} request
+ * @param {Set<string>} intents - What the adapter implements
+ * @returns {{intent: string, args: Object}|null} null when no intent fits
+ *   (the request goes to Volto's API unchanged)
+ */
+export function requestToIntent(request, intents) {
+  const { op = 'get', path = '', data, attach } = request || {};
+  if (attach || typeof path !== 'string') return null;
+  // The admin's own session (sign-in, renewal, sign-out) stays with Volto
+  if (SESSION_ENDPOINTS.test(path)) return null;
+
+  const [pathname, search = ''] = path.split('?');
+  const at = pathname.indexOf('/@');
+  const base = _basePath(at === -1 ? pathname : pathname.slice(0, at));
+  const endpoint = at === -1 ? '' : pathname.slice(at + 1);
+  if (!_isAdapterCall(op, endpoint, data)) return null;
+  if (intents.has('http')) {
+    return { intent: 'http', args: { op, path, data } };
+  }
+
+  const params = new URLSearchParams(search);
+  const list = (key) => [...params.getAll(key), ...params.getAll(`${key}:list`)];
+  const number = (key) => (params.has(key) ? Number(params.get(key)) : undefined);
+
+  let call = null;
+  if (!endpoint) {
+    // createContent with an uploaded file (buildUploadPayload)
+    call = { intent: 'asset.upload', args: { path: base, file: data.image || data.file } };
+  } else if (endpoint === '@querystring-search' && op === 'post') {
+    call = { intent: 'search', args: { path: base, querystring: data } };
+  } else if (endpoint === '@search' && op === 'get') {
+    const types = list('portal_type');
+    if (params.get('path.depth') === '1' && !params.has('SearchableText')) {
+      call = {
+        intent: 'content.list',
+        args: {
+          path: base,
+          start: number('b_start'),
+          size: number('b_size'),
+          ...(types.length && { types }),
+        },
+      };
+    } else {
+      const query = [];
+      if (params.has('SearchableText')) {
+        query.push({
+          i: 'SearchableText',
+          o: 'plone.app.querystring.operation.string.contains',
+          v: params.get('SearchableText'),
+        });
+      }
+      if (types.length) {
+        query.push({
+          i: 'portal_type',
+          o: 'plone.app.querystring.operation.selection.any',
+          v: types,
+        });
+      }
+      query.push({
+        i: 'path',
+        o: 'plone.app.querystring.operation.string.absolutePath',
+        v: params.has('path.depth') ? `${base}::${params.get('path.depth')}` : base,
+      });
+      call = {
+        intent: 'search',
+        args: {
+          path: base,
+          querystring: {
+            query,
+            ...(params.has('sort_on') && { sort_on: params.get('sort_on') }),
+            ...(params.has('sort_order') && { sort_order: params.get('sort_order') }),
+            b_start: number('b_start') ?? 0,
+            ...(params.has('b_size') && { b_size: number('b_size') }),
+          },
+        },
+      };
+    }
+  } else if (endpoint.startsWith('@vocabularies/') && op === 'get') {
+    call = {
+      intent: 'vocabulary.get',
+      args: {
+        name: endpoint.slice('@vocabularies/'.length),
+        ...(params.has('title') && { title: params.get('title') }),
+        start: number('b_start'),
+        size: number('b_size'),
+      },
+    };
+  }
+  return call && intents.has(call.intent) ? call : null;
+}
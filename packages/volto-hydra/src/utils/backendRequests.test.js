@@ -0,0 +1,141 @@
+import { describe, it, expect, vi } from 'vitest';
+import { BackendError, createMockAdapter, dispatchBackendIntent } from '@volto-hydra/helpers';
+import { createBackendClient, requestToIntent } from './backendRequests';
+
+const ALL = new Set([
+  'content.get',
+  'content.save',
+  'content.list',
+  'search',
+  'vocabulary.get',
+  'asset.upload',
+]);
+
+describe('requestToIntent', () => {
+  it('passes everything through to an adapter with http', () => {
+    const request = { op: 'get', path: '/news/@search?path.depth=1' };
+    expect(requestToIntent(request, new Set(['http', 'content.get']))).toEqual({
+      intent: 'http',
+      args: { op: 'get', path: '/news/@search?path.depth=1', data: undefined },
+    });
+  });
+
+  it("leaves the admin's own session calls to Volto", () => {
+    const intents = new Set(['http']);
+    expect(requestToIntent({ op: 'post', path: '@login-renew' }, intents)).toBeNull();
+    expect(requestToIntent({ op: 'post', path: '/@login' }, intents)).toBeNull();
+    expect(requestToIntent({ op: 'post', path: '@logout' }, intents)).toBeNull();
+  });
+
+  it("leaves the editor's own content reads and saves to Volto", () => {
+    // getContent's ?expand= components (breadcrumbs, navigation, types, …)
+    // have no intent, so the page is read from Volto's API
+    const read = { op: 'get', path: '/news?expand=breadcrumbs,navigation,types' };
+    const save = { op: 'patch', path: '/news', data: { title: 'N' } };
+    for (const intents of [ALL, new Set(['http'])]) {
+      expect(requestToIntent(read, intents)).toBeNull();
+      expect(requestToIntent(save, intents)).toBeNull();
+    }
+  });
+
+  it('maps the object browser folder listing and text search', () => {
+    expect(
+      requestToIntent(
+        {
+          op: 'get',
+          path: '//@search?path.depth=1&sort_on=getObjPositionInParent&metadata_fields=_all&b_size=1000',
+        },
+        ALL,
+      ),
+    ).toEqual({ intent: 'content.list', args: { path: '/', start: undefined, size: 1000 } });
+
+    const { intent, args } = requestToIntent(
+      { op: 'get', path: '/@search?SearchableText=news*&portal_type:list=Image' },
+      ALL,
+    );
+    expect(intent).toBe('search');
+    expect(args.querystring.query.map((c) => [c.i, c.v])).toEqual([
+      ['SearchableText', 'news*'],
+      ['portal_type', ['Image']],
+      ['path', '/'],
+    ]);
+  });
+
+  it('maps vocabularies and uploads', () => {
+    expect(
+      requestToIntent({ op: 'get', path: '/@vocabularies/plone.app.vocabularies.Keywords?b_start=0&title=ne' }, ALL),
+    ).toEqual({
+      intent: 'vocabulary.get',
+      args: { name: 'plone.app.vocabularies.Keywords', title: 'ne', start: 0, size: undefined },
+    });
+    const file = { filename: 'a.png', 'content-type': 'image/png', data: 'AA==', encoding: 'base64' };
+    expect(
+      requestToIntent({ op: 'post', path: '/images', data: { '@type': 'Image', image: file } }, ALL),
+    ).toEqual({ intent: 'asset.upload', args: { path: '/images', file } });
+  });
+
+  it('leaves other calls (and unsupported intents) to Volto', () => {
+    expect(requestToIntent({ op: 'get', path: '/news/@workflow' }, ALL)).toBeNull();
+    expect(requestToIntent({ op: 'get', path: '/news/@search?path.depth=1' }, new Set(['search']))).toBeNull();
+    expect(requestToIntent({ op: 'get', path: '/news/@types' }, new Set(['http']))).toBeNull();
+  });
+});
+
+describe('createBackendClient', () => {
+  // Wire the client straight to an adapter, the way hydra.js answers
+  const connect = (adapter, options = {}) => {
+    const client = createBackendClient({
+      name: adapter.name,
+      intents: ['content.get'],
+      post: ({ requestId, intent, args }) =>
+        dispatchBackendIntent(adapter, intent, args).then(
+          (result) => client.handleResponse({ requestId, ok: true, result }),
+          (error) => client.handleResponse({ requestId, ok: false, error: { code: error.code, message: error.message } }),
+        ),
+      ...options,
+    });
+    return client;
+  };
+
+  it('resolves with the adapter result and rejects with a BackendError', async () => {
+    const client = connect(createMockAdapter({ content: { '/': { title: 'Home' } } }));
+    await expect(client.request('content.get', { path: '/' })).resolves.toMatchObject({ title: 'Home' });
+    const error = await client.request('content.get', { path: '/nope' }).catch((e) => e);
+    expect(error).toBeInstanceOf(BackendError);
+    expect(error.code).toBe('not-found');
+  });
+
+  it('holds unauthorized calls until sign-in, then retries them', async () => {
+    const adapter = createMockAdapter({
+      content: { '/': { title: 'Home' } },
+      credentials: { login: 'admin', password: 'secret' },
+    });
+    const client = connect(adapter);
+    const held = client.request('content.get', { path: '/' });
+    await expect(client.login({ login: 'admin', password: 'nope' })).rejects.toMatchObject({
+      code: 'unauthorized',
+    });
+    await client.login({ login: 'admin', password: 'secret' });
+    await expect(held).resolves.toMatchObject({ title: 'Home' });
+  });
+
+  it('fails the held calls when sign-in is cancelled', async () => {
+    const client = connect(createMockAdapter({ credentials: { password: 'secret' } }));
+    const held = client.request('content.get', { path: '/' });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    client.cancelAuth();
+    await expect(held).rejects.toMatchObject({ code: 'unauthorized', message: 'Sign-in cancelled' });
+  });
+
+  it('times out and rejects pending requests on close', async () => {
+    vi.useFakeTimers();
+    const client = createBackendClient({ name: 'x', intents: [], post: () => {}, timeoutMs: 50 });
+    const late = client.request('content.get', { path: '/' });
+    vi.advanceTimersByTime(60);
+    await expect(late).rejects.toMatchObject({ code: 'timeout' });
+    const pending = client.request('content.get', { path: '/' });
+    client.close();
+    await expect(pending).rejects.toMatchObject({ code: 'disconnected' });
+    vi.useRealTimers();
+  });
+});
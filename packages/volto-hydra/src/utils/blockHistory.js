@@ -0,0 +1,329 @@
+/**
+ * Block history: one block across the page's saved versions (Plone's
+ * `@history`), for the block history panel (BlockHistoryPanel).
+ *
+ * A version's content is a whole page, so everything here works on two
+ * formData/blockPathMap pairs: the old version's and the current form's.
+ * Restoring writes the old block back into the current form — over the block
+ * if it still exists, otherwise next to the neighbour it had that still does.
+ * Pure (no React).
+ */
+import { PAGE_BLOCK_UID, canContain } from '@volto-hydra/hydra-js';
+import {
+  deepEqual,
+  cloneBlocksWithNewIds,
+  getBlockAddability,
+  getBlockType,
+  isBlockPositionLocked,
+  isBlockReadonly,
+} from '@volto-hydra/helpers';
+import {
+  getBlockById,
+  updateBlockById,
+  getChildBlockIdsInField,
+  getContainerFieldConfig,
+  getContainerItems,
+  getAllContainerFields,
+  insertBlockInContainer,
+} from './blockPath';
+
+/**
+ * The saved versions in an `@history` response, newest first. Workflow
+ * entries (no `version`) are left out.
+ *
+ * @param {Array<Object>} history - GET `<path>/@history`
+ * @returns {Array<{version: number, time: string, actor: string, comment: string}>}
+ */
+export function getHistoryVersions(history) {
+  return (history || [])
+    .filter((entry) => entry.type !== 'workflow' && entry.version != null)
+    .map((entry) => ({
+      version: entry.version,
+      time: entry.time,
+      actor: entry.actor?.fullname || entry.actor?.id || '',
+      comment: entry.comments || '',
+    }))
+    .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * The fields that differ between two versions of a block.
+ *
+ * @param {Object|undefined} oldBlock
+ * @param {Object|undefined} currentBlock
+ * @returns {Array<{field: string, change: 'added'|'removed'|'changed', before: *, after: *}>}
+ *   `added` is a field the current block has and the old one didn't
+ */
+export function diffBlockFields(oldBlock, currentBlock) {
+  const before = oldBlock || {};
+  const after = currentBlock || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return fields
+    .filter((field) => !deepEqual(before[field], after[field]))
+    .map((field) => ({
+      field,
+      change: !(field in before) ? 'added' : !(field in after) ? 'removed' : 'changed',
+      before: before[field],
+      after: after[field],
+    }));
+}
+
+// The text of a Slate value (or any node tree with `text` leaves), one
+// space between its top-level nodes
+function nodeText(nodes, separator = ' ') {
+  return nodes
+    .map((node) => (typeof node?.text === 'string' ? node.text : nodeText(node?.children || [], '')))
+    .join(separator);
+}
+
+/**
+ * A one-line rendering of a field value for the diff list: text for strings
+ * and rich text, JSON for the rest, cut at `maxLength`.
+ *
+ * @param {*} value
+ * @param {number} [maxLength=80]
+ * @returns {string}
+ */
+export function summariseFieldValue(value, maxLength = 80) {
+  let text;
+  if (value === undefined || value === null) text = '';
+  else if (typeof value === 'string') text = value;
+  else if (Array.isArray(value) && value.some((node) => node?.children)) text = nodeText(value);
+  else text = JSON.stringify(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * What to call a block in a list of blocks: its title or text, else its
+ * type's title.
+ *
+ * @param {Object|undefined} block
+ * @param {Object} [blocksConfig]
+ * @param {string} [fallback='Block'] - For a block without any of those
+ * @param {string} [type] - The block's type, when the blockPathMap knows it
+ *   better than the block's `@type`
+ * @returns {string}
+ */
+export function getBlockLabel(block, blocksConfig, fallback = 'Block', type = block?.['@type']) {
+  return block?.title || block?.plaintext || blocksConfig?.[type]?.title || type || fallback;
+}
+
+// Whether `blockId` sits somewhere inside `ancestorId`
+function isInside(blockPathMap, blockId, ancestorId) {
+  for (let id = blockPathMap[blockId]?.parentId; id; id = blockPathMap[id]?.parentId) {
+    if (id === ancestorId) return true;
+  }
+  return false;
+}
+
+/**
+ * The blocks of an old version that are gone from the current form — only
+ * the outermost, a deleted container's children go with it.
+ *
+ * @param {Object} oldFormData
+ * @param {Object} oldBlockPathMap
+ * @param {Object} currentBlockPathMap
+ * @param {Object} [blocksConfig] - For the titles of blocks without text
+ * @returns {Array<{id: string, type: string, title: string}>} In page order
+ */
+export function getDeletedBlocks(oldFormData, oldBlockPathMap, currentBlockPathMap, blocksConfig) {
+  const deleted = Object.entries(oldBlockPathMap || {}).filter(
+    ([id, info]) => !id.startsWith('_') && !info.isTemplateInstance && !currentBlockPathMap?.[id],
+  );
+  const deletedIds = new Set(deleted.map(([id]) => id));
+  return deleted
+    .filter(([, info]) => !deletedIds.has(info.parentId))
+    .map(([id, info]) => {
+      const block = getBlockById(oldFormData, oldBlockPathMap, id);
+      const type = info.blockType || block?.['@type'];
+      return { id, type, title: getBlockLabel(block, blocksConfig, id, type) };
+    });
+}
+
+// Where restoring `blockId` puts it in the current form: over the block
+// (`replace`), next to a surviving old sibling (`after`/`before` refId), or
+// at the end of a container (`inside`). Null when there is nowhere.
+function getRestoreTarget(currentFormData, currentBlockPathMap, oldBlockPathMap, blockId, blocksConfig, intl) {
+  if (currentBlockPathMap[blockId]) {
+    const containerConfig = getContainerFieldConfig(blockId, currentBlockPathMap, currentFormData, blocksConfig, intl);
+    return containerConfig && { position: 'replace', refId: blockId, containerConfig };
+  }
+
+  const { parentId, region } = oldBlockPathMap[blockId];
+  const siblings = getChildBlockIdsInField(parentId, region, oldBlockPathMap);
+  const index = siblings.indexOf(blockId);
+  const before = siblings
+    .slice(0, index)
+    .reverse()
+    .find((id) => currentBlockPathMap[id]);
+  const after = siblings.slice(index + 1).find((id) => currentBlockPathMap[id]);
+  const refId = before || after;
+  if (refId) {
+    const containerConfig = getContainerFieldConfig(refId, currentBlockPathMap, currentFormData, blocksConfig, intl);
+    return containerConfig && { position: before ? 'after' : 'before', refId, containerConfig };
+  }
+
+  // A template instance's blocks are stored in the instance's container
+  const oldParent = oldBlockPathMap[parentId]?.isTemplateInstance
+    ? oldBlockPathMap[parentId].parentId
+    : parentId;
+  const containerId =
+    oldParent !== PAGE_BLOCK_UID && currentBlockPathMap[oldParent] ? oldParent : PAGE_BLOCK_UID;
+  const fields = getAllContainerFields(
+    containerId,
+    currentBlockPathMap,
+    currentFormData,
+    blocksConfig,
+    intl,
+  ).filter((field) => !field.isTemplateInstance);
+  const field = fields.find((f) => f.region === (region || 'items')) || fields[0];
+  if (!field) return null;
+  return {
+    position: 'inside',
+    refId: null,
+    containerConfig: { ...field, parentId: containerId, fieldName: field.region },
+  };
+}
+
+/**
+ * Whether the editor may restore a block from an old version. The block
+ * goes where restoreBlockFromVersion would put it, so that spot must take
+ * it: the container must not be readonly and must allow the block's type
+ * with room under its maxLength (canContain), and a new block must not
+ * land between fixed blocks (getBlockAddability, as for a dropped block).
+ * A block that still exists must not be readonly. A deleted block that was
+ * readonly or fixed is template content and only comes back while its
+ * template is being edited.
+ *
+ * @param {Object} currentFormData
+ * @param {Object} currentBlockPathMap
+ * @param {Object} oldFormData
+ * @param {Object} oldBlockPathMap
+ * @param {string} blockId
+ * @param {Object} blocksConfig
+ * @param {Object} intl
+ * @param {string[]} [templateEditMode=[]] - The unlocked template instance ids
+ * @returns {boolean}
+ */
+export function canRestoreBlock(
+  currentFormData,
+  currentBlockPathMap,
+  oldFormData,
+  oldBlockPathMap,
+  blockId,
+  blocksConfig,
+  intl,
+  templateEditMode = [],
+) {
+  const block = getBlockById(oldFormData, oldBlockPathMap, blockId);
+  if (!block) return false;
+  const target = getRestoreTarget(currentFormData, currentBlockPathMap, oldBlockPathMap, blockId, blocksConfig, intl);
+  if (!target) return false;
+  const { position, refId, containerConfig } = target;
+
+  const { parentId } = containerConfig;
+  const parentBlock =
+    parentId === PAGE_BLOCK_UID ? currentFormData : getBlockById(currentFormData, currentBlockPathMap, parentId);
+  if (!parentBlock || (parentId !== PAGE_BLOCK_UID && isBlockReadonly(parentBlock, templateEditMode))) return false;
+  const items = getContainerItems(parentBlock, containerConfig);
+  const type = oldBlockPathMap[blockId].blockType || getBlockType(block, oldBlockPathMap[blockId].typeField);
+
+  if (position === 'replace') {
+    const current = getBlockById(currentFormData, currentBlockPathMap, blockId);
+    if (isBlockReadonly(current, templateEditMode)) return false;
+    return canContain(containerConfig, type, items.length - 1);
+  }
+
+  if (isBlockReadonly(block, templateEditMode) || isBlockPositionLocked(block, templateEditMode)) return false;
+  if (!canContain(containerConfig, type, items.length)) return false;
+  // At the end of a container: after its last block
+  const neighbourId =
+    refId ?? (items.length ? (containerConfig.isObjectList ? null : items[items.length - 1]) : null);
+  if (!neighbourId) return true;
+  const addability = getBlockAddability(
+    neighbourId,
+    currentBlockPathMap,
+    getBlockById(currentFormData, currentBlockPathMap, neighbourId),
+    templateEditMode,
+    block, // Like a drop: template content may go back next to page blocks
+  );
+  return position === 'before' ? addability.canInsertBefore : addability.canInsertAfter;
+}
+
+/**
+ * Put a block back the way it was in an old version, as one change to the
+ * current form. A block that still exists is replaced where it now is. A
+ * deleted one goes back after its nearest earlier sibling that still exists
+ * (or before the nearest later one); with none left, at the end of its old
+ * container, or of the page if that is gone too. Nested blocks of the old
+ * version that now live elsewhere get new ids, so no id appears twice.
+ * Nothing happens when canRestoreBlock says no.
+ *
+ * @param {Object} currentFormData
+ * @param {Object} currentBlockPathMap
+ * @param {Object} oldFormData
+ * @param {Object} oldBlockPathMap
+ * @param {string} blockId
+ * @param {Object} blocksConfig
+ * @param {Object} intl
+ * @param {string[]} [templateEditMode=[]] - The unlocked template instance ids
+ * @returns {Object|null} The new formData, or null when the block can't be
+ *   restored
+ */
+export function restoreBlockFromVersion(
+  currentFormData,
+  currentBlockPathMap,
+  oldFormData,
+  oldBlockPathMap,
+  blockId,
+  blocksConfig,
+  intl,
+  templateEditMode = [],
+) {
+  const allowed = canRestoreBlock(
+    currentFormData,
+    currentBlockPathMap,
+    oldFormData,
+    oldBlockPathMap,
+    blockId,
+    blocksConfig,
+    intl,
+    templateEditMode,
+  );
+  if (!allowed) return null;
+  let block = getBlockById(oldFormData, oldBlockPathMap, blockId);
+
+  const movedOut = Object.keys(oldBlockPathMap).some(
+    (id) =>
+      isInside(oldBlockPathMap, id, blockId) &&
+      currentBlockPathMap[id] &&
+      !isInside(currentBlockPathMap, id, blockId),
+  );
+  if (movedOut) {
+    const { blocks } = cloneBlocksWithNewIds({ [blockId]: block }, [blockId], undefined, {
+      filterNested: false,
+    });
+    block = Object.values(blocks)[0];
+  }
+
+  const { position, refId, containerConfig } = getRestoreTarget(
+    currentFormData,
+    currentBlockPathMap,
+    oldBlockPathMap,
+    blockId,
+    blocksConfig,
+    intl,
+  );
+  if (position === 'replace') {
+    return updateBlockById(currentFormData, currentBlockPathMap, blockId, block);
+  }
+  return insertBlockInContainer(
+    currentFormData,
+    currentBlockPathMap,
+    refId,
+    blockId,
+    block,
+    containerConfig,
+    position,
+  );
+}
@@ -0,0 +1,249 @@
+import { describe, test, expect } from 'vitest';
+import { buildBlockPathMap } from './blockPath.js';
+import {
+  getHistoryVersions,
+  diffBlockFields,
+  summariseFieldValue,
+  getDeletedBlocks,
+  restoreBlockFromVersion,
+  canRestoreBlock,
+} from './blockHistory';
+
+const intl = { formatMessage: (m) => m?.defaultMessage || m?.id || '' };
+
+const blocksConfig = {
+  slate: { id: 'slate', title: 'Text' },
+  image: { id: 'image', title: 'Image' },
+  historySection: {
+    id: 'historySection',
+    title: 'Section',
+    schema: () => ({
+      properties: {
+        items: { widget: 'blocks_layout', title: 'Content' },
+      },
+    }),
+  },
+  historyTextOnly: {
+    id: 'historyTextOnly',
+    title: 'Text column',
+    schema: () => ({
+      properties: {
+        items: { widget: 'blocks_layout', title: 'Content', allowedBlocks: ['slate'], maxLength: 2 },
+      },
+    }),
+  },
+};
+
+const text = (plaintext) => ({
+  '@type': 'slate',
+  plaintext,
+  value: [{ type: 'p', children: [{ text: plaintext }] }],
+});
+
+// The saved version: intro, pic, a section holding s1 + s2, outro
+const makeOld = () => ({
+  '@type': 'Document',
+  blocks: {
+    intro: text('Welcome'),
+    pic: { '@type': 'image', url: '/old.jpg', alt: 'Old' },
+    section: {
+      '@type': 'historySection',
+      blocks: { s1: text('First'), s2: text('Second') },
+      blocks_layout: { items: ['s1', 's2'] },
+    },
+    outro: text('Bye'),
+  },
+  blocks_layout: { items: ['intro', 'pic', 'section', 'outro'] },
+});
+
+const withMaps = (oldForm, currentForm) => ({
+  oldForm,
+  oldMap: buildBlockPathMap(oldForm, blocksConfig, intl),
+  currentForm,
+  currentMap: buildBlockPathMap(currentForm, blocksConfig, intl),
+});
+
+const restore = ({ oldForm, oldMap, currentForm, currentMap }, blockId) =>
+  restoreBlockFromVersion(currentForm, currentMap, oldForm, oldMap, blockId, blocksConfig, intl);
+
+describe('getHistoryVersions', () => {
+  test('lists saved versions newest first, without workflow entries', () => {
+    const versions = getHistoryVersions([
+      { type: 'workflow', action: 'Publish', time: '2026-03-02' },
+      { type: 'versioning', version: 0, time: '2026-03-01', actor: { id: 'ann' }, comments: 'Initial' },
+      { type: 'versioning', version: 1, time: '2026-03-03', actor: { id: 'bo', fullname: 'Bo' }, comments: '' },
+    ]);
+    expect(versions).toEqual([
+      { version: 1, time: '2026-03-03', actor: 'Bo', comment: '' },
+      { version: 0, time: '2026-03-01', actor: 'ann', comment: 'Initial' },
+    ]);
+  });
+});
+
+describe('diffBlockFields', () => {
+  test('reports added, removed and changed fields', () => {
+    const diff = diffBlockFields(
+      { '@type': 'image', url: '/old.jpg', alt: 'Old' },
+      { '@type': 'image', url: '/new.jpg', align: 'left' },
+    );
+    expect(diff.map(({ field, change }) => [field, change])).toEqual([
+      ['align', 'added'],
+      ['alt', 'removed'],
+      ['url', 'changed'],
+    ]);
+  });
+
+  test('summarises rich text as its text', () => {
+    const value = [
+      { type: 'p', children: [{ text: 'Hello ' }, { type: 'strong', children: [{ text: 'world' }] }] },
+      { type: 'p', children: [{ text: 'Again' }] },
+    ];
+    expect(summariseFieldValue(value)).toBe('Hello world Again');
+    expect(summariseFieldValue({ a: 1 })).toBe('{"a":1}');
+    expect(summariseFieldValue('x'.repeat(100), 10)).toBe(`${'x'.repeat(9)}…`);
+  });
+});
+
+describe('getDeletedBlocks', () => {
+  test('lists the outermost blocks that are gone', () => {
+    const current = makeOld();
+    delete current.blocks.section;
+    delete current.blocks.pic;
+    current.blocks_layout.items = ['intro', 'outro'];
+    const { oldForm, oldMap, currentMap } = withMaps(makeOld(), current);
+    expect(getDeletedBlocks(oldForm, oldMap, currentMap, blocksConfig).map((b) => [b.id, b.title])).toEqual([
+      ['pic', 'Image'],
+      ['section', 'Section'],
+    ]);
+  });
+});
+
+describe('restoreBlockFromVersion', () => {
+  test('replaces a block that still exists where it is now', () => {
+    const current = makeOld();
+    current.blocks.pic = { '@type': 'image', url: '/new.jpg' };
+    // Moved to the end since
+    current.blocks_layout.items = ['intro', 'section', 'outro', 'pic'];
+    const result = restore(withMaps(makeOld(), current), 'pic');
+    expect(result.blocks.pic).toEqual({ '@type': 'image', url: '/old.jpg', alt: 'Old' });
+    expect(result.blocks_layout.items).toEqual(['intro', 'section', 'outro', 'pic']);
+  });
+
+  test('puts a deleted block back after its nearest surviving sibling', () => {
+    const current = makeOld();
+    delete current.blocks.pic;
+    current.blocks_layout.items = ['intro', 'section', 'outro'];
+    const result = restore(withMaps(makeOld(), current), 'pic');
+    expect(result.blocks_layout.items).toEqual(['intro', 'pic', 'section', 'outro']);
+    expect(result.blocks.pic.url).toBe('/old.jpg');
+  });
+
+  test('puts a deleted nested block back inside its container', () => {
+    const current = makeOld();
+    delete current.blocks.section.blocks.s1;
+    current.blocks.section.blocks_layout.items = ['s2'];
+    const result = restore(withMaps(makeOld(), current), 's1');
+    expect(result.blocks.section.blocks_layout.items).toEqual(['s1', 's2']);
+    expect(result.blocks.section.blocks.s1.plaintext).toBe('First');
+  });
+
+  test('falls back to the end of the page when the container is gone', () => {
+    const current = makeOld();
+    delete current.blocks.section;
+    current.blocks_layout.items = ['intro', 'pic', 'outro'];
+    const result = restore(withMaps(makeOld(), current), 's2');
+    expect(result.blocks_layout.items).toEqual(['intro', 'pic', 'outro', 's2']);
+  });
+
+  test('gives nested blocks that now live elsewhere new ids', () => {
+    const current = makeOld();
+    // s1 was moved out of the section, then the section was deleted
+    current.blocks.s1 = current.blocks.section.blocks.s1;
+    delete current.blocks.section;
+    current.blocks_layout.items = ['intro', 'pic', 's1', 'outro'];
+    const result = restore(withMaps(makeOld(), current), 'section');
+    expect(result.blocks_layout.items).toEqual(['intro', 'pic', 'section', 's1', 'outro']);
+    const restoredIds = result.blocks.section.blocks_layout.items;
+    expect(restoredIds).toHaveLength(2);
+    expect(restoredIds).not.toContain('s1');
+    expect(restoredIds.map((id) => result.blocks.section.blocks[id].plaintext)).toEqual(['First', 'Second']);
+  });
+
+  test('returns null for a block the version does not have', () => {
+    expect(restore(withMaps(makeOld(), makeOld()), 'nope')).toBeNull();
+  });
+});
+
+describe('canRestoreBlock', () => {
+  const check = ({ oldForm, oldMap, currentForm, currentMap }, blockId, templateEditMode) =>
+    canRestoreBlock(currentForm, currentMap, oldForm, oldMap, blockId, blocksConfig, intl, templateEditMode);
+
+  // A text-only column (at most two blocks) holding c1 + c2
+  const withColumn = (items) => {
+    const form = makeOld();
+    form.blocks.column = {
+      '@type': 'historyTextOnly',
+      blocks: Object.fromEntries(items.map(([id, block]) => [id, block])),
+      blocks_layout: { items: items.map(([id]) => id) },
+    };
+    form.blocks_layout.items = [...form.blocks_layout.items, 'column'];
+    return form;
+  };
+
+  test('allows what restoreBlockFromVersion would do', () => {
+    const current = makeOld();
+    delete current.blocks.pic;
+    current.blocks_layout.items = ['intro', 'section', 'outro'];
+    expect(check(withMaps(makeOld(), current), 'pic')).toBe(true);
+    expect(check(withMaps(makeOld(), current), 'intro')).toBe(true);
+  });
+
+  test("refuses a type the container doesn't allow, or one block too many", () => {
+    // The image was added to the column before it became text-only
+    const old = withColumn([['c1', text('One')], ['img', { '@type': 'image', url: '/a.jpg' }]]);
+    const current = withColumn([['c1', text('One')]]);
+    expect(check(withMaps(old, current), 'img')).toBe(false);
+    expect(restore(withMaps(old, current), 'img')).toBeNull();
+
+    // c2 was deleted and the column filled up since
+    const full = withColumn([['c1', text('One')], ['c3', text('Three')]]);
+    const before = withColumn([['c1', text('One')], ['c2', text('Two')]]);
+    expect(check(withMaps(before, full), 'c2')).toBe(false);
+    expect(restore(withMaps(before, full), 'c2')).toBeNull();
+    // Over a block that still exists, the count doesn't change
+    expect(check(withMaps(before, full), 'c1')).toBe(true);
+  });
+
+  test('refuses locked blocks and locked spots', () => {
+    // A block that is readonly now
+    const current = makeOld();
+    current.blocks.pic = { ...current.blocks.pic, url: '/new.jpg', readOnly: true };
+    expect(check(withMaps(makeOld(), current), 'pic')).toBe(false);
+    expect(restore(withMaps(makeOld(), current), 'pic')).toBeNull();
+
+    // Into a readonly container
+    const lockedSection = makeOld();
+    lockedSection.blocks.section.readOnly = true;
+    delete lockedSection.blocks.section.blocks.s1;
+    lockedSection.blocks.section.blocks_layout.items = ['s2'];
+    expect(check(withMaps(makeOld(), lockedSection), 's1')).toBe(false);
+
+    // Between two fixed blocks
+    const fixed = makeOld();
+    fixed.blocks.intro.fixed = true;
+    fixed.blocks.section.fixed = true;
+    delete fixed.blocks.pic;
+    fixed.blocks_layout.items = ['intro', 'section', 'outro'];
+    expect(check(withMaps(makeOld(), fixed), 'pic')).toBe(false);
+    expect(restore(withMaps(makeOld(), fixed), 'pic')).toBeNull();
+
+    // Template content that was deleted comes back only while its template is edited
+    const old = makeOld();
+    old.blocks.pic = { ...old.blocks.pic, fixed: true, templateInstanceId: 'tpl' };
+    const withoutPic = makeOld();
+    delete withoutPic.blocks.pic;
+    withoutPic.blocks_layout.items = ['intro', 'section', 'outro'];
+    expect(check(withMaps(old, withoutPic), 'pic')).toBe(false);
+    expect(check(withMaps(old, withoutPic), 'pic', ['tpl'])).toBe(true);
+  });
+});
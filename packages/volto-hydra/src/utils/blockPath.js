@@ -1721,6 +1721,113 @@ export function removeTemplateInstance(
   return setBlockByPath(formData, parentPath, updatedParentBlock);
 }
 
+// Columns / rows a table cell spans (merged cells keep the grid; see tableEditing)
+const tableColspan = (cell) => Math.max(1, Number(cell?.colspan) || 1);
+const tableRowspan = (cell) => Math.max(1, Number(cell?.rowspan) || 1);
+
+// A cell with its rowspan changed by `delta`, dropping a span of one
+const withRowspan = (cell, delta) => {
+  const updated = { ...cell, rowspan: tableRowspan(cell) + delta };
+  if (updated.rowspan === 1) delete updated.rowspan;
+  return updated;
+};
+
+// The rows array a table row lives in, and a writer for the replacement
+function getTableRowsOf(formData, blockPathMap, rowId, caller) {
+  const rowPathInfo = blockPathMap[rowId];
+  if (rowPathInfo?.addMode !== 'table') {
+    throw new Error(`[HYDRA] ${caller}: block is not a table row`);
+  }
+  const tablePathInfo = blockPathMap[rowPathInfo.parentId];
+  const tableBlock = tablePathInfo && getBlockByPath(formData, tablePathInfo.path);
+  if (!tableBlock) {
+    throw new Error(`[HYDRA] ${caller}: table block not found`);
+  }
+  const dataPath = [...(rowPathInfo.regionPath || []), rowPathInfo.region || 'rows'];
+  let rows = tableBlock;
+  for (const key of dataPath) {
+    rows = rows?.[key];
+  }
+  if (!Array.isArray(rows)) {
+    throw new Error(`[HYDRA] ${caller}: could not find rows array`);
+  }
+  const idField = rowPathInfo.idField || 'key';
+  const write = (updatedRows) => {
+    const updatedTableBlock = { ...tableBlock };
+    let current = updatedTableBlock;
+    for (let i = 0; i < dataPath.length - 1; i++) {
+      current[dataPath[i]] = { ...current[dataPath[i]] };
+      current = current[dataPath[i]];
+    }
+    current[dataPath[dataPath.length - 1]] = updatedRows;
+    return setBlockByPath(formData, tablePathInfo.path, updatedTableBlock);
+  };
+  return { rows, rowIndex: rows.findIndex((row) => row[idField] === rowId), write };
+}
+
+/**
+ * Widen the merged cells a just-inserted table row runs through, so the new
+ * row's cells under them stay hidden like the ones beside them. Call it on
+ * the formData and blockPathMap that already hold the row.
+ *
+ * @param {Object} formData - The form data, with the row inserted
+ * @param {Object} blockPathMap - Map of blockId -> { path, parentId }, with the row
+ * @param {string} rowId - The inserted row
+ * @returns {Object} Updated formData
+ */
+export function spanInsertedTableRow(formData, blockPathMap, rowId) {
+  const { rows, rowIndex, write } = getTableRowsOf(formData, blockPathMap, rowId, 'spanInsertedTableRow');
+  if (rowIndex === -1) {
+    throw new Error('[HYDRA] spanInsertedTableRow: row not found in table');
+  }
+  let changed = false;
+  const updatedRows = rows.map((row, r) => {
+    if (r >= rowIndex) return row;
+    const cells = (row.cells || []).map((cell) => {
+      if (r + tableRowspan(cell) <= rowIndex) return cell;
+      changed = true;
+      return withRowspan(cell, 1);
+    });
+    return { ...row, cells };
+  });
+  return changed ? write(updatedRows) : formData;
+}
+
+/**
+ * Delete a table row. A merged cell spanning the row narrows instead; one
+ * that starts there keeps its content and takes the place of the cell it
+ * hid in the next row.
+ *
+ * @param {Object} formData - The form data
+ * @param {Object} blockPathMap - Map of blockId -> { path, parentId }
+ * @param {string} rowId - Row to delete
+ * @returns {Object} Updated formData with the row removed
+ */
+export function deleteTableRow(formData, blockPathMap, rowId) {
+  const { rows, rowIndex, write } = getTableRowsOf(formData, blockPathMap, rowId, 'deleteTableRow');
+  if (rowIndex === -1) {
+    throw new Error('[HYDRA] deleteTableRow: row not found in table');
+  }
+  const updatedRows = rows.map((row, r) => {
+    if (r < rowIndex) {
+      const cells = (row.cells || []).map((cell) =>
+        r + tableRowspan(cell) > rowIndex ? withRowspan(cell, -1) : cell,
+      );
+      return { ...row, cells };
+    }
+    if (r === rowIndex + 1) {
+      const cells = [...(row.cells || [])];
+      (rows[rowIndex].cells || []).forEach((cell, index) => {
+        if (tableRowspan(cell) > 1 && index < cells.length) cells[index] = withRowspan(cell, -1);
+      });
+      return { ...row, cells };
+    }
+    return row;
+  });
+  updatedRows.splice(rowIndex, 1);
+  return write(updatedRows);
+}
+
 /**
  * Insert a column into a table (add cell to ALL rows at the same position).
  * Used when adding a cell in table mode (parentAddMode === 'table').
@@ -1809,7 +1916,13 @@ export function insertTableColumn(
       insertedCellId = newCellId;
     }
 
-    const cells = [...(row.cells || [])];
+    // A merged cell spanning the insert point widens over the new cell,
+    // which stays in place hidden under it
+    const cells = (row.cells || []).map((cell, index) =>
+      index < insertIndex && index + tableColspan(cell) > insertIndex
+        ? { ...cell, colspan: tableColspan(cell) + 1 }
+        : cell,
+    );
     cells.splice(insertIndex, 0, {
       [cellIdField]: newCellId,
       ...cellTemplate,
@@ -1898,10 +2011,23 @@ export function deleteTableColumn(formData, blockPathMap, cellId) {
     throw new Error('[HYDRA] deleteTableColumn: cell not found in row');
   }
 
-  // Remove cell at this index from EACH row
+  // Remove cell at this index from EACH row. A merged cell spanning the
+  // column narrows instead; one that starts there keeps its content and
+  // drops the cell it hid next to it.
   const updatedRows = rows.map((row) => {
     const cells = [...(row.cells || [])];
-    if (cellIndex < cells.length) {
+    const spanning = cells.findIndex(
+      (cell, index) =>
+        index <= cellIndex &&
+        index + tableColspan(cell) > cellIndex &&
+        tableColspan(cell) > 1,
+    );
+    if (spanning !== -1) {
+      const cell = { ...cells[spanning], colspan: tableColspan(cells[spanning]) - 1 };
+      if (cell.colspan === 1) delete cell.colspan;
+      cells[spanning] = cell;
+      cells.splice(spanning === cellIndex ? cellIndex + 1 : cellIndex, 1);
+    } else if (cellIndex < cells.length) {
       cells.splice(cellIndex, 1);
     }
     return { ...row, cells };
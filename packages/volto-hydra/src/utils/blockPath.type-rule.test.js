@@ -26,6 +26,9 @@ import {
 import {
   getBlockById,
   insertTableColumn,
+  deleteTableColumn,
+  spanInsertedTableRow,
+  deleteTableRow,
   getContainerFieldConfig,
 } from './blockPath.js';
 import { buildBlockPathMap } from '../../../hydra-js/buildBlockPathMap.js';
@@ -221,6 +224,112 @@ describe('table add-column with typed cells + typeRule', () => {
   });
 });
 
+// Merged cells keep the grid (tableEditing): a cell with `colspan` hides the
+// cells after it, so adding or removing a column under it changes its span.
+describe('table columns under merged cells', () => {
+  const build = () => {
+    const form = makeForm([
+      { key: 'r0', cells: [{ ...containerCell('c0', 'A'), colspan: 2 }, containerCell('c1', 'B'), containerCell('c2', 'C')] },
+      { key: 'r1', cells: [containerCell('c3', 'X'), containerCell('c4', 'Y'), containerCell('c5', 'Z')] },
+    ]);
+    return { form, map: buildBlockPathMap(form, cfg, intl) };
+  };
+  const cells = (formData) =>
+    formData.blocks.t1.table.rows.map((row) =>
+      row.cells.map((cell) => (cell.colspan ? `${cell.key}:${cell.colspan}` : cell.key)),
+    );
+
+  test('a column added inside a merged cell widens it', () => {
+    const { form, map } = build();
+    let n = 0;
+    const { formData } = insertTableColumn(form, map, 'c3', { '@type': 'tableCell', blocks: [] }, 'after', () => `new-${n++}`);
+    expect(cells(formData)).toEqual([
+      ['c0:3', 'new-0', 'c1', 'c2'],
+      ['c3', 'new-1', 'c4', 'c5'],
+    ]);
+  });
+
+  test('a column added beside a merged cell leaves it alone', () => {
+    const { form, map } = build();
+    let n = 0;
+    const { formData } = insertTableColumn(form, map, 'c4', { '@type': 'tableCell', blocks: [] }, 'after', () => `new-${n++}`);
+    expect(cells(formData)).toEqual([
+      ['c0:2', 'c1', 'new-0', 'c2'],
+      ['c3', 'c4', 'new-1', 'c5'],
+    ]);
+  });
+
+  test('deleting a column a merged cell spans narrows it, keeping its content', () => {
+    const { form, map } = build();
+    // Through the column the merged cell starts in
+    expect(cells(deleteTableColumn(form, map, 'c3'))).toEqual([
+      ['c0', 'c2'],
+      ['c4', 'c5'],
+    ]);
+    // Through the column it hides
+    expect(cells(deleteTableColumn(form, map, 'c4'))).toEqual([
+      ['c0', 'c2'],
+      ['c3', 'c5'],
+    ]);
+  });
+});
+
+// The same for rows: a cell with `rowspan` hides the cells below it.
+describe('table rows under merged cells', () => {
+  const rows = () => [
+    { key: 'r0', cells: [{ ...containerCell('c0', 'A'), rowspan: 2 }, containerCell('c1', 'B')] },
+    { key: 'r1', cells: [containerCell('c2', 'X'), containerCell('c3', 'Y')] },
+    { key: 'r2', cells: [containerCell('c4', 'P'), containerCell('c5', 'Q')] },
+  ];
+  const newRow = { key: 'new', cells: [containerCell('n0', ''), containerCell('n1', '')] };
+  const withRowAt = (index) => {
+    const list = rows();
+    list.splice(index, 0, newRow);
+    const form = makeForm(list);
+    return spanInsertedTableRow(form, buildBlockPathMap(form, cfg, intl), 'new');
+  };
+  const cells = (formData) =>
+    formData.blocks.t1.table.rows.map((row) =>
+      row.cells.map((cell) => (cell.rowspan ? `${cell.key}:${cell.rowspan}` : cell.key)),
+    );
+
+  test('a row added inside a merged cell widens it', () => {
+    expect(cells(withRowAt(1))).toEqual([
+      ['c0:3', 'c1'],
+      ['n0', 'n1'],
+      ['c2', 'c3'],
+      ['c4', 'c5'],
+    ]);
+  });
+
+  test('a row added below a merged cell leaves it alone', () => {
+    expect(cells(withRowAt(2))).toEqual([
+      ['c0:2', 'c1'],
+      ['c2', 'c3'],
+      ['n0', 'n1'],
+      ['c4', 'c5'],
+    ]);
+  });
+
+  test('deleting a row a merged cell spans narrows it, keeping its content', () => {
+    const form = makeForm(rows());
+    const map = buildBlockPathMap(form, cfg, intl);
+    // The row it hides
+    expect(cells(deleteTableRow(form, map, 'r1'))).toEqual([
+      ['c0', 'c1'],
+      ['c4', 'c5'],
+    ]);
+    // The row it starts in: it moves down over the cell it hid
+    const deleted = deleteTableRow(form, map, 'r0');
+    expect(cells(deleted)).toEqual([
+      ['c0', 'c3'],
+      ['c4', 'c5'],
+    ]);
+    expect(deleted.blocks.t1.table.rows[0].key).toBe('r1');
+    expect(deleted.blocks.t1.table.rows[0].cells[0].blocks[0].value).toEqual(slate('A'));
+  });
+});
+
 // Adding into a typeRule-driven container: the position rule filters the add
 // options to the type(s) it wouldn't immediately rewrite — so the menu offers the
 // right cell type (usually one → the caller adds it directly, no chooser).
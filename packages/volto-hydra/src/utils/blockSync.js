@@ -54,6 +54,7 @@ import {
   slateNodesText,
 } from '@volto-hydra/helpers';
 import { getHydraSchemaContext, setHydraSchemaContext, getLiveBlockData } from '../context/index.js';
+import { CSS_MAPPING_PREFIX, isValidCssSelector } from './pasteBlocks.js';
 // Pure validation/default-application logic lives in schemaValidation.js
 // (no dependencies — safe to import from CI scripts and test runners).
 // Re-exported here for backward compat; schemaValidation.js is the SSOT.
@@ -2466,6 +2467,17 @@ export function validateFieldMappings(blockType, blockConfig) {
       );
     }
   }
+
+  for (const key of Object.keys(fieldMappings)) {
+    if (!key.startsWith(CSS_MAPPING_PREFIX)) continue;
+    const selector = key.slice(CSS_MAPPING_PREFIX.length).trim();
+    if (!selector || !isValidCssSelector(selector)) {
+      console.warn(
+        `[HYDRA] Block type "${blockType}" has fieldMappings['${key}'] with an ` +
+        `invalid CSS selector. Pasted HTML will not be matched against it.`,
+      );
+    }
+  }
 }
 
 /**
@@ -42,6 +42,25 @@ describe('validateFieldMappings — @default accepts any search-metadata field',
   });
 });
 
+describe('validateFieldMappings — css: paste selectors', () => {
+  const warnFor = (fieldMappings) => {
+    const spy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    validateFieldMappings('video', { fieldMappings });
+    const warned = spy.mock.calls.length > 0;
+    spy.mockRestore();
+    return warned;
+  };
+
+  test('a valid selector does not warn', () => {
+    expect(warnFor({ 'css:video, iframe[src*="youtube"]': { src: 'url' } })).toBe(false);
+  });
+
+  test('an unparseable or empty selector warns', () => {
+    expect(warnFor({ 'css:video[': { src: 'url' } })).toBe(true);
+    expect(warnFor({ 'css:': { src: 'url' } })).toBe(true);
+  });
+});
+
 /**
  * getBlockTypeChoices computes the type/convert picker's options. Its
  * explicit-blocksField branch reads the container's own field allowedBlocks
@@ -0,0 +1,70 @@
+/**
+ * Admin side of the bridge protocol handshake (see the "Bridge protocol
+ * version" section of @volto-hydra/helpers).
+ *
+ * hydra.js announces `protocolVersion`, `minProtocolVersion` and
+ * `capabilities` in INIT. The admin checks them here: a bridge it can't talk
+ * to gets a banner, a bridge that is merely missing capabilities gets the
+ * matching features turned off. The admin's own capabilities go back in
+ * INITIAL_DATA, so a newer bridge doesn't ask an older admin for what it
+ * can't answer (token renewal, signing in again).
+ */
+import {
+  HYDRA_PROTOCOL_VERSION,
+  HYDRA_MIN_PROTOCOL_VERSION,
+  BRIDGE_CAPABILITIES,
+  checkProtocolCompatibility,
+} from '@volto-hydra/helpers';
+
+/** Sent to the bridge with INITIAL_DATA so it can run the same check. */
+export const ADMIN_PROTOCOL = {
+  protocolVersion: HYDRA_PROTOCOL_VERSION,
+  minProtocolVersion: HYDRA_MIN_PROTOCOL_VERSION,
+  capabilities: BRIDGE_CAPABILITIES,
+};
+
+/** Capabilities the admin gates a feature on, and what a bridge without it loses. */
+export const GATED_CAPABILITIES = {
+  formPatches: 'incremental updates (the whole form is sent on every change)',
+  slateFormats: 'frontend-declared text formats',
+  findReplace: 'find and replace',
+  previewHighlights: 'change highlights in version previews',
+  blocksClipboard: 'pasting blocks copied in another tab',
+};
+
+/**
+ * @param {Object} init - The INIT message from hydra.js
+ * @returns {{
+ *   compatible: boolean,
+ *   peerVersion: number,
+ *   capabilities: Set<string>,
+ *   missing: string[],
+ *   message: string|null,
+ * }} `missing` lists the GATED_CAPABILITIES the bridge doesn't have;
+ *   `message` explains an incompatibility or what was turned off.
+ */
+export function negotiateBridgeProtocol(init) {
+  const { compatible, peerVersion, reason } = checkProtocolCompatibility(init);
+  const capabilities = new Set(
+    Array.isArray(init?.capabilities) ? init.capabilities : [],
+  );
+  const missing = Object.keys(GATED_CAPABILITIES).filter(
+    (name) => !capabilities.has(name),
+  );
+
+  let message = null;
+  if (reason === 'peer-too-old') {
+    message =
+      `The frontend's hydra.js speaks bridge protocol ${peerVersion}; this admin needs ` +
+      `at least ${HYDRA_MIN_PROTOCOL_VERSION}. Upgrade @volto-hydra/hydra-js in the frontend.`;
+  } else if (reason === 'peer-too-new') {
+    message =
+      `The frontend's hydra.js needs bridge protocol ${init.minProtocolVersion} or later; ` +
+      `this admin speaks ${HYDRA_PROTOCOL_VERSION}. Upgrade volto-hydra.`;
+  } else if (missing.length > 0) {
+    message =
+      `The frontend's hydra.js (bridge protocol ${peerVersion}) is older than this admin; ` +
+      `turned off: ${missing.map((name) => GATED_CAPABILITIES[name]).join(', ')}.`;
+  }
+  return { compatible, peerVersion, capabilities, missing, message };
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HYDRA_PROTOCOL_VERSION,
+  HYDRA_MIN_PROTOCOL_VERSION,
+  BRIDGE_CAPABILITIES,
+} from '@volto-hydra/helpers';
+import { negotiateBridgeProtocol } from './bridgeProtocol';
+
+const init = (extra = {}) => ({
+  type: 'INIT',
+  protocolVersion: HYDRA_PROTOCOL_VERSION,
+  minProtocolVersion: HYDRA_MIN_PROTOCOL_VERSION,
+  capabilities: BRIDGE_CAPABILITIES,
+  ...extra,
+});
+
+describe('negotiateBridgeProtocol', () => {
+  it('accepts a current bridge with nothing turned off', () => {
+    const result = negotiateBridgeProtocol(init());
+    expect(result).toMatchObject({ compatible: true, missing: [], message: null });
+    expect(result.capabilities.has('formPatches')).toBe(true);
+  });
+
+  it('turns off what an older bridge lacks', () => {
+    const result = negotiateBridgeProtocol({ type: 'INIT' });
+    expect(result.compatible).toBe(true);
+    expect(result.missing).toEqual([
+      'formPatches',
+      'slateFormats',
+      'findReplace',
+      'previewHighlights',
+      'blocksClipboard',
+    ]);
+    expect(result.message).toMatch(/turned off: incremental updates/);
+  });
+
+  it('turns off only what the bridge lacks', () => {
+    const result = negotiateBridgeProtocol(init({ capabilities: ['formPatches', 'slateFormats'] }));
+    expect(result.missing).toEqual(['findReplace', 'previewHighlights', 'blocksClipboard']);
+    expect(result.message).toMatch(/turned off: find and replace, change highlights/);
+  });
+
+  it('explains which side to upgrade when incompatible', () => {
+    const tooNew = negotiateBridgeProtocol(
+      init({
+        protocolVersion: HYDRA_PROTOCOL_VERSION + 2,
+        minProtocolVersion: HYDRA_PROTOCOL_VERSION + 1,
+      }),
+    );
+    expect(tooNew.compatible).toBe(false);
+    expect(tooNew.message).toMatch(/Upgrade volto-hydra/);
+  });
+});
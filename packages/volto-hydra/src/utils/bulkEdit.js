@@ -0,0 +1,141 @@
+/**
+ * Bulk edit: the settings several multi-selected blocks share, and writing a
+ * value to all of them at once (BulkEditForm in the sidebar drives it).
+ *
+ * The shared schema is the intersection of the blocks' effective schemas
+ * (resolveEffectiveBlockSchema — enhancers applied, so a field a block's
+ * fieldRules hide isn't offered): a field is shared when every block has it
+ * with the same definition (type, widget, choices/vocabulary). Container and
+ * rich-text fields are content, not settings, and are never offered.
+ * Readonly blocks and template instances are left out of the selection.
+ */
+import { isEqual, pick } from 'lodash';
+import {
+  isBlockReadonly,
+  getFieldTypeString,
+  isSlateFieldType,
+  getFieldValue,
+  setFieldValue,
+} from '@volto-hydra/helpers';
+import { getBlockByPath, updateBlockById } from './blockPath';
+import { resolveEffectiveBlockSchema } from './blockSync';
+
+const CONTENT_WIDGETS = ['blocks_layout', 'object_list'];
+
+// The parts of a field definition that decide what a value means
+const SIGNATURE_KEYS = ['type', 'widget', 'choices', 'vocabulary', 'factory', 'items', 'multiple'];
+
+const isBulkEditable = (fieldDef) =>
+  !!fieldDef &&
+  !CONTENT_WIDGETS.includes(fieldDef.widget) &&
+  !isSlateFieldType(getFieldTypeString(fieldDef)) &&
+  !fieldDef.readonly;
+
+/**
+ * The selected blocks a bulk edit applies to: real (not virtual) blocks that
+ * are not readonly.
+ *
+ * @param {string[]} blockIds
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {string[]} [templateEditMode=[]]
+ * @returns {string[]}
+ */
+export function getBulkEditableBlockIds(blockIds, formData, blockPathMap, templateEditMode = []) {
+  return blockIds.filter((id) => {
+    const path = blockPathMap?.[id]?.path;
+    const block = path && getBlockByPath(formData, path);
+    return !!block && !isBlockReadonly(block, templateEditMode);
+  });
+}
+
+/**
+ * The fields the selected blocks share, with their common values.
+ *
+ * @param {string[]} blockIds
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {Object} blocksConfig
+ * @param {Object} intl
+ * @param {string[]} [templateEditMode=[]]
+ * @returns {{schema: Object, values: Object, mixed: string[], blockIds: string[]}|null}
+ *   `values` holds each field's value where all blocks agree; fields in
+ *   `mixed` differ between blocks. null when fewer than two blocks can be
+ *   edited or they share no field.
+ */
+export function getBulkEditState(blockIds, formData, blockPathMap, blocksConfig, intl, templateEditMode = []) {
+  const ids = getBulkEditableBlockIds(blockIds, formData, blockPathMap, templateEditMode);
+  if (ids.length < 2) return null;
+  const schemas = ids.map((id) => resolveEffectiveBlockSchema(id, formData, blockPathMap, blocksConfig, intl));
+  if (schemas.some((schema) => !schema?.properties)) return null;
+
+  const [first, ...rest] = schemas;
+  const shared = Object.keys(first.properties).filter((name) => {
+    const fieldDef = first.properties[name];
+    if (!isBulkEditable(fieldDef)) return false;
+    const signature = pick(fieldDef, SIGNATURE_KEYS);
+    return rest.every(
+      (schema) => !!schema.properties[name] && isEqual(pick(schema.properties[name], SIGNATURE_KEYS), signature),
+    );
+  });
+  if (shared.length === 0) return null;
+
+  const blocks = ids.map((id) => getBlockByPath(formData, blockPathMap[id].path));
+  const values = {};
+  const mixed = [];
+  for (const name of shared) {
+    const value = getFieldValue(blocks[0], name);
+    if (blocks.every((block) => isEqual(getFieldValue(block, name), value))) values[name] = value;
+    else mixed.push(name);
+  }
+
+  const fieldsets = (first.fieldsets || [{ id: 'default', title: 'Default', fields: shared }])
+    .map((fieldset) => ({ ...fieldset, fields: (fieldset.fields || []).filter((name) => shared.includes(name)) }))
+    .filter((fieldset) => fieldset.fields.length > 0);
+  return {
+    schema: {
+      title: first.title,
+      fieldsets,
+      properties: Object.fromEntries(shared.map((name) => [name, first.properties[name]])),
+      required: [],
+    },
+    values,
+    mixed,
+    blockIds: ids,
+  };
+}
+
+/**
+ * Whether a field is typed into (text and number inputs) rather than picked:
+ * BulkEditForm applies those once the typing is done, not per keystroke.
+ *
+ * @param {Object} fieldDef
+ * @returns {boolean}
+ */
+export function isTypedBulkField(fieldDef) {
+  if (fieldDef.choices || fieldDef.vocabulary || fieldDef.factory) return false;
+  if (fieldDef.type === 'number' || fieldDef.type === 'integer') return true;
+  return (!fieldDef.type || fieldDef.type === 'string') && (!fieldDef.widget || fieldDef.widget === 'textarea');
+}
+
+/**
+ * Set one field on every given block — one new formData, so one undo step.
+ *
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {string[]} blockIds - From getBulkEditState's `blockIds`
+ * @param {string} fieldName
+ * @param {*} value - undefined removes the field
+ * @returns {Object} New formData
+ */
+export function applyBulkEdit(formData, blockPathMap, blockIds, fieldName, value) {
+  let result = formData;
+  for (const id of blockIds) {
+    const block = getBlockByPath(result, blockPathMap[id]?.path);
+    if (!block) continue;
+    const updated = setFieldValue(block, fieldName, value);
+    if (value === undefined && !fieldName.includes('/')) delete updated[fieldName];
+    result = updateBlockById(result, blockPathMap, id, updated);
+  }
+  return result;
+}
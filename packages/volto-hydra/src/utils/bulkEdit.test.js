@@ -0,0 +1,127 @@
+import { describe, test, expect, vi } from 'vitest';
+
+// HydraSchemaContext.js is JSX inside a .js file — esbuild (vitest) can't parse it.
+vi.mock('../context', () => ({
+  getHydraSchemaContext: () => ({}),
+  setHydraSchemaContext: () => () => {},
+  getLiveBlockData: () => undefined,
+}));
+
+import { buildBlockPathMap } from './blockPath.js';
+import { getBulkEditState, applyBulkEdit, isTypedBulkField } from './bulkEdit';
+
+const intl = { formatMessage: (m) => m?.defaultMessage || m?.id || '' };
+
+// Distinct type names: getBlockTypeSchema memoises schemas by type name
+const alignment = { title: 'Alignment', choices: [['left', 'Left'], ['center', 'Center']] };
+const blocksConfig = {
+  bulkTeaser: {
+    id: 'bulkTeaser',
+    blockSchema: () => ({
+      title: 'Teaser',
+      fieldsets: [{ id: 'default', title: 'Default', fields: ['headline', 'align', 'variant', 'text'] }],
+      properties: {
+        headline: { title: 'Headline' },
+        align: alignment,
+        variant: { title: 'Variant', choices: [['a', 'A'], ['b', 'B']] },
+        text: { title: 'Text', widget: 'slate' },
+      },
+      required: ['headline'],
+    }),
+  },
+  bulkImage: {
+    id: 'bulkImage',
+    blockSchema: () => ({
+      title: 'Image',
+      fieldsets: [{ id: 'default', title: 'Default', fields: ['align', 'variant', 'url'] }],
+      properties: {
+        align: alignment,
+        variant: { title: 'Variant', choices: [['x', 'X']] },
+        url: { title: 'URL' },
+      },
+      required: [],
+    }),
+  },
+};
+
+const makeForm = () => ({
+  blocks: {
+    t1: { '@type': 'bulkTeaser', headline: 'One', align: 'center', variant: 'a' },
+    t2: { '@type': 'bulkTeaser', headline: 'Two', align: 'center', variant: 'b' },
+    t3: { '@type': 'bulkTeaser', headline: 'Locked', readOnly: true },
+    img: { '@type': 'bulkImage', align: 'left' },
+  },
+  blocks_layout: { items: ['t1', 't2', 't3', 'img'] },
+});
+
+describe('getBulkEditState', () => {
+  test('offers the shared settings of same-type blocks, with common and mixed values', () => {
+    const form = makeForm();
+    const map = buildBlockPathMap(form, blocksConfig, intl);
+    const state = getBulkEditState(['t1', 't2', 't3'], form, map, blocksConfig, intl);
+    // Rich text is content, not a setting; the readonly block is left out
+    expect(state.schema.fieldsets[0].fields).toEqual(['headline', 'align', 'variant']);
+    expect(state.schema.required).toEqual([]);
+    expect(state.blockIds).toEqual(['t1', 't2']);
+    expect(state.values).toEqual({ align: 'center' });
+    expect(state.mixed).toEqual(['headline', 'variant']);
+  });
+
+  test('intersects the schemas of different block types', () => {
+    const form = makeForm();
+    const map = buildBlockPathMap(form, blocksConfig, intl);
+    const state = getBulkEditState(['t1', 'img'], form, map, blocksConfig, intl);
+    // `variant` has different choices per type, so it isn't shared
+    expect(Object.keys(state.schema.properties)).toEqual(['align']);
+    expect(state.mixed).toEqual(['align']);
+    expect(getBulkEditState(['t1', 't3'], form, map, blocksConfig, intl)).toBeNull();
+  });
+
+  test('reads nested field paths', () => {
+    const config = {
+      bulkCard: {
+        id: 'bulkCard',
+        blockSchema: () => ({
+          title: 'Card',
+          properties: { 'style/align': { title: 'Alignment' } },
+          required: [],
+        }),
+      },
+    };
+    const form = {
+      blocks: {
+        c1: { '@type': 'bulkCard', style: { align: 'left' } },
+        c2: { '@type': 'bulkCard', style: { align: 'left' } },
+      },
+      blocks_layout: { items: ['c1', 'c2'] },
+    };
+    const map = buildBlockPathMap(form, config, intl);
+    expect(getBulkEditState(['c1', 'c2'], form, map, config, intl).values).toEqual({ 'style/align': 'left' });
+    const result = applyBulkEdit(form, map, ['c1', 'c2'], 'style/align', 'right');
+    expect(result.blocks.c2.style).toEqual({ align: 'right' });
+    expect('style/align' in result.blocks.c2).toBe(false);
+  });
+});
+
+describe('applyBulkEdit', () => {
+  test('writes the value to every block in one new formData', () => {
+    const form = makeForm();
+    const map = buildBlockPathMap(form, blocksConfig, intl);
+    const result = applyBulkEdit(form, map, ['t1', 't2'], 'variant', 'a');
+    expect([result.blocks.t1.variant, result.blocks.t2.variant]).toEqual(['a', 'a']);
+    expect(result.blocks.img).toBe(form.blocks.img);
+    expect(form.blocks.t2.variant).toBe('b');
+    expect('variant' in applyBulkEdit(form, map, ['t1'], 'variant', undefined).blocks.t1).toBe(false);
+  });
+});
+
+describe('isTypedBulkField', () => {
+  test('is true for text and number inputs only', () => {
+    expect(isTypedBulkField({ title: 'Headline' })).toBe(true);
+    expect(isTypedBulkField({ type: 'string', widget: 'textarea' })).toBe(true);
+    expect(isTypedBulkField({ type: 'integer' })).toBe(true);
+    expect(isTypedBulkField(alignment)).toBe(false);
+    expect(isTypedBulkField({ type: 'boolean' })).toBe(false);
+    expect(isTypedBulkField({ widget: 'object_browser' })).toBe(false);
+  });
+});
@@ -0,0 +1,49 @@
+import { cloneBlocksWithNewIds, getChildBlockEntries } from '@volto-hydra/helpers';
+
+/**
+ * Data for a copy of a block, to be inserted next to it (the "Duplicate"
+ * item control). Every block nested inside gets a fresh id — keys of a
+ * shared `blocks` dict, entries of its layout lists and the idField of
+ * object_list items alike — so the copy never shares an id with the
+ * original. Which fields hold nested blocks comes from the blockPathMap,
+ * so the copy works the same whatever storage the containers use; other
+ * values are copied as they are.
+ *
+ * @param {Object} blockData - The block as stored
+ * @param {string} blockId - Its id in the blockPathMap
+ * @param {Object} blockPathMap
+ * @param {function(): string} uuidGenerator
+ * @param {string} [idField] - For an object_list item: the field holding its
+ *   own id, left out so the insert assigns the new one
+ * @returns {Object}
+ */
+export function duplicateBlockData(blockData, blockId, blockPathMap, uuidGenerator, idField) {
+  // Each container's child field descriptors, keyed by the block object
+  const fieldsOf = new Map();
+  const collect = (block, id) => {
+    const fields = new Map();
+    for (const info of Object.values(blockPathMap || {})) {
+      if (info.parentId !== id) continue;
+      const regionPath = info.regionPath || [];
+      const region = info.region || 'items';
+      fields.set(`${regionPath.join('/')}/${region}`, {
+        region,
+        regionPath,
+        ...(info.isObjectListItem && { isObjectList: true, idField: info.idField || '@id' }),
+      });
+    }
+    fieldsOf.set(block, [...fields.values()]);
+    for (const field of fields.values()) {
+      for (const entry of getChildBlockEntries(block, field)) collect(entry.block, entry.id);
+    }
+  };
+  collect(blockData, blockId);
+
+  const { blocks } = cloneBlocksWithNewIds({ [blockId]: blockData }, [blockId], uuidGenerator, {
+    filterNested: false,
+    getFields: (block) => fieldsOf.get(block) || [],
+  });
+  const copy = blocks[Object.keys(blocks)[0]];
+  if (idField) delete copy[idField];
+  return copy;
+}
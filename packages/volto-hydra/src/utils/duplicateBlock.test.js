@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { duplicateBlockData } from './duplicateBlock';
+
+const counter = () => {
+  let n = 0;
+  return () => `new-${++n}`;
+};
+
+describe('duplicateBlockData', () => {
+  it('gives nested object_list items fresh ids and drops the item id', () => {
+    const row = { key: 'row-1', cells: [{ key: 'cell-1', value: 'a' }, { key: 'cell-2', value: 'cell-1' }] };
+    const cell = { parentId: 'row-1', region: 'cells', isObjectListItem: true, idField: 'key' };
+    const blockPathMap = {
+      table: { parentId: null },
+      'row-1': { parentId: 'table', region: 'rows', isObjectListItem: true, idField: 'key' },
+      'cell-1': cell,
+      'cell-2': cell,
+    };
+    // Text that happens to equal a nested id is content, not a reference
+    expect(duplicateBlockData(row, 'row-1', blockPathMap, counter(), 'key')).toEqual({
+      cells: [{ key: 'new-2', value: 'a' }, { key: 'new-3', value: 'cell-1' }],
+    });
+    // The original is untouched
+    expect(row.key).toBe('row-1');
+    expect(row.cells[0].key).toBe('cell-1');
+  });
+
+  it('renames blocks_layout children in both the dict and the layout', () => {
+    const slide = {
+      '@id': 'slide-1',
+      title: 'slide-1 stays text',
+      blocks: { 'text-1': { '@type': 'slate' }, 'grid-1': { '@type': 'gridBlock', blocks: { 'inner-1': {} }, blocks_layout: { items: ['inner-1'] } } },
+      blocks_layout: { items: ['text-1', 'grid-1'] },
+    };
+    const slideInfo = { parentId: 'slider', region: 'slides', isObjectListItem: true, idField: '@id' };
+    const blockPathMap = {
+      'slide-1': slideInfo,
+      'text-1': { parentId: 'slide-1', region: 'items' },
+      'grid-1': { parentId: 'slide-1', region: 'items' },
+      'inner-1': { parentId: 'grid-1', region: 'items' },
+      'other-1': slideInfo,
+    };
+    const copy = duplicateBlockData(slide, 'slide-1', blockPathMap, counter(), '@id');
+    expect(copy['@id']).toBeUndefined();
+    expect(copy.title).toBe('slide-1 stays text');
+    expect(Object.keys(copy.blocks)).toEqual(['new-2', 'new-3']);
+    expect(copy.blocks_layout.items).toEqual(['new-2', 'new-3']);
+    expect(copy.blocks['new-3'].blocks_layout.items).toEqual(['new-4']);
+    expect(Object.keys(copy.blocks['new-3'].blocks)).toEqual(['new-4']);
+  });
+});
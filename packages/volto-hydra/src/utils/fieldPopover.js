@@ -0,0 +1,117 @@
+/**
+ * Which control the `data-edit-field` popover shows for a schema field, and
+ * how values travel between the stored field and that control. Covers the
+ * fields editors flip most — choices, numbers, checkboxes and dates; any
+ * other field keeps being edited in the sidebar (getFieldControl → null).
+ */
+
+// Volto's AlignWidget actions, when the field names none
+const ALIGN_ACTIONS = ['left', 'center', 'right', 'full'];
+
+const capitalize = (value) => String(value).charAt(0).toUpperCase() + String(value).slice(1);
+
+/**
+ * @param {Object|undefined} field - The schema field definition
+ * @param {boolean} [required] - Listed in the schema's `required`: a
+ *   select then offers no empty choice
+ * @returns {Object|null} `{ kind: 'select', choices, required }`,
+ *   `{ kind: 'checkbox' }`, `{ kind: 'number', min, max, step }`,
+ *   `{ kind: 'date' }` / `{ kind: 'datetime' }`, or null when the popover
+ *   has no control for the field
+ */
+export function getFieldControl(field, required = false) {
+  if (!field) return null;
+  if (Array.isArray(field.choices)) {
+    return {
+      kind: 'select',
+      choices: field.choices.map((choice) =>
+        Array.isArray(choice) ? [choice[0], choice[1] ?? String(choice[0])] : [choice, String(choice)],
+      ),
+      required,
+    };
+  }
+  if (field.widget === 'align') {
+    return {
+      kind: 'select',
+      choices: (field.actions || ALIGN_ACTIONS).map((action) => [action, capitalize(action)]),
+      required,
+    };
+  }
+  if (field.type === 'boolean') return { kind: 'checkbox' };
+  if (field.type === 'number' || field.type === 'integer') {
+    return {
+      kind: 'number',
+      min: field.minimum,
+      max: field.maximum,
+      step: field.type === 'integer' ? 1 : field.step || 'any',
+    };
+  }
+  if (field.widget === 'date') return { kind: 'date' };
+  if (field.widget === 'datetime') return { kind: 'datetime' };
+  return null;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * The stored value as the control's input value.
+ *
+ * @param {Object} control - From getFieldControl
+ * @param {*} value
+ * @returns {string|boolean}
+ */
+export function toControlValue(control, value) {
+  switch (control.kind) {
+    case 'select': {
+      const index = control.choices.findIndex(([choice]) => choice === value);
+      return index === -1 ? '' : String(index);
+    }
+    case 'checkbox':
+      return !!value;
+    case 'number':
+      return value === undefined || value === null ? '' : String(value);
+    case 'date':
+      return value ? String(value).slice(0, 10) : '';
+    case 'datetime': {
+      // <input type="datetime-local"> wants local time without a zone
+      const date = value ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) return '';
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(
+        date.getHours(),
+      )}:${pad(date.getMinutes())}`;
+    }
+    default:
+      return value ?? '';
+  }
+}
+
+/**
+ * The control's input value as the value to store. Empty inputs clear the
+ * field (undefined); numbers are clamped to the field's range.
+ *
+ * @param {Object} control - From getFieldControl
+ * @param {string|boolean} input
+ * @returns {*}
+ */
+export function fromControlValue(control, input) {
+  switch (control.kind) {
+    case 'select':
+      return input === '' ? undefined : control.choices[Number(input)]?.[0];
+    case 'checkbox':
+      return !!input;
+    case 'number': {
+      if (input === '' || Number.isNaN(Number(input))) return undefined;
+      let number = Number(input);
+      if (control.step === 1) number = Math.round(number);
+      if (control.min !== undefined) number = Math.max(control.min, number);
+      if (control.max !== undefined) number = Math.min(control.max, number);
+      return number;
+    }
+    case 'date':
+      return input || undefined;
+    case 'datetime':
+      return input ? new Date(input).toISOString() : undefined;
+    default:
+      return input;
+  }
+}
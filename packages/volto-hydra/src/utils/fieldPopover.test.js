@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { getFieldControl, toControlValue, fromControlValue } from './fieldPopover';
+
+describe('getFieldControl', () => {
+  it('maps choice, align, boolean, number and date fields', () => {
+    expect(getFieldControl({ choices: [['primary', 'Primary'], ['ghost']] }, true)).toEqual({
+      kind: 'select',
+      choices: [['primary', 'Primary'], ['ghost', 'ghost']],
+      required: true,
+    });
+    expect(getFieldControl({ widget: 'align', actions: ['left', 'right'] }).choices).toEqual([
+      ['left', 'Left'],
+      ['right', 'Right'],
+    ]);
+    expect(getFieldControl({ type: 'boolean' })).toEqual({ kind: 'checkbox' });
+    expect(getFieldControl({ type: 'integer', minimum: 1, maximum: 6 })).toEqual({
+      kind: 'number',
+      min: 1,
+      max: 6,
+      step: 1,
+    });
+    expect(getFieldControl({ widget: 'date' })).toEqual({ kind: 'date' });
+    expect(getFieldControl({ widget: 'datetime' })).toEqual({ kind: 'datetime' });
+  });
+
+  it('leaves other fields to the sidebar', () => {
+    expect(getFieldControl({ widget: 'slate' })).toBeNull();
+    expect(getFieldControl({ type: 'string' })).toBeNull();
+    expect(getFieldControl(undefined)).toBeNull();
+  });
+});
+
+describe('control values', () => {
+  it('selects by index so non-string choices survive', () => {
+    const control = getFieldControl({ choices: [[1, 'One'], [2, 'Two']] });
+    expect(toControlValue(control, 2)).toBe('1');
+    expect(fromControlValue(control, '1')).toBe(2);
+    expect(fromControlValue(control, '')).toBeUndefined();
+  });
+
+  it('rounds and clamps numbers, and clears on empty', () => {
+    const control = getFieldControl({ type: 'integer', minimum: 1, maximum: 6 });
+    expect(fromControlValue(control, '3.6')).toBe(4);
+    expect(fromControlValue(control, '12')).toBe(6);
+    expect(fromControlValue(control, '')).toBeUndefined();
+    expect(toControlValue(control, undefined)).toBe('');
+  });
+
+  it('round-trips dates and local datetimes', () => {
+    expect(toControlValue({ kind: 'date' }, '2026-03-01')).toBe('2026-03-01');
+    const control = { kind: 'datetime' };
+    const stored = fromControlValue(control, '2026-03-01T09:30');
+    expect(toControlValue(control, stored)).toBe('2026-03-01T09:30');
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Admin side of FILES_DROPPED: image files dragged from the desktop onto the
+ * preview. hydra.js works out where they landed — beside a block, or on a
+ * `data-edit-media` field — and only offers spots where one of the
+ * `imageDropTypes` the admin sent may be added. The admin uploads each file
+ * (createContent, see buildUploadPayload) and then fills the field or
+ * creates one block per image: image blocks where they are allowed, else
+ * items of the container's type with an image field (a gallery or slider).
+ */
+import {
+  buildBlockPathMap,
+  getBlockById,
+  getBlockTypeSchema,
+  getContainerFieldConfig,
+  getContainerItems,
+  insertBlockInContainer,
+  deleteBlockFromContainer,
+} from './blockPath';
+import { PAGE_BLOCK_UID } from '@volto-hydra/hydra-js';
+import {
+  canContainAll,
+  getBlockAddability,
+  getBlockType,
+  isBlockReadonly,
+  setBlockType,
+} from '@volto-hydra/helpers';
+
+// Volto's image block keeps its image in `url` (it declares no schema field for it)
+const IMAGE_BLOCK = { blockType: 'image', field: 'url' };
+
+/** True for a schema field that holds an image. */
+export function isImageField(field) {
+  return field?.widget === 'image' || (field?.widget === 'object_browser' && field?.mode === 'image');
+}
+
+/**
+ * @param {Object|null} schema
+ * @returns {string|null} The first image field of the schema
+ */
+export function findImageField(schema) {
+  const properties = schema?.properties || {};
+  return Object.keys(properties).find((name) => isImageField(properties[name])) || null;
+}
+
+/**
+ * The block types an image drop can create, for the bridge's drop gate.
+ *
+ * @param {Object} blocksConfig
+ * @param {Object} intl
+ * @returns {string[]} 'image' (when registered) and every type with an
+ *   image field, object_list item types included
+ */
+export function getImageDropTypes(blocksConfig, intl) {
+  return Object.keys(blocksConfig).filter(
+    (type) =>
+      !blocksConfig[type]?.restricted &&
+      (type === IMAGE_BLOCK.blockType || findImageField(getBlockTypeSchema(type, intl, blocksConfig))),
+  );
+}
+
+/**
+ * What dropped images become at a position.
+ *
+ * @param {string[]|undefined} allowedTypes - allowedSiblingTypes there
+ *   (undefined: anything goes)
+ * @param {Object} blocksConfig
+ * @param {Object} intl
+ * @returns {{blockType: string, field: string}|null}
+ */
+export function planImageDrop(allowedTypes, blocksConfig, intl) {
+  if (!allowedTypes || allowedTypes.includes(IMAGE_BLOCK.blockType)) {
+    return blocksConfig[IMAGE_BLOCK.blockType] ? IMAGE_BLOCK : null;
+  }
+  for (const blockType of allowedTypes) {
+    const field = findImageField(getBlockTypeSchema(blockType, intl, blocksConfig));
+    if (field) return { blockType, field };
+  }
+  return null;
+}
+
+/**
+ * The field values pointing a block at an uploaded image.
+ *
+ * @param {string} blockType
+ * @param {string} field - Image field
+ * @param {string} url - The image's path (flattened @id)
+ * @param {Object} created - createContent's response
+ * @returns {Object}
+ */
+export function droppedImageData(blockType, field, url, created) {
+  if (blockType === IMAGE_BLOCK.blockType && field === IMAGE_BLOCK.field) {
+    return {
+      url,
+      image_field: 'image',
+      ...(created?.image && { image_scales: { image: [created.image] } }),
+    };
+  }
+  return { [field]: url };
+}
+
+/**
+ * Whether dropped images may go where they landed. A media field must
+ * belong to a block the editor may change. New blocks follow the add
+ * button's rules (getBlockAddability: template locks, fixed neighbours),
+ * replace only an 'empty' placeholder that isn't readonly, and need a
+ * container that isn't readonly and takes them (canContainAll: allowed
+ * types, room under maxLength).
+ *
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {{blockId: string, insertAfter: boolean, replaceTargetId: ?string, mediaField: ?string}} target
+ *   - From FILES_DROPPED
+ * @param {string[]} blockTypes - The blocks the images become (none for a
+ *   media field)
+ * @param {Object} options
+ * @param {Object} options.blocksConfig
+ * @param {Object} options.intl
+ * @param {string[]} [options.templateEditMode=[]]
+ * @returns {boolean}
+ */
+export function canDropImages(formData, blockPathMap, target, blockTypes, { blocksConfig, intl, templateEditMode = [] }) {
+  if (target.mediaField && target.blockId === PAGE_BLOCK_UID) return true;
+  const block = getBlockById(formData, blockPathMap, target.blockId);
+  if (!block || isBlockReadonly(block, templateEditMode)) return false;
+  if (target.mediaField) return true;
+
+  const replacing = !!target.replaceTargetId;
+  if (replacing) {
+    if (getBlockType(block, blockPathMap[target.blockId]?.typeField) !== 'empty') return false;
+  } else {
+    const addability = getBlockAddability(target.blockId, blockPathMap, block, templateEditMode);
+    if (!(target.insertAfter ? addability.canInsertAfter : addability.canInsertBefore)) return false;
+  }
+  const config = getContainerFieldConfig(target.blockId, blockPathMap, formData, blocksConfig, intl);
+  if (!config) return false;
+  const parentBlock =
+    config.parentId === PAGE_BLOCK_UID ? formData : getBlockById(formData, blockPathMap, config.parentId);
+  if (config.parentId !== PAGE_BLOCK_UID && isBlockReadonly(parentBlock, templateEditMode)) return false;
+  const count = getContainerItems(parentBlock, config).length - (replacing ? 1 : 0);
+  return canContainAll(config, blockTypes, count);
+}
+
+/**
+ * Insert new blocks, in order, where a file drop landed.
+ *
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {{blockId: string, insertAfter: boolean, replaceTargetId: ?string}} target
+ *   - From FILES_DROPPED; `replaceTargetId` is an 'empty' placeholder the
+ *   blocks replace
+ * @param {Object[]} blocks - Block data, each with its '@type'
+ * @param {Object} options
+ * @param {Object} options.blocksConfig
+ * @param {Object} options.intl
+ * @param {function(): string} options.uuid
+ * @returns {{formData: Object, blockIds: string[]}|null} null when the
+ *   position is gone
+ */
+export function insertDroppedBlocks(formData, blockPathMap, target, blocks, { blocksConfig, intl, uuid }) {
+  let anchor = target.blockId;
+  let action = target.insertAfter ? 'after' : 'before';
+  let pathMap = blockPathMap;
+  const blockIds = [];
+  for (const { '@type': type, ...fields } of blocks) {
+    const containerConfig = getContainerFieldConfig(anchor, pathMap, formData, blocksConfig, intl);
+    const id = uuid();
+    const data = containerConfig?.isObjectList
+      ? setBlockType({ [containerConfig.idField || '@id']: id, ...fields }, type, containerConfig.typeField || '@type')
+      : { '@type': type, ...fields };
+    formData = insertBlockInContainer(formData, pathMap, anchor, id, data, containerConfig, action);
+    if (!formData) return null;
+    pathMap = buildBlockPathMap(formData, blocksConfig, intl);
+    blockIds.push(id);
+    anchor = id;
+    action = 'after';
+  }
+  if (target.replaceTargetId && pathMap[target.replaceTargetId]?.blockType === 'empty') {
+    const containerConfig = getContainerFieldConfig(target.replaceTargetId, pathMap, formData, blocksConfig, intl);
+    if (containerConfig) {
+      formData = deleteBlockFromContainer(formData, pathMap, target.replaceTargetId, containerConfig);
+    }
+  }
+  return { formData, blockIds };
+}
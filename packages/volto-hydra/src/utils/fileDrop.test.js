@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { buildBlockPathMap } from './blockPath';
+import {
+  isImageField,
+  getImageDropTypes,
+  planImageDrop,
+  droppedImageData,
+  canDropImages,
+  insertDroppedBlocks,
+} from './fileDrop';
+
+const intl = { formatMessage: (m) => m?.defaultMessage || m?.id || '' };
+const blocksConfig = {
+  image: { id: 'image' },
+  slate: { id: 'slate' },
+  teaser: {
+    id: 'teaser',
+    blockSchema: { properties: { href: { widget: 'object_browser', mode: 'link' }, preview_image: { widget: 'object_browser', mode: 'image' } } },
+  },
+  slider: {
+    id: 'slider',
+    blockSchema: {
+      properties: {
+        slides: {
+          widget: 'object_list',
+          idField: '@id',
+          allowedBlocks: ['slide'],
+          typeField: '@type',
+        },
+      },
+    },
+  },
+  slide: { id: 'slide', blockSchema: { properties: { title: { type: 'string' }, image: { widget: 'image' } } } },
+  secret: { id: 'secret', restricted: true, blockSchema: { properties: { image: { widget: 'image' } } } },
+};
+
+let n = 0;
+const uuid = () => `new-${++n}`;
+
+describe('image drop plan', () => {
+  it('recognises image fields', () => {
+    expect(isImageField({ widget: 'image' })).toBe(true);
+    expect(isImageField({ widget: 'object_browser', mode: 'image' })).toBe(true);
+    expect(isImageField({ widget: 'object_browser', mode: 'link' })).toBe(false);
+  });
+
+  it('offers image blocks and every unrestricted type with an image field', () => {
+    expect(getImageDropTypes(blocksConfig, intl)).toEqual(['image', 'teaser', 'slide']);
+  });
+
+  it('creates image blocks where allowed, else items with an image field', () => {
+    expect(planImageDrop(undefined, blocksConfig, intl)).toEqual({ blockType: 'image', field: 'url' });
+    expect(planImageDrop(['slate', 'image'], blocksConfig, intl)).toEqual({ blockType: 'image', field: 'url' });
+    expect(planImageDrop(['slide'], blocksConfig, intl)).toEqual({ blockType: 'slide', field: 'image' });
+    expect(planImageDrop(['slate'], blocksConfig, intl)).toBeNull();
+  });
+
+  it('points image blocks at the image and its scales', () => {
+    const created = { '@id': 'http://site/page/a.png', image: { download: 'x' } };
+    expect(droppedImageData('image', 'url', '/page/a.png', created)).toEqual({
+      url: '/page/a.png',
+      image_field: 'image',
+      image_scales: { image: [{ download: 'x' }] },
+    });
+    expect(droppedImageData('slide', 'image', '/page/a.png', created)).toEqual({ image: '/page/a.png' });
+  });
+});
+
+describe('insertDroppedBlocks', () => {
+  it('inserts the blocks in order after the target', () => {
+    const formData = {
+      blocks: { a: { '@type': 'slate' }, b: { '@type': 'slate' } },
+      blocks_layout: { items: ['a', 'b'] },
+    };
+    const pathMap = buildBlockPathMap(formData, blocksConfig, intl);
+    const result = insertDroppedBlocks(
+      formData,
+      pathMap,
+      { blockId: 'a', insertAfter: true, replaceTargetId: null },
+      [{ '@type': 'image', url: '/one.png' }, { '@type': 'image', url: '/two.png' }],
+      { blocksConfig, intl, uuid },
+    );
+    const [first, second] = result.blockIds;
+    expect(result.formData.blocks_layout.items).toEqual(['a', first, second, 'b']);
+    expect(result.formData.blocks[second]).toEqual({ '@type': 'image', url: '/two.png' });
+  });
+
+  it('adds gallery items to an object_list and replaces an empty placeholder', () => {
+    const formData = {
+      blocks: { s: { '@type': 'slider', slides: [{ '@id': 'e', '@type': 'empty' }] } },
+      blocks_layout: { items: ['s'] },
+    };
+    const pathMap = buildBlockPathMap(formData, blocksConfig, intl);
+    const result = insertDroppedBlocks(
+      formData,
+      pathMap,
+      { blockId: 'e', insertAfter: false, replaceTargetId: 'e' },
+      [{ '@type': 'slide', image: '/one.png' }, { '@type': 'slide', image: '/two.png' }],
+      { blocksConfig, intl, uuid },
+    );
+    expect(result.formData.blocks.s.slides).toEqual([
+      { '@id': result.blockIds[0], '@type': 'slide', image: '/one.png' },
+      { '@id': result.blockIds[1], '@type': 'slide', image: '/two.png' },
+    ]);
+  });
+});
+
+describe('canDropImages', () => {
+  const options = { blocksConfig, intl };
+  const formData = {
+    blocks: {
+      a: { '@type': 'slate' },
+      locked: { '@type': 'image', readOnly: true, fixed: true, templateInstanceId: 'ti' },
+      s: { '@type': 'slider', slides: [{ '@id': 'one', '@type': 'slide' }, { '@id': 'e', '@type': 'empty' }] },
+    },
+    blocks_layout: { items: ['a', 'locked', 's'] },
+  };
+  const pathMap = buildBlockPathMap(formData, blocksConfig, intl);
+  const beside = (blockId) => ({ blockId, insertAfter: true, replaceTargetId: null });
+
+  it('allows what the add button and the container allow', () => {
+    expect(canDropImages(formData, pathMap, beside('a'), ['image', 'image'], options)).toBe(true);
+    expect(canDropImages(formData, pathMap, beside('one'), ['slide'], options)).toBe(true);
+    expect(
+      canDropImages(formData, pathMap, { blockId: 'e', insertAfter: false, replaceTargetId: 'e' }, ['slide'], options),
+    ).toBe(true);
+  });
+
+  it('refuses types or counts the container does not take', () => {
+    expect(canDropImages(formData, pathMap, beside('one'), ['image'], options)).toBe(false);
+    // Schemas are cached per block type, so the limited container gets its own
+    const limited = {
+      ...blocksConfig,
+      carousel: {
+        id: 'carousel',
+        blockSchema: {
+          properties: { slides: { ...blocksConfig.slider.blockSchema.properties.slides, maxLength: 3 } },
+        },
+      },
+    };
+    const carousel = {
+      blocks: { c: { ...formData.blocks.s, '@type': 'carousel' } },
+      blocks_layout: { items: ['c'] },
+    };
+    const carouselMap = buildBlockPathMap(carousel, limited, intl);
+    const limitedOptions = { blocksConfig: limited, intl };
+    expect(canDropImages(carousel, carouselMap, beside('one'), ['slide'], limitedOptions)).toBe(true);
+    expect(canDropImages(carousel, carouselMap, beside('one'), ['slide', 'slide'], limitedOptions)).toBe(false);
+  });
+
+  it('refuses locked template content', () => {
+    expect(canDropImages(formData, pathMap, beside('locked'), ['image'], options)).toBe(false);
+    expect(
+      canDropImages(formData, pathMap, { blockId: 'locked', mediaField: 'url' }, [], options),
+    ).toBe(false);
+    expect(canDropImages(formData, pathMap, { blockId: 'a', mediaField: 'url' }, [], options)).toBe(true);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Find / replace over every text field on the page.
+ *
+ * Walks each block in blockPathMap — nested container children and
+ * object_list items included — and searches its slate, textarea and string
+ * fields (per the block type's field types). Choice fields are skipped: their
+ * stored value isn't text the editor reads.
+ *
+ * A match is addressed the way the bridge addresses a selection: block id,
+ * field name and slate-style anchor/focus points ({path, offset}). For string
+ * and textarea fields the path is [] and the offset is into the string. In
+ * slate fields a match can span several text leaves (e.g. half bold); the
+ * replacement takes the first leaf's marks and the rest of the match is
+ * removed from the following leaves, so surrounding formatting stays as it
+ * was. Emptied leaves are kept — slate needs text nodes around inlines.
+ *
+ * Pure (no React); FindReplacePanel drives it.
+ */
+import {
+  getAtPath,
+  ensureMutablePath,
+  getFieldValue,
+  setFieldValue,
+  getFieldDef,
+  isTextEditableFieldType,
+  isSlateFieldType,
+} from '@volto-hydra/helpers';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The RegExp a query searches with.
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {boolean} [options.matchCase=false]
+ * @param {boolean} [options.wholeWord=false]
+ * @returns {RegExp|null} null for an empty query
+ */
+export function buildSearchRegExp(query, { matchCase = false, wholeWord = false } = {}) {
+  if (!query) return null;
+  const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${escapeRegExp(query)}(?![\\p{L}\\p{N}_])` : escapeRegExp(query);
+  return new RegExp(source, `gu${matchCase ? '' : 'i'}`);
+}
+
+// Text leaves of a slate value grouped into runs — one per element that
+// directly holds text (paragraph, list item, heading), with the leaves of
+// its inlines (links) in reading order. Matches never cross runs.
+function slateTextRuns(nodes, path = [], runs = []) {
+  nodes.forEach((node, index) => {
+    const nodePath = [...path, index];
+    if (!Array.isArray(node?.children)) return;
+    if (node.children.some((child) => typeof child.text === 'string')) {
+      const leaves = [];
+      const collect = (n, p) => {
+        if (typeof n.text === 'string') leaves.push({ path: p, text: n.text });
+        else (n.children || []).forEach((child, i) => collect(child, [...p, i]));
+      };
+      collect(node, nodePath);
+      runs.push(leaves);
+    } else {
+      slateTextRuns(node.children, nodePath, runs);
+    }
+  });
+  return runs;
+}
+
+// Offset within a run → {path, offset} of a leaf. A start point prefers the
+// leaf the next character is in, an end point the leaf the last one was in.
+function runPoint(leaves, offset, isEnd) {
+  let start = 0;
+  for (const leaf of leaves) {
+    const end = start + leaf.text.length;
+    if (isEnd ? offset <= end : offset < end) return { path: leaf.path, offset: offset - start };
+    start = end;
+  }
+  const last = leaves[leaves.length - 1];
+  return { path: last.path, offset: last.text.length };
+}
+
+function textMatches(text, regExp) {
+  regExp.lastIndex = 0;
+  return Array.from(text.matchAll(regExp), (m) => [m.index, m.index + m[0].length]).filter(([s, e]) => e > s);
+}
+
+/**
+ * Find every match of `query` in the page's text fields, in page order.
+ *
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {string} query
+ * @param {Object} options
+ * @param {Object} options.fieldTypes - blockType → fieldName → field type
+ *   string (View's blockFieldTypes)
+ * @param {boolean} [options.matchCase]
+ * @param {boolean} [options.wholeWord]
+ * @returns {Array<{id: string, blockId: string, fieldName: string, slate: boolean,
+ *   anchor: {path: number[], offset: number}, focus: {path: number[], offset: number}, text: string}>}
+ *   `text` is the matched text
+ */
+export function findTextMatches(formData, blockPathMap, query, { fieldTypes, matchCase, wholeWord }) {
+  const regExp = buildSearchRegExp(query, { matchCase, wholeWord });
+  if (!regExp || !formData || !blockPathMap) return [];
+  const matches = [];
+  for (const [blockId, pathInfo] of Object.entries(blockPathMap)) {
+    if (blockId.startsWith('_') || !pathInfo?.path) continue;
+    const block = getAtPath(formData, pathInfo.path);
+    if (!block || typeof block !== 'object') continue;
+    const schema = blockPathMap._schemas?.[pathInfo._schemaRef];
+    const types = fieldTypes?.[pathInfo.blockType || block['@type']] || {};
+    for (const [fieldName, fieldType] of Object.entries(types)) {
+      if (!isTextEditableFieldType(fieldType)) continue;
+      const fieldDef = schema && getFieldDef(schema, fieldName);
+      if (fieldDef?.choices || fieldDef?.vocabulary) continue;
+      const value = getFieldValue(block, fieldName);
+      const push = (anchor, focus, text) =>
+        matches.push({
+          id: `${blockId}:${fieldName}:${matches.length}`,
+          blockId,
+          fieldName,
+          slate: isSlateFieldType(fieldType),
+          anchor,
+          focus,
+          text,
+        });
+      if (isSlateFieldType(fieldType)) {
+        if (!Array.isArray(value)) continue;
+        for (const leaves of slateTextRuns(value)) {
+          const text = leaves.map((leaf) => leaf.text).join('');
+          for (const [start, end] of textMatches(text, regExp)) {
+            push(runPoint(leaves, start, false), runPoint(leaves, end, true), text.slice(start, end));
+          }
+        }
+      } else if (typeof value === 'string') {
+        for (const [start, end] of textMatches(value, regExp)) {
+          push({ path: [], offset: start }, { path: [], offset: end }, value.slice(start, end));
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+const comparePoints = (a, b) => {
+  for (let i = 0; i < Math.min(a.path.length, b.path.length); i++) {
+    if (a.path[i] !== b.path[i]) return a.path[i] - b.path[i];
+  }
+  return a.path.length - b.path.length || a.offset - b.offset;
+};
+
+const nodeAt = (nodes, path) => path.reduce((node, index, i) => (i === 0 ? node[index] : node.children[index]), nodes);
+
+const samePath = (a, b) => a.length === b.length && a.every((n, i) => n === b[i]);
+
+// Replace one match inside a (cloned, mutable) slate value. The leaves a
+// match covers are consecutive leaves of one run: the first keeps its text
+// before the match plus the replacement, the last its text after the match,
+// any in between are emptied.
+function replaceInSlate(value, { anchor, focus }, replacement) {
+  const run = slateTextRuns(value).find((leaves) => leaves.some((leaf) => samePath(leaf.path, anchor.path)));
+  if (!run) return;
+  const from = run.findIndex((leaf) => samePath(leaf.path, anchor.path));
+  const to = run.findIndex((leaf) => samePath(leaf.path, focus.path));
+  run.slice(from, to + 1).forEach((leaf, i, covered) => {
+    const node = nodeAt(value, leaf.path);
+    const before = i === 0 ? node.text.slice(0, anchor.offset) + replacement : '';
+    const after = i === covered.length - 1 ? node.text.slice(focus.offset) : '';
+    node.text = before + after;
+  });
+}
+
+/**
+ * Replace matches with `replacement`, all in one new formData — one
+ * change, so one undo step however many matches there are.
+ *
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {Array<Object>} matches - From findTextMatches, against this formData
+ * @param {string} replacement
+ * @returns {Object} New formData (unchanged input)
+ */
+export function replaceTextMatches(formData, blockPathMap, matches, replacement) {
+  // Group per field; within a field replace from the end so earlier points stay valid
+  const byField = new Map();
+  for (const match of matches) {
+    const key = `${match.blockId}\u0000${match.fieldName}`;
+    if (!byField.has(key)) byField.set(key, []);
+    byField.get(key).push(match);
+  }
+  let result = formData;
+  for (const fieldMatches of byField.values()) {
+    const { blockId, fieldName, slate } = fieldMatches[0];
+    const path = blockPathMap[blockId]?.path;
+    const block = path && getAtPath(result, path);
+    if (!block) continue;
+    const sorted = [...fieldMatches].sort((a, b) => comparePoints(b.anchor, a.anchor));
+    let value = getFieldValue(block, fieldName);
+    if (slate) {
+      value = structuredClone(value);
+      sorted.forEach((match) => replaceInSlate(value, match, replacement));
+    } else {
+      for (const { anchor, focus } of sorted) {
+        value = value.slice(0, anchor.offset) + replacement + value.slice(focus.offset);
+      }
+    }
+    result = { ...result };
+    ensureMutablePath(result, path.slice(0, -1))[path[path.length - 1]] = setFieldValue(block, fieldName, value);
+  }
+  return result;
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { buildSearchRegExp, findTextMatches, replaceTextMatches } from './findReplace';
+
+const fieldTypes = {
+  slate: { value: 'array:slate' },
+  hero: { heading: 'string', subheading: 'string:textarea', align: 'string' },
+  'slider:slides': { title: 'string' },
+};
+
+const formData = {
+  title: 'Page',
+  blocks: {
+    intro: {
+      '@type': 'slate',
+      value: [
+        {
+          type: 'p',
+          children: [
+            { text: 'Plone is gre' },
+            { text: 'at', bold: true },
+            { text: ', see ' },
+            { type: 'link', data: { url: '/plone' }, children: [{ text: 'plone.org' }] },
+            { text: '' },
+          ],
+        },
+        { type: 'ul', children: [{ type: 'li', children: [{ text: 'Plone CMS' }] }] },
+      ],
+    },
+    hero: { '@type': 'hero', heading: 'Why Plone?', subheading: 'Ploneish\nplone', align: 'plone' },
+    slider: { '@type': 'slider', slides: [{ '@id': 's1', title: 'Plone slides' }] },
+  },
+  blocks_layout: { items: ['intro', 'hero', 'slider'] },
+};
+
+const blockPathMap = {
+  _schemas: { hero: { properties: { align: { title: 'Align', choices: [['plone', 'Plone']] } } } },
+  intro: { path: ['blocks', 'intro'], blockType: 'slate' },
+  hero: { path: ['blocks', 'hero'], blockType: 'hero', _schemaRef: 'hero' },
+  slider: { path: ['blocks', 'slider'], blockType: 'slider' },
+  s1: { path: ['blocks', 'slider', 'slides', 0], blockType: 'slider:slides', isObjectListItem: true },
+};
+
+describe('buildSearchRegExp', () => {
+  it('escapes the query and supports case and whole-word matching', () => {
+    expect('a.b axb A.B'.match(buildSearchRegExp('a.b'))).toEqual(['a.b', 'A.B']);
+    expect('a.b A.B'.match(buildSearchRegExp('a.b', { matchCase: true }))).toEqual(['a.b']);
+    expect('Plone Ploneish'.match(buildSearchRegExp('plone', { wholeWord: true }))).toEqual(['Plone']);
+    expect(buildSearchRegExp('')).toBeNull();
+  });
+});
+
+describe('findTextMatches', () => {
+  it('finds matches in slate, string and textarea fields of blocks and object_list items', () => {
+    const matches = findTextMatches(formData, blockPathMap, 'plone', { fieldTypes });
+    expect(matches.map((m) => [m.blockId, m.fieldName, m.text])).toEqual([
+      ['intro', 'value', 'Plone'],
+      ['intro', 'value', 'plone'],
+      ['intro', 'value', 'Plone'],
+      ['hero', 'heading', 'Plone'],
+      ['hero', 'subheading', 'Plone'],
+      ['hero', 'subheading', 'plone'],
+      ['s1', 'title', 'Plone'],
+    ]);
+    // Inside the link, and in the nested list item
+    expect(matches[1]).toMatchObject({ slate: true, anchor: { path: [0, 3, 0], offset: 0 }, focus: { path: [0, 3, 0], offset: 5 } });
+    expect(matches[2].anchor).toEqual({ path: [1, 0, 0], offset: 0 });
+    expect(matches[5]).toMatchObject({ slate: false, anchor: { path: [], offset: 9 }, focus: { path: [], offset: 14 } });
+  });
+
+  it('finds matches across differently formatted leaves', () => {
+    const [match] = findTextMatches(formData, blockPathMap, 'great', { fieldTypes });
+    expect(match).toMatchObject({ anchor: { path: [0, 0], offset: 9 }, focus: { path: [0, 1], offset: 2 } });
+  });
+});
+
+describe('replaceTextMatches', () => {
+  it('replaces a match spanning leaves, keeping the first leaf marks and the rest of the formatting', () => {
+    const matches = findTextMatches(formData, blockPathMap, 'great', { fieldTypes });
+    const result = replaceTextMatches(formData, blockPathMap, matches, 'good');
+    expect(result.blocks.intro.value[0].children.slice(0, 3)).toEqual([
+      { text: 'Plone is good' },
+      { text: '', bold: true },
+      { text: ', see ' },
+    ]);
+    // Input untouched, other blocks shared
+    expect(formData.blocks.intro.value[0].children[0].text).toBe('Plone is gre');
+    expect(result.blocks.hero).toBe(formData.blocks.hero);
+  });
+
+  it('replaces every match in one new formData', () => {
+    const matches = findTextMatches(formData, blockPathMap, 'plone', { fieldTypes, matchCase: false });
+    const result = replaceTextMatches(formData, blockPathMap, matches, 'Volto');
+    expect(findTextMatches(result, blockPathMap, 'plone', { fieldTypes })).toEqual([]);
+    expect(result.blocks.intro.value[0].children[3].children[0].text).toBe('Volto.org');
+    expect(result.blocks.hero.subheading).toBe('Voltoish\nVolto');
+    expect(result.blocks.hero.align).toBe('plone');
+    expect(result.blocks.slider.slides[0].title).toBe('Volto slides');
+  });
+});
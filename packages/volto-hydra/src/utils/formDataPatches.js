@@ -0,0 +1,72 @@
+/**
+ * Incremental FORM_DATA for the admin → iframe direction.
+ *
+ * The channel remembers the last form + blockPathMap it sent and turns every
+ * following FORM_DATA into a versioned patch against it (diffFormData /
+ * diffBlockPathMap from @volto-hydra/helpers). A full message carries
+ * `formVersion` so hydra.js can use it as the base; a patch carries
+ * `{ baseVersion, version, form, blockPathMap }` in place of `data` and
+ * `blockPathMap`. When hydra.js can't apply a patch it posts
+ * FORM_DATA_RESYNC and the channel resends the latest state in full.
+ *
+ * Only bridges that list `formPatches` in their INIT capabilities get patches.
+ */
+import { diffFormData, diffBlockPathMap } from '@volto-hydra/helpers';
+
+/**
+ * @returns {{
+ *   prepare: function(Object, {patches: boolean}): Object,
+ *   resync: function(): (Object|null),
+ *   reset: function(): void,
+ * }}
+ *   - `prepare(message, { patches })` — the FORM_DATA to post for a full
+ *     `message` (with `data` and a stripped `blockPathMap`).
+ *   - `resync()` — the latest state as a full FORM_DATA, or null if nothing
+ *     was sent yet.
+ *   - `reset()` — forget the base (the iframe got INITIAL_DATA or reloaded);
+ *     the next message is sent in full.
+ */
+export function createFormDataChannel() {
+  let version = 0;
+  let last = null; // { data, blockPathMap, message } — full form of the last send
+
+  return {
+    prepare(message, { patches }) {
+      version += 1;
+      const full = { ...message, formVersion: version };
+      const base = last;
+      last = { data: message.data, blockPathMap: message.blockPathMap, message: full };
+      if (!patches || !base) return full;
+
+      const { data, blockPathMap, ...rest } = message;
+      return {
+        ...rest,
+        patch: {
+          baseVersion: version - 1,
+          version,
+          form: diffFormData(base.data, data),
+          blockPathMap: diffBlockPathMap(base.blockPathMap, blockPathMap),
+        },
+      };
+    },
+
+    resync() {
+      if (!last) return null;
+      // State only: hydra.js keeps the one-shot parts (block selection,
+      // format unblocking) of the patches it dropped and re-attaches them.
+      const {
+        selectedBlockUid: _s,
+        formatRequestId: _f,
+        transformedSelection: _t,
+        skipRender: _r,
+        _sentAt: _a,
+        ...state
+      } = last.message;
+      return { ...state, formVersion: version };
+    },
+
+    reset() {
+      last = null;
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { applyFormPatch } from '@volto-hydra/helpers';
+import { createFormDataChannel } from './formDataPatches';
+
+const msg = (title, extra = {}) => ({
+  type: 'FORM_DATA',
+  data: { title, blocks: {}, blocks_layout: { items: [] } },
+  blockPathMap: { _schemas: {} },
+  ...extra,
+});
+
+describe('createFormDataChannel', () => {
+  it('sends the first message in full, then patches against it', () => {
+    const channel = createFormDataChannel();
+    const first = channel.prepare(msg('One'), { patches: true });
+    expect(first).toMatchObject({ data: { title: 'One' }, formVersion: 1 });
+
+    const second = channel.prepare(msg('Two', { formatRequestId: 'r1' }), { patches: true });
+    expect(second.data).toBeUndefined();
+    expect(second.blockPathMap).toBeUndefined();
+    expect(second.formatRequestId).toBe('r1');
+    expect(second.patch).toEqual({
+      baseVersion: 1,
+      version: 2,
+      form: [{ op: 'replace', path: '/title', value: 'Two' }],
+      blockPathMap: [],
+    });
+    expect(applyFormPatch(first.data, second.patch.form)).toEqual(msg('Two').data);
+  });
+
+  it('always sends in full to a bridge without patch support', () => {
+    const channel = createFormDataChannel();
+    channel.prepare(msg('One'), { patches: false });
+    expect(channel.prepare(msg('Two'), { patches: false })).toMatchObject({
+      data: { title: 'Two' },
+      formVersion: 2,
+    });
+  });
+
+  it('resync resends the latest state without one-shot fields', () => {
+    const channel = createFormDataChannel();
+    expect(channel.resync()).toBeNull();
+    channel.prepare(msg('One'), { patches: true });
+    channel.prepare(msg('Two', { selectedBlockUid: 'b', _sentAt: 1 }), { patches: true });
+    const resend = channel.resync();
+    expect(resend).toEqual({ ...msg('Two'), formVersion: 2 });
+    // Patching continues from the resent state
+    expect(channel.prepare(msg('Three'), { patches: true }).patch.baseVersion).toBe(2);
+  });
+
+  it('reset makes the next message full', () => {
+    const channel = createFormDataChannel();
+    channel.prepare(msg('One'), { patches: true });
+    channel.reset();
+    expect(channel.prepare(msg('Two'), { patches: true }).data).toBeDefined();
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Local drafts: snapshots of the page being edited, kept in the browser's
+ * IndexedDB so a crash, a closed tab or a save that failed (e.g. on an
+ * expired token) doesn't lose the edits. LocalDraftRecovery writes them as
+ * the form changes and offers them back when the page is opened again.
+ *
+ * A draft is keyed by the content path and the `modified` timestamp of the
+ * saved version it started from, so a draft of a version someone has saved
+ * over since is recognisable as such. Writing a draft drops the path's
+ * older ones; a successful save drops them all.
+ *
+ * Storage errors are swallowed (logged): without IndexedDB, e.g. in some
+ * private windows, editing works as before, just without drafts.
+ */
+import { buildBlockPathMap, getBlockById } from './blockPath';
+import { getBlockLabel } from './blockHistory';
+import { diffVersions } from './versionDiff';
+import { createLog } from './log';
+
+const log = createLog('DRAFTS');
+
+const DB_NAME = 'volto-hydra-drafts';
+const STORE = 'drafts';
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, {
+          keyPath: ['path', 'modified'],
+        });
+        store.createIndex('path', 'path');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        log('IndexedDB unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+// Run `work(store)` in a transaction; resolves with what `work` returns once
+// the transaction completes, or `fallback` when it can't
+async function withStore(mode, work, fallback) {
+  const db = await openDatabase();
+  if (!db) return fallback;
+  return new Promise((resolve) => {
+    let result;
+    try {
+      const transaction = db.transaction(STORE, mode);
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => {
+        log('Draft storage failed:', transaction.error);
+        resolve(fallback);
+      };
+      transaction.onabort = transaction.onerror;
+      result = work(transaction.objectStore(STORE));
+    } catch (error) {
+      log('Draft storage failed:', error);
+      resolve(fallback);
+    }
+  });
+}
+
+// Every draft of `path`, through a cursor on the path index
+function eachDraft(store, path, callback) {
+  store.index('path').openCursor(IDBKeyRange.only(path)).onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    callback(cursor);
+    cursor.continue();
+  };
+}
+
+/**
+ * Store the edited form as the page's draft, replacing any earlier one.
+ *
+ * @param {string} path - The content path
+ * @param {string} modified - `modified` of the saved version being edited
+ * @param {Object} formData
+ * @returns {Promise<void>}
+ */
+export function saveDraft(path, modified, formData) {
+  return withStore('readwrite', (store) => {
+    eachDraft(store, path, (cursor) => {
+      if (cursor.value.modified !== (modified || '')) cursor.delete();
+    });
+    store.put({ path, modified: modified || '', formData, savedAt: Date.now() });
+  });
+}
+
+/**
+ * The page's draft, if there is one.
+ *
+ * @param {string} path
+ * @returns {Promise<{path: string, modified: string, formData: Object, savedAt: number}|null>}
+ *   The newest when there are several
+ */
+export function getDraft(path) {
+  const found = [];
+  return withStore(
+    'readonly',
+    (store) => {
+      eachDraft(store, path, (cursor) => found.push(cursor.value));
+      return found;
+    },
+    [],
+  ).then((drafts) => (drafts || []).sort((a, b) => b.savedAt - a.savedAt)[0] || null);
+}
+
+/**
+ * Drop the page's drafts (it was saved, or the editor discarded them).
+ *
+ * @param {string} path
+ * @returns {Promise<void>}
+ */
+export function discardDrafts(path) {
+  return withStore('readwrite', (store) => {
+    eachDraft(store, path, (cursor) => cursor.delete());
+  });
+}
+
+/**
+ * Writes one page's drafts as the form changes: the latest form, once it has
+ * been still for `delay`. While the page itself is being saved, the form is
+ * in that save — when it succeeds the drafts are discarded, and closing the
+ * writer (the editor unmounting, which a successful save navigates to) drops
+ * the pending form instead of writing it over that discard.
+ *
+ * @param {string} path - The content path
+ * @param {Object} [options]
+ * @param {function(string, string, Object): Promise} [options.save=saveDraft]
+ * @param {function(string): Promise} [options.discard=discardDrafts]
+ * @param {number} [options.delay=1000] - Milliseconds
+ * @returns {{
+ *   change: function(string, Object),
+ *   flush: function(),
+ *   saveStarted: function(),
+ *   saveSettled: function(boolean),
+ *   close: function(),
+ *   isSaving: function(): boolean,
+ * }} `change(modified, formData)` queues the form; `saveSettled(ok)` ends a
+ *   page save
+ */
+export function createDraftWriter(
+  path,
+  { save = saveDraft, discard = discardDrafts, delay = 1000 } = {},
+) {
+  let pending = null;
+  let timer = null;
+  let saving = false;
+  const drop = () => {
+    clearTimeout(timer);
+    pending = null;
+  };
+  const flush = () => {
+    clearTimeout(timer);
+    if (!pending) return;
+    const { modified, formData } = pending;
+    pending = null;
+    save(path, modified, formData);
+  };
+  return {
+    change(modified, formData) {
+      pending = { modified, formData };
+      clearTimeout(timer);
+      timer = setTimeout(flush, delay);
+    },
+    flush,
+    saveStarted() {
+      saving = true;
+    },
+    saveSettled(ok) {
+      saving = false;
+      if (!ok) return;
+      drop();
+      discard(path);
+    },
+    close() {
+      if (saving) drop();
+      else flush();
+    },
+    isSaving: () => saving,
+  };
+}
+
+/**
+ * What restoring a draft would change in the form, block by block.
+ *
+ * @param {Object} formData - The form as it is now
+ * @param {Object} draftFormData
+ * @param {Object} blocksConfig
+ * @param {Object} intl
+ * @returns {{
+ *   blocks: Array<{id: string, kind: string, title: string}>,
+ *   pageFields: string[],
+ * }|null} The draft's added, removed, moved and changed blocks, and the
+ *   page fields it changes; null when it changes nothing
+ */
+export function summariseDraft(formData, draftFormData, blocksConfig, intl) {
+  const currentMap = buildBlockPathMap(formData, blocksConfig, intl);
+  const draftMap = buildBlockPathMap(draftFormData, blocksConfig, intl);
+  const { changes, pageFields } = diffVersions(formData, currentMap, draftFormData, draftMap);
+  if (changes.length === 0 && pageFields.length === 0) return null;
+  // A block the draft removes is only in the current form
+  const blocks = changes.map(({ id, kind }) => {
+    const block =
+      kind === 'removed'
+        ? getBlockById(formData, currentMap, id)
+        : getBlockById(draftFormData, draftMap, id);
+    return { id, kind, title: getBlockLabel(block, blocksConfig, id) };
+  });
+  return { blocks, pageFields };
+}
@@ -0,0 +1,114 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createDraftWriter, summariseDraft } from './localDrafts';
+
+const intl = { formatMessage: (m) => m?.defaultMessage || m?.id || '' };
+
+const blocksConfig = {
+  slate: { id: 'slate', title: 'Text' },
+  image: { id: 'image', title: 'Image' },
+};
+
+const text = (plaintext) => ({
+  '@type': 'slate',
+  plaintext,
+  value: [{ type: 'p', children: [{ text: plaintext }] }],
+});
+
+const makePage = () => ({
+  '@type': 'Document',
+  title: 'Page',
+  blocks: {
+    intro: text('Welcome'),
+    pic: { '@type': 'image', url: '/pic.jpg' },
+    outro: text('Bye'),
+  },
+  blocks_layout: { items: ['intro', 'pic', 'outro'] },
+});
+
+describe('summariseDraft', () => {
+  test('is null for a draft the form already matches', () => {
+    expect(summariseDraft(makePage(), makePage(), blocksConfig, intl)).toBeNull();
+  });
+
+  test('lists what restoring the draft would change', () => {
+    const draft = makePage();
+    draft.title = 'Draft title';
+    draft.blocks.intro = text('Welcome back');
+    draft.blocks.extra = text('New paragraph');
+    delete draft.blocks.pic;
+    draft.blocks_layout.items = ['intro', 'extra', 'outro'];
+    expect(summariseDraft(makePage(), draft, blocksConfig, intl)).toEqual({
+      blocks: [
+        { id: 'intro', kind: 'changed', title: 'Welcome back' },
+        { id: 'extra', kind: 'inserted', title: 'New paragraph' },
+        { id: 'pic', kind: 'removed', title: 'Image' },
+      ],
+      pageFields: ['title'],
+    });
+  });
+});
+
+describe('createDraftWriter', () => {
+  let save;
+  let discard;
+  let writer;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    save = vi.fn();
+    discard = vi.fn();
+    writer = createDraftWriter('/page', { save, discard, delay: 1000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  test('writes the latest form once it has been still', () => {
+    writer.change('2024-01-01', { title: 'A' });
+    vi.advanceTimersByTime(500);
+    writer.change('2024-01-01', { title: 'AB' });
+    vi.advanceTimersByTime(999);
+    expect(save).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1);
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(save).toHaveBeenCalledWith('/page', '2024-01-01', { title: 'AB' });
+  });
+
+  test('writes what is pending when closed', () => {
+    writer.change('2024-01-01', { title: 'A' });
+    writer.close();
+    expect(save).toHaveBeenCalledWith('/page', '2024-01-01', { title: 'A' });
+    vi.runAllTimers();
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  test('a successful save discards the drafts and what is pending', () => {
+    writer.change('2024-01-01', { title: 'A' });
+    writer.saveStarted();
+    writer.saveSettled(true);
+    vi.runAllTimers();
+    expect(discard).toHaveBeenCalledWith('/page');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('closing mid-save does not write a draft over the discard', () => {
+    writer.change('2024-01-01', { title: 'A' });
+    writer.saveStarted();
+    // The save navigates away before its outcome reaches the editor
+    writer.close();
+    writer.saveSettled(true);
+    vi.runAllTimers();
+    expect(save).not.toHaveBeenCalled();
+    expect(discard).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed save keeps the draft', () => {
+    writer.change('2024-01-01', { title: 'A' });
+    writer.saveStarted();
+    writer.saveSettled(false);
+    vi.runAllTimers();
+    expect(discard).not.toHaveBeenCalled();
+    expect(save).toHaveBeenCalledWith('/page', '2024-01-01', { title: 'A' });
+  });
+});
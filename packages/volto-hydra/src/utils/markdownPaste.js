@@ -0,0 +1,301 @@
+/**
+ * Markdown paste → blocks.
+ *
+ * Authors who draft in a Markdown editor paste plain text full of `#`, `-`
+ * and ``` markers. When the pasted text reads as Markdown, it is turned into
+ * the blocks it describes instead of one paragraph of raw markup:
+ *
+ *   - headings, paragraphs, lists and quotes → text blocks (through the same
+ *     HTML → slate deserializer as an HTML paste)
+ *   - a line holding only an image → image block
+ *   - fenced code → codeExample block
+ *   - pipe tables → slateTable block
+ *
+ * Block types the container doesn't allow (`canAdd`) fall back to text;
+ * what the container has no room for is merged into its last text block.
+ * Only http(s), mailto and relative URLs become links and images. Pure (no
+ * React); SyncedSlateToolbar's 'paste' transform wires it in.
+ */
+
+const FENCE_RE = /^\s*(```|~~~)\s*([\w+#-]*)/;
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_RE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const IMAGE_LINE_RE = /^\s*!\[([^\]]*)\]\(\s*(\S+?)(?:\s+"[^"]*")?\s*\)\s*$/;
+const QUOTE_RE = /^\s*>\s?/;
+const LIST_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const isTableStart = (lines, i) =>
+  lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DIVIDER_RE.test(lines[i + 1]);
+
+// Inline Markdown that rarely turns up in plain prose: bold, code spans, links
+const INLINE_SIGNAL_RE = /\*\*[^*\n]+\*\*|`[^`\n]+`|\[[^\]\n]+\]\([^)\s]+\)/g;
+
+/**
+ * Whether pasted plain text is Markdown: it has at least two signals — lines
+ * with a block-level marker (heading, list item, quote, code fence, table,
+ * image line) or inline bold, code and links. One marker alone is as likely
+ * plain text: a line starting with "- " or "> ", a "# " comment.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isMarkdown(text) {
+  if (!text || text.trimStart().startsWith('<')) return false;
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  let signals = 0;
+  lines.forEach((line, i) => {
+    if (isTableStart(lines, i)) signals += 2; // the header and its divider
+    else if (
+      HEADING_RE.test(line) ||
+      FENCE_RE.test(line) ||
+      QUOTE_RE.test(line) ||
+      LIST_RE.test(line) ||
+      IMAGE_LINE_RE.test(line)
+    ) {
+      signals += 1;
+    }
+    signals += (line.match(INLINE_SIGNAL_RE) || []).length;
+  });
+  return signals >= 2;
+}
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// http(s), mailto or relative — never javascript:, data: and the like
+const isSafeUrl = (url) => !/^[a-z][\w+.-]*:/i.test(url) || /^(https?|mailto):/i.test(url);
+
+/**
+ * Inline Markdown (code, images, links, bold, italic, strikethrough) as HTML.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function inlineMarkdownToHtml(text) {
+  // Code spans first, so nothing inside them is formatted (a private-use
+  // character marks where each goes back)
+  const codes = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (m, code) => {
+    codes.push(code);
+    return `\uE000${codes.length - 1}\uE000`;
+  });
+  html = html
+    .replace(/!\[([^\]]*)\]\(\s*(\S+?)(?:\s+&quot;[^&]*&quot;)?\s*\)/g, (m, alt, src) =>
+      isSafeUrl(src) ? `<img src="${src}" alt="${alt}">` : alt,
+    )
+    .replace(/\[([^\]]+)\]\(\s*(\S+?)(?:\s+&quot;[^&]*&quot;)?\s*\)/g, (m, label, href) =>
+      isSafeUrl(href) ? `<a href="${href}">${label}</a>` : label,
+    )
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (m, a, b) => `<strong>${a ?? b}</strong>`)
+    .replace(/\*(.+?)\*|(^|[^\w])_(.+?)_(?!\w)/g, (m, a, pre, b) =>
+      a !== undefined ? `<em>${a}</em>` : `${pre}<em>${b}</em>`,
+    )
+    .replace(/~~(.+?)~~/g, '<del>$1</del>');
+  return html.replace(/\uE000(\d+)\uE000/g, (m, index) => `<code>${codes[index]}</code>`);
+}
+
+// Nested <ul>/<ol> from list lines, nesting by indentation
+function listToHtml(items) {
+  let html = '';
+  const stack = [];
+  for (const { indent, ordered, text } of items) {
+    const tag = ordered ? 'ol' : 'ul';
+    while (stack.length > 1 && indent < stack[stack.length - 1].indent) {
+      html += `</li></${stack.pop().tag}>`;
+    }
+    if (!stack.length || indent > stack[stack.length - 1].indent) {
+      html += `<${tag}><li>`;
+      stack.push({ indent, tag });
+    } else {
+      html += '</li><li>';
+    }
+    html += inlineMarkdownToHtml(text);
+  }
+  while (stack.length) html += `</li></${stack.pop().tag}>`;
+  return html;
+}
+
+const splitTableRow = (line) =>
+  line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+
+/**
+ * Split Markdown into block-level segments.
+ *
+ * @param {string} text
+ * @returns {Array<{kind: 'html', html: string}|{kind: 'code', code: string, language: string}
+ *   |{kind: 'image', src: string, alt: string}|{kind: 'table', rows: string[][]}>}
+ *   Table rows are cell HTML; the first row is the header
+ */
+export function parseMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const segments = [];
+  const startsBlock = (i) =>
+    FENCE_RE.test(lines[i]) ||
+    HEADING_RE.test(lines[i]) ||
+    RULE_RE.test(lines[i]) ||
+    QUOTE_RE.test(lines[i]) ||
+    LIST_RE.test(lines[i]) ||
+    IMAGE_LINE_RE.test(lines[i]) ||
+    isTableStart(lines, i);
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+    if (!line.trim() || RULE_RE.test(line)) {
+      i++;
+    } else if ((match = line.match(FENCE_RE))) {
+      const fence = match[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+      i++; // closing fence
+      segments.push({ kind: 'code', code: code.join('\n'), language: match[2] || '' });
+    } else if ((match = line.match(HEADING_RE))) {
+      const level = match[1].length;
+      segments.push({ kind: 'html', html: `<h${level}>${inlineMarkdownToHtml(match[2])}</h${level}>` });
+      i++;
+    } else if ((match = line.match(IMAGE_LINE_RE)) && isSafeUrl(match[2])) {
+      segments.push({ kind: 'image', alt: match[1], src: match[2] });
+      i++;
+    } else if (isTableStart(lines, i)) {
+      const rows = [splitTableRow(line)];
+      i += 2; // header and divider
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(splitTableRow(lines[i++]));
+      }
+      segments.push({ kind: 'table', rows: rows.map((row) => row.map(inlineMarkdownToHtml)) });
+    } else if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE_RE, ''));
+      segments.push({ kind: 'html', html: `<blockquote>${inlineMarkdownToHtml(quoted.join(' ').trim())}</blockquote>` });
+    } else if (LIST_RE.test(line)) {
+      const items = [];
+      while (i < lines.length && lines[i].trim()) {
+        const item = lines[i].match(LIST_RE);
+        if (item) {
+          items.push({ indent: item[1].replace(/\t/g, '    ').length, ordered: /\d/.test(item[2]), text: item[3] });
+        } else if (/^\s/.test(lines[i]) && items.length) {
+          // Indented continuation of the previous item
+          items[items.length - 1].text += ` ${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      segments.push({ kind: 'html', html: listToHtml(items) });
+    } else {
+      const paragraph = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() && !startsBlock(i)) paragraph.push(lines[i++].trim());
+      segments.push({ kind: 'html', html: `<p>${inlineMarkdownToHtml(paragraph.join(' '))}</p>` });
+    }
+  }
+  return segments;
+}
+
+const nodeText = (node) => (node.text !== undefined ? node.text : (node.children || []).map(nodeText).join(''));
+
+/**
+ * Turn pasted Markdown into what the paste inserts: HTML for the text at
+ * the start (pasted into the current field, like an HTML paste), and the
+ * blocks for everything after it, in order.
+ *
+ * @param {string} text
+ * @param {Object} options
+ * @param {function(string): Array} options.toSlate - HTML → slate value
+ * @param {function(string): boolean} options.canAdd - Whether the container
+ *   takes a block of this type
+ * @param {function(): string} options.newId - Id for object_list items
+ * @param {string} [options.textBlockType] - Block type for text
+ * @param {number} [options.room=Infinity] - How many blocks the container
+ *   still takes (its maxLength less the blocks it has)
+ * @returns {{html: string, blocks: Array<Object>}} Segments that fit in no
+ *   block (no room and no text block allowed) are left out
+ */
+export function markdownToBlocks(text, { toSlate, canAdd, newId, textBlockType = 'slate', room = Infinity }) {
+  const textBlock = (html) => {
+    const value = toSlate(html);
+    return { '@type': textBlockType, value, plaintext: value.map(nodeText).join(' ') };
+  };
+
+  // A segment as text, for a container that doesn't take its block type
+  const asHtml = (segment) => {
+    switch (segment.kind) {
+      case 'code':
+        return segment.code
+          .split('\n')
+          .map((line) => `<p><code>${escapeHtml(line)}</code></p>`)
+          .join('');
+      case 'image':
+        return `<p><a href="${escapeHtml(segment.src)}">${escapeHtml(segment.alt || segment.src)}</a></p>`;
+      case 'table':
+        return segment.rows.map((row) => `<p>${row.join(' | ')}</p>`).join('');
+      default:
+        return segment.html;
+    }
+  };
+
+  const toBlock = (segment) => {
+    switch (segment.kind) {
+      case 'code':
+        if (canAdd('codeExample')) {
+          return {
+            '@type': 'codeExample',
+            tabs: [{ '@id': newId(), label: segment.language, language: segment.language, code: segment.code }],
+          };
+        }
+        break;
+      case 'image':
+        if (canAdd('image')) return { '@type': 'image', url: segment.src, alt: segment.alt };
+        break;
+      case 'table':
+        if (canAdd('slateTable')) {
+          return {
+            '@type': 'slateTable',
+            table: {
+              rows: segment.rows.map((row, r) => ({
+                key: newId(),
+                cells: row.map((cell) => ({
+                  key: newId(),
+                  type: r === 0 ? 'header' : 'data',
+                  value: toSlate(`<p>${cell}</p>`),
+                })),
+              })),
+            },
+          };
+        }
+        break;
+      default:
+        break;
+    }
+    return canAdd(textBlockType) ? textBlock(asHtml(segment)) : null;
+  };
+
+  const segments = parseMarkdown(text);
+  let leading = 0;
+  while (leading < segments.length && segments[leading].kind === 'html') leading++;
+  const rest = segments.slice(leading);
+  const blocks = [];
+  for (let i = 0; i < rest.length && blocks.length < room; i++) {
+    // The last block there's room for takes everything left, as text
+    if (blocks.length === room - 1 && i < rest.length - 1 && canAdd(textBlockType)) {
+      blocks.push(textBlock(rest.slice(i).map(asHtml).join('')));
+      break;
+    }
+    const block = toBlock(rest[i]);
+    if (block) blocks.push(block);
+  }
+  return {
+    html: segments
+      .slice(0, leading)
+      .map((segment) => segment.html)
+      .join(''),
+    blocks,
+  };
+}
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { isMarkdown, inlineMarkdownToHtml, parseMarkdown, markdownToBlocks } from './markdownPaste';
+
+// Stand-in for the slate deserializer: keeps the HTML so tests can read it
+const toSlate = (html) => [{ type: 'html', children: [{ text: html }] }];
+const counter = () => {
+  let n = 0;
+  return () => `id-${++n}`;
+};
+
+describe('isMarkdown', () => {
+  it('needs two Markdown signals', () => {
+    expect(isMarkdown('# Title\n\nSome **bold** text')).toBe(true);
+    expect(isMarkdown('# Title\n\n- one')).toBe(true);
+    expect(isMarkdown('- one\n- two')).toBe(true);
+    expect(isMarkdown('> quoted\n> twice')).toBe(true);
+    expect(isMarkdown('```js\nx()\n```')).toBe(true);
+    expect(isMarkdown('| a | b |\n|---|---|\n| 1 | 2 |')).toBe(true);
+    expect(isMarkdown('Just a sentence with *stars*.')).toBe(false);
+    expect(isMarkdown('<p># not markdown</p>')).toBe(false);
+  });
+
+  it('leaves text with a single marker alone', () => {
+    expect(isMarkdown('- not a list, just a dash')).toBe(false);
+    expect(isMarkdown('> a reply, as mail quotes it')).toBe(false);
+    expect(isMarkdown('Dear all,\n- see the attached file\nThanks')).toBe(false);
+    expect(isMarkdown('# Title\n\nSome text')).toBe(false);
+    expect(isMarkdown('Run `make`.')).toBe(false);
+  });
+});
+
+describe('inlineMarkdownToHtml', () => {
+  it('converts inline formats and escapes HTML', () => {
+    expect(inlineMarkdownToHtml('**b** *i* _e_ ~~s~~ `a*b*` [x](http://x.org) <y>')).toBe(
+      '<strong>b</strong> <em>i</em> <em>e</em> <del>s</del> <code>a*b*</code> <a href="http://x.org">x</a> &lt;y&gt;',
+    );
+  });
+
+  it('links only http(s), mailto and relative URLs', () => {
+    expect(inlineMarkdownToHtml('[a](/about) [m](mailto:x@y.org) [s](https://x.org)')).toBe(
+      '<a href="/about">a</a> <a href="mailto:x@y.org">m</a> <a href="https://x.org">s</a>',
+    );
+    expect(inlineMarkdownToHtml('[click](javascript:alert) ![x](data:image/png;base64,AA)')).toBe('click x');
+  });
+});
+
+describe('parseMarkdown', () => {
+  it('splits a document into blocks', () => {
+    const md = [
+      '# Pricing',
+      'Plans for',
+      'every team.',
+      '',
+      '- Basic',
+      '  - Monthly',
+      '- Pro',
+      '',
+      '![Chart](/chart.png)',
+      '',
+      '| Plan | Price |',
+      '| --- | ---: |',
+      '| Basic | **10** |',
+      '',
+      '```python',
+      'print("hi")',
+      '```',
+      '> Quote',
+    ].join('\n');
+    expect(parseMarkdown(md)).toEqual([
+      { kind: 'html', html: '<h1>Pricing</h1>' },
+      { kind: 'html', html: '<p>Plans for every team.</p>' },
+      { kind: 'html', html: '<ul><li>Basic<ul><li>Monthly</li></ul></li><li>Pro</li></ul>' },
+      { kind: 'image', alt: 'Chart', src: '/chart.png' },
+      { kind: 'table', rows: [['Plan', 'Price'], ['Basic', '<strong>10</strong>']] },
+      { kind: 'code', code: 'print("hi")', language: 'python' },
+      { kind: 'html', html: '<blockquote>Quote</blockquote>' },
+    ]);
+  });
+});
+
+describe('markdownToBlocks', () => {
+  const md = '## Intro\n\nText\n\n```js\nrun()\n```\n\nAfter';
+
+  it('pastes leading text into the field and the rest as blocks', () => {
+    const { html, blocks } = markdownToBlocks(md, { toSlate, canAdd: () => true, newId: counter() });
+    expect(html).toBe('<h2>Intro</h2><p>Text</p>');
+    expect(blocks).toEqual([
+      { '@type': 'codeExample', tabs: [{ '@id': 'id-1', label: 'js', language: 'js', code: 'run()' }] },
+      { '@type': 'slate', value: toSlate('<p>After</p>'), plaintext: '<p>After</p>' },
+    ]);
+  });
+
+  it('falls back to text for block types the container does not allow', () => {
+    const { blocks } = markdownToBlocks('| a | b |\n|---|---|\n| 1 | 2 |\n\n![Logo](/logo.png)', {
+      toSlate,
+      canAdd: (type) => type === 'slate',
+      newId: counter(),
+    });
+    expect(blocks.map((block) => block['@type'])).toEqual(['slate', 'slate']);
+    expect(blocks[0].plaintext).toBe('<p>a | b</p><p>1 | 2</p>');
+    expect(blocks[1].plaintext).toBe('<p><a href="/logo.png">Logo</a></p>');
+  });
+
+  it('leaves out what the container takes no block for', () => {
+    const { blocks } = markdownToBlocks('Intro\n\n```js\nrun()\n```\n\nAfter', {
+      toSlate,
+      canAdd: (type) => type === 'codeExample',
+      newId: counter(),
+    });
+    expect(blocks.map((block) => block['@type'])).toEqual(['codeExample']);
+  });
+
+  it('merges what is past the container\'s room into its last text block', () => {
+    const { blocks } = markdownToBlocks('Intro\n\n```js\nrun()\n```\n\nOne\n\n- two', {
+      toSlate,
+      canAdd: () => true,
+      newId: counter(),
+      room: 2,
+    });
+    expect(blocks.map((block) => block['@type'])).toEqual(['codeExample', 'slate']);
+    expect(blocks[1].plaintext).toBe('<p>One</p><ul><li>two</li></ul>');
+    expect(markdownToBlocks('Intro\n\n```js\nrun()\n```', { toSlate, canAdd: () => true, newId: counter(), room: 0 }))
+      .toEqual({ html: '<p>Intro</p>', blocks: [] });
+  });
+
+  it('does not turn an unsafe image line into an image block', () => {
+    const { html, blocks } = markdownToBlocks('# T\n\n![x](javascript:alert)', {
+      toSlate,
+      canAdd: () => true,
+      newId: counter(),
+    });
+    expect(html).toBe('<h1>T</h1><p>x</p>');
+    expect(blocks).toEqual([]);
+  });
+
+  it('builds a slateTable with a header row', () => {
+    const { blocks } = markdownToBlocks('| a | b |\n|---|---|\n| 1 | 2 |', { toSlate, canAdd: () => true, newId: counter() });
+    const { rows } = blocks[0].table;
+    expect(rows.map((row) => row.cells.map((cell) => cell.type))).toEqual([
+      ['header', 'header'],
+      ['data', 'data'],
+    ]);
+    expect(rows[1].cells[1].value).toEqual(toSlate('<p>2</p>'));
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Geometry for the crop / focal-point overlay on `data-edit-media` fields
+ * (MediaFocusEditor). The overlay shows the whole image inside the field's
+ * rendered rect; everything it stores is a fraction (0–1) of that image, the
+ * shape getImageFocus in @volto-hydra/helpers turns into CSS and a scale:
+ * `{ focalPoint: { x, y }, crop: { x, y, width, height } }`.
+ */
+
+// Smallest crop edge, as a fraction of the image
+export const MIN_CROP_SIZE = 0.05;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Where an image of the given natural size sits inside a box when it is
+ * fitted whole (`object-fit: contain`).
+ *
+ * @param {{top: number, left: number, width: number, height: number}} box
+ * @param {number} naturalWidth
+ * @param {number} naturalHeight
+ * @returns {{top: number, left: number, width: number, height: number}}
+ */
+export function containRect(box, naturalWidth, naturalHeight) {
+  if (!naturalWidth || !naturalHeight) return box;
+  const scale = Math.min(box.width / naturalWidth, box.height / naturalHeight);
+  const width = naturalWidth * scale;
+  const height = naturalHeight * scale;
+  return {
+    top: box.top + (box.height - height) / 2,
+    left: box.left + (box.width - width) / 2,
+    width,
+    height,
+  };
+}
+
+/**
+ * A pointer position as a fraction of the displayed image, clamped to it.
+ *
+ * @returns {{x: number, y: number}}
+ */
+export function pointToFraction(clientX, clientY, imageRect) {
+  return {
+    x: clamp((clientX - imageRect.left) / imageRect.width, 0, 1),
+    y: clamp((clientY - imageRect.top) / imageRect.height, 0, 1),
+  };
+}
+
+/**
+ * Drag the crop box or one of its corners.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} crop
+ * @param {'move'|'nw'|'ne'|'sw'|'se'} handle
+ * @param {number} dx - Pointer movement, as a fraction of the image width
+ * @param {number} dy - Pointer movement, as a fraction of the image height
+ * @returns {{x: number, y: number, width: number, height: number}} Kept
+ *   inside the image and at least MIN_CROP_SIZE on each side
+ */
+export function dragCrop(crop, handle, dx, dy) {
+  if (handle === 'move') {
+    return {
+      ...crop,
+      x: clamp(crop.x + dx, 0, 1 - crop.width),
+      y: clamp(crop.y + dy, 0, 1 - crop.height),
+    };
+  }
+  let left = crop.x;
+  let top = crop.y;
+  let right = crop.x + crop.width;
+  let bottom = crop.y + crop.height;
+  if (handle.includes('w')) left = clamp(left + dx, 0, right - MIN_CROP_SIZE);
+  if (handle.includes('e')) right = clamp(right + dx, left + MIN_CROP_SIZE, 1);
+  if (handle.includes('n')) top = clamp(top + dy, 0, bottom - MIN_CROP_SIZE);
+  if (handle.includes('s')) bottom = clamp(bottom + dy, top + MIN_CROP_SIZE, 1);
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * The value to store: rounded, without a crop that keeps the whole image,
+ * and a focal point moved inside the crop. Undefined when nothing is left,
+ * so a reset clears the field.
+ *
+ * @param {{focalPoint?: Object, crop?: Object}} focus
+ * @returns {Object|undefined}
+ */
+export function normalizeFocus(focus) {
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const result = {};
+  const crop = focus?.crop;
+  if (crop && (crop.width < 1 || crop.height < 1)) {
+    result.crop = { x: round(crop.x), y: round(crop.y), width: round(crop.width), height: round(crop.height) };
+  }
+  if (focus?.focalPoint) {
+    const bounds = result.crop || { x: 0, y: 0, width: 1, height: 1 };
+    result.focalPoint = {
+      x: round(clamp(focus.focalPoint.x, bounds.x, bounds.x + bounds.width)),
+      y: round(clamp(focus.focalPoint.y, bounds.y, bounds.y + bounds.height)),
+    };
+  }
+  return Object.keys(result).length ? result : undefined;
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { containRect, pointToFraction, dragCrop, normalizeFocus, MIN_CROP_SIZE } from './mediaFocus';
+
+describe('mediaFocus geometry', () => {
+  it('fits the whole image inside the media rect', () => {
+    // 2:1 image in a 400x400 box: full width, centred vertically
+    expect(containRect({ top: 10, left: 20, width: 400, height: 400 }, 1000, 500)).toEqual({
+      top: 110,
+      left: 20,
+      width: 400,
+      height: 200,
+    });
+  });
+
+  it('maps pointer positions to clamped image fractions', () => {
+    const rect = { top: 100, left: 0, width: 400, height: 200 };
+    expect(pointToFraction(100, 150, rect)).toEqual({ x: 0.25, y: 0.25 });
+    expect(pointToFraction(-50, 400, rect)).toEqual({ x: 0, y: 1 });
+  });
+
+  it('moves the crop without leaving the image', () => {
+    const crop = { x: 0.5, y: 0.5, width: 0.4, height: 0.4 };
+    expect(dragCrop(crop, 'move', 0.3, -0.1)).toEqual({ x: 0.6, y: 0.4, width: 0.4, height: 0.4 });
+  });
+
+  it('resizes from a corner, keeping the opposite corner and a minimum size', () => {
+    const crop = { x: 0.2, y: 0.2, width: 0.6, height: 0.6 };
+    const grown = dragCrop(crop, 'nw', -0.5, -0.1);
+    expect(grown.x).toBe(0);
+    expect(grown.x + grown.width).toBeCloseTo(0.8);
+    expect(grown.y).toBeCloseTo(0.1);
+    const shrunk = dragCrop(crop, 'se', -1, -1);
+    expect(shrunk.width).toBeCloseTo(MIN_CROP_SIZE);
+    expect(shrunk.height).toBeCloseTo(MIN_CROP_SIZE);
+  });
+
+  it('drops a full-image crop and keeps the focal point inside the crop', () => {
+    expect(normalizeFocus({ crop: { x: 0, y: 0, width: 1, height: 1 } })).toBeUndefined();
+    expect(
+      normalizeFocus({
+        crop: { x: 0.1, y: 0.1, width: 0.5, height: 0.5 },
+        focalPoint: { x: 0.9, y: 0.123456 },
+      }),
+    ).toEqual({
+      crop: { x: 0.1, y: 0.1, width: 0.5, height: 0.5 },
+      focalPoint: { x: 0.6, y: 0.1235 },
+    });
+  });
+});
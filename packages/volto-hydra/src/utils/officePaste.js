@@ -0,0 +1,175 @@
+/**
+ * Word / Google Docs clipboard HTML → plain semantic HTML.
+ *
+ * Office HTML carries its structure in styles rather than tags: Word writes
+ * lists as paragraphs with `mso-list` styles and a typed-in bullet, Google
+ * Docs wraps everything in `<b style="font-weight:normal">` and marks bold
+ * and italic on `<span style>`. The generic HTML → slate deserializer keeps
+ * none of that, so office HTML is normalised first: real `<ul>`/`<ol>`
+ * nesting, `<strong>`/`<em>`/`<u>`/`<del>`/`<sup>`/`<sub>` marks, headings
+ * for Word's Title/Subtitle styles, and no styles, classes, comments or
+ * Office namespace elements.
+ *
+ * Embedded images with a web URL are kept (the paste then splits them
+ * into image blocks) or dropped with `images: false`. Images Word points at
+ * on the author's disk (`file:`) can't be loaded, and inline `data:` images
+ * would be stored in the page as base64; both are always dropped, and
+ * counted so the editor can be told to add them by hand.
+ *
+ * Pure DOM, no React: pass a DOMParser to run it in Node.
+ */
+
+const OFFICE_HTML_RE = /urn:schemas-microsoft-com:office|class="?Mso|mso-list|id="docs-internal-guid-/i;
+
+const WORD_HEADING_CLASSES = { MsoTitle: 'h1', MsoSubtitle: 'h2' };
+
+const SPAN_MARKS = [
+  ['strong', (style) => /font-weight:\s*(bold|[6-9]00)/.test(style)],
+  ['em', (style) => /font-style:\s*italic/.test(style)],
+  ['u', (style) => /text-decoration(-line)?:[^;]*underline/.test(style)],
+  ['del', (style) => /text-decoration(-line)?:[^;]*line-through/.test(style)],
+  ['sup', (style) => /vertical-align:\s*super/.test(style)],
+  ['sub', (style) => /vertical-align:\s*sub/.test(style)],
+];
+
+const unwrap = (el) => el.replaceWith(...el.childNodes);
+
+/**
+ * Whether clipboard HTML comes from Word or Google Docs.
+ *
+ * @param {string} html
+ * @returns {boolean}
+ */
+export function isOfficeHtml(html) {
+  return OFFICE_HTML_RE.test(html || '');
+}
+
+// Word list paragraphs (`mso-list:l0 level2 lfo1`) → nested <ul>/<ol>. The
+// bullet or number Word typed in front of the text decides the list type.
+function convertWordLists(doc) {
+  // 'l0' for a paragraph of list l0, so consecutive separate lists stay apart
+  const listId = (el) =>
+    el?.tagName === 'P' ? (el.getAttribute('style') || '').match(/mso-list:\s*(l\d+)\s+level\d+/)?.[1] : undefined;
+  for (const first of Array.from(doc.body.querySelectorAll('p'))) {
+    const id = listId(first);
+    if (!first.isConnected || !id || listId(first.previousElementSibling) === id) continue;
+    const stack = [];
+    let p = first;
+    while (p && listId(p) === id) {
+      const next = p.nextElementSibling;
+      const level = Number(p.getAttribute('style').match(/level(\d+)/)[1]);
+      const marker = Array.from(p.querySelectorAll('[style*="mso-list:Ignore"], [style*="mso-list: Ignore"]'));
+      const ordered = /^[\s\u00a0]*(\d+|[a-z]{1,4})[.)]/i.test(marker.map((el) => el.textContent).join(''));
+      marker.forEach((el) => el.remove());
+
+      while (stack.length && stack[stack.length - 1].level > level) stack.pop();
+      if (!stack.length || stack[stack.length - 1].level < level) {
+        const list = doc.createElement(ordered ? 'ol' : 'ul');
+        if (stack.length) stack[stack.length - 1].list.lastElementChild.appendChild(list);
+        else p.before(list);
+        stack.push({ level, list });
+      }
+      const li = doc.createElement('li');
+      li.append(...p.childNodes);
+      stack[stack.length - 1].list.appendChild(li);
+      p.remove();
+      p = next;
+    }
+  }
+}
+
+// Styled spans → mark elements around their content
+function convertStyledSpans(doc) {
+  for (const span of Array.from(doc.body.querySelectorAll('span[style]')).reverse()) {
+    const style = span.getAttribute('style').toLowerCase();
+    let content = Array.from(span.childNodes);
+    for (const [tag, test] of SPAN_MARKS) {
+      if (!test(style)) continue;
+      const mark = doc.createElement(tag);
+      mark.append(...content);
+      content = [mark];
+    }
+    span.replaceWith(...content);
+  }
+}
+
+/**
+ * Normalise Word / Google Docs clipboard HTML.
+ *
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {boolean} [options.images=true] - Keep embedded images (pasted as
+ *   image blocks); false drops them
+ * @param {Function} [options.DOMParser] - Defaults to the global one
+ * @returns {{html: string, droppedImages: number}} Normalised HTML, and how
+ *   many images were dropped for not being on the web (not counting the
+ *   ones `images: false` drops)
+ */
+export function normalizeOfficeHtml(html, { images = true, DOMParser: Parser = globalThis.DOMParser } = {}) {
+  const doc = new Parser().parseFromString(html, 'text/html');
+  const { body } = doc;
+
+  body.querySelectorAll('style, meta, link, script, title, xml').forEach((el) => el.remove());
+  const comments = doc.createTreeWalker(body, 128 /* NodeFilter.SHOW_COMMENT */);
+  const toRemove = [];
+  while (comments.nextNode()) toRemove.push(comments.currentNode);
+  toRemove.forEach((node) => node.remove());
+  // Office namespace elements: <o:p> holds text (usually &nbsp;), VML shapes don't
+  for (const el of Array.from(body.querySelectorAll('*')).filter((node) => node.tagName.includes(':'))) {
+    if (/^v:/i.test(el.tagName)) el.remove();
+    else unwrap(el);
+  }
+
+  convertWordLists(doc);
+  for (const [className, tag] of Object.entries(WORD_HEADING_CLASSES)) {
+    for (const p of Array.from(body.querySelectorAll(`p.${className}`))) {
+      const heading = doc.createElement(tag);
+      heading.append(...p.childNodes);
+      p.replaceWith(heading);
+    }
+  }
+
+  // Google Docs wraps the whole clipboard in a bold that isn't bold
+  body
+    .querySelectorAll('b[id^="docs-internal-guid"], b[style*="font-weight:normal"], b[style*="font-weight: normal"]')
+    .forEach(unwrap);
+  convertStyledSpans(doc);
+
+  // Google Docs nests a sub-list as a sibling of its parent item
+  for (const list of Array.from(body.querySelectorAll('ul > ul, ul > ol, ol > ul, ol > ol'))) {
+    const item = list.previousElementSibling;
+    if (item?.tagName === 'LI') item.appendChild(list);
+  }
+  body.querySelectorAll('li > p').forEach(unwrap);
+  // Word bookmarks (<a name="_Toc…">) are anchors without a link
+  body.querySelectorAll('a:not([href])').forEach(unwrap);
+  body.querySelectorAll('span, font').forEach(unwrap);
+
+  let droppedImages = 0;
+  for (const img of Array.from(body.querySelectorAll('img'))) {
+    if (/^https?:/i.test(img.getAttribute('src') || '')) {
+      if (!images) img.remove();
+    } else {
+      if (images) droppedImages++;
+      img.remove();
+    }
+  }
+
+  for (const el of Array.from(body.querySelectorAll('*'))) {
+    for (const { name } of Array.from(el.attributes)) {
+      if (!['href', 'src', 'alt', 'colspan', 'rowspan'].includes(name)) el.removeAttribute(name);
+    }
+  }
+  // Empty paragraphs Word uses for spacing, Google Docs' <br> between
+  // paragraphs, and source-formatting whitespace between blocks
+  for (const p of Array.from(body.querySelectorAll('p'))) {
+    if (!p.textContent.replace(/[\s\u00a0]/g, '') && !p.querySelector('img')) p.remove();
+  }
+  for (const node of Array.from(body.querySelectorAll('*')).concat(body)) {
+    if (!['BODY', 'UL', 'OL'].includes(node.tagName)) continue;
+    for (const child of Array.from(node.childNodes)) {
+      if ((child.nodeType === 3 && !child.textContent.trim()) || (node === body && child.tagName === 'BR')) child.remove();
+    }
+  }
+  return { html: body.innerHTML.replace(/\u00a0/g, ' ').replace(/\s*\n\s*/g, ' '), droppedImages };
+}
@@ -0,0 +1,55 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { describe, it, expect } from 'vitest';
+import { isOfficeHtml, normalizeOfficeHtml } from './officePaste';
+
+// Clipboards copied from Word (Windows) and Google Docs (Chrome)
+const fixture = (name) => readFileSync(join(__dirname, 'fixtures', 'office', name), 'utf8');
+
+describe('isOfficeHtml', () => {
+  it('detects Word and Google Docs clipboards only', () => {
+    expect(isOfficeHtml(fixture('word.html'))).toBe(true);
+    expect(isOfficeHtml(fixture('google-docs.html'))).toBe(true);
+    expect(isOfficeHtml('<p>Plain <b>HTML</b></p>')).toBe(false);
+  });
+});
+
+describe('normalizeOfficeHtml', () => {
+  it('turns Word list paragraphs into nested lists and drops Office markup', () => {
+    expect(normalizeOfficeHtml(fixture('word.html'))).toEqual({
+      html:
+        '<h1>Quarterly report</h1>' +
+        '<p>Sales grew <b>12%</b> in <i>Q3</i>, see <a href="https://example.com/q3">details</a>.</p>' +
+        '<ul><li>North<ul><li>Retail</li></ul></li><li>South</li></ul>' +
+        '<ol><li>Hire</li><li>Expand</li></ol>' +
+        '<p><del>Old</del> <sup>1</sup></p>',
+      // The picture pointed at a temp file on the author's disk
+      droppedImages: 1,
+    });
+  });
+
+  it('reads Google Docs marks from span styles and fixes list nesting', () => {
+    expect(normalizeOfficeHtml(fixture('google-docs.html'))).toEqual({
+      html:
+        '<h2>Launch plan</h2>' +
+        '<p>Ship on <strong>Monday</strong><u><em> early</em></u></p>' +
+        '<ul><li>Blog post<ul><li>Draft</li></ul></li><li>Newsletter</li></ul>' +
+        '<p><img src="https://lh7-rt.googleusercontent.com/docsz/AD_4nXabc123"></p>',
+      droppedImages: 0,
+    });
+  });
+
+  it('drops embedded images when they should not become image blocks', () => {
+    const { html, droppedImages } = normalizeOfficeHtml(fixture('google-docs.html'), { images: false });
+    expect(html).not.toContain('<img');
+    expect(droppedImages).toBe(0);
+  });
+
+  it('drops inline data: images rather than store them in the page, and counts them', () => {
+    expect(
+      normalizeOfficeHtml(
+        '<p>Logo <img src="data:image/png;base64,iVBORw0KGgo="></p><p><img src="https://example.com/a.png"></p>',
+      ),
+    ).toEqual({ html: '<p>Logo </p><p><img src="https://example.com/a.png"></p>', droppedImages: 1 });
+  });
+});
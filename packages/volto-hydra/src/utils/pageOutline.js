@@ -0,0 +1,154 @@
+/**
+ * The page outline: the whole block tree of the page, built from
+ * blockPathMap, for the sidebar's outline panel (PageOutlineWidget).
+ *
+ *   region node → { key, parentId, region, title, blocks: [block node] }
+ *   block node  → { id, type, title, isTemplateInstance, readonly, fixed,
+ *                   regions: [region node] }
+ *
+ * The page's regions are the outline's roots. A block's regions are its
+ * container fields (getAllContainerFields) plus any region present only in
+ * its data (getContainerRegionDescriptors with the instance). A template
+ * instance is a virtual block whose one region holds the instance's blocks.
+ * blockPathMap is built in layout order, so its entry order is page order.
+ *
+ * canDropInOutline decides where a dragged node may land. Pure (no React).
+ */
+import { PAGE_BLOCK_UID, canContain } from '@volto-hydra/hydra-js';
+import { isBlockReadonly, isBlockPositionLocked } from '@volto-hydra/helpers';
+import {
+  getBlockById,
+  getAllContainerFields,
+  getContainerRegionDescriptors,
+  getContainerFieldConfig,
+  getContainerItems,
+} from './blockPath';
+
+// Display title, as the sidebar's child lists show it: the block's own text
+// first, then its configured title.
+function outlineTitle(block, pathInfo, blocksConfig, index) {
+  if (pathInfo.isTemplateInstance) return pathInfo.blockType;
+  const type = pathInfo.blockType || block?.['@type'];
+  const text = block?.title || block?.plaintext;
+  if (text) return text;
+  if (pathInfo.isObjectListItem && !pathInfo.typeField) return `Item ${index + 1}`;
+  return blocksConfig?.[type]?.title || type || 'Block';
+}
+
+/**
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {Object} blocksConfig
+ * @param {Object} intl
+ * @param {string[]} [templateEditMode=[]] - The unlocked template instance ids
+ * @returns {Array<Object>} The page's region nodes
+ */
+export function buildPageOutline(formData, blockPathMap, blocksConfig, intl, templateEditMode = []) {
+  if (!formData || !blockPathMap) return [];
+  const childrenOf = new Map();
+  for (const [id, info] of Object.entries(blockPathMap)) {
+    if (id.startsWith('_') || !info?.parentId) continue;
+    if (!childrenOf.has(info.parentId)) childrenOf.set(info.parentId, []);
+    childrenOf.get(info.parentId).push([id, info]);
+  }
+
+  const regionsOf = (parentId) => {
+    const fields = getAllContainerFields(parentId, blockPathMap, formData, blocksConfig, intl, templateEditMode);
+    const regions = fields.map((field) => ({ region: field.region, title: field.title }));
+    const pathInfo = blockPathMap[parentId];
+    if (parentId !== PAGE_BLOCK_UID && !pathInfo?.isTemplateInstance) {
+      const block = getBlockById(formData, blockPathMap, parentId);
+      for (const descriptor of getContainerRegionDescriptors(pathInfo?.blockType, blocksConfig, intl, block)) {
+        if (!regions.some((r) => r.region === descriptor.region)) {
+          regions.push({ region: descriptor.region, title: descriptor.region });
+        }
+      }
+    }
+    return regions.map(({ region, title }) => {
+      // A template instance's blocks sit in its parent's region; they are all its one region
+      const children = (childrenOf.get(parentId) || []).filter(
+        ([, info]) => pathInfo?.isTemplateInstance || (info.region || 'items') === region,
+      );
+      return {
+        key: `${parentId}:${region}`,
+        parentId,
+        region,
+        title,
+        blocks: children.map(([id, info], index) => blockNode(id, info, index)),
+      };
+    });
+  };
+
+  const blockNode = (id, pathInfo, index) => {
+    const block = getBlockById(formData, blockPathMap, id);
+    return {
+      id,
+      type: pathInfo.blockType || block?.['@type'],
+      title: outlineTitle(block, pathInfo, blocksConfig, index),
+      isTemplateInstance: !!pathInfo.isTemplateInstance,
+      readonly: !pathInfo.isTemplateInstance && !!block && isBlockReadonly(block, templateEditMode),
+      fixed: !pathInfo.isTemplateInstance && !!block && isBlockPositionLocked(block, templateEditMode),
+      regions: regionsOf(id),
+    };
+  };
+
+  return regionsOf(PAGE_BLOCK_UID);
+}
+
+// The real container a block lives in (a template instance's is its parent's)
+function containerOf(blockId, blockPathMap) {
+  const info = blockPathMap[blockId];
+  const parentId = blockPathMap[info?.parentId]?.isTemplateInstance
+    ? blockPathMap[info.parentId].parentId
+    : info?.parentId;
+  return { parentId, region: info?.region || 'items' };
+}
+
+/**
+ * Whether a dragged outline node may be dropped before/after a target node.
+ * A readonly or fixed block doesn't move, and nothing moves into or out of
+ * a readonly container. Otherwise reordering within a container is always
+ * allowed; moving to another one needs the target container to accept the
+ * block (canContain: allowed type, room under maxLength). A template
+ * instance moves as a unit within its container only; a block never moves
+ * into its own subtree.
+ *
+ * @param {Object} formData
+ * @param {Object} blockPathMap
+ * @param {Object} blocksConfig
+ * @param {Object} intl
+ * @param {string} dragId
+ * @param {string} targetId
+ * @param {string[]} [templateEditMode=[]]
+ * @returns {boolean}
+ */
+export function canDropInOutline(formData, blockPathMap, blocksConfig, intl, dragId, targetId, templateEditMode = []) {
+  if (!dragId || !targetId || dragId === targetId) return false;
+  for (let id = blockPathMap[targetId]?.parentId; id; id = blockPathMap[id]?.parentId) {
+    if (id === dragId) return false;
+  }
+  const source = containerOf(dragId, blockPathMap);
+  const target = containerOf(targetId, blockPathMap);
+  if (!source.parentId || !target.parentId) return false;
+  const dragBlock = getBlockById(formData, blockPathMap, dragId);
+  if (
+    !blockPathMap[dragId]?.isTemplateInstance &&
+    dragBlock &&
+    (isBlockReadonly(dragBlock, templateEditMode) || isBlockPositionLocked(dragBlock, templateEditMode))
+  ) {
+    return false;
+  }
+  const isReadonlyContainer = (parentId) =>
+    parentId !== PAGE_BLOCK_UID &&
+    isBlockReadonly(getBlockById(formData, blockPathMap, parentId), templateEditMode);
+  if (isReadonlyContainer(source.parentId) || isReadonlyContainer(target.parentId)) return false;
+  if (source.parentId === target.parentId && source.region === target.region) return true;
+  if (blockPathMap[dragId]?.isTemplateInstance) return false;
+
+  const config = getContainerFieldConfig(targetId, blockPathMap, formData, blocksConfig, intl);
+  if (!config) return false;
+  const parentBlock =
+    config.parentId === PAGE_BLOCK_UID ? formData : getBlockById(formData, blockPathMap, config.parentId);
+  const dragType = blockPathMap[dragId]?.blockType || dragBlock?.['@type'];
+  return canContain(config, dragType, getContainerItems(parentBlock, config).length);
+}
@@ -0,0 +1,144 @@
+import { describe, test, expect } from 'vitest';
+import { buildBlockPathMap } from './blockPath.js';
+import { buildPageOutline, canDropInOutline } from './pageOutline';
+
+const intl = { formatMessage: (m) => m?.defaultMessage || m?.id || '' };
+
+const blocksConfig = {
+  _page: {
+    id: '_page',
+    schema: () => ({
+      properties: {
+        items: { widget: 'blocks_layout' },
+        footer: { widget: 'blocks_layout', title: 'Footer' },
+      },
+    }),
+  },
+  slate: { id: 'slate', title: 'Text' },
+  image: { id: 'image', title: 'Image' },
+  section: {
+    id: 'section',
+    title: 'Section',
+    schema: () => ({
+      properties: {
+        items: { widget: 'blocks_layout', title: 'Content', allowedBlocks: ['slate'], maxLength: 2 },
+      },
+    }),
+  },
+  slider: {
+    id: 'slider',
+    title: 'Slider',
+    schema: () => ({
+      properties: {
+        slides: { widget: 'object_list', title: 'Slides', schema: { properties: { title: { type: 'string' } } } },
+      },
+    }),
+  },
+};
+
+const makeForm = () => ({
+  '@type': 'Document',
+  blocks: {
+    intro: { '@type': 'slate', plaintext: 'Welcome' },
+    pic: { '@type': 'image' },
+    section: {
+      '@type': 'section',
+      blocks: { s1: { '@type': 'slate', plaintext: 'Inside' } },
+      blocks_layout: { items: ['s1'] },
+    },
+    locked: {
+      '@type': 'section',
+      readOnly: true,
+      fixed: true,
+      blocks: { l1: { '@type': 'slate' } },
+      blocks_layout: { items: ['l1'] },
+    },
+    slider: { '@type': 'slider', slides: [{ '@id': 'sl1' }, { '@id': 'sl2', title: 'Second' }] },
+    f1: { '@type': 'slate', plaintext: 'Footer text' },
+  },
+  blocks_layout: {
+    items: ['intro', 'pic', 'section', 'locked', 'slider'],
+    footer: ['f1'],
+  },
+});
+
+const setup = () => {
+  const form = makeForm();
+  return { form, map: buildBlockPathMap(form, blocksConfig, intl) };
+};
+
+describe('buildPageOutline', () => {
+  test('lists every page region and nests container regions and object_list items', () => {
+    const { form, map } = setup();
+    const outline = buildPageOutline(form, map, blocksConfig, intl);
+    expect(outline.map((r) => [r.region, r.blocks.map((b) => b.id)])).toEqual([
+      ['items', ['intro', 'pic', 'section', 'locked', 'slider']],
+      ['footer', ['f1']],
+    ]);
+    const [intro, pic, section, locked, slider] = outline[0].blocks;
+    expect([intro.title, pic.title]).toEqual(['Welcome', 'Image']);
+    expect(section.regions).toMatchObject([{ region: 'items', title: 'Content', blocks: [{ id: 's1', title: 'Inside' }] }]);
+    expect(slider.regions[0].blocks.map((b) => b.title)).toEqual(['Item 1', 'Second']);
+    expect(locked).toMatchObject({ readonly: true, fixed: true });
+    expect(intro).toMatchObject({ readonly: false, fixed: false, regions: [] });
+  });
+
+  test('groups template blocks under a virtual template instance node', () => {
+    const form = makeForm();
+    form.blocks.t1 = { '@type': 'slate', templateId: '/templates/hero', templateInstanceId: 'inst', fixed: true };
+    form.blocks.t2 = { '@type': 'slate', templateId: '/templates/hero', templateInstanceId: 'inst', slotId: 'body' };
+    form.blocks_layout.items.push('t1', 't2');
+    const map = buildBlockPathMap(form, blocksConfig, intl);
+    const instance = buildPageOutline(form, map, blocksConfig, intl)[0].blocks.at(-1);
+    expect(instance).toMatchObject({ id: 'inst', isTemplateInstance: true, title: 'Template: hero' });
+    expect(instance.regions[0].blocks.map((b) => [b.id, b.fixed])).toEqual([['t1', true], ['t2', false]]);
+  });
+});
+
+describe('canDropInOutline', () => {
+  test('allows reordering within a container and moves the target container accepts', () => {
+    const { form, map } = setup();
+    const can = (drag, target) => canDropInOutline(form, map, blocksConfig, intl, drag, target);
+    expect(can('pic', 'intro')).toBe(true);
+    expect(can('intro', 'f1')).toBe(true);
+    expect(can('intro', 's1')).toBe(true);
+    // The section only takes text blocks
+    expect(can('pic', 's1')).toBe(false);
+    // A readonly container takes nothing
+    expect(can('intro', 'l1')).toBe(false);
+    // Never into its own subtree
+    expect(can('section', 's1')).toBe(false);
+    expect(can('intro', 'intro')).toBe(false);
+  });
+
+  test('refuses a move that would exceed maxLength', () => {
+    const form = makeForm();
+    form.blocks.section.blocks.s2 = { '@type': 'slate' };
+    form.blocks.section.blocks_layout.items.push('s2');
+    const map = buildBlockPathMap(form, blocksConfig, intl);
+    expect(canDropInOutline(form, map, blocksConfig, intl, 'intro', 's1')).toBe(false);
+    // Reordering inside the full container still works
+    expect(canDropInOutline(form, map, blocksConfig, intl, 's2', 's1')).toBe(true);
+  });
+
+  test('keeps readonly and fixed blocks, and readonly containers, as they are', () => {
+    const form = makeForm();
+    form.blocks.pic.readOnly = true;
+    form.blocks.f1.fixed = true;
+    form.blocks.locked.blocks.l2 = { '@type': 'slate' };
+    form.blocks.locked.blocks_layout.items.push('l2');
+    form.blocks_layout.footer.push('f2');
+    form.blocks.f2 = { '@type': 'slate' };
+    const map = buildBlockPathMap(form, blocksConfig, intl);
+    const can = (drag, target) => canDropInOutline(form, map, blocksConfig, intl, drag, target);
+    // Not even within their own container
+    expect(can('pic', 'intro')).toBe(false);
+    expect(can('f1', 'f2')).toBe(false);
+    expect(can('locked', 'intro')).toBe(false);
+    // Nothing reorders inside, or leaves, a readonly container
+    expect(can('l2', 'l1')).toBe(false);
+    expect(can('l1', 'intro')).toBe(false);
+    // Other blocks may still be dropped beside them
+    expect(can('intro', 'pic')).toBe(true);
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * HTML paste → custom blocks, driven by `css:` keys in a block's fieldMappings.
+ *
+ * A block type claims pasted elements with a CSS selector and maps what it
+ * needs from them onto its own fields:
+ *
+ *   video: {
+ *     fieldMappings: {
+ *       'css:video, iframe[src*="youtube"]': {
+ *         src: 'url',                       // attribute of the matched element
+ *         'figcaption::text': 'caption',    // text of a descendant
+ *         '::attr(title)': 'title',         // explicit attribute form
+ *       },
+ *     },
+ *   }
+ *
+ * Field keys: a bare attribute name, or `<selector>::text` / `::html` /
+ * `::attr(name)` where the selector is looked up inside the matched element
+ * (empty = the element itself). Targets are `/`-paths into the new block.
+ *
+ * The paste runs in two halves around volto-slate's `insertData`:
+ *   1. extractPastedBlocks — matched elements are lifted out of the HTML and
+ *      replaced by a placeholder paragraph; the rest of the HTML is unchanged
+ *      and still goes through the normal slate deserializer.
+ *   2. splitAtPasteBlockTokens — after insertData, each placeholder is cut out
+ *      of the editor value and replaced by an empty marker element, so the
+ *      toolbar's paste loop emits the extracted block at exactly that position.
+ *
+ * Pure (no React); SyncedSlateToolbar's 'paste' transform wires it in.
+ */
+import { Editor, Node, Transforms } from 'slate';
+import { canContain } from '@volto-hydra/hydra-js';
+import {
+  cloneBlocksWithNewIds,
+  getChildBlockEntries,
+  getChildFields,
+  isSlateFieldType,
+  setChildBlockEntries,
+  setFieldValue,
+} from '@volto-hydra/helpers';
+
+/** fieldMappings key prefix that marks an HTML-paste selector. */
+export const CSS_MAPPING_PREFIX = 'css:';
+
+/** Element property that marks where an extracted block goes in the editor. */
+export const PASTE_BLOCK_MARKER = 'hydraPasteBlock';
+
+const TOKEN_RE = /⟦hydra-paste-block:(\d+)⟧/;
+const pasteToken = (index) => `⟦hydra-paste-block:${index}⟧`;
+
+const FIELD_KEY_RE = /^(.*?)::(text|html|attr\(\s*([^)\s]+)\s*\))$/;
+
+/**
+ * Collect the `css:` mappings from the block registry — only those of types
+ * the container being pasted into takes, so an element no block there could
+ * hold stays in the pasted text.
+ *
+ * @param {Object} blocksConfig - config.blocks.blocksConfig
+ * @param {Object} [options]
+ * @param {string[]|null} [options.allowedBlocks] - The container's allowed
+ *   types (allowedSiblingTypes; for an object_list, its item types). null
+ *   allows all.
+ * @returns {Array<{blockType: string, selector: string, fields: Object}>}
+ */
+export function getCssFieldMappings(blocksConfig, { allowedBlocks = null } = {}) {
+  const mappings = [];
+  for (const [blockType, blockConfig] of Object.entries(blocksConfig || {})) {
+    const fieldMappings = blockConfig?.fieldMappings;
+    if (!fieldMappings || blockConfig.restricted === true) continue;
+    if (allowedBlocks && !allowedBlocks.includes(blockType)) continue;
+    for (const [key, fields] of Object.entries(fieldMappings)) {
+      if (!key.startsWith(CSS_MAPPING_PREFIX)) continue;
+      const selector = key.slice(CSS_MAPPING_PREFIX.length).trim();
+      if (selector) mappings.push({ blockType, selector, fields: fields || {} });
+    }
+  }
+  return mappings;
+}
+
+/** True if `selector` parses — used to warn about bad keys at INIT. */
+export function isValidCssSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function matchesSelector(el, selector) {
+  try {
+    return el.matches(selector);
+  } catch {
+    return false;
+  }
+}
+
+/** Read one mapped value: `{ value, html }` or null when absent. */
+function readMappedValue(el, key) {
+  const parsed = FIELD_KEY_RE.exec(key);
+  if (!parsed) {
+    return el.hasAttribute(key) ? { value: el.getAttribute(key) } : null;
+  }
+  const [, selector, kind, attrName] = parsed;
+  let source = el;
+  if (selector.trim()) {
+    try {
+      source = el.querySelector(selector.trim());
+    } catch {
+      source = null;
+    }
+  }
+  if (!source) return null;
+  if (kind === 'text') return { value: source.textContent.trim() };
+  if (kind === 'html') return { value: source.innerHTML.trim(), html: true };
+  return source.hasAttribute(attrName)
+    ? { value: source.getAttribute(attrName) }
+    : null;
+}
+
+function buildPastedBlock(el, { blockType, fields }, { fieldTypes, toSlate }) {
+  let block = { '@type': blockType };
+  for (const [key, target] of Object.entries(fields)) {
+    const read = readMappedValue(el, key);
+    if (!read || read.value === '') continue;
+    let value = read.value;
+    if (isSlateFieldType(fieldTypes?.[blockType]?.[target])) {
+      value = read.html && toSlate
+        ? toSlate(value)
+        : [{ type: 'p', children: [{ text: value }] }];
+    }
+    block = setFieldValue(block, target, value);
+  }
+  return block;
+}
+
+const isBlankNode = (node) =>
+  node.nodeType === 3
+    ? !node.textContent.trim()
+    : node.nodeType === 1 && !node.textContent.trim() &&
+      !node.querySelector('img, video, iframe, audio, embed, object, picture, svg');
+
+/**
+ * Move `el` up to a direct child of `body`, splitting each ancestor in two
+ * around it (`<div>a<video/>b</div>` → `<div>a</div><video/><div>b</div>`).
+ * Halves left with no content are dropped.
+ */
+function liftToTopLevel(el, body) {
+  while (el.parentNode && el.parentNode !== body) {
+    const parent = el.parentNode;
+    const after = parent.cloneNode(false);
+    while (el.nextSibling) after.appendChild(el.nextSibling);
+    parent.after(el);
+    el.after(after);
+    if (Array.from(after.childNodes).every(isBlankNode)) after.remove();
+    if (Array.from(parent.childNodes).every(isBlankNode)) parent.remove();
+  }
+}
+
+/**
+ * Split elements claimed by `css:` mappings out of pasted HTML.
+ *
+ * The first mapping (registry order) whose selector matches an element wins,
+ * and a claimed element's descendants are not matched again. Each claimed
+ * element becomes a block and is replaced in the HTML by a placeholder
+ * paragraph (see splitAtPasteBlockTokens). When nothing matches, the HTML is
+ * returned untouched.
+ *
+ * @param {string} html - Pasted HTML
+ * @param {Array} mappings - From getCssFieldMappings
+ * @param {Object} [options]
+ * @param {Object} [options.fieldTypes] - blockFieldTypes (blockType → field → type)
+ * @param {Function} [options.toSlate] - HTML → slate value, for `::html` into slate fields
+ * @returns {{ html: string, blocks: Object[] }}
+ */
+export function extractPastedBlocks(html, mappings, options = {}) {
+  if (!html || !mappings?.length) return { html, blocks: [] };
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const { body } = doc;
+
+  const claimed = [];
+  for (const el of body.querySelectorAll('*')) {
+    if (claimed.some(({ el: outer }) => outer.contains(el))) continue;
+    const mapping = mappings.find((m) => matchesSelector(el, m.selector));
+    if (mapping) claimed.push({ el, mapping });
+  }
+  if (claimed.length === 0) return { html, blocks: [] };
+
+  const blocks = claimed.map(({ el, mapping }, index) => {
+    const block = buildPastedBlock(el, mapping, options);
+    liftToTopLevel(el, body);
+    const placeholder = doc.createElement('p');
+    placeholder.textContent = pasteToken(index);
+    el.replaceWith(placeholder);
+    return block;
+  });
+  return { html: body.innerHTML, blocks };
+}
+
+/**
+ * After insertData: cut each placeholder token out of the editor and put a
+ * marker element (`{ [PASTE_BLOCK_MARKER]: index }`) at the top level in its
+ * place, splitting the paragraph it landed in. A marker never ends up first,
+ * so the block being pasted into always keeps child 0.
+ *
+ * @param {Editor} editor - Slate editor the paste was inserted into
+ */
+export function splitAtPasteBlockTokens(editor) {
+  Editor.withoutNormalizing(editor, () => {
+    for (;;) {
+      let found = null;
+      for (const [textNode, path] of Node.texts(editor)) {
+        const match = TOKEN_RE.exec(textNode.text);
+        if (match) {
+          found = { path, match };
+          break;
+        }
+      }
+      if (!found) break;
+
+      const { path, match } = found;
+      const at = { path, offset: match.index };
+      Transforms.delete(editor, {
+        at: { anchor: at, focus: { path, offset: match.index + match[0].length } },
+      });
+      Transforms.splitNodes(editor, {
+        at,
+        match: (n, p) => p.length === 1,
+        always: true,
+      });
+      Transforms.insertNodes(
+        editor,
+        { type: 'p', [PASTE_BLOCK_MARKER]: Number(match[1]), children: [{ text: '' }] },
+        { at: [path[0] + 1], select: false },
+      );
+    }
+  });
+}
+
+/**
+ * The pasted blocks a container can still take, in order: each of an
+ * allowed type while there's room under its maxLength (canContain). Checked
+ * again when they are inserted, since the paste's text may have split into
+ * blocks of its own and the form may have changed since the paste began.
+ *
+ * @param {Array<[string, Object]>} blocks - [blockId, blockData] tuples
+ * @param {Object} containerConfig - From getContainerFieldConfig
+ * @param {number} count - Blocks the container holds now
+ * @returns {{fits: Array<[string, Object]>, dropped: Array<[string, Object]>}}
+ */
+export function fitPastedBlocks(blocks, containerConfig, count) {
+  const fits = [];
+  const dropped = [];
+  for (const entry of blocks) {
+    if (canContain(containerConfig, entry[1]?.['@type'], count + fits.length)) fits.push(entry);
+    else dropped.push(entry);
+  }
+  return { fits, dropped };
+}
+
+// The block without the blocks nested in it, at any depth, whose type the
+// site doesn't have (items without an `@type` are the list's own)
+function withoutUnknownBlocks(block, blocksConfig) {
+  const fields = getChildFields(block);
+  if (fields.length === 0) return block;
+  const copy = { ...block };
+  if (fields.some((field) => !field.isObjectList)) {
+    copy.blocks = {};
+    copy.blocks_layout = {};
+  }
+  for (const field of fields) {
+    const kept = getChildBlockEntries(block, field)
+      .filter(({ block: child }) => !child?.['@type'] || blocksConfig[child['@type']])
+      .map(({ id, block: child }) => ({ id, block: withoutUnknownBlocks(child, blocksConfig) }));
+    setChildBlockEntries(copy, field, kept);
+  }
+  return copy;
+}
+
+/**
+ * Blocks read off the system clipboard (maybe copied in another tab or on
+ * another site), ready to insert. Blocks of types this site doesn't have
+ * are dropped, nested ones too. The rest are copied as a copy within the
+ * page is: the type's `cloneData` when it has one, else fresh ids all the
+ * way down — even for a cut, since the source is out of reach.
+ *
+ * @param {Array<[string, Object]>} blocks - [blockId, blockData] tuples
+ * @param {Object} blocksConfig - config.blocks.blocksConfig
+ * @param {function(): string} uuidGenerator
+ * @returns {Array<[string, Object]>} [newId, blockData] tuples
+ */
+export function cloneClipboardBlocks(blocks, blocksConfig, uuidGenerator) {
+  return blocks
+    .filter(([blockId, blockData]) => blockId && blocksConfig[blockData?.['@type']])
+    .map(([blockId, blockData]) => {
+      const known = withoutUnknownBlocks(blockData, blocksConfig);
+      const blockConfig = blocksConfig[known['@type']];
+      if (blockConfig.cloneData) return blockConfig.cloneData(known);
+      const { blocks: cloned, layout } = cloneBlocksWithNewIds({ [blockId]: known }, [blockId], uuidGenerator, {
+        filterNested: false,
+      });
+      return [layout[0], cloned[layout[0]]];
+    });
+}
+
+/** Index of the extracted block a top-level node stands for, or undefined. */
+export const getPasteBlockIndex = (node) => node?.[PASTE_BLOCK_MARKER];
@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest';
+import { createEditor, Node } from 'slate';
+import {
+  getCssFieldMappings,
+  extractPastedBlocks,
+  splitAtPasteBlockTokens,
+  getPasteBlockIndex,
+  isValidCssSelector,
+  fitPastedBlocks,
+  cloneClipboardBlocks,
+} from './pasteBlocks';
+
+const blocksConfig = {
+  video: {
+    fieldMappings: {
+      'css:video, iframe[src*="youtube"]': { src: 'url', '::attr(title)': 'title' },
+    },
+  },
+  figure: {
+    fieldMappings: {
+      'css:figure': {
+        'img::attr(src)': 'url',
+        'img::attr(alt)': 'alt',
+        'figcaption::html': 'caption',
+      },
+      '@default': { title: 'title' },
+    },
+  },
+  callout: {
+    fieldMappings: { 'css:div.callout': { '::text': 'text' } },
+  },
+  slate: {},
+};
+const fieldTypes = { callout: { text: 'slate' }, figure: { caption: 'slate' } };
+const toSlate = (html) => [{ type: 'p', children: [{ text: `slate(${html})` }] }];
+
+const extract = (html) =>
+  extractPastedBlocks(html, getCssFieldMappings(blocksConfig), { fieldTypes, toSlate });
+
+describe('getCssFieldMappings', () => {
+  it('collects css: keys only, stripping the prefix', () => {
+    expect(getCssFieldMappings(blocksConfig).map((m) => [m.blockType, m.selector])).toEqual([
+      ['video', 'video, iframe[src*="youtube"]'],
+      ['figure', 'figure'],
+      ['callout', 'div.callout'],
+    ]);
+  });
+
+  it('skips restricted block types', () => {
+    const config = { ...blocksConfig, video: { ...blocksConfig.video, restricted: true } };
+    expect(getCssFieldMappings(config).map((m) => m.blockType)).not.toContain('video');
+  });
+
+  it('keeps only the types the container takes', () => {
+    const mappings = getCssFieldMappings(blocksConfig, { allowedBlocks: ['slate', 'figure'] });
+    expect(mappings.map((m) => m.blockType)).toEqual(['figure']);
+    // A video the container can't hold stays in the pasted HTML
+    const html = '<p>a</p><video src="v.mp4"></video>';
+    expect(extractPastedBlocks(html, mappings, { fieldTypes, toSlate })).toEqual({ html, blocks: [] });
+  });
+});
+
+describe('fitPastedBlocks', () => {
+  const blocks = [
+    ['a', { '@type': 'slate' }],
+    ['b', { '@type': 'video' }],
+    ['c', { '@type': 'slate' }],
+    ['d', { '@type': 'slate' }],
+  ];
+
+  it('drops types the container does not allow and blocks past maxLength', () => {
+    const { fits, dropped } = fitPastedBlocks(blocks, { allowedBlocks: ['slate'], maxLength: 4 }, 2);
+    expect(fits.map(([id]) => id)).toEqual(['a', 'c']);
+    expect(dropped.map(([id]) => id)).toEqual(['b', 'd']);
+  });
+
+  it('takes everything where the container has no limits', () => {
+    expect(fitPastedBlocks(blocks, {}, 10).fits).toEqual(blocks);
+  });
+});
+
+describe('extractPastedBlocks', () => {
+  it('returns the html untouched when nothing matches', () => {
+    const html = '<p>Just <b>text</b></p>';
+    expect(extract(html)).toEqual({ html, blocks: [] });
+  });
+
+  it('maps attributes and descendants onto block fields', () => {
+    const { blocks } = extract(
+      '<video src="/clip.mp4" title="Launch"></video>' +
+        '<figure><img src="/a.jpg" alt="A"><figcaption>Hi <i>there</i></figcaption></figure>',
+    );
+    expect(blocks).toEqual([
+      { '@type': 'video', url: '/clip.mp4', title: 'Launch' },
+      {
+        '@type': 'figure',
+        url: '/a.jpg',
+        alt: 'A',
+        caption: [{ type: 'p', children: [{ text: 'slate(Hi <i>there</i>)' }] }],
+      },
+    ]);
+  });
+
+  it('wraps plain text for slate fields and omits missing values', () => {
+    const { blocks } = extract('<div class="callout"> Careful! </div><video></video>');
+    expect(blocks).toEqual([
+      { '@type': 'callout', text: [{ type: 'p', children: [{ text: 'Careful!' }] }] },
+      { '@type': 'video' },
+    ]);
+  });
+
+  it('replaces matches with placeholders, lifting them out of their wrappers', () => {
+    const { html, blocks } = extract(
+      '<div><p>Before</p><iframe src="https://youtube.com/embed/x"></iframe><p>After</p></div>',
+    );
+    expect(blocks).toHaveLength(1);
+    expect(html).toBe(
+      '<div><p>Before</p></div><p>⟦hydra-paste-block:0⟧</p><div><p>After</p></div>',
+    );
+  });
+
+  it('does not match inside an already-claimed element', () => {
+    const { blocks } = extract('<div class="callout">See <video src="/v.mp4"></video></div>');
+    expect(blocks.map((b) => b['@type'])).toEqual(['callout']);
+  });
+
+  it('ignores selectors that do not parse', () => {
+    const mappings = [{ blockType: 'bad', selector: 'video[', fields: {} }];
+    expect(extractPastedBlocks('<video></video>', mappings).blocks).toEqual([]);
+    expect(isValidCssSelector('video[')).toBe(false);
+    expect(isValidCssSelector('iframe[src*="youtube"]')).toBe(true);
+  });
+});
+
+describe('splitAtPasteBlockTokens', () => {
+  const p = (text) => ({ type: 'p', children: [{ text }] });
+
+  it('splits the paragraph a placeholder landed in around a marker', () => {
+    const editor = createEditor();
+    editor.children = [p('Intro ⟦hydra-paste-block:0⟧ outro'), p('⟦hydra-paste-block:1⟧')];
+
+    splitAtPasteBlockTokens(editor);
+
+    expect(editor.children.map((n) => [Node.string(n), getPasteBlockIndex(n)])).toEqual([
+      ['Intro ', undefined],
+      ['', 0],
+      [' outro', undefined],
+      ['', undefined],
+      ['', 1],
+      ['', undefined],
+    ]);
+  });
+
+  it('leaves an editor without placeholders alone', () => {
+    const editor = createEditor();
+    editor.children = [p('Nothing here')];
+    splitAtPasteBlockTokens(editor);
+    expect(editor.children).toEqual([p('Nothing here')]);
+  });
+});
+
+describe('cloneClipboardBlocks', () => {
+  const counter = () => {
+    let n = 0;
+    return () => `new-${++n}`;
+  };
+  const config = {
+    slate: {},
+    gridBlock: {},
+    video: { cloneData: (data) => ['video-copy', { ...data, copied: true }] },
+  };
+
+  it('drops unknown types at any depth and gives the rest fresh ids', () => {
+    const grid = {
+      '@type': 'gridBlock',
+      blocks: {
+        t: { '@type': 'slate', text: 'u' },
+        u: { '@type': 'otherSiteWidget' },
+      },
+      blocks_layout: { items: ['t', 'u'] },
+    };
+    const pasted = cloneClipboardBlocks(
+      [['g', grid], ['x', { '@type': 'otherSiteWidget' }], ['s', { '@type': 'slate' }]],
+      config,
+      counter(),
+    );
+    expect(pasted.map(([id]) => id)).toEqual(['new-1', 'new-3']);
+    const [, copy] = pasted[0];
+    expect(copy.blocks_layout.items).toEqual(['new-2']);
+    expect(copy.blocks).toEqual({ 'new-2': { '@type': 'slate', text: 'u' } });
+    // The clipboard's own data is untouched
+    expect(Object.keys(grid.blocks)).toEqual(['t', 'u']);
+  });
+
+  it("uses a type's cloneData", () => {
+    expect(cloneClipboardBlocks([['v', { '@type': 'video', url: 'x' }]], config, counter())).toEqual([
+      ['video-copy', { '@type': 'video', url: 'x', copied: true }],
+    ]);
+  });
+});
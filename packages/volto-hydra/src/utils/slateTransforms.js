@@ -20,6 +20,13 @@ export { mergeBlockValues };
 // Inline formatting element types that should be removed when empty
 const INLINE_FORMAT_TYPES = ['strong', 'em', 'del', 'sub', 'sup'];
 
+// ...plus the inline/element formats a frontend declared (installSlateFormats)
+const isInlineFormatType = (type) =>
+  INLINE_FORMAT_TYPES.includes(type) ||
+  (config.settings.slate?.hydraFormats || []).some(
+    (f) => f.name === type && f.type !== 'block',
+  );
+
 /**
  * Editor extension that removes empty inline formatting elements (strong, em, etc.)
  * Similar to how volto-slate's withSimpleLink removes empty links.
@@ -34,7 +41,7 @@ export function withEmptyInlineRemoval(editor) {
     const [node, path] = entry;
 
     // Check if this is an empty inline formatting element
-    if (Element.isElement(node) && INLINE_FORMAT_TYPES.includes(node.type)) {
+    if (Element.isElement(node) && isInlineFormatType(node.type)) {
       const isEmpty = node.children.every(
         (child) => Text.isText(child) && child.text === ''
       );
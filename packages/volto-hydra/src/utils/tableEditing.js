@@ -0,0 +1,339 @@
+/**
+ * Cell merging and header toggles for the table toolbar, and pasting
+ * spreadsheet ranges into a table. Everything works
+ * on a table's rows array (an object_list of rows, each holding an
+ * object_list of cells) and returns a new array — callers read and write
+ * it with getChildBlockEntries / setChildBlockEntries.
+ *
+ * A merge keeps the grid: the top-left cell gets `colspan` / `rowspan` and
+ * the cells it spans over stay in place, hidden by the renderer
+ * (getCoveredTableCells in @volto-hydra/helpers). Splitting drops the spans
+ * and the hidden cells come back with their content.
+ */
+import {
+  getChildBlockEntries,
+  getCoveredTableCells,
+  isBlockPositionLocked,
+  isBlockReadonly,
+} from '@volto-hydra/helpers';
+
+const DEFAULT_OPTIONS = { idField: 'key', cellsField: 'cells' };
+
+const HEADER_MODES = ['row', 'col', 'both'];
+
+const spanOf = (cell) => ({
+  colspan: Math.max(1, Number(cell?.colspan) || 1),
+  rowspan: Math.max(1, Number(cell?.rowspan) || 1),
+});
+
+/**
+ * @param {Array<Object>} rows
+ * @param {string} cellId
+ * @param {{idField?: string, cellsField?: string}} [options]
+ * @returns {{rowIndex: number, colIndex: number}|null}
+ */
+export function findTableCell(rows, cellId, options = {}) {
+  const { idField, cellsField } = { ...DEFAULT_OPTIONS, ...options };
+  for (let rowIndex = 0; rowIndex < (rows || []).length; rowIndex++) {
+    const colIndex = (rows[rowIndex]?.[cellsField] || []).findIndex((cell) => cell[idField] === cellId);
+    if (colIndex !== -1) return { rowIndex, colIndex };
+  }
+  return null;
+}
+
+// The cells a merge in `direction` would take in: the column right of the
+// span, or the row below it
+function mergeTargets(rows, { rowIndex, colIndex }, direction, cellsField) {
+  const { colspan, rowspan } = spanOf(rows[rowIndex][cellsField][colIndex]);
+  const targets = [];
+  if (direction === 'right') {
+    for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+      targets.push(rows[r]?.[cellsField]?.[colIndex + colspan]);
+    }
+  } else {
+    for (let c = colIndex; c < colIndex + colspan; c++) {
+      targets.push(rows[rowIndex + rowspan]?.[cellsField]?.[c]);
+    }
+  }
+  return targets;
+}
+
+/**
+ * Whether the cell can merge with its right / lower neighbours: every cell
+ * along that side must exist, be visible and not be merged itself.
+ *
+ * @param {Array<Object>} rows
+ * @param {string} cellId
+ * @param {'right'|'down'} direction
+ * @param {{idField?: string, cellsField?: string}} [options]
+ * @returns {boolean}
+ */
+export function canMergeTableCell(rows, cellId, direction, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const position = findTableCell(rows, cellId, opts);
+  if (!position) return false;
+  const covered = getCoveredTableCells(rows, opts);
+  if (covered.has(cellId)) return false;
+  return mergeTargets(rows, position, direction, opts.cellsField).every((target) => {
+    if (!target || covered.has(target[opts.idField])) return false;
+    const { colspan, rowspan } = spanOf(target);
+    return colspan === 1 && rowspan === 1;
+  });
+}
+
+// Copy of rows with one cell replaced
+function updateCell(rows, { rowIndex, colIndex }, cellsField, update) {
+  return rows.map((row, r) => {
+    if (r !== rowIndex) return row;
+    const cells = [...row[cellsField]];
+    cells[colIndex] = update({ ...cells[colIndex] });
+    return { ...row, [cellsField]: cells };
+  });
+}
+
+/**
+ * Grow the cell by one column (right) or one row (down).
+ *
+ * @param {Array<Object>} rows
+ * @param {string} cellId
+ * @param {'right'|'down'} direction
+ * @param {{idField?: string, cellsField?: string}} [options]
+ * @returns {Array<Object>|null} New rows, or null when the merge isn't possible
+ */
+export function mergeTableCell(rows, cellId, direction, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (!canMergeTableCell(rows, cellId, direction, opts)) return null;
+  const position = findTableCell(rows, cellId, opts);
+  return updateCell(rows, position, opts.cellsField, (cell) => {
+    const { colspan, rowspan } = spanOf(cell);
+    if (direction === 'right') cell.colspan = colspan + 1;
+    else cell.rowspan = rowspan + 1;
+    return cell;
+  });
+}
+
+/**
+ * Undo every merge on the cell.
+ *
+ * @param {Array<Object>} rows
+ * @param {string} cellId
+ * @param {{idField?: string, cellsField?: string}} [options]
+ * @returns {Array<Object>|null} New rows, or null when the cell isn't merged
+ */
+export function splitTableCell(rows, cellId, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const position = findTableCell(rows, cellId, opts);
+  if (!position) return null;
+  const { colspan, rowspan } = spanOf(rows[position.rowIndex][opts.cellsField][position.colIndex]);
+  if (colspan === 1 && rowspan === 1) return null;
+  return updateCell(rows, position, opts.cellsField, (cell) => {
+    delete cell.colspan;
+    delete cell.rowspan;
+    return cell;
+  });
+}
+
+/**
+ * The table's header mode — `headerMode` as the typeRule in
+ * proposals/container-value-conversion.md reads it: 'row', 'col', 'both' or
+ * undefined for none (stored as 'none'). Volto's own slateTable has no
+ * such field and marks header cells with `type: 'header'` instead, so
+ * without one the mode is read from the cells.
+ *
+ * @param {string|undefined} headerMode - The table block's `headerMode`
+ * @param {Array<Object>} rows
+ * @param {{cellsField?: string}} [options]
+ * @returns {'row'|'col'|'both'|undefined}
+ */
+export function getTableHeaderMode(headerMode, rows, options = {}) {
+  if (headerMode !== undefined) return HEADER_MODES.includes(headerMode) ? headerMode : undefined;
+  const { cellsField } = { ...DEFAULT_OPTIONS, ...options };
+  const isHeader = (cell) => cell?.type === 'header';
+  const firstRow = rows?.[0]?.[cellsField] || [];
+  const hasRow = firstRow.length > 0 && firstRow.every(isHeader);
+  const hasCol = (rows || []).length > 1 && rows.every((row) => isHeader(row?.[cellsField]?.[0]));
+  return toHeaderMode(hasRow, hasCol);
+}
+
+function toHeaderMode(hasRow, hasCol) {
+  if (hasRow && hasCol) return 'both';
+  if (hasRow) return 'row';
+  if (hasCol) return 'col';
+  return undefined;
+}
+
+/**
+ * @param {'row'|'col'|'both'|undefined} headerMode
+ * @param {'row'|'col'} axis - Which header to switch on or off
+ * @returns {'row'|'col'|'both'|undefined}
+ */
+export function toggleHeaderMode(headerMode, axis) {
+  const hasRow = headerMode === 'row' || headerMode === 'both';
+  const hasCol = headerMode === 'col' || headerMode === 'both';
+  return axis === 'row' ? toHeaderMode(!hasRow, hasCol) : toHeaderMode(hasRow, !hasCol);
+}
+
+/**
+ * Mark untyped cells (Volto's slateTable) as `type: 'header'` or `'data'`
+ * for a header mode. Don't use it on typed cells: their field's typeRule
+ * converts them between the value and container forms instead.
+ *
+ * @param {Array<Object>} rows
+ * @param {'row'|'col'|'both'|undefined} headerMode
+ * @param {{cellsField?: string}} [options]
+ * @returns {Array<Object>}
+ */
+export function applyHeaderCellTypes(rows, headerMode, options = {}) {
+  const { cellsField } = { ...DEFAULT_OPTIONS, ...options };
+  const headerRow = headerMode === 'row' || headerMode === 'both';
+  const headerCol = headerMode === 'col' || headerMode === 'both';
+  return rows.map((row, r) => ({
+    ...row,
+    [cellsField]: (row[cellsField] || []).map((cell, c) => ({
+      ...cell,
+      type: (headerRow && r === 0) || (headerCol && c === 0) ? 'header' : 'data',
+    })),
+  }));
+}
+
+/**
+ * The table around a selected cell, found through the blockPathMap (cell →
+ * row → table).
+ *
+ * @param {string} cellId
+ * @param {Object} blockPathMap
+ * @param {function(string): Object} getBlock - Block data by id
+ * @returns {{tableId: string, table: Object, rows: Array<Object>, rowsDescriptor: Object,
+ *   options: {idField: string, cellsField: string}}|null} null when the block
+ *   is not a table cell
+ */
+export function getTableCellContext(cellId, blockPathMap, getBlock) {
+  const cellInfo = blockPathMap?.[cellId];
+  if (cellInfo?.parentAddMode !== 'table') return null;
+  const rowInfo = blockPathMap[cellInfo.parentId];
+  const tableId = rowInfo?.parentId;
+  const table = tableId ? getBlock(tableId) : null;
+  if (!table) return null;
+  const rowsDescriptor = {
+    isObjectList: true,
+    region: rowInfo.region,
+    regionPath: rowInfo.regionPath || [],
+    idField: rowInfo.idField,
+  };
+  return {
+    tableId,
+    table,
+    rows: getChildBlockEntries(table, rowsDescriptor).map((entry) => entry.block),
+    rowsDescriptor,
+    options: { idField: cellInfo.idField, cellsField: cellInfo.region },
+  };
+}
+
+/**
+ * What the table toolbar offers for the selected cell. The cell's row and
+ * column can't be deleted when they're the table's last one or a header, or
+ * when a template locks a block in them.
+ *
+ * @param {Object} context - From getTableCellContext
+ * @param {string} cellId
+ * @param {string[]} [templateEditMode=[]] - The unlocked template instance ids
+ * @returns {{mergeRight: boolean, mergeDown: boolean, split: boolean, headerRow: boolean,
+ *   headerColumn: boolean, deleteRow: boolean, deleteColumn: boolean}}
+ */
+export function getTableCellState({ table, rows, options }, cellId, templateEditMode = []) {
+  const position = findTableCell(rows, cellId, options);
+  const { colspan, rowspan } = position
+    ? spanOf(rows[position.rowIndex][options.cellsField][position.colIndex])
+    : spanOf(null);
+  const headerMode = getTableHeaderMode(table.headerMode, rows, options);
+  const headerRow = headerMode === 'row' || headerMode === 'both';
+  const headerColumn = headerMode === 'col' || headerMode === 'both';
+  const isLocked = (block) =>
+    !!block && (isBlockReadonly(block, templateEditMode) || isBlockPositionLocked(block, templateEditMode));
+  const width = Math.max(0, ...rows.map((row) => (row[options.cellsField] || []).length));
+  const row = position && rows[position.rowIndex];
+  return {
+    mergeRight: canMergeTableCell(rows, cellId, 'right', options),
+    mergeDown: canMergeTableCell(rows, cellId, 'down', options),
+    split: colspan > 1 || rowspan > 1,
+    headerRow,
+    headerColumn,
+    deleteRow:
+      !!position &&
+      rows.length > 1 &&
+      !(headerRow && position.rowIndex === 0) &&
+      !isLocked(row) &&
+      !(row[options.cellsField] || []).some(isLocked),
+    deleteColumn:
+      !!position &&
+      width > 1 &&
+      !(headerColumn && position.colIndex === 0) &&
+      !rows.some((r) => isLocked(r) || isLocked(r[options.cellsField]?.[position.colIndex])),
+  };
+}
+
+// A pasted text as a slate value, one paragraph per line
+const textToSlate = (text) =>
+  String(text ?? '')
+    .split('\n')
+    .map((line) => ({ type: 'p', children: [{ text: line }] }));
+
+/**
+ * Fill cells from a pasted grid of texts (hydra.js reads spreadsheet ranges
+ * off the clipboard with parseClipboardTable), starting at the pasted-into
+ * cell. Where the grid runs past the table's edge, rows and columns are
+ * added: a new cell copies the shape of its neighbour — the cell to its left
+ * in a new column, the one above in a new row — so header cells and cell
+ * types carry over. Texts landing on cells hidden under a merged cell are
+ * left out, as they would never show.
+ *
+ * @param {Array<Object>} rows
+ * @param {string} cellId - The cell the range was pasted into
+ * @param {string[][]} grid
+ * @param {Object} options
+ * @param {function(): string} options.newId - Id for new rows and cells
+ * @param {string} [options.idField] - Cells' id field
+ * @param {string} [options.rowIdField] - Rows' id field (defaults to idField)
+ * @param {string} [options.cellsField]
+ * @param {string} [options.valueField] - The cells' slate field
+ * @returns {Array<Object>|null} New rows, or null when the cell isn't in
+ *   rows or is hidden under a merged cell
+ */
+export function pasteTableGrid(rows, cellId, grid, options) {
+  const { idField, cellsField, newId, valueField = 'value', rowIdField = idField } = { ...DEFAULT_OPTIONS, ...options };
+  const position = findTableCell(rows, cellId, { idField, cellsField });
+  if (!position || !grid?.length) return null;
+  if (getCoveredTableCells(rows, { idField, cellsField }).has(cellId)) return null;
+  const gridWidth = Math.max(...grid.map((line) => line.length));
+  const width = Math.max(...rows.map((row) => (row[cellsField] || []).length), position.colIndex + gridWidth);
+  const height = Math.max(rows.length, position.rowIndex + grid.length);
+
+  const newCell = (template) => {
+    const cell = { ...template, [idField]: newId(), [valueField]: textToSlate('') };
+    delete cell.colspan;
+    delete cell.rowspan;
+    return cell;
+  };
+
+  const result = [];
+  for (let r = 0; r < height; r++) {
+    const above = result[r - 1];
+    const row = rows[r]
+      ? { ...rows[r], [cellsField]: [...(rows[r][cellsField] || [])] }
+      : { ...above, [rowIdField]: newId(), [cellsField]: above[cellsField].map(newCell) };
+    const cells = row[cellsField];
+    while (cells.length < width) cells.push(newCell(cells[cells.length - 1]));
+    result.push(row);
+  }
+
+  const covered = getCoveredTableCells(result, { idField, cellsField });
+  grid.forEach((line, i) => {
+    const cells = result[position.rowIndex + i][cellsField];
+    line.forEach((text, j) => {
+      const c = position.colIndex + j;
+      if (covered.has(cells[c][idField])) return;
+      cells[c] = { ...cells[c], [valueField]: textToSlate(text) };
+    });
+  });
+  return result;
+}
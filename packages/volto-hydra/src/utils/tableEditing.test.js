@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findTableCell,
+  canMergeTableCell,
+  mergeTableCell,
+  splitTableCell,
+  getTableHeaderMode,
+  toggleHeaderMode,
+  applyHeaderCellTypes,
+  getTableCellContext,
+  getTableCellState,
+  pasteTableGrid,
+} from './tableEditing';
+
+// 3x3 table, cells keyed `c<row><col>`
+const grid = (overrides = {}) =>
+  [0, 1, 2].map((r) => ({
+    key: `r${r}`,
+    cells: [0, 1, 2].map((c) => ({ key: `c${r}${c}`, ...overrides[`c${r}${c}`] })),
+  }));
+
+describe('table cell merging', () => {
+  it('finds a cell by id', () => {
+    expect(findTableCell(grid(), 'c12')).toEqual({ rowIndex: 1, colIndex: 2 });
+    expect(findTableCell(grid(), 'nope')).toBeNull();
+  });
+
+  it('merges right and down, growing the spans', () => {
+    const right = mergeTableCell(grid(), 'c00', 'right');
+    expect(right[0].cells[0].colspan).toBe(2);
+    const both = mergeTableCell(right, 'c00', 'down');
+    expect(both[0].cells[0]).toEqual({ key: 'c00', colspan: 2, rowspan: 2 });
+    // Covered cells stay in the grid
+    expect(both[1].cells.map((cell) => cell.key)).toEqual(['c10', 'c11', 'c12']);
+  });
+
+  it('refuses merges past the edge or into merged cells', () => {
+    expect(canMergeTableCell(grid(), 'c02', 'right')).toBe(false);
+    expect(canMergeTableCell(grid(), 'c20', 'down')).toBe(false);
+    // c01 spans down, so c00 (1 row) can't take it in
+    expect(canMergeTableCell(grid({ c01: { rowspan: 2 } }), 'c00', 'right')).toBe(false);
+    // c11 is covered by c00's 2x2 span
+    expect(canMergeTableCell(grid({ c00: { colspan: 2, rowspan: 2 } }), 'c10', 'right')).toBe(false);
+    expect(mergeTableCell(grid(), 'c02', 'right')).toBeNull();
+  });
+
+  it('splits a merged cell back into single cells', () => {
+    const split = splitTableCell(grid({ c00: { colspan: 2, rowspan: 3 } }), 'c00');
+    expect(split[0].cells[0]).toEqual({ key: 'c00' });
+    expect(splitTableCell(grid(), 'c00')).toBeNull();
+  });
+});
+
+describe('table header mode', () => {
+  it('reads the mode from headerMode, else from header cells', () => {
+    expect(getTableHeaderMode('col', grid())).toBe('col');
+    expect(getTableHeaderMode('none', applyHeaderCellTypes(grid(), 'row'))).toBeUndefined();
+    expect(getTableHeaderMode(undefined, grid())).toBeUndefined();
+    const headed = applyHeaderCellTypes(grid(), 'both');
+    expect(getTableHeaderMode(undefined, headed)).toBe('both');
+  });
+
+  it('toggles the row and column headers independently', () => {
+    expect(toggleHeaderMode(undefined, 'row')).toBe('row');
+    expect(toggleHeaderMode('row', 'col')).toBe('both');
+    expect(toggleHeaderMode('both', 'row')).toBe('col');
+    expect(toggleHeaderMode('col', 'col')).toBeUndefined();
+  });
+
+  it('marks untyped cells as header or data', () => {
+    const rows = applyHeaderCellTypes(grid(), 'col');
+    expect(rows.map((row) => row.cells.map((cell) => cell.type))).toEqual([
+      ['header', 'data', 'data'],
+      ['header', 'data', 'data'],
+      ['header', 'data', 'data'],
+    ]);
+  });
+});
+
+describe('getTableCellState', () => {
+  it('reads the table through the blockPathMap and reports what applies', () => {
+    const table = { '@type': 'slateTable', headerMode: 'row', table: { rows: grid({ c00: { colspan: 2 } }) } };
+    const blockPathMap = {
+      t1: { parentId: null },
+      r0: { parentId: 't1', region: 'rows', regionPath: ['table'], idField: 'key', addMode: 'table' },
+      c00: { parentId: 'r0', region: 'cells', idField: 'key', parentAddMode: 'table' },
+    };
+    const context = getTableCellContext('c00', blockPathMap, (id) => (id === 't1' ? table : null));
+    expect(context.tableId).toBe('t1');
+    expect(context.rows).toHaveLength(3);
+    expect(getTableCellState(context, 'c00')).toEqual({
+      mergeRight: true,
+      mergeDown: true,
+      split: true,
+      headerRow: true,
+      headerColumn: false,
+      deleteRow: false,
+      deleteColumn: true,
+    });
+    expect(getTableCellContext('r0', blockPathMap, () => table)).toBeNull();
+  });
+
+  it('keeps the last row and column, and locked ones', () => {
+    const options = { idField: 'key', cellsField: 'cells' };
+    const state = (rows, cellId, templateEditMode) =>
+      getTableCellState({ table: { headerMode: 'none' }, rows, options }, cellId, templateEditMode);
+    expect(state(grid(), 'c11')).toMatchObject({ deleteRow: true, deleteColumn: true });
+    expect(state([{ key: 'r0', cells: [{ key: 'a' }, { key: 'b' }] }], 'a')).toMatchObject({
+      deleteRow: false,
+      deleteColumn: true,
+    });
+    expect(state([{ key: 'r0', cells: [{ key: 'a' }] }, { key: 'r1', cells: [{ key: 'b' }] }], 'a')).toMatchObject({
+      deleteRow: true,
+      deleteColumn: false,
+    });
+    const locked = grid();
+    locked[1] = { ...locked[1], fixed: true, templateInstanceId: 'ti' };
+    locked[2].cells[0] = { ...locked[2].cells[0], readOnly: true, templateInstanceId: 'ti' };
+    expect(state(locked, 'c11')).toMatchObject({ deleteRow: false, deleteColumn: false });
+    expect(state(locked, 'c22')).toMatchObject({ deleteRow: false, deleteColumn: false });
+    expect(state(locked, 'c02')).toMatchObject({ deleteRow: true, deleteColumn: false });
+    // Unlocked for editing, the template's blocks go like any other
+    expect(state(locked, 'c11', ['ti'])).toMatchObject({ deleteRow: true, deleteColumn: true });
+  });
+});
+
+describe('pasteTableGrid', () => {
+  const counter = () => {
+    let n = 0;
+    return () => `new-${++n}`;
+  };
+  const text = (cell) => cell.value.map((p) => p.children[0].text).join('\n');
+
+  it('fills cells from the pasted-into cell', () => {
+    const rows = pasteTableGrid(grid(), 'c11', [['a', 'b'], ['c', 'd']], { newId: counter() });
+    expect(rows.map((row) => row.cells.map((cell) => cell.value && text(cell)))).toEqual([
+      [undefined, undefined, undefined],
+      [undefined, 'a', 'b'],
+      [undefined, 'c', 'd'],
+    ]);
+  });
+
+  it('grows the table, copying the shape of neighbouring cells', () => {
+    const rows = pasteTableGrid(applyHeaderCellTypes(grid(), 'col'), 'c21', [['a', 'b', 'c'], ['d', 'e\nf', 'g']], {
+      newId: counter(),
+    });
+    expect(rows).toHaveLength(4);
+    expect(rows.every((row) => row.cells.length === 4)).toBe(true);
+    expect(rows[3].key).toMatch(/^new-/);
+    // New row's first cell copies the header cell above it
+    expect(rows[3].cells[0].type).toBe('header');
+    expect(rows[3].cells[0].value).toEqual([{ type: 'p', children: [{ text: '' }] }]);
+    expect(text(rows[3].cells[2])).toBe('e\nf');
+    expect(text(rows[2].cells[3])).toBe('c');
+    const ids = rows.flatMap((row) => row.cells.map((cell) => cell.key));
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+  it('leaves cells hidden under a merged cell alone', () => {
+    const merged = grid({ c11: { colspan: 2, rowspan: 2 } });
+    const rows = pasteTableGrid(merged, 'c11', [['a', 'b'], ['c', 'd']], { newId: counter() });
+    expect(rows.map((row) => row.cells.map((cell) => cell.value && text(cell)))).toEqual([
+      [undefined, undefined, undefined],
+      [undefined, 'a', undefined],
+      [undefined, undefined, undefined],
+    ]);
+    // Nor can a range start in one
+    expect(pasteTableGrid(merged, 'c22', [['a']], { newId: counter() })).toBeNull();
+  });
+});
@@ -1,8 +1,9 @@
 import { jsx } from 'slate-hyperscript';
+import { findSlateFormatForElement, readSlateFormatData } from '@volto-hydra/helpers';
 
-const deserialize = (el, markAttributes = {}) => {
-  if (el.nodeType === Node.TEXT_NODE && !!el.textContent.trim()) {
-    return jsx('text', markAttributes, el.textContent);
+const deserialize = (el, markAttributes = {}, formats = []) => {
+  if (el.nodeType === Node.TEXT_NODE) {
+    return isLayoutWhitespace(el) ? null : jsx('text', markAttributes, el.textContent);
   } else if (el.nodeType !== Node.ELEMENT_NODE) {
     return null;
   }
@@ -11,7 +12,7 @@ const deserialize = (el, markAttributes = {}) => {
 
   const children = Array.from(el.childNodes)
     .map((node) => {
-      return deserialize(node, nodeAttributes);
+      return deserialize(node, nodeAttributes, formats);
     })
     .flat();
 
@@ -20,6 +21,15 @@ const deserialize = (el, markAttributes = {}) => {
     children.push(jsx('text', {}, ' '));
   }
 
+  // Frontend-declared slate formats (hydra.js formatSelectedText writes
+  // their tag + class)
+  const format = findSlateFormatForElement(el, formats);
+  if (format) {
+    const attrs = { type: format.name };
+    if (format.type === 'element') attrs.data = readSlateFormatData(el, format);
+    return jsx('element', attrs, children);
+  }
+
   switch (el.nodeName) {
     case 'BODY':
       return jsx('fragment', {}, children);
@@ -58,11 +68,26 @@ const deserialize = (el, markAttributes = {}) => {
  * Converts html string (received from hydrajs) to slate compatible json data by deserializing the html string to slate json data
  * Note: nodeIds are managed by hydra.js, not by the Admin UI
  * @param {String} html html string
+ * @param {Array} [formats] normalized frontend slate formats (config.settings.slate.hydraFormats)
  * @returns {JSON} slate compatible json data
  */
-export default function toggleMark(html) {
+export default function toggleMark(html, formats = []) {
   const document = new DOMParser().parseFromString(html, 'text/html');
-  return deserialize(document.body);
+  return deserialize(document.body, {}, formats);
+}
+
+// Whitespace-only text between blocks is markup layout; between inline
+// content (e.g. the space after a bold word) it is part of the text
+function isLayoutWhitespace(node) {
+  if (node.textContent.trim()) return false;
+  const parent = node.parentNode;
+  return (
+    !parent ||
+    parent.nodeName === 'BODY' ||
+    [node.previousSibling, node.nextSibling].some(
+      (sibling) => sibling && isBlockElement(sibling),
+    )
+  );
 }
 
 // Helper function to check if an element is block-level
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSlateFormats } from '@volto-hydra/helpers';
+import toggleMark from './toggleMark';
+
+const { formats } = normalizeSlateFormats([
+  { name: 'highlight', tag: 'mark' },
+  { name: 'lead', type: 'block', tag: 'p', className: 'lead' },
+  { name: 'abbr', type: 'element', tag: 'abbr', fields: { title: 'Expansion' } },
+]);
+
+describe('toggleMark', () => {
+  it('deserializes built-in formats', () => {
+    expect(toggleMark('<p>Hi <strong>there</strong></p>')).toEqual([
+      { type: 'p', children: [{ text: 'Hi ' }, { type: 'strong', children: [{ text: 'there' }] }] },
+    ]);
+  });
+
+  it('maps frontend-declared formats back to their node types', () => {
+    expect(
+      toggleMark(
+        '<p class="lead">A <mark>hot</mark> <abbr title="Content Management System">CMS</abbr></p>',
+        formats,
+      ),
+    ).toEqual([
+      {
+        type: 'lead',
+        children: [
+          { text: 'A ' },
+          { type: 'highlight', children: [{ text: 'hot' }] },
+          { text: ' ' },
+          {
+            type: 'abbr',
+            data: { title: 'Content Management System' },
+            children: [{ text: 'CMS' }],
+          },
+        ],
+      },
+    ]);
+  });
+
+  it('keeps spaces between inline content but not between blocks', () => {
+    expect(toggleMark('<p>Hi <strong>there</strong> </p>\n<p>Bye</p>')).toEqual([
+      {
+        type: 'p',
+        children: [
+          { text: 'Hi ' },
+          { type: 'strong', children: [{ text: 'there' }] },
+          { text: ' ' },
+        ],
+      },
+      { type: 'p', children: [{ text: 'Bye' }] },
+    ]);
+  });
+
+  it('leaves a plain paragraph alone when a block format shares its tag', () => {
+    expect(toggleMark('<p>Plain</p>', formats)).toEqual([
+      { type: 'p', children: [{ text: 'Plain' }] },
+    ]);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Admin side of TOKEN_RENEW_REQUEST / TOKEN_RENEWED (see "Access-token
+ * renewal" in @volto-hydra/helpers).
+ *
+ * hydra.js asks for a fresh token shortly before the one the iframe has
+ * expires, or when a fetch with it came back 401. The iframe's token is the
+ * admin's session token, so the answer is that token when Volto has already
+ * renewed it, else the result of renewing the admin's session (@login-renew).
+ */
+import { TOKEN_RENEWAL_LEEWAY_MS, decodeTokenExpiry } from '@volto-hydra/helpers';
+
+/**
+ * @param {Object} options
+ * @param {string|null} options.current - The admin's session token
+ * @param {string|null} options.stale - The token the iframe wants replaced
+ * @param {function(): Promise<string|null>} options.renew - Renews the
+ *   admin's session and resolves with the new token
+ * @param {number} [options.now]
+ * @returns {Promise<string|null>} The token for the iframe; null when the
+ *   session couldn't be renewed (the iframe keeps its token, and its next
+ *   401 asks the editor to sign in again)
+ */
+export async function renewIframeToken({ current, stale, renew, now = Date.now() }) {
+  if (current && current !== stale) {
+    const expiresAt = decodeTokenExpiry(current);
+    if (expiresAt === null || expiresAt - TOKEN_RENEWAL_LEEWAY_MS > now) {
+      return current;
+    }
+  }
+  try {
+    return (await renew()) || null;
+  } catch {
+    return null;
+  }
+}
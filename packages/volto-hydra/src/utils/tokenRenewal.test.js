@@ -0,0 +1,34 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renewIframeToken } from './tokenRenewal';
+
+const NOW = 1700000000000;
+const jwt = (exp) =>
+  ['header', Buffer.from(JSON.stringify({ sub: 'admin', exp })).toString('base64url'), 'signature'].join('.');
+
+describe('renewIframeToken', () => {
+  it("hands over the admin's token when it outlives the iframe's", async () => {
+    const renew = vi.fn();
+    const current = jwt(NOW / 1000 + 3600);
+    await expect(
+      renewIframeToken({ current, stale: jwt(NOW / 1000 + 30), renew, now: NOW }),
+    ).resolves.toBe(current);
+    expect(renew).not.toHaveBeenCalled();
+  });
+
+  it('renews the session when the admin has the same or an expiring token', async () => {
+    const stale = jwt(NOW / 1000 + 30);
+    const renew = vi.fn(async () => 'fresh');
+    await expect(renewIframeToken({ current: stale, stale, renew, now: NOW })).resolves.toBe('fresh');
+    await expect(
+      renewIframeToken({ current: jwt(NOW / 1000 + 45), stale, renew, now: NOW }),
+    ).resolves.toBe('fresh');
+    expect(renew).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers null when the renewal fails', async () => {
+    const renew = vi.fn(async () => {
+      throw new Error('401');
+    });
+    await expect(renewIframeToken({ current: null, stale: 'old', renew, now: NOW })).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Version diff: what changed between two versions of a page, block by block,
+ * for the side-by-side compare view (VersionDiff). Each side gets the kinds
+ * its preview outlines (PREVIEW_HIGHLIGHTS): the older side shows what was
+ * removed, the newer what was inserted, and both what moved or changed.
+ *
+ * A block that moved and changed is reported as moved. A container counts as
+ * changed only for its own fields — a change inside a child is the child's.
+ * An inserted or removed container stands for its children.
+ * Pure (no React).
+ */
+import { PAGE_BLOCK_UID } from '@volto-hydra/hydra-js';
+import { deepEqual, findChangedUnit, formDataContentEqual } from '@volto-hydra/helpers';
+import { getBlockById, getChildBlockIdsInField } from './blockPath';
+
+/** How each kind of change is named in lists of changes. */
+export const CHANGE_KIND_LABELS = {
+  inserted: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+  changed: 'Changed',
+};
+
+// Page fields that change with every save, or aren't the page's content
+const PAGE_META_FIELDS = new Set([
+  'blocks',
+  'blocks_layout',
+  'modified',
+  'version',
+  'review_state',
+  'lock',
+  'previous_item',
+  'next_item',
+  'items',
+  'items_total',
+]);
+
+// The block ids of a version, map order (page order), without the virtual
+// template-instance entries
+function blockIds(blockPathMap) {
+  return Object.keys(blockPathMap || {}).filter(
+    (id) => !id.startsWith('_') && !blockPathMap[id].isTemplateInstance,
+  );
+}
+
+// Whether `blockId` is `scopeId` or sits somewhere inside it
+function isWithin(blockPathMap, blockId, scopeId) {
+  for (let id = blockId; id; id = blockPathMap[id]?.parentId) {
+    if (id === scopeId) return true;
+  }
+  return false;
+}
+
+// A block's data without its child blocks: the child objects (found by
+// reference, wherever the container stores them) and their ids in layouts
+function ownContent(formData, blockPathMap, blockId) {
+  const block = getBlockById(formData, blockPathMap, blockId);
+  const childIds = new Set(
+    Object.keys(blockPathMap).filter((id) => blockPathMap[id].parentId === blockId),
+  );
+  if (childIds.size === 0) return block;
+  const children = new Set([...childIds].map((id) => getBlockById(formData, blockPathMap, id)));
+  const strip = (value) => {
+    if (Array.isArray(value)) {
+      return value.filter((item) => !children.has(item) && !childIds.has(item)).map(strip);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value)
+          .filter(([key, item]) => !children.has(item) && !childIds.has(key))
+          .map(([key, item]) => [key, strip(item)]),
+      );
+    }
+    return value;
+  };
+  return strip(block);
+}
+
+// The items of `a` that are not in a longest common subsequence with `b`
+function outOfOrder(a, b) {
+  const lengths = a.map(() => new Array(b.length + 1).fill(0));
+  lengths.push(new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const moved = new Set(a);
+  for (let i = 0, j = 0; i < a.length && j < b.length; ) {
+    if (a[i] === b[j]) {
+      moved.delete(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) i++;
+    else j++;
+  }
+  return moved;
+}
+
+/**
+ * Compare two versions of a page.
+ *
+ * @param {Object} oldFormData - The older version
+ * @param {Object} oldBlockPathMap
+ * @param {Object} newFormData - The newer version (or the current form)
+ * @param {Object} newBlockPathMap
+ * @returns {{
+ *   before: Object<string, string>,
+ *   after: Object<string, string>,
+ *   changes: Array<{id: string, kind: 'inserted'|'removed'|'moved'|'changed'}>,
+ *   pageFields: string[],
+ * }} `before`/`after` map block uid → kind for each side's preview;
+ *   `changes` lists them in page order (removed blocks in the older
+ *   version's); `pageFields` are the page's own fields that differ
+ */
+export function diffVersions(oldFormData, oldBlockPathMap, newFormData, newBlockPathMap) {
+  const result = { before: {}, after: {}, changes: [], pageFields: [] };
+  if (formDataContentEqual(oldFormData, newFormData)) return result;
+
+  const fields = [...new Set([...Object.keys(oldFormData || {}), ...Object.keys(newFormData || {})])];
+  result.pageFields = fields
+    .filter((field) => !PAGE_META_FIELDS.has(field) && !/^[@_]/.test(field))
+    .filter((field) => !deepEqual(oldFormData?.[field], newFormData?.[field]))
+    .sort();
+
+  // With the blocks differing in one top-level block only, nothing outside
+  // it needs comparing. (Not just in the unit itself: findChangedUnit
+  // doesn't look at its containers' own fields.)
+  const unit = findChangedUnit(
+    { blocks: oldFormData?.blocks, blocks_layout: oldFormData?.blocks_layout },
+    { blocks: newFormData?.blocks, blocks_layout: newFormData?.blocks_layout },
+  );
+  if (!unit) return result;
+  let scopeId = unit.blockId;
+  while (newBlockPathMap[scopeId] && newBlockPathMap[scopeId].parentId !== PAGE_BLOCK_UID) {
+    scopeId = newBlockPathMap[scopeId].parentId;
+  }
+  if (!newBlockPathMap[scopeId]) scopeId = null;
+  const inScope = (blockPathMap, id) => !scopeId || isWithin(blockPathMap, id, scopeId);
+
+  const oldIds = blockIds(oldBlockPathMap).filter((id) => inScope(oldBlockPathMap, id));
+  const newIds = blockIds(newBlockPathMap).filter((id) => inScope(newBlockPathMap, id));
+  const oldSet = new Set(oldIds);
+  const newSet = new Set(newIds);
+  const kinds = {};
+
+  // Moved: a different container or field, or out of order among the
+  // blocks that stayed in the same one
+  const sameField = (id) =>
+    oldBlockPathMap[id].parentId === newBlockPathMap[id]?.parentId &&
+    oldBlockPathMap[id].region === newBlockPathMap[id]?.region;
+  const comparedFields = new Set();
+  for (const id of newIds) {
+    if (!oldSet.has(id)) continue;
+    if (!sameField(id)) {
+      kinds[id] = 'moved';
+      continue;
+    }
+    const { parentId, region } = newBlockPathMap[id];
+    const key = `${parentId}\u0000${region}`;
+    if (comparedFields.has(key)) continue;
+    comparedFields.add(key);
+    const stayed = (ids) =>
+      ids.filter((sibling) => oldSet.has(sibling) && newSet.has(sibling) && sameField(sibling));
+    const before = stayed(getChildBlockIdsInField(parentId, region, oldBlockPathMap));
+    const after = stayed(getChildBlockIdsInField(parentId, region, newBlockPathMap));
+    outOfOrder(after, before).forEach((sibling) => {
+      kinds[sibling] = 'moved';
+    });
+  }
+
+  // A block whose container is only in one version came with it
+  const parentOnlyIn = (blockPathMap, otherBlockPathMap, id) => {
+    const { parentId } = blockPathMap[id];
+    return !!blockPathMap[parentId] && !otherBlockPathMap[parentId];
+  };
+
+  for (const id of newIds) {
+    if (!oldSet.has(id)) {
+      if (parentOnlyIn(newBlockPathMap, oldBlockPathMap, id)) continue;
+      result.after[id] = 'inserted';
+      result.changes.push({ id, kind: 'inserted' });
+    } else if (
+      kinds[id] ||
+      !deepEqual(
+        ownContent(oldFormData, oldBlockPathMap, id),
+        ownContent(newFormData, newBlockPathMap, id),
+      )
+    ) {
+      const kind = kinds[id] || 'changed';
+      result.before[id] = kind;
+      result.after[id] = kind;
+      result.changes.push({ id, kind });
+    }
+  }
+  for (const id of oldIds) {
+    if (!newSet.has(id)) {
+      if (parentOnlyIn(oldBlockPathMap, newBlockPathMap, id)) continue;
+      result.before[id] = 'removed';
+      result.changes.push({ id, kind: 'removed' });
+    }
+  }
+  return result;
+}
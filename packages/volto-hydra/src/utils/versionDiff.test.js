@@ -0,0 +1,122 @@
+import { describe, test, expect } from 'vitest';
+import { buildBlockPathMap } from './blockPath.js';
+import { diffVersions } from './versionDiff';
+
+const intl = { formatMessage: (m) => m?.defaultMessage || m?.id || '' };
+
+const blocksConfig = {
+  slate: { id: 'slate', title: 'Text' },
+  image: { id: 'image', title: 'Image' },
+  diffSection: {
+    id: 'diffSection',
+    title: 'Section',
+    schema: () => ({
+      properties: {
+        items: { widget: 'blocks_layout', title: 'Content' },
+      },
+    }),
+  },
+};
+
+const text = (plaintext) => ({
+  '@type': 'slate',
+  plaintext,
+  value: [{ type: 'p', children: [{ text: plaintext }] }],
+});
+
+// a, b, a section holding s1 + s2, c
+const makePage = () => ({
+  '@type': 'Document',
+  title: 'Page',
+  modified: '2026-03-01T10:00:00',
+  blocks: {
+    a: text('A'),
+    b: { '@type': 'image', url: '/b.jpg' },
+    section: {
+      '@type': 'diffSection',
+      title: 'Section',
+      blocks: { s1: text('First'), s2: text('Second') },
+      blocks_layout: { items: ['s1', 's2'] },
+    },
+    c: text('C'),
+  },
+  blocks_layout: { items: ['a', 'b', 'section', 'c'] },
+});
+
+const diff = (oldForm, newForm) =>
+  diffVersions(
+    oldForm,
+    buildBlockPathMap(oldForm, blocksConfig, intl),
+    newForm,
+    buildBlockPathMap(newForm, blocksConfig, intl),
+  );
+
+describe('diffVersions', () => {
+  test('finds nothing between equal versions', () => {
+    const newer = makePage();
+    newer._editSequence = 3;
+    expect(diff(makePage(), newer)).toEqual({ before: {}, after: {}, changes: [], pageFields: [] });
+  });
+
+  test('marks a changed leaf on both sides, not its container', () => {
+    const newer = makePage();
+    newer.blocks.section.blocks.s2 = text('Second, edited');
+    const result = diff(makePage(), newer);
+    expect(result.before).toEqual({ s2: 'changed' });
+    expect(result.after).toEqual({ s2: 'changed' });
+  });
+
+  test('marks a container whose own fields changed', () => {
+    const newer = makePage();
+    newer.blocks.section.title = 'Renamed';
+    newer.blocks.section.blocks.s1 = text('First, edited');
+    expect(diff(makePage(), newer).changes).toEqual([
+      { id: 'section', kind: 'changed' },
+      { id: 's1', kind: 'changed' },
+    ]);
+  });
+
+  test('marks inserted blocks after and removed blocks before', () => {
+    const newer = makePage();
+    delete newer.blocks.b;
+    newer.blocks.d = text('D');
+    newer.blocks_layout.items = ['a', 'd', 'section', 'c'];
+    const result = diff(makePage(), newer);
+    expect(result.before).toEqual({ b: 'removed' });
+    expect(result.after).toEqual({ d: 'inserted' });
+  });
+
+  test('marks only the outermost block of a removed container', () => {
+    const newer = makePage();
+    delete newer.blocks.section;
+    newer.blocks_layout.items = ['a', 'b', 'c'];
+    expect(diff(makePage(), newer).changes).toEqual([{ id: 'section', kind: 'removed' }]);
+  });
+
+  test('marks the block that moved, not the ones it passed', () => {
+    const newer = makePage();
+    newer.blocks_layout.items = ['b', 'section', 'c', 'a'];
+    const result = diff(makePage(), newer);
+    expect(result.after).toEqual({ a: 'moved' });
+    expect(result.before).toEqual({ a: 'moved' });
+  });
+
+  test('marks a block moved into another container', () => {
+    const newer = makePage();
+    newer.blocks.section.blocks.c = newer.blocks.c;
+    newer.blocks.section.blocks_layout.items = ['s1', 's2', 'c'];
+    delete newer.blocks.c;
+    newer.blocks_layout.items = ['a', 'b', 'section'];
+    expect(diff(makePage(), newer).changes).toEqual([{ id: 'c', kind: 'moved' }]);
+  });
+
+  test('lists changed page fields, not save metadata', () => {
+    const newer = makePage();
+    newer.title = 'New title';
+    newer.modified = '2026-03-02T10:00:00';
+    newer['@id'] = 'http://example.com/page';
+    const result = diff(makePage(), newer);
+    expect(result.pageFields).toEqual(['title']);
+    expect(result.changes).toEqual([]);
+  });
+});
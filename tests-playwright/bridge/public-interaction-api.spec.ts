@@ -0,0 +1,136 @@
+/**
+ * Public interaction API for frontends that disable one of the bridge's
+ * built-in subsystems (initBridge `disable: { selection, dragAndDrop,
+ * keyboard }`) and drive it from their own UI instead: `bridge.selectBlock`
+ * and `bridge.moveBlocks` must produce exactly the messages the built-in
+ * click and drag handlers send, so the admin treats them the same way.
+ */
+import { test, expect } from './fixtures';
+
+/** Collect every message the iframe posts to the mock parent from now on. */
+async function recordMessages(page: any) {
+  await page.evaluate(() => {
+    (window as any).__recorded = [];
+    window.addEventListener('message', (e) => (window as any).__recorded.push(e.data));
+  });
+  return (type: string) =>
+    page.evaluate(
+      (t: string) => (window as any).__recorded.filter((m: any) => m.type === t),
+      type,
+    );
+}
+
+const bridgeCall = (helper: any, fn: string) =>
+  helper
+    .getIframe()
+    .locator('body')
+    .evaluate(
+      (node: HTMLElement, src: string) =>
+        new Function('bridge', `return ${src}`)((node.ownerDocument.defaultView as any).__hydraBridge),
+      fn,
+    );
+
+test.describe('Bridge public interaction API', () => {
+  test('moveBlocks sends the same MOVE_BLOCKS as a drop', async ({ helper, page }) => {
+    const messages = await recordMessages(page);
+
+    const sent = await bridgeCall(
+      helper,
+      "bridge.moveBlocks(['mock-block-1'], 'mock-hero-block', { insertAfter: false })",
+    );
+    expect(sent).toBe(true);
+
+    await expect.poll(() => messages('MOVE_BLOCKS')).toEqual([
+      {
+        type: 'MOVE_BLOCKS',
+        blockIds: ['mock-block-1'],
+        targetBlockId: 'mock-hero-block',
+        insertAfter: false,
+        targetParentId: null,
+      },
+    ]);
+  });
+
+  test('moveBlocks rejects unknown blocks and self-targets without sending', async ({
+    helper,
+    page,
+  }) => {
+    const messages = await recordMessages(page);
+
+    expect(await bridgeCall(helper, "bridge.moveBlocks('no-such-block', 'mock-hero-block')")).toBe(false);
+    expect(await bridgeCall(helper, "bridge.moveBlocks(['mock-block-1'], 'no-such-block')")).toBe(false);
+    expect(await bridgeCall(helper, "bridge.moveBlocks(['mock-block-1'], 'mock-block-1')")).toBe(false);
+
+    // A valid call afterwards is the positive signal that nothing was queued.
+    expect(await bridgeCall(helper, "bridge.moveBlocks('mock-text-block', 'mock-hero-block')")).toBe(true);
+    await expect.poll(async () => (await messages('MOVE_BLOCKS')).length).toBe(1);
+    expect((await messages('MOVE_BLOCKS'))[0].blockIds).toEqual(['mock-text-block']);
+  });
+
+  test('selectBlock(uid) selects like a click', async ({ helper, page }) => {
+    await bridgeCall(helper, "bridge.selectBlock('mock-hero-block')");
+    await expect
+      .poll(() => page.evaluate(() => (window as any).mockParent.lastSelectedBlockUid))
+      .toBe('mock-hero-block');
+  });
+
+  test('disabled selection still keeps a link from navigating the editor', async ({
+    helper,
+    page,
+  }) => {
+    await bridgeCall(helper, 'bridge.disable.selection = true');
+    const messages = await recordMessages(page);
+    const iframe = helper.getIframe();
+    // A linkable field's link in a block; record whether the bridge's
+    // capture listener stopped it (then stop it anyway, so a failing run
+    // doesn't navigate the frame away)
+    await iframe.locator('[data-block-uid="mock-hero-block"]').evaluate((block: HTMLElement) => {
+      const link = block.ownerDocument.createElement('a');
+      link.href = '/elsewhere';
+      link.setAttribute('data-edit-link', 'href');
+      link.id = 'hydra-test-link';
+      link.textContent = 'Elsewhere';
+      block.appendChild(link);
+      const win = block.ownerDocument.defaultView as any;
+      win.addEventListener('click', (e: MouseEvent) => {
+        win.__linkPrevented = e.defaultPrevented;
+        e.preventDefault();
+      });
+    });
+
+    await iframe.locator('#hydra-test-link').click();
+
+    const prevented = await iframe
+      .locator('body')
+      .evaluate((node: HTMLElement) => (node.ownerDocument.defaultView as any).__linkPrevented);
+    expect(prevented).toBe(true);
+    expect(await messages('BLOCK_SELECTED')).toEqual([]);
+  });
+
+  test('disabled keyboard handling leaves block-mode keys to the frontend', async ({
+    helper,
+    page,
+  }) => {
+    await helper.clickBlockInIframe('mock-image-block');
+    // Flags are read per event, so flipping one at runtime is equivalent to
+    // passing it to initBridge for this check.
+    await bridgeCall(helper, 'bridge.disable.keyboard = true');
+    const messages = await recordMessages(page);
+
+    await helper.getIframe().locator('body').press('Delete');
+
+    // Nothing the bridge would do for Delete may have happened: wait two
+    // frames (the blocker is synchronous) instead of sleeping.
+    await helper
+      .getIframe()
+      .locator('body')
+      .evaluate(
+        (node: HTMLElement) =>
+          new Promise<void>((resolve) => {
+            const win = node.ownerDocument.defaultView as Window;
+            win.requestAnimationFrame(() => win.requestAnimationFrame(() => resolve()));
+          }),
+      );
+    expect(await messages('DELETE_BLOCK')).toEqual([]);
+  });
+});
@@ -111,6 +111,14 @@ export const sharedBlocksConfig = {
                 'href': 'buttonLink',
                 'preview_image': 'image',
             },
+            // HTML paste: a pasted <section class="hero"> becomes a hero block
+            'css:section.hero': {
+                'h2::text': 'heading',
+                'p.lead::text': 'subheading',
+                'a::attr(href)': 'buttonLink',
+                'a::text': 'buttonText',
+                'div.body::html': 'description',
+            },
         },
     },
     // Container block: columns contains column children. The columns
@@ -503,6 +503,10 @@ function renderSlateBlock(block) {
             case 'blockquote':
                 html += `<blockquote data-edit-text="value"${nodeIdAttr}>${text}</blockquote>`;
                 break;
+            case 'lead':
+                // Frontend-declared block format (voltoConfig.settings.slate.formats)
+                html += `<p class="lead" data-edit-text="value"${nodeIdAttr}>${text}</p>`;
+                break;
             case 'ul':
                 html += `<ul data-edit-text="value"${nodeIdAttr}>${renderListItems(node.children)}</ul>`;
                 break;
@@ -574,6 +578,11 @@ function renderChildren(children) {
             const nodeId = child.nodeId !== undefined ? ` data-node-id="${child.nodeId}"` : '';
             return `<code${nodeId}>${renderChildren(child.children)}</code>`;
         }
+        if (child.type === 'highlight') {
+            // Frontend-declared inline format (voltoConfig.settings.slate.formats)
+            const nodeId = child.nodeId !== undefined ? ` data-node-id="${child.nodeId}"` : '';
+            return `<mark${nodeId}>${renderChildren(child.children)}</mark>`;
+        }
         if (child.type === 'link') {
             const nodeId = child.nodeId !== undefined ? ` data-node-id="${child.nodeId}"` : '';
             const url = child.data?.url || '#';
@@ -2402,6 +2411,8 @@ function renderNestedSlateBlock(block) {
 function renderSlateTableBlock(block) {
     const table = block.table || {};
     const rows = table.rows || [];
+    // Cells under a merged cell's colspan/rowspan stay in the data but aren't drawn
+    const covered = window._getCoveredTableCells ? window._getCoveredTableCells(rows) : new Set();
 
     let html = '<table style="border-collapse: collapse; width: 100%;">';
 
@@ -2410,7 +2421,10 @@ function renderSlateTableBlock(block) {
         html += `<tr data-block-uid="${row.key}" data-block-add="bottom">`;
         const cells = row.cells || [];
         cells.forEach((cell) => {
+            if (covered.has(cell.key)) return;
             const tag = cell.type === 'header' ? 'th' : 'td';
+            const spans = (cell.colspan > 1 ? ` colspan="${cell.colspan}"` : '')
+                + (cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : '');
             const style = 'border: 1px solid #ccc; padding: 8px;';
 
             // Render cell content from slate value
@@ -2423,7 +2437,7 @@ function renderSlateTableBlock(block) {
             });
 
             // Cells add to the right (new column)
-            html += `<${tag} data-block-uid="${cell.key}" data-block-add="right" style="${style}">${cellContent}</${tag}>`;
+            html += `<${tag} data-block-uid="${cell.key}" data-block-add="right"${spans} style="${style}">${cellContent}</${tag}>`;
         });
         html += '</tr>';
     });
@@ -314,6 +314,55 @@ test.describe('Inline Editing - Clipboard', () => {
       .toContainText('Name', { timeout: 5000 });
   });
 
+  test('pasting HTML matching a css: fieldMapping creates that block type', async ({ page }) => {
+    // hero declares fieldMappings['css:section.hero'] — a pasted hero section
+    // becomes a hero block with its heading/subheading mapped, in place.
+    const helper = new AdminUIHelper(page);
+
+    await helper.login();
+    await helper.navigateToEdit('/test-page');
+
+    const blockId = 'block-1-uuid';
+    const iframe = helper.getIframe();
+
+    const editor = await helper.enterEditMode(blockId);
+    await helper.selectAllTextInEditor(editor);
+    await editor.pressSequentially('Before', { delay: 10 });
+    await helper.waitForEditorText(editor, /Before/);
+    await editor.press('End');
+
+    await editor.evaluate((el) => {
+      const dt = new DataTransfer();
+      dt.setData('text/html',
+        '<p>Hello</p>' +
+        '<div class="wrapper"><section class="hero">' +
+        '<h2>Big news</h2><p class="lead">Read all about it</p>' +
+        '</section></div>' +
+        '<p>After hero</p>',
+      );
+      dt.setData('text/plain', 'Hello\nBig news\nRead all about it\nAfter hero');
+      const event = new ClipboardEvent('paste', { bubbles: true, cancelable: true });
+      Object.defineProperty(event, 'clipboardData', { value: dt });
+      el.dispatchEvent(event);
+    });
+
+    const { blockId: afterBlockId } = await helper.waitForBlockByContent('After hero');
+
+    await expect(iframe.locator(`[data-block-uid="${blockId}"]`))
+      .toContainText('BeforeHello', { timeout: 5000 });
+
+    // Order: original → hero → After hero
+    const blockOrder = await helper.getBlockOrder();
+    const originalIndex = blockOrder.indexOf(blockId);
+    expect(blockOrder.indexOf(afterBlockId)).toBe(originalIndex + 2);
+
+    const heroBlock = iframe.locator(`[data-block-uid="${blockOrder[originalIndex + 1]}"]`);
+    await expect(heroBlock).toContainText('Big news', { timeout: 5000 });
+    await expect(heroBlock).toContainText('Read all about it');
+    // The section's text went into the hero, not into a slate block
+    await expect(iframe.locator(`[data-block-uid="${blockId}"]`)).not.toContainText('Big news');
+  });
+
   test('clipboard test on parent document', async ({ page, context }) => {
     // Grant clipboard permissions
     await context.grantPermissions(['clipboard-read', 'clipboard-write']);
@@ -0,0 +1,71 @@
+/**
+ * Frontend-declared slate formats (initBridge voltoConfig.settings.slate.formats).
+ *
+ * The test frontend declares a `highlight` inline format (<mark>, mod+shift+h)
+ * and a `lead` block format (<p class="lead">), and renders both node types.
+ * They must behave like Volto's own bold / heading formats: a toolbar button
+ * and hotkey for the mark, a FormatDropdown entry for the block style.
+ */
+import { test, expect } from '../fixtures';
+import { AdminUIHelper } from '../helpers/AdminUIHelper';
+
+test.describe('Inline Editing - Frontend formats', () => {
+  test('highlight button wraps the selection in the frontend mark', async ({ page }) => {
+    const helper = new AdminUIHelper(page);
+
+    await helper.login();
+    await helper.navigateToEdit('/test-page');
+
+    const blockId = 'block-1-uuid';
+    // Block has "This is a test paragraph" — select "test"
+    const editor = await helper.enterEditMode(blockId);
+    await helper.selectTextRange(editor, 10, 14);
+
+    const button = page.locator('.quanta-toolbar [title="Highlight"]');
+    await expect(button).toBeVisible({ timeout: 5000 });
+    await button.click();
+
+    await expect(editor.locator('mark')).toHaveText('test', { timeout: 10000 });
+    await helper.waitForPointerUnblocked();
+  });
+
+  test('hotkey applies the highlight format', async ({ page }) => {
+    const helper = new AdminUIHelper(page);
+
+    await helper.login();
+    await helper.navigateToEdit('/test-page');
+
+    const editor = await helper.enterEditMode('block-1-uuid');
+    await helper.selectTextRange(editor, 10, 14);
+    await expect(page.locator('.quanta-toolbar [title="Highlight"]')).toBeVisible({ timeout: 5000 });
+    await expect(async () => {
+      const sel = await helper.getSelectionInfo(editor);
+      expect(sel.editorHasFocus).toBe(true);
+      expect(sel.isCollapsed).toBe(false);
+    }).toPass({ timeout: 5000 });
+
+    await editor.press('ControlOrMeta+Shift+h');
+
+    await expect(editor.locator('mark')).toHaveText('test', { timeout: 10000 });
+  });
+
+  test('lead paragraph is offered in the format dropdown and applied', async ({ page }) => {
+    const helper = new AdminUIHelper(page);
+
+    await helper.login();
+    await helper.navigateToEdit('/test-page');
+
+    const blockId = 'block-1-uuid';
+    await helper.enterEditMode(blockId);
+
+    const toolbar = page.locator('.quanta-toolbar');
+    await toolbar.locator('.format-dropdown-trigger').click();
+    const leadItem = page.locator('.format-dropdown-menu [title="Lead paragraph"]');
+    await expect(leadItem).toBeVisible();
+    await leadItem.click();
+
+    await expect(
+      helper.getIframe().locator(`[data-block-uid="${blockId}"] p.lead`),
+    ).toContainText('This is a test paragraph', { timeout: 10000 });
+  });
+});